@@ -3,6 +3,7 @@ const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const { pool } = require('./database'); // ✅ Cambiado a PostgreSQL
 const Usuario = require('../models/Usuario');
+const { registrarReferido } = require('../utils/referidos');
 
 console.log('🔐 Inicializando Google OAuth Strategy...');
 console.log('   Client ID:', process.env.GOOGLE_CLIENT_ID ? '✅ Configurado' : '❌ No configurado');
@@ -14,9 +15,10 @@ passport.use(new GoogleStrategy({
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     callbackURL: process.env.GOOGLE_CALLBACK_URL || 
                  `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/auth/google/callback`,
-    scope: ['profile', 'email']
+    scope: ['profile', 'email'],
+    passReqToCallback: true // para leer el código de referido que viaja en state
   },
-  async function(accessToken, refreshToken, profile, done) {
+  async function(req, accessToken, refreshToken, profile, done) {
     try {
       console.log('🔄 Procesando autenticación Google para:', profile.emails[0].value);
       console.log('   Google ID:', profile.id);
@@ -100,6 +102,12 @@ passport.use(new GoogleStrategy({
       const nuevoUsuario = insertResult.rows[0];
       
       console.log('✅ Nuevo usuario registrado con Google:', profile.emails[0].value);
+
+      // Código de referido (GET /google?ref=CODIGO → state)
+      if (req.query.state) {
+        try { await registrarReferido(pool, { referidoId: nuevoUsuario.id, codigo: req.query.state, origen: 'google' }); }
+        catch (e) { console.error('❌ Error registrando referido:', e.message); }
+      }
       
       const usuario = new Usuario(nuevoUsuario);
       return done(null, usuario.toJSON());
@@ -8,6 +8,7 @@ const { isValidEmail, isStrongPassword, getPasswordRequirementsMessage, isValidN
 const JWT_SECRET = process.env.JWT_SECRET || 'pierreposteria_secret_key_2025';
 const { tokenBlacklist } = require('../middleware/tokenBlacklist');
 const { SecureLogger } = require('../utils/secureLogger');
+const { registrarReferido } = require('../utils/referidos');
 
 function validateRegistrationData(data) {
   const errors = [];
@@ -47,6 +48,12 @@ async function register(req, res) {
     );
     const nuevoUsuario = resultado.rows[0];
 
+    // Código de quien lo invitó (opcional): un código inválido no impide el registro
+    if (req.body.codigo_referido) {
+      try { await registrarReferido(pool, { referidoId: nuevoUsuario.id, codigo: req.body.codigo_referido, origen: 'registro' }); }
+      catch (e) { console.error('❌ Error registrando referido:', e.message); }
+    }
+
     const codigo = generarCodigo6Digitos();
     const expiraAt = new Date(Date.now() + 15 * 60 * 1000);
 
@@ -77,7 +77,34 @@ function verifyRole(...rolesPermitidos) {
   };
 }
 
+// 🏪 Sucursal del personal (después de verifyRole): req.sucursalId es la
+// sucursal asignada, o null si ve todas (dirección general o sin asignar).
+// Se lee de la BD en cada petición: un cambio de sucursal aplica sin
+// volver a iniciar sesión.
+async function verifySucursal(req, res, next) {
+  try {
+    if (req.user.rol === 'direccion_general') { req.sucursalId = null; return next(); }
+    const { pool } = require('../config/database');
+    const result = await pool.query('SELECT sucursal_id FROM core.tblusuarios WHERE id = $1', [req.user.userId]);
+    req.sucursalId = result.rows[0] ? result.rows[0].sucursal_id : null;
+    next();
+  } catch (error) {
+    console.error('Error verificando sucursal:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Error al verificar sucursal'
+    });
+  }
+}
+
+// ¿El registro es de otra sucursal que la del personal?
+function fueraDeSucursal(req, sucursalId) {
+  return req.sucursalId !== null && req.sucursalId !== undefined && sucursalId !== req.sucursalId;
+}
+
 module.exports = {
   verifyToken,
-  verifyRole
+  verifyRole,
+  verifySucursal,
+  fueraDeSucursal
 };
\ No newline at end of file
@@ -0,0 +1,21 @@
+-- =====================================================================
+-- MIGRACIÓN 008: Un solo pago (y pedido) por PaymentIntent de Stripe
+-- El pedido pagado con tarjeta puede crearlo /api/pagos/confirmar (el
+-- navegador) o el webhook de Stripe (si el navegador se cerró tras
+-- cobrar). La app serializa ambos con un candado por intent; este
+-- índice es la red de seguridad para que nunca existan dos pedidos
+-- del mismo cobro.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tblpagos_stripe_payment_unico
+  ON core.tblpagos (stripe_payment_id)
+  WHERE stripe_payment_id IS NOT NULL;
+
+COMMIT;
+
+-- VERIFICACIÓN (debe devolver 0 filas antes de crear el índice):
+-- SELECT stripe_payment_id, COUNT(*) FROM core.tblpagos
+--  WHERE stripe_payment_id IS NOT NULL GROUP BY 1 HAVING COUNT(*) > 1;
@@ -0,0 +1,51 @@
+-- =====================================================================
+-- MIGRACIÓN 009: Reembolsos reales en Stripe
+-- Al pasar una solicitud a "procesado", si el pedido se pagó con tarjeta
+-- el backend emite el reembolso en Stripe (total o parcial por monto).
+-- Se guarda el id y estado del reembolso de Stripe en la solicitud y en
+-- el pago; si Stripe lo rechaza, la solicitud regresa a "aprobado" con
+-- el error visible en la cola de Gestión de Reembolsos.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+ALTER TABLE core.tblreembolsos
+  ADD COLUMN IF NOT EXISTS stripe_refund_id      VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS stripe_refund_estado  VARCHAR(30),
+  ADD COLUMN IF NOT EXISTS error_stripe          TEXT,
+  ADD COLUMN IF NOT EXISTS stripe_intentos       INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_tblreembolsos_stripe_refund
+  ON core.tblreembolsos (stripe_refund_id)
+  WHERE stripe_refund_id IS NOT NULL;
+
+-- Un pago puede tener varios reembolsos parciales: se acumula lo devuelto
+-- y el estado pasa a 'reembolsado' solo al cubrir monto_total
+ALTER TABLE core.tblpagos
+  ADD COLUMN IF NOT EXISTS monto_reembolsado  NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS stripe_refund_id   VARCHAR(255);
+
+-- Los pagos marcados antes de esta migración se reembolsaron completos
+UPDATE core.tblpagos SET monto_reembolsado = monto_total
+ WHERE estado = 'reembolsado' AND monto_reembolsado = 0;
+
+COMMENT ON COLUMN core.tblreembolsos.stripe_refund_id IS
+  'Id del reembolso en Stripe (re_...) emitido al procesar la solicitud.';
+COMMENT ON COLUMN core.tblreembolsos.stripe_refund_estado IS
+  'Estado del reembolso en Stripe: pending, succeeded, failed, canceled, requires_action.';
+COMMENT ON COLUMN core.tblreembolsos.error_stripe IS
+  'Último error de Stripe al intentar reembolsar; NULL cuando el reembolso salió bien.';
+COMMENT ON COLUMN core.tblreembolsos.stripe_intentos IS
+  'Intentos de reembolso en Stripe; forma parte de la llave de idempotencia.';
+COMMENT ON COLUMN core.tblpagos.monto_reembolsado IS
+  'Suma de lo devuelto al cliente (reembolsos parciales acumulados).';
+COMMENT ON COLUMN core.tblpagos.stripe_refund_id IS
+  'Id del último reembolso de Stripe aplicado a este pago.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT column_name FROM information_schema.columns
+--  WHERE table_schema='core' AND table_name='tblreembolsos'
+--    AND column_name IN ('stripe_refund_id','stripe_refund_estado','error_stripe','stripe_intentos');
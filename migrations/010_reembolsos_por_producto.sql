@@ -0,0 +1,55 @@
+-- =====================================================================
+-- MIGRACIÓN 010: Reembolsos parciales por línea de pedido
+-- Permite reembolsar solo algunas piezas de un pedido (un pastel dañado
+-- de un pedido de varios productos). Cada solicitud lista las líneas de
+-- tblpedido_items que cubre; el monto se calcula en el servidor con
+-- precio_unitario × cantidad (+ envío opcional). Al procesarse, el
+-- personal decide si el inventario que descontaron esas líneas vuelve
+-- a stock_online.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblreembolso_items (
+  id              SERIAL PRIMARY KEY,
+  reembolso_id    INTEGER NOT NULL REFERENCES core.tblreembolsos(id) ON DELETE CASCADE,
+  pedido_item_id  INTEGER NOT NULL REFERENCES core.tblpedido_items(id) ON DELETE CASCADE,
+  cantidad        INTEGER NOT NULL CHECK (cantidad > 0),
+  monto           NUMERIC(10,2) NOT NULL CHECK (monto >= 0),
+  stock_repuesto  INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (reembolso_id, pedido_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblreembolso_items_pedido_item
+  ON core.tblreembolso_items (pedido_item_id);
+
+ALTER TABLE core.tblreembolsos
+  ADD COLUMN IF NOT EXISTS incluye_envio  BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS reponer_stock  BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE core.tblpedido_items
+  ADD COLUMN IF NOT EXISTS cantidad_reembolsada INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE core.tblpedido_items
+  DROP CONSTRAINT IF EXISTS chk_pedido_items_cantidad_reembolsada;
+ALTER TABLE core.tblpedido_items
+  ADD CONSTRAINT chk_pedido_items_cantidad_reembolsada
+  CHECK (cantidad_reembolsada >= 0 AND cantidad_reembolsada <= cantidad);
+
+COMMENT ON TABLE core.tblreembolso_items IS
+  'Líneas de pedido cubiertas por un reembolso parcial, con la cantidad y el monto de cada una.';
+COMMENT ON COLUMN core.tblreembolso_items.stock_repuesto IS
+  'Unidades devueltas a stock_online al procesar el reembolso (0 si el producto no se repone).';
+COMMENT ON COLUMN core.tblreembolsos.incluye_envio IS
+  'El monto incluye el costo de envío del pedido (solo puede reembolsarse una vez).';
+COMMENT ON COLUMN core.tblreembolsos.reponer_stock IS
+  'Al procesarse, el inventario descontado por sus líneas volvió a stock_online.';
+COMMENT ON COLUMN core.tblpedido_items.cantidad_reembolsada IS
+  'Piezas de la línea ya reembolsadas (reembolsos procesados).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT table_name FROM information_schema.tables
+--  WHERE table_schema='core' AND table_name='tblreembolso_items';
@@ -0,0 +1,55 @@
+-- =====================================================================
+-- MIGRACIÓN 011: Códigos de descuento aplicados en el checkout
+-- Hasta ahora /promociones/validar-codigo solo decía si un código
+-- existía; el monto cobrado nunca bajaba. El código viaja ahora en la
+-- metadata del PaymentIntent, se revalida al confirmar y queda guardado
+-- en el pedido y en el pago. Reglas nuevas por promoción: límite global
+-- de usos, límite por cliente y compra mínima (la vigencia ya existía
+-- con fecha_inicio/fecha_fin). NULL = sin límite.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+ALTER TABLE core.tblpromociones
+  ADD COLUMN IF NOT EXISTS usos_maximos      INTEGER CHECK (usos_maximos > 0),
+  ADD COLUMN IF NOT EXISTS usos_por_cliente  INTEGER CHECK (usos_por_cliente > 0),
+  ADD COLUMN IF NOT EXISTS monto_minimo      NUMERIC(10,2) CHECK (monto_minimo >= 0);
+
+-- Los códigos se comparan en mayúsculas
+UPDATE core.tblpromociones SET codigo_descuento = UPPER(TRIM(codigo_descuento))
+ WHERE codigo_descuento IS NOT NULL AND codigo_descuento <> UPPER(TRIM(codigo_descuento));
+
+CREATE TABLE IF NOT EXISTS core.tblpromocion_usos (
+  id            SERIAL PRIMARY KEY,
+  promocion_id  INTEGER NOT NULL REFERENCES core.tblpromociones(id) ON DELETE CASCADE,
+  usuario_id    INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE CASCADE,
+  pedido_id     INTEGER NOT NULL UNIQUE REFERENCES core.tblpedidos(id) ON DELETE CASCADE,
+  descuento     NUMERIC(10,2) NOT NULL DEFAULT 0,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblpromocion_usos_promocion
+  ON core.tblpromocion_usos (promocion_id, usuario_id);
+
+ALTER TABLE core.tblpedidos
+  ADD COLUMN IF NOT EXISTS codigo_descuento  VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS descuento         NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN core.tblpromociones.usos_maximos IS
+  'Usos totales permitidos del código (pedidos no cancelados). NULL = ilimitado.';
+COMMENT ON COLUMN core.tblpromociones.usos_por_cliente IS
+  'Usos permitidos por cliente. NULL = ilimitado.';
+COMMENT ON COLUMN core.tblpromociones.monto_minimo IS
+  'Subtotal mínimo de productos para aceptar el código.';
+COMMENT ON TABLE core.tblpromocion_usos IS
+  'Cada pedido que aplicó un código de descuento; base de los límites de uso.';
+COMMENT ON COLUMN core.tblpedidos.descuento IS
+  'Descuento por código aplicado al subtotal; total = subtotal - descuento + costo_envio.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT column_name FROM information_schema.columns
+--  WHERE table_schema='core' AND table_name='tblpromociones'
+--    AND column_name IN ('usos_maximos','usos_por_cliente','monto_minimo');
@@ -0,0 +1,42 @@
+-- =====================================================================
+-- MIGRACIÓN 012: Historial de estados del pedido
+-- Las transiciones legales viven ahora en utils/estadoPedido.js y todas
+-- las rutas que mueven un pedido pasan por ahí. Cada cambio (y la
+-- creación, con estado_anterior NULL) queda registrado aquí: quién,
+-- cuándo, de qué estado a cuál y el motivo. Lo expone
+-- GET /api/pedidos/:id/historial para cliente, personal y repartidor.
+-- Los pedidos anteriores a esta migración reciben un registro inicial
+-- con su estado actual para que su línea de tiempo no quede vacía.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblpedido_historial (
+  id               SERIAL PRIMARY KEY,
+  pedido_id        INTEGER NOT NULL REFERENCES core.tblpedidos(id) ON DELETE CASCADE,
+  estado_anterior  public.estado_pedido,
+  estado_nuevo     public.estado_pedido NOT NULL,
+  usuario_id       INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  motivo           TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblpedido_historial_pedido
+  ON core.tblpedido_historial (pedido_id, created_at);
+
+INSERT INTO core.tblpedido_historial (pedido_id, estado_anterior, estado_nuevo, usuario_id, motivo, created_at)
+SELECT p.id, NULL, p.estado, NULL, 'Estado al momento de activar el historial', p.updated_at
+  FROM core.tblpedidos p
+ WHERE NOT EXISTS (SELECT 1 FROM core.tblpedido_historial h WHERE h.pedido_id = p.id);
+
+COMMENT ON TABLE core.tblpedido_historial IS
+  'Cambios de estado de cada pedido (estado_anterior NULL = creación); ver utils/estadoPedido.js.';
+COMMENT ON COLUMN core.tblpedido_historial.usuario_id IS
+  'Quién hizo el cambio; NULL = sistema (registros iniciales de la migración).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT pedido_id, estado_anterior, estado_nuevo, motivo, created_at
+--   FROM core.tblpedido_historial ORDER BY id DESC LIMIT 20;
@@ -0,0 +1,35 @@
+-- =====================================================================
+-- MIGRACIÓN 013: Folio consecutivo por día para los pedidos
+-- El número PIER-YYMMDD-#### usaba 4 dígitos aleatorios: en un día con
+-- varias decenas de pedidos chocaba con tblpedidos_numero_key y el
+-- INSERT fallaba (después de cobrar, en el caso de tarjeta). Ahora el
+-- sufijo es un consecutivo por día (PIER-261019-0042) que entrega
+-- utils/numeroPedido.js a partir de esta tabla, tanto para
+-- POST /pedidos como para el checkout con Stripe.
+-- Los días que ya tienen pedidos arrancan en el mayor sufijo usado, para
+-- que el consecutivo nunca repita un número aleatorio ya emitido.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblfolios_pedido (
+  fecha   DATE PRIMARY KEY,
+  ultimo  INTEGER NOT NULL CHECK (ultimo > 0)
+);
+
+INSERT INTO core.tblfolios_pedido (fecha, ultimo)
+SELECT to_date(substring(numero FROM 6 FOR 6), 'YYMMDD'),
+       MAX(substring(numero FROM 13)::int)
+  FROM core.tblpedidos
+ WHERE numero ~ '^PIER-[0-9]{6}-[0-9]+$'
+ GROUP BY 1
+ON CONFLICT (fecha) DO UPDATE SET ultimo = GREATEST(core.tblfolios_pedido.ultimo, EXCLUDED.ultimo);
+
+COMMENT ON TABLE core.tblfolios_pedido IS
+  'Último consecutivo de pedido emitido por día (hora de México); lo incrementa utils/numeroPedido.js.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT * FROM core.tblfolios_pedido ORDER BY fecha DESC LIMIT 7;
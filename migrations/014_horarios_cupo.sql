@@ -0,0 +1,56 @@
+-- =====================================================================
+-- MIGRACIÓN 014: Horarios de recogida/entrega con cupo
+-- horario_recogida / horario_entrega eran libres: nada impedía que 40
+-- clientes eligieran las 2 p.m. del 10 de mayo. Ahora cada modalidad
+-- tiene horario por día, franjas de duración fija y cupo por franja
+-- (pedidos y/o unidades), más fechas bloqueadas. Se valida en
+-- /pagos/crear-intent, al confirmar el pago y en POST /pedidos; el cupo
+-- restante lo publica GET /api/configuracion/horarios/disponibilidad.
+-- No hay columnas nuevas: la configuración vive en la sección
+-- 'horarios' de tblconfiguracion_sistema (ver utils/horariosEntrega.js).
+-- Valores iniciales holgados; ajustarlos desde Configuración.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+INSERT INTO core.tblconfiguracion_sistema (seccion, clave, valor) VALUES
+  ('horarios', 'pickup', '{
+     "activo": true,
+     "dias": {
+       "lunes":     { "apertura": "09:00", "cierre": "20:00" },
+       "martes":    { "apertura": "09:00", "cierre": "20:00" },
+       "miercoles": { "apertura": "09:00", "cierre": "20:00" },
+       "jueves":    { "apertura": "09:00", "cierre": "20:00" },
+       "viernes":   { "apertura": "09:00", "cierre": "20:00" },
+       "sabado":    { "apertura": "09:00", "cierre": "20:00" },
+       "domingo":   { "apertura": "10:00", "cierre": "15:00" }
+     },
+     "duracion_minutos": 60,
+     "max_pedidos": 10,
+     "max_unidades": null,
+     "dias_anticipacion": 30
+   }'::jsonb),
+  ('horarios', 'domicilio', '{
+     "activo": true,
+     "dias": {
+       "lunes":     { "apertura": "10:00", "cierre": "19:00" },
+       "martes":    { "apertura": "10:00", "cierre": "19:00" },
+       "miercoles": { "apertura": "10:00", "cierre": "19:00" },
+       "jueves":    { "apertura": "10:00", "cierre": "19:00" },
+       "viernes":   { "apertura": "10:00", "cierre": "19:00" },
+       "sabado":    { "apertura": "10:00", "cierre": "19:00" },
+       "domingo":   null
+     },
+     "duracion_minutos": 60,
+     "max_pedidos": 6,
+     "max_unidades": null,
+     "dias_anticipacion": 30
+   }'::jsonb),
+  ('horarios', 'fechas_bloqueadas', '[]'::jsonb)
+ON CONFLICT (seccion, clave) DO NOTHING;
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT clave, valor FROM core.tblconfiguracion_sistema WHERE seccion = 'horarios';
@@ -0,0 +1,68 @@
+-- =====================================================================
+-- MIGRACIÓN 015: Pasteles personalizados (cotización + anticipo)
+-- El catálogo solo maneja productos con precio fijo. Un pastel
+-- personalizado empieza como solicitud (porciones, sabor, relleno,
+-- dedicatoria, fotos de referencia subidas con /api/upload/imagen y
+-- fecha), el personal la cotiza, el cliente acepta y paga el anticipo
+-- con Stripe y en ese momento se crea el pedido en tblpedidos (así entra
+-- a producción, entregas y reportes como cualquier otro). El saldo se
+-- liquida al recoger (PUT /api/personalizados/:id/liquidar).
+-- Estados de la solicitud:
+--   solicitado → cotizado → aceptado (anticipo en cobro) → confirmado
+--   (pedido creado); cancelado desde cualquiera antes de confirmado.
+-- tblpagos.anticipo guarda lo cobrado en línea; el pago sigue
+-- "pendiente" hasta que se liquida el saldo en sucursal.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblpedidos_personalizados (
+  id                 SERIAL PRIMARY KEY,
+  usuario_id         INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE CASCADE,
+  estado             VARCHAR(20) NOT NULL DEFAULT 'solicitado'
+                     CHECK (estado IN ('solicitado', 'cotizado', 'aceptado', 'confirmado', 'cancelado')),
+  porciones          INTEGER NOT NULL CHECK (porciones BETWEEN 6 AND 300),
+  sabor              VARCHAR(100) NOT NULL,
+  relleno            VARCHAR(100),
+  cobertura          VARCHAR(100),
+  dedicatoria        VARCHAR(150),
+  descripcion        TEXT,
+  fotos_referencia   JSONB NOT NULL DEFAULT '[]'::jsonb,
+  fecha_entrega      TIMESTAMPTZ NOT NULL,
+  precio             NUMERIC(10,2) CHECK (precio > 0),
+  anticipo           NUMERIC(10,2) CHECK (anticipo > 0 AND anticipo <= precio),
+  nota_cotizacion    TEXT,
+  cotizado_por       INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  cotizado_at        TIMESTAMPTZ,
+  cotizacion_vence   TIMESTAMPTZ,
+  stripe_payment_id  VARCHAR(255),
+  pedido_id          INTEGER UNIQUE REFERENCES core.tblpedidos(id) ON DELETE SET NULL,
+  motivo_cancelacion TEXT,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblpedidos_personalizados_usuario
+  ON core.tblpedidos_personalizados (usuario_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tblpedidos_personalizados_estado
+  ON core.tblpedidos_personalizados (estado, fecha_entrega);
+
+ALTER TABLE core.tblpagos
+  ADD COLUMN IF NOT EXISTS anticipo           NUMERIC(10,2),
+  ADD COLUMN IF NOT EXISTS metodo_pago_saldo  VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS saldo_pagado_at    TIMESTAMPTZ;
+
+COMMENT ON TABLE core.tblpedidos_personalizados IS
+  'Solicitudes de pastel personalizado: cotización del personal y anticipo con Stripe; pedido_id al pagarse.';
+COMMENT ON COLUMN core.tblpedidos_personalizados.fotos_referencia IS
+  'Imágenes de /api/upload/imagen: [{url, public_id}] (máx. 6).';
+COMMENT ON COLUMN core.tblpagos.anticipo IS
+  'Monto cobrado en línea como anticipo (pasteles personalizados). NULL = pago completo.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT estado, COUNT(*) FROM core.tblpedidos_personalizados GROUP BY estado;
+-- SELECT column_name FROM information_schema.columns
+--  WHERE table_schema='core' AND table_name='tblpagos' AND column_name IN ('anticipo','metodo_pago_saldo','saldo_pagado_at');
@@ -0,0 +1,80 @@
+-- =====================================================================
+-- MIGRACIÓN 016: Variantes de producto y complementos con precio
+-- El precio solo distinguía precio_chico / precio_grande y
+-- tblcategoria_opciones guarda etiquetas sin precio. Ahora:
+--   * tblproducto_variantes: tamaño, sabor o relleno de un producto,
+--     cada uno con su diferencia de precio y (opcional) su propio stock.
+--     Se elige a lo más una variante por tipo.
+--   * tblcomplementos: extras con precio (velas, placa con mensaje,
+--     caja de regalo) para todas las categorías o solo una.
+-- El carrito guarda los ids elegidos; el precio lo calcula el servidor
+-- (utils/opcionesProducto.js) y el pedido guarda una copia inmutable en
+-- tblpedido_items.opciones, con lo que se descontó de stock de cada
+-- opción para poder reponerlo al cancelar.
+-- Productos sin variantes siguen con precio_chico / precio_grande.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblproducto_variantes (
+  id            SERIAL PRIMARY KEY,
+  producto_id   INTEGER NOT NULL REFERENCES core.tblproductos(id) ON DELETE CASCADE,
+  tipo          VARCHAR(10) NOT NULL CHECK (tipo IN ('tamano', 'sabor', 'relleno')),
+  nombre        VARCHAR(100) NOT NULL,
+  precio_delta  NUMERIC(10,2) NOT NULL DEFAULT 0,
+  stock         INTEGER CHECK (stock >= 0),
+  activo        BOOLEAN NOT NULL DEFAULT TRUE,
+  orden         INTEGER NOT NULL DEFAULT 0,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (producto_id, tipo, nombre)
+);
+
+CREATE TABLE IF NOT EXISTS core.tblcomplementos (
+  id            SERIAL PRIMARY KEY,
+  nombre        VARCHAR(100) NOT NULL,
+  descripcion   TEXT,
+  precio        NUMERIC(10,2) NOT NULL CHECK (precio >= 0),
+  categoria_id  INTEGER REFERENCES core.tblcategorias(id) ON DELETE CASCADE,
+  stock         INTEGER CHECK (stock >= 0),
+  activo        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE core.tblcarrito_items
+  ADD COLUMN IF NOT EXISTS variante_ids     INTEGER[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS complemento_ids  INTEGER[] NOT NULL DEFAULT '{}';
+
+-- El mismo producto puede estar dos veces en el carrito con distintas
+-- opciones (p. ej. uno de chocolate y otro de vainilla). Los arreglos se
+-- guardan ordenados, así que la comparación es directa.
+ALTER TABLE core.tblcarrito_items
+  DROP CONSTRAINT IF EXISTS tblcarrito_items_usuario_id_producto_id_tamano_key;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblcarrito_items_linea
+  ON core.tblcarrito_items (usuario_id, producto_id, tamano, variante_ids, complemento_ids);
+
+ALTER TABLE core.tblpedido_items
+  ADD COLUMN IF NOT EXISTS opciones  JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_tblproducto_variantes_producto
+  ON core.tblproducto_variantes (producto_id) WHERE activo;
+
+COMMENT ON COLUMN core.tblproducto_variantes.precio_delta IS
+  'Se suma al precio base (precio_chico) del producto; puede ser negativo.';
+COMMENT ON COLUMN core.tblproducto_variantes.stock IS
+  'Stock propio de la variante. NULL = solo cuenta el stock_online del producto.';
+COMMENT ON COLUMN core.tblcomplementos.categoria_id IS
+  'Categoría donde se ofrece. NULL = disponible para todos los productos.';
+COMMENT ON COLUMN core.tblcomplementos.stock IS
+  'Piezas disponibles. NULL = sin control de inventario.';
+COMMENT ON COLUMN core.tblpedido_items.opciones IS
+  'Copia al comprar: [{clase: variante|complemento, id, tipo, nombre, precio, stock_descontado}].';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT producto_id, tipo, nombre, precio_delta, stock FROM core.tblproducto_variantes ORDER BY producto_id, tipo, orden;
+-- SELECT column_name FROM information_schema.columns
+--  WHERE table_schema='core' AND table_name='tblcarrito_items' AND column_name IN ('variante_ids','complemento_ids');
@@ -0,0 +1,45 @@
+-- =====================================================================
+-- MIGRACIÓN 017: Reservas de stock durante el checkout
+-- Entre /api/pagos/crear-intent y /confirmar otro cliente podía comprar
+-- la última pieza: Stripe cobraba y el pedido ya no se creaba por
+-- "agotado". Ahora crear-intent aparta las piezas del carrito por unos
+-- minutos (utils/reservasStock.js):
+--   activa    → cuenta contra el stock de los demás mientras expira_at > NOW()
+--   consumida → el pedido se creó y el stock se descontó de verdad
+--   liberada  → pago fallido/cancelado o el cliente inició otro pago
+-- Una reserva activa vencida ya no cuenta: no hace falta un proceso que
+-- la libere. stock_online NO cambia al reservar; la disponibilidad es
+-- stock_online - Σ reservas activas vigentes de otros clientes.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblreservas_stock (
+  id                 SERIAL PRIMARY KEY,
+  stripe_payment_id  VARCHAR(255) NOT NULL,
+  usuario_id         INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE CASCADE,
+  producto_id        INTEGER NOT NULL REFERENCES core.tblproductos(id) ON DELETE CASCADE,
+  cantidad           INTEGER NOT NULL CHECK (cantidad > 0),
+  estado             VARCHAR(10) NOT NULL DEFAULT 'activa'
+                     CHECK (estado IN ('activa', 'consumida', 'liberada')),
+  expira_at          TIMESTAMPTZ NOT NULL,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblreservas_stock_activas
+  ON core.tblreservas_stock (producto_id, expira_at) WHERE estado = 'activa';
+CREATE INDEX IF NOT EXISTS idx_tblreservas_stock_pago
+  ON core.tblreservas_stock (stripe_payment_id);
+CREATE INDEX IF NOT EXISTS idx_tblreservas_stock_usuario
+  ON core.tblreservas_stock (usuario_id) WHERE estado = 'activa';
+
+COMMENT ON TABLE core.tblreservas_stock IS
+  'Piezas apartadas entre crear-intent y la confirmación del pago; vencen solas en expira_at.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT producto_id, SUM(cantidad) AS reservado FROM core.tblreservas_stock
+--  WHERE estado = 'activa' AND expira_at > NOW() GROUP BY producto_id;
@@ -0,0 +1,42 @@
+-- =====================================================================
+-- MIGRACIÓN 018: Tablero de producción y lotes producidos
+-- GET /api/produccion agrupa por día, producto y tamaño lo que piden los
+-- pedidos pendientes / en preparación y los programados para otro día,
+-- y le resta el stock_online actual para saber cuánto hornear.
+-- POST /api/produccion/lotes registra un lote: suma las piezas al
+-- inventario, las asigna (por fecha) a las líneas de pedido que aún no
+-- tenían stock (stock_descontado < cantidad) y avanza esos pedidos:
+-- completos → "listo", parciales → "en_preparacion".
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblproduccion_lotes (
+  id                   SERIAL PRIMARY KEY,
+  producto_id          INTEGER NOT NULL REFERENCES core.tblproductos(id) ON DELETE CASCADE,
+  tamano               VARCHAR(20),
+  cantidad             INTEGER NOT NULL CHECK (cantidad > 0),
+  unidades_asignadas   INTEGER NOT NULL DEFAULT 0,
+  pedidos_avanzados    INTEGER[] NOT NULL DEFAULT '{}',
+  fecha_objetivo       DATE,
+  notas                TEXT,
+  usuario_id           INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblproduccion_lotes_fecha
+  ON core.tblproduccion_lotes (created_at DESC);
+
+COMMENT ON TABLE core.tblproduccion_lotes IS
+  'Lotes horneados: piezas sumadas al stock y asignadas a pedidos pendientes.';
+COMMENT ON COLUMN core.tblproduccion_lotes.unidades_asignadas IS
+  'Piezas del lote que cubrieron líneas de pedido; el resto quedó en stock_online.';
+COMMENT ON COLUMN core.tblproduccion_lotes.fecha_objetivo IS
+  'Si se indicó, solo se asignó a pedidos de ese día (hora de Huejutla).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT l.id, p.nombre, l.cantidad, l.unidades_asignadas, l.pedidos_avanzados
+--   FROM core.tblproduccion_lotes l JOIN core.tblproductos p ON p.id = l.producto_id ORDER BY l.id DESC LIMIT 10;
@@ -0,0 +1,70 @@
+-- =====================================================================
+-- MIGRACIÓN 019: Recetas e inventario de ingredientes
+-- tblproductos.ingredientes es solo texto para mostrar. Ahora:
+--   * tblingredientes: inventario en su unidad base (g, ml o pza), con
+--     mínimo para alertas y costo unitario promedio ponderado.
+--   * tblrecetas: cantidad de cada ingrediente por pieza de un producto,
+--     por tamaño (tamano NULL = receta base, aplica a cualquier tamaño
+--     que no tenga la suya). La cantidad se guarda en la unidad del
+--     ingrediente (la API convierte kg→g y l→ml).
+--   * tblingrediente_movimientos: compras, consumo por lote de
+--     producción (POST /api/produccion/lotes) y ajustes manuales.
+-- El costo por pieza (Σ cantidad × costo_unitario) se calcula al vuelo
+-- en utils/recetas.js; el ranking del simulador lo muestra con el margen.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblingredientes (
+  id              SERIAL PRIMARY KEY,
+  nombre          VARCHAR(100) NOT NULL UNIQUE,
+  unidad          VARCHAR(5) NOT NULL CHECK (unidad IN ('g', 'ml', 'pza')),
+  stock           NUMERIC(12,3) NOT NULL DEFAULT 0,
+  stock_minimo    NUMERIC(12,3) NOT NULL DEFAULT 0 CHECK (stock_minimo >= 0),
+  costo_unitario  NUMERIC(12,4) NOT NULL DEFAULT 0 CHECK (costo_unitario >= 0),
+  activo          BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS core.tblrecetas (
+  id              SERIAL PRIMARY KEY,
+  producto_id     INTEGER NOT NULL REFERENCES core.tblproductos(id) ON DELETE CASCADE,
+  tamano          VARCHAR(20),
+  ingrediente_id  INTEGER NOT NULL REFERENCES core.tblingredientes(id) ON DELETE RESTRICT,
+  cantidad        NUMERIC(12,3) NOT NULL CHECK (cantidad > 0),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblrecetas_linea
+  ON core.tblrecetas (producto_id, COALESCE(tamano, ''), ingrediente_id);
+
+CREATE TABLE IF NOT EXISTS core.tblingrediente_movimientos (
+  id              SERIAL PRIMARY KEY,
+  ingrediente_id  INTEGER NOT NULL REFERENCES core.tblingredientes(id) ON DELETE CASCADE,
+  tipo            VARCHAR(10) NOT NULL CHECK (tipo IN ('compra', 'produccion', 'ajuste')),
+  cantidad        NUMERIC(12,3) NOT NULL,
+  costo_unitario  NUMERIC(12,4),
+  lote_id         INTEGER REFERENCES core.tblproduccion_lotes(id) ON DELETE SET NULL,
+  usuario_id      INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  notas           TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblingrediente_movimientos_ingrediente
+  ON core.tblingrediente_movimientos (ingrediente_id, created_at DESC);
+
+COMMENT ON COLUMN core.tblingredientes.costo_unitario IS
+  'Costo por unidad base (g, ml o pza), promedio ponderado de las compras.';
+COMMENT ON COLUMN core.tblrecetas.tamano IS
+  'Tamaño del producto al que aplica. NULL = receta base.';
+COMMENT ON COLUMN core.tblingrediente_movimientos.cantidad IS
+  'En la unidad del ingrediente: positiva entra (compra), negativa sale (producción).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT nombre, unidad, stock, stock_minimo, costo_unitario FROM core.tblingredientes ORDER BY nombre;
+-- SELECT r.producto_id, r.tamano, i.nombre, r.cantidad, i.unidad FROM core.tblrecetas r
+--   JOIN core.tblingredientes i ON i.id = r.ingrediente_id ORDER BY r.producto_id, r.tamano;
@@ -0,0 +1,46 @@
+-- =====================================================================
+-- MIGRACIÓN 020: Ventas de mostrador (punto de venta)
+-- Las ventas en Sucursal Principal no se registraban: stock_online y los
+-- reportes quedaban por debajo de la realidad. Ahora el personal las
+-- cobra con /api/mostrador y quedan como pedidos normales:
+--   * tblpedidos.canal: 'web' (carrito) o 'mostrador'. Reportes y
+--     simulador pueden separar ambos.
+--   * tblpedidos.atendido_por: quién cobró en mostrador.
+--   * tblpedidos.usuario_id admite NULL: la mayoría de las ventas de
+--     mostrador son a público general, sin cuenta.
+--   * tblpagos.referencia / monto_recibido / cambio: folio de terminal o
+--     transferencia y efectivo recibido, para el ticket y el corte.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+ALTER TABLE core.tblpedidos
+  ADD COLUMN IF NOT EXISTS canal         VARCHAR(10) NOT NULL DEFAULT 'web',
+  ADD COLUMN IF NOT EXISTS atendido_por  INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL;
+
+ALTER TABLE core.tblpedidos DROP CONSTRAINT IF EXISTS chk_tblpedidos_canal;
+ALTER TABLE core.tblpedidos
+  ADD CONSTRAINT chk_tblpedidos_canal CHECK (canal IN ('web', 'mostrador'));
+
+ALTER TABLE core.tblpedidos ALTER COLUMN usuario_id DROP NOT NULL;
+
+ALTER TABLE core.tblpagos
+  ADD COLUMN IF NOT EXISTS referencia      VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS monto_recibido  NUMERIC(10,2),
+  ADD COLUMN IF NOT EXISTS cambio          NUMERIC(10,2);
+
+CREATE INDEX IF NOT EXISTS idx_tblpedidos_canal_fecha
+  ON core.tblpedidos (canal, created_at DESC);
+
+COMMENT ON COLUMN core.tblpedidos.canal IS
+  'Origen de la venta: web (carrito en línea) o mostrador (punto de venta).';
+COMMENT ON COLUMN core.tblpedidos.usuario_id IS
+  'Cliente. NULL solo en ventas de mostrador a público general.';
+COMMENT ON COLUMN core.tblpagos.referencia IS
+  'Folio de la terminal bancaria o de la transferencia (ventas de mostrador).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT canal, COUNT(*), SUM(total) FROM core.tblpedidos WHERE estado <> 'cancelado' GROUP BY canal;
@@ -0,0 +1,64 @@
+-- =====================================================================
+-- MIGRACIÓN 021: Sesiones de caja y cortes
+-- Los pedidos con metodo_pago = 'efectivo' se pagan al recoger, pero no
+-- quedaba registro de cuándo ni quién cobró. Ahora cada empleado abre su
+-- caja con un fondo, cada cobro en efectivo queda ligado a su sesión y
+-- al pago del pedido, los retiros se registran, y al cerrar se compara
+-- lo esperado contra lo contado (corte de caja).
+--   * tblcaja_sesiones: una abierta a la vez por empleado.
+--   * tblcaja_movimientos: cobros (pedido en efectivo, venta de
+--     mostrador, saldo de pastel personalizado) y retiros.
+--   * tblpagos.caja_sesion_id / cobrado_por: en qué caja y quién cobró.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblcaja_sesiones (
+  id              SERIAL PRIMARY KEY,
+  usuario_id      INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE RESTRICT,
+  estado          VARCHAR(10) NOT NULL DEFAULT 'abierta' CHECK (estado IN ('abierta', 'cerrada')),
+  fondo_inicial   NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (fondo_inicial >= 0),
+  monto_esperado  NUMERIC(10,2),
+  monto_contado   NUMERIC(10,2),
+  diferencia      NUMERIC(10,2),
+  notas_cierre    TEXT,
+  abierta_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cerrada_at      TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblcaja_sesiones_abierta
+  ON core.tblcaja_sesiones (usuario_id) WHERE estado = 'abierta';
+CREATE INDEX IF NOT EXISTS idx_tblcaja_sesiones_cerrada
+  ON core.tblcaja_sesiones (cerrada_at DESC) WHERE estado = 'cerrada';
+
+CREATE TABLE IF NOT EXISTS core.tblcaja_movimientos (
+  id          SERIAL PRIMARY KEY,
+  sesion_id   INTEGER NOT NULL REFERENCES core.tblcaja_sesiones(id) ON DELETE CASCADE,
+  tipo        VARCHAR(10) NOT NULL CHECK (tipo IN ('cobro', 'retiro')),
+  monto       NUMERIC(10,2) NOT NULL CHECK (monto > 0),
+  pedido_id   INTEGER REFERENCES core.tblpedidos(id) ON DELETE SET NULL,
+  motivo      TEXT,
+  usuario_id  INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblcaja_movimientos_sesion
+  ON core.tblcaja_movimientos (sesion_id, created_at);
+
+ALTER TABLE core.tblpagos
+  ADD COLUMN IF NOT EXISTS caja_sesion_id  INTEGER REFERENCES core.tblcaja_sesiones(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS cobrado_por     INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN core.tblcaja_sesiones.monto_esperado IS
+  'Al cerrar: fondo_inicial + cobros - retiros.';
+COMMENT ON COLUMN core.tblcaja_sesiones.diferencia IS
+  'monto_contado - monto_esperado. Negativo = faltante, positivo = sobrante.';
+COMMENT ON COLUMN core.tblpagos.caja_sesion_id IS
+  'Sesión de caja donde se cobró en efectivo (NULL si se pagó por otro medio).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT s.id, u.nombre, s.estado, s.fondo_inicial, s.monto_esperado, s.monto_contado, s.diferencia
+--   FROM core.tblcaja_sesiones s JOIN core.tblusuarios u ON u.id = s.usuario_id ORDER BY s.abierta_at DESC;
@@ -0,0 +1,108 @@
+-- =====================================================================
+-- MIGRACIÓN 022: Sucursales
+-- "Sucursal Principal, Huejutla de Reyes" estaba escrita en los correos y
+-- el inventario era un solo entero (tblproductos.stock_online). Ahora:
+--   * tblsucursales: dirección, horario y coordenadas. La existente se
+--     crea aquí como principal (es_principal, a lo más una).
+--   * tblstock_sucursal: piezas por producto y sucursal. El stock
+--     existente pasa a la principal. tblproductos.stock_online queda como
+--     el TOTAL de todas las sucursales (lo mantiene un trigger): el
+--     catálogo lo sigue leyendo igual, pero ya nadie lo escribe directo.
+--   * tblpedidos.sucursal_id: dónde se recoge (o qué sucursal surte un
+--     envío); de ahí sale y ahí regresa el stock.
+--   * tblzonas_envio.sucursal_id: la sucursal que atiende la zona.
+--   * tblusuarios.sucursal_id: sucursal del personal. NULL = todas
+--     (dirección general, o cuando solo hay una sucursal).
+--   * Reservas, lotes de producción y cajas también por sucursal.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblsucursales (
+  id            SERIAL PRIMARY KEY,
+  nombre        VARCHAR(100) NOT NULL UNIQUE,
+  direccion     VARCHAR(255) NOT NULL,
+  ciudad        VARCHAR(100) NOT NULL,
+  telefono      VARCHAR(20),
+  horario       VARCHAR(255),
+  lat           NUMERIC(9,6),
+  lng           NUMERIC(9,6),
+  es_principal  BOOLEAN NOT NULL DEFAULT FALSE,
+  activa        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblsucursales_principal
+  ON core.tblsucursales (es_principal) WHERE es_principal;
+
+INSERT INTO core.tblsucursales (nombre, direccion, ciudad, horario, es_principal)
+SELECT 'Sucursal Principal', 'Centro', 'Huejutla de Reyes, Hidalgo', 'Lunes a sábado de 9:00 a 20:00', TRUE
+WHERE NOT EXISTS (SELECT 1 FROM core.tblsucursales WHERE es_principal);
+
+-- ── Inventario por sucursal ──
+CREATE TABLE IF NOT EXISTS core.tblstock_sucursal (
+  producto_id  INTEGER NOT NULL REFERENCES core.tblproductos(id) ON DELETE CASCADE,
+  sucursal_id  INTEGER NOT NULL REFERENCES core.tblsucursales(id) ON DELETE CASCADE,
+  stock        INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (producto_id, sucursal_id)
+);
+
+INSERT INTO core.tblstock_sucursal (producto_id, sucursal_id, stock)
+SELECT p.id, s.id, GREATEST(p.stock_online, 0)
+FROM core.tblproductos p CROSS JOIN core.tblsucursales s
+WHERE s.es_principal
+ON CONFLICT (producto_id, sucursal_id) DO NOTHING;
+
+-- stock_online = suma de las sucursales
+CREATE OR REPLACE FUNCTION core.fn_total_stock_sucursales() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE core.tblproductos p
+  SET stock_online = (SELECT COALESCE(SUM(stock), 0) FROM core.tblstock_sucursal WHERE producto_id = p.id),
+      updated_at = NOW()
+  WHERE p.id IN (
+    CASE WHEN TG_OP <> 'INSERT' THEN OLD.producto_id END,
+    CASE WHEN TG_OP <> 'DELETE' THEN NEW.producto_id END
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_total_stock_sucursales ON core.tblstock_sucursal;
+CREATE TRIGGER trg_total_stock_sucursales
+  AFTER INSERT OR UPDATE OR DELETE ON core.tblstock_sucursal
+  FOR EACH ROW EXECUTE FUNCTION core.fn_total_stock_sucursales();
+
+-- ── Sucursal en pedidos, zonas, personal, reservas, lotes y cajas ──
+ALTER TABLE core.tblpedidos          ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES core.tblsucursales(id) ON DELETE RESTRICT;
+ALTER TABLE core.tblzonas_envio      ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES core.tblsucursales(id) ON DELETE RESTRICT;
+ALTER TABLE core.tblusuarios         ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES core.tblsucursales(id) ON DELETE SET NULL;
+ALTER TABLE core.tblreservas_stock   ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES core.tblsucursales(id) ON DELETE CASCADE;
+ALTER TABLE core.tblproduccion_lotes ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES core.tblsucursales(id) ON DELETE RESTRICT;
+ALTER TABLE core.tblcaja_sesiones    ADD COLUMN IF NOT EXISTS sucursal_id INTEGER REFERENCES core.tblsucursales(id) ON DELETE RESTRICT;
+
+UPDATE core.tblpedidos          SET sucursal_id = (SELECT id FROM core.tblsucursales WHERE es_principal) WHERE sucursal_id IS NULL;
+UPDATE core.tblzonas_envio      SET sucursal_id = (SELECT id FROM core.tblsucursales WHERE es_principal) WHERE sucursal_id IS NULL;
+UPDATE core.tblreservas_stock   SET sucursal_id = (SELECT id FROM core.tblsucursales WHERE es_principal) WHERE sucursal_id IS NULL;
+UPDATE core.tblproduccion_lotes SET sucursal_id = (SELECT id FROM core.tblsucursales WHERE es_principal) WHERE sucursal_id IS NULL;
+UPDATE core.tblcaja_sesiones    SET sucursal_id = (SELECT id FROM core.tblsucursales WHERE es_principal) WHERE sucursal_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tblpedidos_sucursal ON core.tblpedidos (sucursal_id, created_at DESC);
+
+COMMENT ON TABLE core.tblstock_sucursal IS
+  'Piezas por producto y sucursal. tblproductos.stock_online es su suma (trigger).';
+COMMENT ON COLUMN core.tblpedidos.sucursal_id IS
+  'Sucursal donde se recoge o que surte el envío; su inventario es el que se descuenta.';
+COMMENT ON COLUMN core.tblusuarios.sucursal_id IS
+  'Sucursal del personal. NULL = ve todas las sucursales.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT s.nombre, p.nombre, ss.stock FROM core.tblstock_sucursal ss
+--   JOIN core.tblsucursales s ON s.id = ss.sucursal_id JOIN core.tblproductos p ON p.id = ss.producto_id ORDER BY 1, 2;
+-- SELECT p.id, p.stock_online, SUM(ss.stock) FROM core.tblproductos p
+--   LEFT JOIN core.tblstock_sucursal ss ON ss.producto_id = p.id GROUP BY p.id HAVING p.stock_online <> COALESCE(SUM(ss.stock), 0);
@@ -0,0 +1,76 @@
+-- =====================================================================
+-- MIGRACIÓN 023: Facturación electrónica (CFDI 4.0)
+-- Las facturas se pedían por correo y se hacían a mano. Ahora:
+--   * tblperfiles_fiscales: datos fiscales del cliente (RFC, razón
+--     social, régimen, uso CFDI y código postal). Un cliente puede tener
+--     varios (persona física y su empresa, por ejemplo).
+--   * tblfacturas: una por pedido pagado. Guarda una copia de los datos
+--     del receptor, los importes, el XML timbrado, el UUID (folio
+--     fiscal) y el PDF. Si el PAC falla queda en 'error' y se reintenta.
+--   * seq_facturas_folio: folio interno consecutivo de la serie.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblperfiles_fiscales (
+  id              SERIAL PRIMARY KEY,
+  usuario_id      INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE CASCADE,
+  rfc             VARCHAR(13) NOT NULL,
+  razon_social    VARCHAR(254) NOT NULL,
+  regimen_fiscal  VARCHAR(3) NOT NULL,
+  uso_cfdi        VARCHAR(4) NOT NULL,
+  codigo_postal   VARCHAR(5) NOT NULL CHECK (codigo_postal ~ '^[0-9]{5}$'),
+  email           VARCHAR(255),
+  activo          BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblperfiles_fiscales_rfc
+  ON core.tblperfiles_fiscales (usuario_id, rfc) WHERE activo;
+
+CREATE SEQUENCE IF NOT EXISTS core.seq_facturas_folio;
+
+CREATE TABLE IF NOT EXISTS core.tblfacturas (
+  id              SERIAL PRIMARY KEY,
+  pedido_id       INTEGER NOT NULL REFERENCES core.tblpedidos(id) ON DELETE RESTRICT,
+  usuario_id      INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE RESTRICT,
+  perfil_id       INTEGER REFERENCES core.tblperfiles_fiscales(id) ON DELETE SET NULL,
+  receptor        JSONB NOT NULL,
+  serie           VARCHAR(25) NOT NULL,
+  folio           INTEGER NOT NULL DEFAULT nextval('core.seq_facturas_folio'),
+  forma_pago      VARCHAR(2) NOT NULL,
+  subtotal        NUMERIC(12,2),
+  descuento       NUMERIC(12,2),
+  impuestos       NUMERIC(12,2),
+  total           NUMERIC(12,2),
+  estado          VARCHAR(10) NOT NULL DEFAULT 'pendiente' CHECK (estado IN ('pendiente', 'timbrada', 'error')),
+  pac             VARCHAR(30),
+  uuid            UUID UNIQUE,
+  xml             TEXT,
+  pdf             BYTEA,
+  error           TEXT,
+  intentos        INTEGER NOT NULL DEFAULT 0,
+  solicitada_por  INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  timbrada_at     TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Una factura por pedido (la cancelación ante el SAT queda fuera)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblfacturas_pedido ON core.tblfacturas (pedido_id);
+CREATE INDEX IF NOT EXISTS idx_tblfacturas_usuario ON core.tblfacturas (usuario_id, created_at DESC);
+
+COMMENT ON COLUMN core.tblfacturas.receptor IS
+  'Copia del perfil fiscal al solicitar: {rfc, razon_social, regimen_fiscal, uso_cfdi, codigo_postal, email}.';
+COMMENT ON COLUMN core.tblfacturas.total IS
+  'Importes del comprobante (IVA desglosado); se llenan al timbrar.';
+COMMENT ON COLUMN core.tblfacturas.xml IS
+  'CFDI 4.0 ya timbrado (con TimbreFiscalDigital). NULL mientras está pendiente o en error.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT f.serie, f.folio, f.estado, f.uuid, f.total, p.numero, f.receptor->>'rfc' AS rfc
+--   FROM core.tblfacturas f JOIN core.tblpedidos p ON p.id = f.pedido_id ORDER BY f.created_at DESC;
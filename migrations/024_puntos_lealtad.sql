@@ -0,0 +1,56 @@
+-- =====================================================================
+-- MIGRACIÓN 024: Programa de puntos
+-- Los sorteos eran la única herramienta de retención. Ahora cada pedido
+-- completado o entregado suma puntos, que se canjean como descuento en el
+-- checkout. Libro de movimientos (el saldo es la suma):
+--   * ganado:    al completarse/entregarse el pedido (vence a los 12 meses)
+--   * canje:     puntos usados como descuento en un pedido (negativo)
+--   * reverso:   puntos ganados que se quitan por cancelación o reembolso
+--   * reintegro: puntos canjeados que regresan si el pedido se cancela
+--   * expirado:  puntos ganados que vencieron sin usarse
+--   * ajuste:    corrección manual de gerencia (queda en tblauditoria)
+-- El nivel (bronce/plata/oro) sale de lo gastado en 12 meses; no se guarda.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblpuntos_movimientos (
+  id             SERIAL PRIMARY KEY,
+  usuario_id     INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE CASCADE,
+  tipo           VARCHAR(10) NOT NULL CHECK (tipo IN ('ganado', 'canje', 'reverso', 'reintegro', 'expirado', 'ajuste')),
+  puntos         INTEGER NOT NULL CHECK (puntos <> 0),
+  pedido_id      INTEGER REFERENCES core.tblpedidos(id) ON DELETE SET NULL,
+  multiplicador  NUMERIC(4,2),
+  expira_at      TIMESTAMPTZ,
+  motivo         TEXT,
+  creado_por     INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblpuntos_movimientos_usuario
+  ON core.tblpuntos_movimientos (usuario_id, created_at DESC);
+
+-- Un solo ganado, canje y reintegro por pedido (los reversos pueden ser
+-- varios: reembolsos parciales)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblpuntos_ganado_pedido
+  ON core.tblpuntos_movimientos (pedido_id) WHERE tipo = 'ganado';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblpuntos_canje_pedido
+  ON core.tblpuntos_movimientos (pedido_id) WHERE tipo = 'canje';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblpuntos_reintegro_pedido
+  ON core.tblpuntos_movimientos (pedido_id) WHERE tipo = 'reintegro';
+
+ALTER TABLE core.tblpedidos
+  ADD COLUMN IF NOT EXISTS puntos_canjeados  INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS descuento_puntos  NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN core.tblpuntos_movimientos.multiplicador IS
+  'En "ganado": multiplicador del nivel del cliente al ganar; los reversos lo reutilizan.';
+COMMENT ON COLUMN core.tblpedidos.descuento_puntos IS
+  'Pesos descontados por canje de puntos (aparte del descuento por código).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT u.email, SUM(m.puntos) AS saldo FROM core.tblpuntos_movimientos m
+--   JOIN core.tblusuarios u ON u.id = m.usuario_id GROUP BY u.email ORDER BY saldo DESC;
@@ -0,0 +1,71 @@
+-- =====================================================================
+-- MIGRACIÓN 025: Sorteos verificables
+-- El ganador salía de Math.random() y solo quedaba su id y el número de
+-- participantes: no había forma de demostrar que el sorteo fue limpio.
+-- Ahora (compromiso-revelación):
+--   * al crear el sorteo se genera una semilla secreta y se publica solo
+--     su SHA-256 (semilla_hash);
+--   * al ejecutarlo se congela la lista de participantes con sus boletos
+--     (tblsorteo_participantes) y su hash, se revela la semilla y de
+--     ambas sale, de forma determinista, el orden de ganadores y
+--     suplentes (tblsorteo_resultados);
+--   * cualquiera puede recalcularlo con GET /api/sorteos/:id/verificacion.
+-- Los sorteos pendientes reciben aquí su semilla; los ya ejecutados se
+-- quedan como estaban (sin verificación).
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+ALTER TABLE core.tblsorteos
+  ADD COLUMN IF NOT EXISTS num_ganadores      INTEGER NOT NULL DEFAULT 1 CHECK (num_ganadores BETWEEN 1 AND 20),
+  ADD COLUMN IF NOT EXISTS num_suplentes      INTEGER NOT NULL DEFAULT 0 CHECK (num_suplentes BETWEEN 0 AND 20),
+  ADD COLUMN IF NOT EXISTS ponderado          BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS semilla            CHAR(64),
+  ADD COLUMN IF NOT EXISTS semilla_hash       CHAR(64),
+  ADD COLUMN IF NOT EXISTS participantes_hash CHAR(64),
+  ADD COLUMN IF NOT EXISTS total_boletos      INTEGER,
+  ADD COLUMN IF NOT EXISTS ejecutado_por      INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS ejecutado_at       TIMESTAMPTZ;
+
+-- Semilla para los sorteos que aún no se ejecutan (mismo formato que
+-- utils/sorteo.js: 64 hex; el hash es el SHA-256 de ese texto)
+UPDATE core.tblsorteos
+SET semilla = encode(sha256(convert_to(gen_random_uuid()::text || gen_random_uuid()::text, 'UTF8')), 'hex')
+WHERE ganador_id IS NULL AND semilla IS NULL;
+UPDATE core.tblsorteos
+SET semilla_hash = encode(sha256(convert_to(semilla, 'UTF8')), 'hex')
+WHERE semilla IS NOT NULL AND semilla_hash IS NULL;
+
+-- Lista congelada al ejecutar; "orden" es la posición en la que se
+-- cuentan los boletos para la selección
+CREATE TABLE IF NOT EXISTS core.tblsorteo_participantes (
+  sorteo_id   INTEGER NOT NULL REFERENCES core.tblsorteos(id) ON DELETE CASCADE,
+  orden       INTEGER NOT NULL,
+  usuario_id  INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE RESTRICT,
+  boletos     INTEGER NOT NULL CHECK (boletos > 0),
+  PRIMARY KEY (sorteo_id, orden),
+  UNIQUE (sorteo_id, usuario_id)
+);
+
+CREATE TABLE IF NOT EXISTS core.tblsorteo_resultados (
+  sorteo_id     INTEGER NOT NULL REFERENCES core.tblsorteos(id) ON DELETE CASCADE,
+  posicion      INTEGER NOT NULL,
+  usuario_id    INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE RESTRICT,
+  tipo          VARCHAR(10) NOT NULL CHECK (tipo IN ('ganador', 'suplente')),
+  notificado_at TIMESTAMPTZ,
+  PRIMARY KEY (sorteo_id, posicion)
+);
+
+COMMENT ON COLUMN core.tblsorteos.semilla IS
+  'Secreta hasta ejecutar el sorteo; después se publica para verificarlo contra semilla_hash.';
+COMMENT ON COLUMN core.tblsorteos.participantes_hash IS
+  'SHA-256 de la lista congelada (orden:usuario_id:boletos por línea).';
+COMMENT ON COLUMN core.tblsorteos.ganador_id IS
+  'Primer ganador (compatibilidad); todos los ganadores y suplentes están en tblsorteo_resultados.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT s.id, s.nombre, s.semilla_hash, s.total_participantes, s.total_boletos, r.posicion, r.tipo, r.usuario_id
+--   FROM core.tblsorteos s LEFT JOIN core.tblsorteo_resultados r ON r.sorteo_id = s.id ORDER BY s.id DESC, r.posicion;
@@ -0,0 +1,65 @@
+-- =====================================================================
+-- MIGRACIÓN 026: Tarjetas de regalo
+-- Los clientes pedían regalar crédito para un pastel. Ahora:
+--   * tbltarjetas_regalo: se compran con tarjeta (Stripe) por un monto,
+--     tienen un código canjeable (PIER-XXXX-XXXX-XXXX), se envían por
+--     correo al destinatario y vencen a los 12 meses. El saldo baja con
+--     cada pedido en que se usan (canje parcial en varios pedidos).
+--   * tbltarjeta_regalo_movimientos: compra, canjes y reintegros (si el
+--     pedido se cancela, lo usado regresa a la tarjeta).
+--   * tblpedidos.monto_tarjeta_regalo: parte del pedido pagada con la
+--     tarjeta; tblpagos.monto_total sigue siendo solo lo cobrado en Stripe.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tbltarjetas_regalo (
+  id                   SERIAL PRIMARY KEY,
+  codigo               VARCHAR(19) NOT NULL UNIQUE,
+  monto_inicial        NUMERIC(10,2) NOT NULL CHECK (monto_inicial > 0),
+  saldo                NUMERIC(10,2) NOT NULL CHECK (saldo >= 0),
+  comprador_id         INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  destinatario_nombre  VARCHAR(100) NOT NULL,
+  destinatario_email   VARCHAR(255) NOT NULL,
+  mensaje              VARCHAR(500),
+  estado               VARCHAR(10) NOT NULL DEFAULT 'activa' CHECK (estado IN ('activa', 'agotada', 'cancelada')),
+  stripe_payment_id    VARCHAR(255) NOT NULL UNIQUE,
+  expira_at            TIMESTAMPTZ NOT NULL,
+  enviada_at           TIMESTAMPTZ,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tbltarjetas_regalo_comprador ON core.tbltarjetas_regalo (comprador_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tbltarjetas_regalo_destinatario ON core.tbltarjetas_regalo (LOWER(destinatario_email));
+
+CREATE TABLE IF NOT EXISTS core.tbltarjeta_regalo_movimientos (
+  id          SERIAL PRIMARY KEY,
+  tarjeta_id  INTEGER NOT NULL REFERENCES core.tbltarjetas_regalo(id) ON DELETE CASCADE,
+  tipo        VARCHAR(10) NOT NULL CHECK (tipo IN ('compra', 'canje', 'reintegro')),
+  monto       NUMERIC(10,2) NOT NULL CHECK (monto <> 0),
+  pedido_id   INTEGER REFERENCES core.tblpedidos(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tbltarjeta_regalo_mov_tarjeta ON core.tbltarjeta_regalo_movimientos (tarjeta_id, created_at);
+-- Un canje y a lo más un reintegro por pedido
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tbltarjeta_regalo_mov_canje
+  ON core.tbltarjeta_regalo_movimientos (pedido_id) WHERE tipo = 'canje';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tbltarjeta_regalo_mov_reintegro
+  ON core.tbltarjeta_regalo_movimientos (pedido_id) WHERE tipo = 'reintegro';
+
+ALTER TABLE core.tblpedidos
+  ADD COLUMN IF NOT EXISTS tarjeta_regalo_id     INTEGER REFERENCES core.tbltarjetas_regalo(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS monto_tarjeta_regalo  NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN core.tbltarjetas_regalo.saldo IS
+  'Saldo por usar. Con expira_at vencido ya no se puede canjear aunque sea mayor a cero.';
+COMMENT ON COLUMN core.tblpedidos.monto_tarjeta_regalo IS
+  'Parte del total pagada con tarjeta de regalo (forma de pago, no descuento).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT codigo, monto_inicial, saldo, estado, expira_at, destinatario_email FROM core.tbltarjetas_regalo ORDER BY created_at DESC;
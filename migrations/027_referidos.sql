@@ -0,0 +1,48 @@
+-- =====================================================================
+-- MIGRACIÓN 027: Programa de referidos
+-- El crecimiento en Huejutla es de boca en boca y no había cómo
+-- premiarlo. Ahora:
+--   * tblusuarios.codigo_referido: código personal del cliente (se genera
+--     la primera vez que lo consulta).
+--   * tblreferidos: quién trajo a quién. Se registra al crear la cuenta
+--     (registro con correo o Google) y queda 'pendiente' hasta que el
+--     primer pedido del referido se completa; entonces ambos reciben
+--     puntos (movimiento 'referido') o queda 'rechazado' con el motivo
+--     (autorreferido, mismo teléfono o domicilio, tope mensual...).
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+ALTER TABLE core.tblusuarios
+  ADD COLUMN IF NOT EXISTS codigo_referido VARCHAR(12) UNIQUE;
+
+CREATE TABLE IF NOT EXISTS core.tblreferidos (
+  id               SERIAL PRIMARY KEY,
+  referidor_id     INTEGER NOT NULL REFERENCES core.tblusuarios(id) ON DELETE CASCADE,
+  referido_id      INTEGER NOT NULL UNIQUE REFERENCES core.tblusuarios(id) ON DELETE CASCADE,
+  codigo           VARCHAR(12) NOT NULL,
+  origen           VARCHAR(10) NOT NULL CHECK (origen IN ('registro', 'google')),
+  estado           VARCHAR(12) NOT NULL DEFAULT 'pendiente' CHECK (estado IN ('pendiente', 'recompensado', 'rechazado')),
+  motivo_rechazo   TEXT,
+  pedido_id        INTEGER REFERENCES core.tblpedidos(id) ON DELETE SET NULL,
+  resuelto_at      TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblreferidos_referidor ON core.tblreferidos (referidor_id, estado);
+
+-- Las recompensas de referido van al mismo libro de puntos
+ALTER TABLE core.tblpuntos_movimientos DROP CONSTRAINT IF EXISTS tblpuntos_movimientos_tipo_check;
+ALTER TABLE core.tblpuntos_movimientos ADD CONSTRAINT tblpuntos_movimientos_tipo_check
+  CHECK (tipo IN ('ganado', 'canje', 'reverso', 'reintegro', 'expirado', 'ajuste', 'referido'));
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tblpuntos_referido_pedido
+  ON core.tblpuntos_movimientos (pedido_id, usuario_id) WHERE tipo = 'referido';
+
+COMMENT ON COLUMN core.tblreferidos.pedido_id IS
+  'Primer pedido completado del referido: el que resolvió la recompensa.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT r.estado, COUNT(*) FROM core.tblreferidos r GROUP BY r.estado;
@@ -0,0 +1,33 @@
+-- =====================================================================
+-- MIGRACIÓN 028: Seguimiento del repartidor en vivo
+-- Después de "¡Tu pedido va en camino!" el cliente no sabía dónde venía
+-- su pedido. Ahora la app del repartidor manda su posición mientras la
+-- entrega está 'en_camino' (POST /api/entregas/:id/ubicacion) y el
+-- cliente la ve con tiempo estimado de llegada (GET /api/entregas/
+-- seguimiento/:pedidoId y su variante /stream por SSE).
+--   * tblentrega_ubicaciones: posiciones de la entrega. Son temporales:
+--     se borran al terminar la entrega (entregada o fallida).
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblentrega_ubicaciones (
+  id           BIGSERIAL PRIMARY KEY,
+  entrega_id   INTEGER NOT NULL REFERENCES core.tblentregas(id) ON DELETE CASCADE,
+  lat          NUMERIC(9,6) NOT NULL,
+  lng          NUMERIC(9,6) NOT NULL,
+  precision_m  NUMERIC(7,1),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tblentrega_ubicaciones_entrega
+  ON core.tblentrega_ubicaciones (entrega_id, created_at DESC);
+
+COMMENT ON TABLE core.tblentrega_ubicaciones IS
+  'Posiciones GPS del repartidor durante una entrega en camino. Se borran al finalizar la entrega.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT entrega_id, COUNT(*), MAX(created_at) FROM core.tblentrega_ubicaciones GROUP BY entrega_id;
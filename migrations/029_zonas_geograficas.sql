@@ -0,0 +1,34 @@
+-- =====================================================================
+-- MIGRACIÓN 029: Zonas de envío por geografía
+-- La cobertura se decidía comparando el nombre de la colonia: un error
+-- de dedo o una colonia no capturada daba "Sin cobertura" aunque la
+-- dirección estuviera a 500 m de la sucursal. Ahora una zona puede
+-- definirse además (o en lugar de sus colonias) por:
+--   * poligono: lista de vértices [{ "lat": .., "lng": .. }, ...]
+--   * anillo alrededor de su sucursal: radio_min_km ≤ distancia < radio_max_km
+-- Las coordenadas de la dirección se comparan primero contra polígonos,
+-- luego contra anillos; la lista de colonias queda como respaldo para
+-- direcciones sin GPS (ver utils/zonasEnvio.js).
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+ALTER TABLE core.tblzonas_envio
+  ADD COLUMN IF NOT EXISTS poligono      JSONB,
+  ADD COLUMN IF NOT EXISTS radio_min_km  NUMERIC(6,2),
+  ADD COLUMN IF NOT EXISTS radio_max_km  NUMERIC(6,2);
+
+ALTER TABLE core.tblzonas_envio DROP CONSTRAINT IF EXISTS tblzonas_envio_radio_check;
+ALTER TABLE core.tblzonas_envio ADD CONSTRAINT tblzonas_envio_radio_check
+  CHECK (radio_max_km IS NULL OR (radio_max_km > 0 AND radio_max_km > COALESCE(radio_min_km, 0)));
+
+COMMENT ON COLUMN core.tblzonas_envio.poligono IS
+  'Vértices del área de cobertura [{lat, lng}, ...] (mínimo 3). NULL = sin polígono.';
+COMMENT ON COLUMN core.tblzonas_envio.radio_max_km IS
+  'Anillo alrededor de la sucursal de la zona (línea recta, km). NULL = sin anillo.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT id, nombre, tarifa, jsonb_array_length(poligono) AS vertices, radio_min_km, radio_max_km FROM core.tblzonas_envio;
@@ -0,0 +1,38 @@
+-- =====================================================================
+-- MIGRACIÓN 030: Reglas de tarifa de envío
+-- El envío era una tarifa fija por zona. Ahora cada zona puede sumar:
+--   * tarifa_km: costo por km (estimado por calles desde la sucursal)
+--     después de los km_incluidos en la tarifa base.
+--   * envio_gratis_desde: subtotal (ya con código de descuento) a partir
+--     del cual el envío es gratis.
+--   * pedido_minimo: subtotal mínimo para enviar a la zona.
+--   * distancia_max_km: más lejos no se envía aunque la zona la cubra.
+-- Y en configuración, sección 'envio', clave 'horas_pico': recargos por
+-- día/fecha y hora de entrega (ver utils/tarifasEnvio.js). Se evalúan en
+-- el checkout y en GET /api/zonas-envio/cotizar con la misma función.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+ALTER TABLE core.tblzonas_envio
+  ADD COLUMN IF NOT EXISTS tarifa_km           NUMERIC(8,2) CHECK (tarifa_km >= 0),
+  ADD COLUMN IF NOT EXISTS km_incluidos        NUMERIC(6,2) NOT NULL DEFAULT 0 CHECK (km_incluidos >= 0),
+  ADD COLUMN IF NOT EXISTS envio_gratis_desde  NUMERIC(10,2) CHECK (envio_gratis_desde >= 0),
+  ADD COLUMN IF NOT EXISTS pedido_minimo       NUMERIC(10,2) CHECK (pedido_minimo >= 0),
+  ADD COLUMN IF NOT EXISTS distancia_max_km    NUMERIC(6,2) CHECK (distancia_max_km > 0);
+
+INSERT INTO core.tblconfiguracion_sistema (seccion, clave, valor) VALUES
+  ('envio', 'horas_pico', '[]')
+ON CONFLICT (seccion, clave) DO NOTHING;
+
+COMMENT ON COLUMN core.tblzonas_envio.tarifa_km IS
+  'Costo por km estimado por calles desde la sucursal, después de km_incluidos. NULL = sin cobro por distancia.';
+COMMENT ON COLUMN core.tblzonas_envio.envio_gratis_desde IS
+  'Subtotal (con código de descuento aplicado) desde el que el envío es gratis. NULL = nunca.';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT nombre, tarifa, tarifa_km, km_incluidos, envio_gratis_desde, pedido_minimo, distancia_max_km FROM core.tblzonas_envio;
+-- SELECT valor FROM core.tblconfiguracion_sistema WHERE seccion = 'envio' AND clave = 'horas_pico';
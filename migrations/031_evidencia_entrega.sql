@@ -0,0 +1,48 @@
+-- =====================================================================
+-- MIGRACIÓN 031: Código de entrega y evidencia obligatoria
+-- Cerrar una entrega solo pedía escribir quién recibió; ante un "nunca
+-- me llegó" no había prueba. Ahora:
+--   * tblpedido_codigos_entrega: código de 4 dígitos por pedido que el
+--     cliente recibe cuando su pedido sale en camino y le dicta al
+--     repartidor al recibir. Tabla aparte para que no viaje en los
+--     SELECT p.* de pedidos (el repartidor no debe poder leerlo).
+--     Tras 5 intentos fallidos solo el personal puede autorizar el cierre
+--     sin código (tblentregas.autorizada_sin_codigo_*).
+--   * tblentregas: posición GPS al cerrar la entrega y su distancia al
+--     domicilio, y si el código se verificó.
+--   * Configuración 'entregas' / 'evidencia': foto y GPS obligatorios.
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS core.tblpedido_codigos_entrega (
+  pedido_id      INTEGER PRIMARY KEY REFERENCES core.tblpedidos(id) ON DELETE CASCADE,
+  codigo         VARCHAR(4) NOT NULL CHECK (codigo ~ '^[0-9]{4}$'),
+  intentos       SMALLINT NOT NULL DEFAULT 0,
+  verificado_at  TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE core.tblentregas
+  ADD COLUMN IF NOT EXISTS codigo_verificado             BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS autorizada_sin_codigo_por     INTEGER REFERENCES core.tblusuarios(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS autorizada_sin_codigo_motivo  TEXT,
+  ADD COLUMN IF NOT EXISTS autorizada_sin_codigo_at      TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cierre_lat                    NUMERIC(9,6),
+  ADD COLUMN IF NOT EXISTS cierre_lng                    NUMERIC(9,6),
+  ADD COLUMN IF NOT EXISTS cierre_precision_m            NUMERIC(7,1),
+  ADD COLUMN IF NOT EXISTS cierre_distancia_destino_m    INTEGER;
+
+INSERT INTO core.tblconfiguracion_sistema (seccion, clave, valor) VALUES
+  ('entregas', 'evidencia', '{ "foto_obligatoria": true, "gps_obligatorio": false }')
+ON CONFLICT (seccion, clave) DO NOTHING;
+
+COMMENT ON COLUMN core.tblentregas.cierre_distancia_destino_m IS
+  'Metros en línea recta entre donde se cerró la entrega y las coordenadas del domicilio (NULL si falta alguna).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT e.id, e.estado, e.codigo_verificado, e.autorizada_sin_codigo_at, e.evidencia_url, e.cierre_distancia_destino_m
+--   FROM core.tblentregas e ORDER BY e.id DESC LIMIT 20;
@@ -0,0 +1,28 @@
+-- =====================================================================
+-- MIGRACIÓN 032: Reembolsos repartidos entre Stripe y sucursal
+-- El pago de un pastel personalizado guarda monto_total = precio completo,
+-- pero su intent de Stripe solo cobró el anticipo; el saldo se liquida en
+-- sucursal. Al procesar un reembolso, Stripe devuelve como máximo lo que
+-- cobró ese intent (primero) y el resto se devuelve en sucursal; si es
+-- en efectivo sale de la caja abierta de quien procesa (retiro).
+--   * monto_stripe:   parte devuelta a la tarjeta por Stripe
+--   * monto_sucursal: parte devuelta en sucursal (efectivo, terminal o transferencia)
+-- Ejecutar en Neon SQL Editor de forma completa.
+-- =====================================================================
+
+BEGIN;
+
+ALTER TABLE core.tblreembolsos
+  ADD COLUMN IF NOT EXISTS monto_stripe    NUMERIC(10,2),
+  ADD COLUMN IF NOT EXISTS monto_sucursal  NUMERIC(10,2);
+
+COMMENT ON COLUMN core.tblreembolsos.monto_stripe IS
+  'Parte del reembolso devuelta por Stripe al procesarlo (NULL = aún no procesado).';
+COMMENT ON COLUMN core.tblreembolsos.monto_sucursal IS
+  'Parte del reembolso devuelta en sucursal: lo que el intent de Stripe no cobró (NULL = aún no procesado).';
+
+COMMIT;
+
+-- VERIFICACIÓN:
+-- SELECT id, pedido_id, monto, monto_stripe, monto_sucursal, estado FROM core.tblreembolsos
+--  WHERE estado = 'procesado' ORDER BY id DESC LIMIT 20;
@@ -0,0 +1,316 @@
+// routes/cajaRoutes.js — Caja: apertura, cobros en efectivo, retiros y cortes
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { verifyToken, verifyRole, verifySucursal, fueraDeSucursal } = require('../middleware/auth');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { SIN_CAJA, sesionAbierta, registrarCobro, resumenSesion } = require('../utils/caja');
+const { resolverSucursal } = require('../utils/sucursales');
+
+const PERSONAL = ['empleado', 'gerencia', 'direccion_general'];
+const SUPERVISION = ['gerencia', 'direccion_general'];
+const FECHA_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Monto en pesos (> 0 o ≥ 0) con dos decimales; null si no es válido
+function leerMonto(valor, { permitirCero = false } = {}) {
+  const n = parseFloat(valor);
+  if (isNaN(n) || n < 0 || (!permitirCero && n === 0)) return null;
+  return Math.round(n * 100) / 100;
+}
+
+async function movimientosDe(db, sesionId) {
+  const result = await db.query(
+    `SELECT m.id, m.tipo, m.monto, m.motivo, m.created_at, p.numero AS pedido_numero
+     FROM core.tblcaja_movimientos m
+     LEFT JOIN core.tblpedidos p ON p.id = m.pedido_id
+     WHERE m.sesion_id = $1 ORDER BY m.created_at`,
+    [sesionId]
+  );
+  return result.rows;
+}
+
+// ── Mi caja abierta (con totales y movimientos) ──
+router.get('/sesion', verifyToken, verifyRole(...PERSONAL), async (req, res) => {
+  try {
+    const sesion = await sesionAbierta(pool, req.user.userId);
+    if (!sesion) return res.json({ success: true, sesion: null });
+    const [resumen, movimientos] = await Promise.all([resumenSesion(pool, sesion), movimientosDe(pool, sesion.id)]);
+    res.json({ success: true, sesion, resumen, movimientos });
+  } catch (error) {
+    console.error('Error GET /caja/sesion:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener la caja' });
+  }
+});
+
+// ── Abrir caja con fondo inicial ──
+// La caja queda en la sucursal del empleado (quien ve todas indica sucursal_id)
+router.post('/abrir', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  const fondo = leerMonto(req.body.fondo_inicial ?? 0, { permitirCero: true });
+  if (fondo === null) return res.status(400).json({ success: false, message: 'Fondo inicial inválido' });
+  try {
+    const sucursal = await resolverSucursal(pool, req.sucursalId || req.body.sucursal_id);
+    if (sucursal.error) return res.status(400).json({ success: false, message: sucursal.error });
+    // El índice único parcial impide dos cajas abiertas del mismo empleado
+    const result = await pool.query(
+      `INSERT INTO core.tblcaja_sesiones (usuario_id, fondo_inicial, sucursal_id) VALUES ($1, $2, $3)
+       ON CONFLICT (usuario_id) WHERE estado = 'abierta' DO NOTHING RETURNING *`,
+      [req.user.userId, fondo, sucursal.id]
+    );
+    if (result.rows.length === 0) return res.status(409).json({ success: false, message: 'Ya tienes una caja abierta; ciérrala antes de abrir otra' });
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Abrió caja', entidad: 'caja', entidad_id: result.rows[0].id, detalles: `Fondo $${fondo.toFixed(2)}` });
+    res.status(201).json({ success: true, sesion: result.rows[0], message: 'Caja abierta' });
+  } catch (error) {
+    console.error('Error POST /caja/abrir:', error.message);
+    res.status(500).json({ success: false, message: 'Error al abrir la caja' });
+  }
+});
+
+// ── Pedidos por cobrar en sucursal ──
+// Pago pendiente sin Stripe ni anticipo (los pasteles personalizados se
+// liquidan en /api/personalizados/:id/liquidar)
+router.get('/por-cobrar', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.id, p.numero, p.total, p.estado, p.metodo_pago, p.horario_recogida, p.created_at,
+        u.nombre AS cliente_nombre, u.apellido AS cliente_apellido, pg.monto_total
+      FROM core.tblpedidos p
+      JOIN core.tblpagos pg ON pg.pedido_id = p.id
+      LEFT JOIN core.tblusuarios u ON u.id = p.usuario_id
+      WHERE pg.estado = 'pendiente' AND pg.stripe_payment_id IS NULL AND pg.anticipo IS NULL
+        AND p.estado <> 'cancelado'
+        AND ($1::int IS NULL OR p.sucursal_id = $1)
+      ORDER BY COALESCE(p.horario_recogida, p.created_at)
+    `, [req.sucursalId]);
+    res.json({ success: true, pedidos: result.rows });
+  } catch (error) {
+    console.error('Error GET /caja/por-cobrar:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener pedidos por cobrar' });
+  }
+});
+
+// ── Cobrar un pedido en efectivo ──
+// El pago pasa de "pendiente" a "pagado" y el cobro queda en la caja
+// abierta de quien cobra, que debe ser de la sucursal del pedido.
+// monto_recibido (opcional) calcula el cambio.
+router.post('/cobros', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  const pedidoId = parseInt(req.body.pedido_id);
+  if (!pedidoId) return res.status(400).json({ success: false, message: 'pedido_id es requerido' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const sesion = await sesionAbierta(client, req.user.userId, { bloquear: true });
+    if (!sesion) { await client.query('ROLLBACK'); return res.status(409).json({ success: false, message: SIN_CAJA }); }
+
+    const pago = await client.query(
+      `SELECT pg.id, pg.estado, pg.monto_total, pg.stripe_payment_id, pg.anticipo, p.numero, p.estado AS estado_pedido, p.sucursal_id
+       FROM core.tblpagos pg JOIN core.tblpedidos p ON p.id = pg.pedido_id
+       WHERE pg.pedido_id = $1 FOR UPDATE OF pg`,
+      [pedidoId]
+    );
+    if (pago.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Pedido sin pago registrado' }); }
+    const pg = pago.rows[0];
+    if (fueraDeSucursal(req, pg.sucursal_id)) { await client.query('ROLLBACK'); return res.status(403).json({ success: false, message: 'El pedido es de otra sucursal' }); }
+    if (pg.sucursal_id !== sesion.sucursal_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: `El pedido #${pg.numero} se cobra en su sucursal, no en esta caja` });
+    }
+    if (pg.estado !== 'pendiente') { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `El pago de #${pg.numero} ya está ${pg.estado}` }); }
+    if (pg.stripe_payment_id || pg.anticipo !== null) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: 'Este pedido no se cobra en caja (tarjeta en línea o pastel personalizado)' });
+    }
+    if (pg.estado_pedido === 'cancelado') { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'El pedido está cancelado' }); }
+
+    const total = parseFloat(pg.monto_total);
+    let cambio = null;
+    if (req.body.monto_recibido !== undefined) {
+      const recibido = leerMonto(req.body.monto_recibido);
+      if (recibido === null || recibido < total) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: `El efectivo recibido no cubre el total ($${total.toFixed(2)})` });
+      }
+      cambio = Math.round((recibido - total) * 100) / 100;
+      await client.query('UPDATE core.tblpagos SET monto_recibido = $1, cambio = $2 WHERE id = $3', [recibido, cambio, pg.id]);
+    }
+    await client.query(
+      `UPDATE core.tblpagos SET estado = 'pagado', metodo_pago = 'efectivo', fecha_confirmacion_pago = NOW() WHERE id = $1`,
+      [pg.id]
+    );
+    await registrarCobro(client, { sesionId: sesion.id, usuarioId: req.user.userId, pedidoId, monto: total, motivo: `Pedido #${pg.numero}` });
+    await client.query('COMMIT');
+
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Cobró pedido en efectivo', entidad: 'pedido', entidad_id: pedidoId, detalles: `#${pg.numero} · $${total.toFixed(2)} · caja ${sesion.id}` });
+    res.json({ success: true, total, cambio, message: `Cobro de #${pg.numero} registrado` });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /caja/cobros:', error.message);
+    res.status(500).json({ success: false, message: 'Error al registrar el cobro' });
+  } finally { client.release(); }
+});
+
+// ── Retiro de efectivo (depósito, pago a proveedor, cambio a otra caja) ──
+router.post('/retiros', verifyToken, verifyRole(...PERSONAL), async (req, res) => {
+  const monto = leerMonto(req.body.monto);
+  const motivo = req.body.motivo ? String(req.body.motivo).trim().slice(0, 300) : '';
+  if (monto === null || !motivo) return res.status(400).json({ success: false, message: 'Monto (> 0) y motivo son requeridos' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const sesion = await sesionAbierta(client, req.user.userId, { bloquear: true });
+    if (!sesion) { await client.query('ROLLBACK'); return res.status(409).json({ success: false, message: 'No tienes una caja abierta' }); }
+    const resumen = await resumenSesion(client, sesion);
+    if (monto > resumen.esperado) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: `En caja solo debería haber $${resumen.esperado.toFixed(2)}` });
+    }
+    const mov = await client.query(
+      `INSERT INTO core.tblcaja_movimientos (sesion_id, tipo, monto, motivo, usuario_id)
+       VALUES ($1, 'retiro', $2, $3, $4) RETURNING *`,
+      [sesion.id, monto, motivo, req.user.userId]
+    );
+    await client.query('COMMIT');
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Retiró efectivo de caja', entidad: 'caja', entidad_id: sesion.id, detalles: `$${monto.toFixed(2)} · ${motivo.slice(0, 80)}` });
+    res.status(201).json({ success: true, movimiento: mov.rows[0], en_caja: Math.round((resumen.esperado - monto) * 100) / 100 });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /caja/retiros:', error.message);
+    res.status(500).json({ success: false, message: 'Error al registrar el retiro' });
+  } finally { client.release(); }
+});
+
+// ── Cerrar caja (corte) ──
+// Compara lo esperado (fondo + cobros - retiros) con lo contado. Una
+// diferencia avisa a gerencia.
+router.post('/cerrar', verifyToken, verifyRole(...PERSONAL), async (req, res) => {
+  const contado = leerMonto(req.body.monto_contado, { permitirCero: true });
+  if (contado === null) return res.status(400).json({ success: false, message: 'Captura el efectivo contado' });
+
+  const client = await pool.connect();
+  let corte, resumen;
+  try {
+    await client.query('BEGIN');
+    const sesion = await sesionAbierta(client, req.user.userId, { bloquear: true });
+    if (!sesion) { await client.query('ROLLBACK'); return res.status(409).json({ success: false, message: 'No tienes una caja abierta' }); }
+    resumen = await resumenSesion(client, sesion);
+    const diferencia = Math.round((contado - resumen.esperado) * 100) / 100;
+    const result = await client.query(
+      `UPDATE core.tblcaja_sesiones
+       SET estado = 'cerrada', monto_esperado = $1, monto_contado = $2, diferencia = $3, notas_cierre = $4, cerrada_at = NOW()
+       WHERE id = $5 RETURNING *`,
+      [resumen.esperado, contado, diferencia, req.body.notas ? String(req.body.notas).slice(0, 1000) : null, sesion.id]
+    );
+    corte = result.rows[0];
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /caja/cerrar:', error.message);
+    return res.status(500).json({ success: false, message: 'Error al cerrar la caja' });
+  } finally { client.release(); }
+
+  const diferencia = parseFloat(corte.diferencia);
+  registrarAuditoria({
+    usuario_id: req.user.userId, accion: 'Cerró caja', entidad: 'caja', entidad_id: corte.id,
+    detalles: `Esperado $${resumen.esperado.toFixed(2)} · contado $${contado.toFixed(2)} · diferencia $${diferencia.toFixed(2)}`,
+  });
+  if (diferencia !== 0) {
+    try {
+      const { crearNotificacion } = require('../services/notificacionHelper');
+      const cajero = await pool.query('SELECT nombre, apellido FROM core.tblusuarios WHERE id = $1', [req.user.userId]);
+      const nombre = cajero.rows[0] ? `${cajero.rows[0].nombre} ${cajero.rows[0].apellido || ''}`.trim() : 'Un empleado';
+      const gerencia = await pool.query(`SELECT id FROM core.tblusuarios WHERE rol IN ('gerencia', 'direccion_general') AND activo = TRUE`);
+      await Promise.all(gerencia.rows.map(u => crearNotificacion({
+        usuario_id: u.id,
+        tipo: 'alerta',
+        titulo: diferencia < 0 ? 'Faltante en corte de caja' : 'Sobrante en corte de caja',
+        mensaje: `${nombre} cerró su caja con $${Math.abs(diferencia).toFixed(2)} de ${diferencia < 0 ? 'faltante' : 'sobrante'} (esperado $${resumen.esperado.toFixed(2)}). Revisa Cortes de caja.`,
+      })));
+    } catch (notifError) {
+      console.error('Error notificando diferencia de caja:', notifError.message);
+    }
+  }
+  res.json({ success: true, corte, resumen, message: diferencia === 0 ? 'Caja cuadrada' : `Caja cerrada con diferencia de $${diferencia.toFixed(2)}` });
+});
+
+// ── Cortes por empleado (gerencia) ──
+// Lista de sesiones del rango (por día de cierre o abiertas) y totales
+// por empleado: cobros, retiros y faltantes / sobrantes acumulados.
+router.get('/cortes', verifyToken, verifyRole(...SUPERVISION), verifySucursal, async (req, res) => {
+  try {
+    const { desde, hasta } = req.query;
+    if ((desde && !FECHA_RE.test(desde)) || (hasta && !FECHA_RE.test(hasta))) {
+      return res.status(400).json({ success: false, message: 'Fechas en formato YYYY-MM-DD' });
+    }
+    const usuarioId = req.query.usuario_id ? parseInt(req.query.usuario_id) : null;
+    const sucursalId = req.sucursalId || (req.query.sucursal_id ? parseInt(req.query.sucursal_id) : null);
+    const result = await pool.query(`
+      SELECT s.*, u.nombre, u.apellido, su.nombre AS sucursal_nombre,
+        COALESCE(m.cobros, 0)::NUMERIC(10,2) AS cobros, COALESCE(m.num_cobros, 0)::int AS num_cobros,
+        COALESCE(m.retiros, 0)::NUMERIC(10,2) AS retiros
+      FROM core.tblcaja_sesiones s
+      JOIN core.tblusuarios u ON u.id = s.usuario_id
+      LEFT JOIN core.tblsucursales su ON su.id = s.sucursal_id
+      LEFT JOIN (
+        SELECT sesion_id,
+          SUM(monto) FILTER (WHERE tipo = 'cobro') AS cobros, COUNT(*) FILTER (WHERE tipo = 'cobro') AS num_cobros,
+          SUM(monto) FILTER (WHERE tipo = 'retiro') AS retiros
+        FROM core.tblcaja_movimientos GROUP BY sesion_id
+      ) m ON m.sesion_id = s.id
+      WHERE ($1::date IS NULL OR (COALESCE(s.cerrada_at, s.abierta_at) AT TIME ZONE 'America/Mexico_City')::date >= $1::date)
+        AND ($2::date IS NULL OR (COALESCE(s.cerrada_at, s.abierta_at) AT TIME ZONE 'America/Mexico_City')::date <= $2::date)
+        AND ($3::int IS NULL OR s.usuario_id = $3)
+        AND ($4::int IS NULL OR s.sucursal_id = $4)
+      ORDER BY s.abierta_at DESC
+    `, [desde || null, hasta || null, usuarioId, sucursalId]);
+
+    const porEmpleado = new Map();
+    for (const s of result.rows) {
+      const e = porEmpleado.get(s.usuario_id) || {
+        usuario_id: s.usuario_id, nombre: `${s.nombre} ${s.apellido || ''}`.trim(),
+        sesiones: 0, cobros: 0, retiros: 0, faltantes: 0, sobrantes: 0, cortes_con_diferencia: 0,
+      };
+      e.sesiones += 1;
+      e.cobros += parseFloat(s.cobros);
+      e.retiros += parseFloat(s.retiros);
+      const dif = s.diferencia === null ? 0 : parseFloat(s.diferencia);
+      if (dif < 0) e.faltantes += -dif;
+      if (dif > 0) e.sobrantes += dif;
+      if (dif !== 0) e.cortes_con_diferencia += 1;
+      porEmpleado.set(s.usuario_id, e);
+    }
+    const redondear = (n) => Math.round(n * 100) / 100;
+    const empleados = [...porEmpleado.values()].map(e => ({
+      ...e, cobros: redondear(e.cobros), retiros: redondear(e.retiros),
+      faltantes: redondear(e.faltantes), sobrantes: redondear(e.sobrantes),
+    }));
+    res.json({ success: true, cortes: result.rows, empleados });
+  } catch (error) {
+    console.error('Error GET /caja/cortes:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener cortes de caja' });
+  }
+});
+
+// ── Detalle de un corte (gerencia, o el propio empleado) ──
+router.get('/cortes/:id', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*, u.nombre, u.apellido FROM core.tblcaja_sesiones s
+       JOIN core.tblusuarios u ON u.id = s.usuario_id WHERE s.id = $1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Corte no encontrado' });
+    const sesion = result.rows[0];
+    if (!SUPERVISION.includes(req.user.rol) && sesion.usuario_id !== req.user.userId) {
+      return res.status(403).json({ success: false, message: 'Solo puedes ver tus propios cortes' });
+    }
+    if (fueraDeSucursal(req, sesion.sucursal_id)) return res.status(403).json({ success: false, message: 'El corte es de otra sucursal' });
+    const [resumen, movimientos] = await Promise.all([resumenSesion(pool, sesion), movimientosDe(pool, sesion.id)]);
+    res.json({ success: true, corte: sesion, resumen, movimientos });
+  } catch (error) {
+    console.error('Error GET /caja/cortes/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener el corte' });
+  }
+});
+
+module.exports = router;
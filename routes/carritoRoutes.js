@@ -3,33 +3,51 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { verifyToken } = require('../middleware/auth');
+const { normalizarIds, resolverOpciones, calcularPrecio, opcionSinStock } = require('../utils/opcionesProducto');
+const { stockReservado } = require('../utils/reservasStock');
 
-// Listar items del carrito (con descuentos de promociones activas)
+// Piezas que este cliente puede llevarse: lo apartado por otros clientes
+// en su checkout no cuenta (lo apartado por él mismo sí)
+async function stockDisponible(producto, userId) {
+  const reservado = await stockReservado(pool, [producto.id], { excluirUsuario: userId });
+  return Math.max(producto.stock_online - (reservado.get(producto.id) || 0), 0);
+}
+
+// Listar items del carrito (con descuentos de promociones activas; las
+// que requieren código se aplican hasta el checkout)
 router.get('/', verifyToken, async (req, res) => {
   try {
     const userId = req.user.userId;
     const result = await pool.query(`
       SELECT
-        ci.id AS carrito_item_id, ci.cantidad, ci.tamano, ci.created_at AS agregado_el,
-        p.id AS producto_id, p.nombre, p.descripcion, p.precio_chico, p.precio_grande,
+        ci.id AS carrito_item_id, ci.cantidad, ci.tamano, ci.variante_ids, ci.complemento_ids, ci.created_at AS agregado_el,
+        p.id AS producto_id, p.nombre, p.descripcion, p.precio_chico, p.precio_grande, p.categoria_id,
         p.imagen_url, p.stock_online, p.activo,
         c.nombre AS categoria,
-        CASE WHEN ci.tamano = 'grande' AND p.precio_grande IS NOT NULL THEN p.precio_grande ELSE p.precio_chico END AS precio_unitario,
         pr.descuento_porcentaje AS promo_descuento, pr.precio_oferta AS promo_precio_oferta, pr.tipo AS promo_tipo, pr.nombre_temporada AS promo_nombre
       FROM core.tblcarrito_items ci
       JOIN core.tblproductos p ON ci.producto_id = p.id
       JOIN core.tblcategorias c ON p.categoria_id = c.id
-      LEFT JOIN core.tblpromociones pr ON pr.producto_id = p.id AND pr.estado = 'activa' AND (pr.fecha_fin IS NULL OR pr.fecha_fin > NOW())
+      LEFT JOIN core.tblpromociones pr ON pr.producto_id = p.id AND pr.estado = 'activa' AND pr.codigo_descuento IS NULL AND (pr.fecha_fin IS NULL OR pr.fecha_fin > NOW())
       WHERE ci.usuario_id = $1
       ORDER BY ci.created_at DESC
     `, [userId]);
 
-    const items = result.rows.map(i => {
-      const precioBase = parseFloat(i.precio_unitario);
+    const resueltas = await resolverOpciones(pool, result.rows);
+    const reservado = await stockReservado(pool, result.rows.map(r => r.producto_id), { excluirUsuario: userId });
+    const items = result.rows.map((i, idx) => {
+      // Si una opción se desactivó, el renglón se muestra con aviso y el
+      // checkout lo rechaza hasta que el cliente lo vuelva a agregar
+      const { opciones = [], error } = resueltas[idx]; // eslint-disable-line security/detect-object-injection
+      const precio = calcularPrecio(i, i.tamano, opciones);
+      const precioBase = precio.producto + precio.complementos;
       let precioFinal = precioBase;
-      if (i.promo_descuento) precioFinal = Math.round(precioBase * (1 - parseFloat(i.promo_descuento) / 100));
+      if (i.promo_descuento) precioFinal = Math.round(precio.producto * (1 - parseFloat(i.promo_descuento) / 100)) + precio.complementos;
       return {
         ...i,
+        opciones: opciones.map(o => ({ clase: o.clase, id: o.id, tipo: o.tipo, nombre: o.nombre, precio: o.precio })),
+        opciones_no_disponibles: error || null,
+        stock_disponible: Math.max(i.stock_online - (reservado.get(i.producto_id) || 0), 0),
         precio_original: precioBase,
         precio_unitario: precioFinal,
         subtotal: precioFinal * i.cantidad,
@@ -62,12 +80,15 @@ router.post('/', verifyToken, async (req, res) => {
   try {
     const userId = req.user.userId;
     const { producto_id, cantidad, tamano } = req.body;
+    // Opcionales: variantes del producto (una por tipo) y complementos
+    const variante_ids = normalizarIds(req.body.variante_ids);
+    const complemento_ids = normalizarIds(req.body.complemento_ids);
 
     if (!producto_id || !cantidad || cantidad < 1) {
       return res.status(400).json({ success: false, message: 'Producto y cantidad son requeridos' });
     }
 
-    const producto = await pool.query('SELECT id, nombre, stock_online, activo FROM core.tblproductos WHERE id = $1', [producto_id]);
+    const producto = await pool.query('SELECT id, nombre, categoria_id, stock_online, activo FROM core.tblproductos WHERE id = $1', [producto_id]);
     if (producto.rows.length === 0 || !producto.rows[0].activo) {
       return res.status(404).json({ success: false, message: 'Producto no disponible' });
     }
@@ -75,27 +96,42 @@ router.post('/', verifyToken, async (req, res) => {
     if (producto.rows[0].stock_online === 0) {
       return res.status(400).json({ success: false, message: `"${producto.rows[0].nombre}" está agotado` });
     }
-    if (producto.rows[0].stock_online < cantidad) {
-      return res.status(400).json({ success: false, message: `Solo quedan ${producto.rows[0].stock_online} unidades` });
+    const disponible = await stockDisponible(producto.rows[0], userId);
+    if (disponible === 0) {
+      return res.status(400).json({ success: false, message: `"${producto.rows[0].nombre}" está apartado por otros clientes. Intenta de nuevo en unos minutos.` });
+    }
+    if (disponible < cantidad) {
+      return res.status(400).json({ success: false, message: `Solo quedan ${disponible} unidades` });
     }
 
-    // Si ya existe con mismo tamaño, sumar cantidad
+    const [resuelta] = await resolverOpciones(pool, [{ ...producto.rows[0], producto_id: producto.rows[0].id, variante_ids, complemento_ids }]);
+    if (resuelta.error) return res.status(400).json({ success: false, message: resuelta.error });
+    // Con variante de tamaño, su nombre reemplaza al chico/grande heredado
+    const tamanoLinea = resuelta.tamano ? resuelta.tamano.slice(0, 20) : (tamano || 'chico');
+
+    // Si ya existe con el mismo tamaño y opciones, sumar cantidad
     const existe = await pool.query(
-      'SELECT id, cantidad FROM core.tblcarrito_items WHERE usuario_id = $1 AND producto_id = $2 AND tamano = $3',
-      [userId, producto_id, tamano || 'chico']
+      `SELECT id, cantidad FROM core.tblcarrito_items
+       WHERE usuario_id = $1 AND producto_id = $2 AND tamano = $3 AND variante_ids = $4::int[] AND complemento_ids = $5::int[]`,
+      [userId, producto_id, tamanoLinea, variante_ids, complemento_ids]
     );
+    const nueva = (existe.rows.length > 0 ? existe.rows[0].cantidad : 0) + cantidad;
+    const agotada = opcionSinStock(resuelta.opciones, nueva);
+    if (agotada) {
+      return res.status(400).json({ success: false, message: `Solo quedan ${agotada.stock} de "${agotada.nombre}"` });
+    }
 
     if (existe.rows.length > 0) {
-      const nueva = existe.rows[0].cantidad + cantidad;
-      if (producto.rows[0].stock_online < nueva) {
-        return res.status(400).json({ success: false, message: `Solo quedan ${producto.rows[0].stock_online} unidades` });
+      if (disponible < nueva) {
+        return res.status(400).json({ success: false, message: `Solo quedan ${disponible} unidades` });
       }
       await pool.query('UPDATE core.tblcarrito_items SET cantidad = $1, updated_at = NOW() WHERE id = $2', [nueva, existe.rows[0].id]);
       res.json({ success: true, message: `Cantidad actualizada a ${nueva}` });
     } else {
       await pool.query(
-        'INSERT INTO core.tblcarrito_items (usuario_id, producto_id, cantidad, tamano, created_at, updated_at) VALUES ($1,$2,$3,$4,NOW(),NOW())',
-        [userId, producto_id, cantidad, tamano || 'chico']
+        `INSERT INTO core.tblcarrito_items (usuario_id, producto_id, cantidad, tamano, variante_ids, complemento_ids, created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,NOW(),NOW())`,
+        [userId, producto_id, cantidad, tamanoLinea, variante_ids, complemento_ids]
       );
       res.status(201).json({ success: true, message: `"${producto.rows[0].nombre}" agregado al carrito` });
     }
@@ -112,12 +148,19 @@ router.put('/:itemId', verifyToken, async (req, res) => {
     if (!cantidad || cantidad < 1) return res.status(400).json({ success: false, message: 'Cantidad debe ser al menos 1' });
 
     const item = await pool.query(
-      `SELECT ci.id, p.stock_online FROM core.tblcarrito_items ci JOIN core.tblproductos p ON ci.producto_id = p.id WHERE ci.id = $1 AND ci.usuario_id = $2`,
+      `SELECT ci.id, ci.producto_id, ci.variante_ids, ci.complemento_ids, p.nombre, p.categoria_id, p.stock_online
+       FROM core.tblcarrito_items ci JOIN core.tblproductos p ON ci.producto_id = p.id WHERE ci.id = $1 AND ci.usuario_id = $2`,
       [req.params.itemId, req.user.userId]
     );
     if (item.rows.length === 0) return res.status(404).json({ success: false, message: 'Item no encontrado' });
-    if (item.rows[0].stock_online < cantidad) {
-      return res.status(400).json({ success: false, message: `Solo quedan ${item.rows[0].stock_online} unidades` });
+    const disponible = await stockDisponible({ id: item.rows[0].producto_id, stock_online: item.rows[0].stock_online }, req.user.userId);
+    if (disponible < cantidad) {
+      return res.status(400).json({ success: false, message: `Solo quedan ${disponible} unidades` });
+    }
+    const [resuelta] = await resolverOpciones(pool, item.rows);
+    const agotada = resuelta.opciones && opcionSinStock(resuelta.opciones, cantidad);
+    if (agotada) {
+      return res.status(400).json({ success: false, message: `Solo quedan ${agotada.stock} de "${agotada.nombre}"` });
     }
 
     await pool.query('UPDATE core.tblcarrito_items SET cantidad = $1, updated_at = NOW() WHERE id = $2', [cantidad, req.params.itemId]);
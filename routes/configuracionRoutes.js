@@ -3,6 +3,9 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { verifyToken, verifyRole } = require('../middleware/auth');
+const { TIPOS, validarConfigHorario, validarFechasBloqueadas, disponibilidad } = require('../utils/horariosEntrega');
+const { validarHorasPico } = require('../utils/tarifasEnvio');
+const { validarConfigEvidencia } = require('../utils/evidenciaEntrega');
 
 // Obtener TODAS las secciones (dirección)
 router.get('/', verifyToken, verifyRole('direccion_general'), async (req, res) => {
@@ -20,7 +23,89 @@ router.get('/', verifyToken, verifyRole('direccion_general'), async (req, res) =
 // Secciones que puede leer cualquiera (el sitio público las necesita para
 // pintar tema y contenido). Las demás (pagos, seguridad, email...) guardan
 // credenciales y SOLO se leen autenticado vía GET /
-const SECCIONES_PUBLICAS = ['personalizacion', 'contenido', 'general', 'inicio', 'contacto', 'faq', 'nosotros', 'legales', 'promociones'];
+const SECCIONES_PUBLICAS = ['personalizacion', 'contenido', 'general', 'inicio', 'contacto', 'faq', 'nosotros', 'legales', 'promociones', 'horarios', 'envio'];
+
+// ── Cupo de horarios de recogida/entrega de un día (público) ──
+// ?tipo=pickup|domicilio&fecha=YYYY-MM-DD (hora de Huejutla)
+router.get('/horarios/disponibilidad', async (req, res) => {
+  try {
+    const tipo = req.query.tipo === 'domicilio' ? 'domicilio' : 'pickup';
+    const fecha = String(req.query.fecha || '');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha) || isNaN(new Date(fecha).getTime())) {
+      return res.status(400).json({ success: false, message: 'fecha es requerida (YYYY-MM-DD)' });
+    }
+    const resultado = await disponibilidad(pool, tipo, fecha);
+    res.json({ success: true, tipo, fecha, ...resultado });
+  } catch (error) {
+    console.error('Error GET /configuracion/horarios/disponibilidad:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener horarios disponibles' });
+  }
+});
+
+// ── Configurar horarios con cupo (dirección) ──
+// clave: pickup | domicilio | fechas_bloqueadas. A diferencia del PUT
+// genérico, valida la forma para que un valor mal escrito no deje al
+// checkout sin horarios (ver utils/horariosEntrega.js).
+router.put('/horarios/:clave', verifyToken, verifyRole('direccion_general'), async (req, res) => {
+  try {
+    const { clave } = req.params;
+    const { valor } = req.body;
+    if (![...TIPOS, 'fechas_bloqueadas'].includes(clave)) {
+      return res.status(400).json({ success: false, message: `Clave inválida. Valores: ${TIPOS.join(', ')}, fechas_bloqueadas` });
+    }
+    const error = clave === 'fechas_bloqueadas' ? validarFechasBloqueadas(valor) : validarConfigHorario(valor);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    await pool.query(
+      `INSERT INTO core.tblconfiguracion_sistema (seccion, clave, valor, updated_by) VALUES ('horarios', $1, $2, $3)
+       ON CONFLICT (seccion, clave) DO UPDATE SET valor = EXCLUDED.valor, updated_at = NOW(), updated_by = EXCLUDED.updated_by`,
+      [clave, JSON.stringify(valor), req.user.userId]
+    );
+    res.json({ success: true, message: 'Horarios actualizados' });
+  } catch (error) {
+    console.error('Error PUT /configuracion/horarios:', error.message);
+    res.status(500).json({ success: false, message: 'Error al actualizar horarios' });
+  }
+});
+
+// ── Recargos de hora pico del envío (dirección) ──
+// Validado como los horarios: una regla mal escrita se ignoraría en el
+// checkout sin avisar (ver utils/tarifasEnvio.js).
+router.put('/envio/horas_pico', verifyToken, verifyRole('direccion_general'), async (req, res) => {
+  try {
+    const { valor } = req.body;
+    const error = validarHorasPico(valor);
+    if (error) return res.status(400).json({ success: false, message: error });
+    await pool.query(
+      `INSERT INTO core.tblconfiguracion_sistema (seccion, clave, valor, updated_by) VALUES ('envio', 'horas_pico', $1, $2)
+       ON CONFLICT (seccion, clave) DO UPDATE SET valor = EXCLUDED.valor, updated_at = NOW(), updated_by = EXCLUDED.updated_by`,
+      [JSON.stringify(valor), req.user.userId]
+    );
+    res.json({ success: true, message: 'Horas pico actualizadas' });
+  } catch (error) {
+    console.error('Error PUT /configuracion/envio/horas_pico:', error.message);
+    res.status(500).json({ success: false, message: 'Error al actualizar horas pico' });
+  }
+});
+
+// Evidencia al cerrar una entrega: { foto_obligatoria, gps_obligatorio } (ver utils/evidenciaEntrega)
+router.put('/entregas/evidencia', verifyToken, verifyRole('direccion_general'), async (req, res) => {
+  try {
+    const { valor } = req.body;
+    const error = validarConfigEvidencia(valor);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const limpio = { foto_obligatoria: valor.foto_obligatoria, gps_obligatorio: valor.gps_obligatorio };
+    await pool.query(
+      `INSERT INTO core.tblconfiguracion_sistema (seccion, clave, valor, updated_by) VALUES ('entregas', 'evidencia', $1, $2)
+       ON CONFLICT (seccion, clave) DO UPDATE SET valor = EXCLUDED.valor, updated_at = NOW(), updated_by = EXCLUDED.updated_by`,
+      [JSON.stringify(limpio), req.user.userId]
+    );
+    res.json({ success: true, message: 'Evidencia de entrega actualizada' });
+  } catch (error) {
+    console.error('Error PUT /configuracion/entregas/evidencia:', error.message);
+    res.status(500).json({ success: false, message: 'Error al actualizar la evidencia de entrega' });
+  }
+});
 
 // Obtener la configuración de una sección pública
 router.get('/:seccion', async (req, res) => {
@@ -3,20 +3,25 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { verifyToken } = require('../middleware/auth');
+const { cargarZonas, zonaPara } = require('../utils/zonasEnvio');
 
 // ── Listar mis direcciones (con zona y tarifa si hay cobertura) ──
 router.get('/', verifyToken, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT d.id, d.alias, d.calle_numero, d.colonia, d.referencias, d.telefono_contacto, d.lat, d.lng, d.created_at,
-             z.id AS zona_id, z.nombre AS zona_nombre, z.tarifa
-      FROM core.tbldirecciones d
-      LEFT JOIN core.tblzonas_colonias zc ON LOWER(zc.colonia) = LOWER(d.colonia)
-      LEFT JOIN core.tblzonas_envio z ON z.id = zc.zona_id AND z.activa = TRUE
-      WHERE d.usuario_id = $1 AND d.activa = TRUE
-      ORDER BY d.created_at DESC
-    `, [req.user.userId]);
-    res.json({ success: true, direcciones: result.rows });
+    const [result, zonas] = await Promise.all([
+      pool.query(`
+        SELECT d.id, d.alias, d.calle_numero, d.colonia, d.referencias, d.telefono_contacto, d.lat, d.lng, d.created_at
+        FROM core.tbldirecciones d
+        WHERE d.usuario_id = $1 AND d.activa = TRUE
+        ORDER BY d.created_at DESC
+      `, [req.user.userId]),
+      cargarZonas(pool),
+    ]);
+    const direcciones = result.rows.map(d => {
+      const zona = zonaPara(zonas, { lat: d.lat === null ? NaN : parseFloat(d.lat), lng: d.lng === null ? NaN : parseFloat(d.lng), colonia: d.colonia });
+      return { ...d, zona_id: zona ? zona.zona_id : null, zona_nombre: zona ? zona.zona_nombre : null, tarifa: zona ? zona.tarifa : null };
+    });
+    res.json({ success: true, direcciones });
   } catch (error) {
     console.error('Error GET /direcciones:', error.message);
     res.status(500).json({ success: false, message: 'Error al obtener direcciones' });
@@ -1,10 +1,82 @@
 // routes/entregasRoutes.js — Asignación y flujo de entregas a domicilio
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const router = express.Router();
 const he = require('he'); // 🔒 SEGURIDAD: sanitización de HTML
 const { pool } = require('../config/database');
-const { verifyToken, verifyRole } = require('../middleware/auth');
+const { verifyToken, verifyRole, verifySucursal, fueraDeSucursal } = require('../middleware/auth');
 const { notificarConEmail, crearNotificacion } = require('../services/notificacionHelper');
+const { transicionarPedido } = require('../utils/estadoPedido');
+const { resolverSucursal } = require('../utils/sucursales');
+const { obtenerConfigHorarios } = require('../utils/horariosEntrega');
+const { optimizarRuta, estimarLlegada, distanciaKm } = require('../utils/rutas');
+const { publicarSeguimiento, suscribirSeguimiento } = require('../utils/seguimiento');
+const { esCoordenada } = require('../utils/zonasEnvio');
+const { notificarReferido } = require('../utils/referidos');
+const { generarCodigoEntrega, verificarCodigoEntrega, obtenerConfigEvidencia, esFotoEvidencia } = require('../utils/evidenciaEntrega');
+
+// El stream se abre con un token corto y ligado al pedido, no con la
+// sesión: EventSource no manda headers y la URL queda en logs e historial.
+// Secreto distinto al de sesión para que verifyToken no lo acepte.
+const SECRETO_STREAM = `${process.env.JWT_SECRET || 'pierreposteria_secret_key_2025'}:seguimiento`;
+const VIGENCIA_TOKEN_STREAM = '5m';
+const MINUTOS_UBICACION_VIGENTE = 2; // más vieja: el GPS del repartidor dejó de reportar
+const ESTADOS_FINALES_ENTREGA = ['entregada', 'fallida'];
+
+// Última posición de la entrega con su ETA al domicilio (si hay coordenadas)
+function armarUbicacion(ubicacion, direccion) {
+  if (!ubicacion) return { ubicacion: null, eta: null };
+  const pos = { lat: parseFloat(ubicacion.lat), lng: parseFloat(ubicacion.lng) };
+  const registrada = new Date(ubicacion.created_at);
+  const destino = direccion && direccion.lat != null && direccion.lng != null
+    ? { lat: parseFloat(direccion.lat), lng: parseFloat(direccion.lng) } : null;
+  let eta = null;
+  if (destino) {
+    const { distancia_km, minutos } = estimarLlegada(pos, destino);
+    eta = { distancia_km, minutos, llegada_estimada: new Date(registrada.getTime() + minutos * 60000) };
+  }
+  return {
+    ubicacion: {
+      ...pos,
+      precision_m: ubicacion.precision_m !== null ? parseFloat(ubicacion.precision_m) : null,
+      registrada_at: registrada,
+      desactualizada: Date.now() - registrada.getTime() > MINUTOS_UBICACION_VIGENTE * 60000,
+    },
+    eta,
+  };
+}
+
+// Seguimiento de un pedido del cliente, o null si no es suyo
+async function seguimientoPedido(pedidoId, usuarioId) {
+  const result = await pool.query(`
+    SELECT p.id AS pedido_id, p.numero, p.estado AS estado_pedido, p.tipo_entrega, p.direccion_entrega,
+           e.id AS entrega_id, e.estado AS estado_entrega, e.salio_at, r.nombre AS repartidor_nombre,
+           ub.lat, ub.lng, ub.precision_m, ub.created_at, ce.codigo AS codigo_entrega
+    FROM core.tblpedidos p
+    LEFT JOIN LATERAL (
+      SELECT * FROM core.tblentregas WHERE pedido_id = p.id ORDER BY created_at DESC LIMIT 1
+    ) e ON TRUE
+    LEFT JOIN core.tblusuarios r ON r.id = e.repartidor_id
+    LEFT JOIN LATERAL (
+      SELECT lat, lng, precision_m, created_at FROM core.tblentrega_ubicaciones
+      WHERE entrega_id = e.id ORDER BY created_at DESC LIMIT 1
+    ) ub ON TRUE
+    LEFT JOIN core.tblpedido_codigos_entrega ce ON ce.pedido_id = p.id
+    WHERE p.id = $1 AND p.usuario_id = $2
+  `, [pedidoId, usuarioId]);
+  const s = result.rows[0];
+  if (!s) return null;
+  return {
+    pedido_id: s.pedido_id,
+    numero: s.numero,
+    estado_pedido: s.estado_pedido,
+    tipo_entrega: s.tipo_entrega,
+    entrega: s.entrega_id ? { id: s.entrega_id, estado: s.estado_entrega, salio_at: s.salio_at, repartidor_nombre: s.repartidor_nombre } : null,
+    // Solo mientras va en camino: es lo que el cliente le dicta al repartidor
+    codigo_entrega: s.estado_entrega === 'en_camino' ? s.codigo_entrega : null,
+    ...armarUbicacion(s.created_at ? s : null, s.direccion_entrega),
+  };
+}
 
 // ── Mis entregas del día (repartidor) ──
 router.get('/mis-entregas', verifyToken, verifyRole('repartidor'), async (req, res) => {
@@ -12,25 +84,102 @@ router.get('/mis-entregas', verifyToken, verifyRole('repartidor'), async (req, r
     const result = await pool.query(`
       SELECT e.id, e.pedido_id, e.estado, e.asignado_at, e.salio_at, e.finalizado_at,
              e.evidencia_url, e.recibio_nombre, e.motivo_fallo,
+             e.codigo_verificado, e.autorizada_sin_codigo_at, COALESCE(ce.intentos, 0) AS intentos_codigo,
              p.numero, p.total, p.costo_envio, p.metodo_pago, p.notas,
              p.direccion_entrega, p.horario_entrega,
              u.nombre AS cliente_nombre, u.apellido AS cliente_apellido, u.telefono AS cliente_telefono
       FROM core.tblentregas e
       JOIN core.tblpedidos p ON p.id = e.pedido_id
       JOIN core.tblusuarios u ON u.id = p.usuario_id
+      LEFT JOIN core.tblpedido_codigos_entrega ce ON ce.pedido_id = p.id
       WHERE e.repartidor_id = $1
         AND (e.estado IN ('asignada', 'en_camino') OR e.finalizado_at::date = CURRENT_DATE)
       ORDER BY
         CASE e.estado WHEN 'en_camino' THEN 0 WHEN 'asignada' THEN 1 ELSE 2 END,
         p.horario_entrega NULLS LAST, e.asignado_at
     `, [req.user.userId]);
-    res.json({ success: true, entregas: result.rows });
+    const evidencia = await obtenerConfigEvidencia(pool);
+    res.json({ success: true, entregas: result.rows, requisitos: { ...evidencia, codigo_entrega: true } });
   } catch (error) {
     console.error('Error GET /entregas/mis-entregas:', error.message);
     res.status(500).json({ success: false, message: 'Error al obtener entregas' });
   }
 });
 
+// ── Ruta sugerida para mis entregas activas (repartidor) ──
+// Sale de la sucursal del pedido asignado más antiguo (o de ?lat&lng si
+// el repartidor ya va en camino) y pasa por todas las entregas asignadas
+// y en camino; la ventana de cada una es su franja de horario_entrega.
+router.get('/mi-ruta', verifyToken, verifyRole('repartidor'), async (req, res) => {
+  try {
+    const lat = req.query.lat !== undefined ? parseFloat(req.query.lat) : null;
+    const lng = req.query.lng !== undefined ? parseFloat(req.query.lng) : null;
+    const ubicacion = lat !== null || lng !== null;
+    if (ubicacion && (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180)) {
+      return res.status(400).json({ success: false, message: 'lat y lng deben ser coordenadas válidas' });
+    }
+
+    const [result, config] = await Promise.all([
+      pool.query(`
+        SELECT e.id AS entrega_id, e.pedido_id, e.estado, p.numero, p.sucursal_id, p.direccion_entrega,
+               (p.horario_entrega AT TIME ZONE 'UTC') AS horario_entrega,
+               u.nombre AS cliente_nombre, u.apellido AS cliente_apellido, u.telefono AS cliente_telefono
+        FROM core.tblentregas e
+        JOIN core.tblpedidos p ON p.id = e.pedido_id
+        JOIN core.tblusuarios u ON u.id = p.usuario_id
+        WHERE e.repartidor_id = $1 AND e.estado IN ('asignada', 'en_camino')
+        ORDER BY e.asignado_at
+      `, [req.user.userId]),
+      obtenerConfigHorarios(pool),
+    ]);
+    if (result.rows.length === 0) {
+      return res.json({ success: true, origen: null, paradas: [], sin_coordenadas: [], distancia_total_km: 0, duracion_min: 0 });
+    }
+
+    let origen;
+    if (ubicacion) {
+      origen = { tipo: 'ubicacion', lat, lng };
+    } else {
+      let sucursal = await resolverSucursal(pool, result.rows[0].sucursal_id);
+      if (sucursal.error) sucursal = await resolverSucursal(pool);
+      if (sucursal.error || sucursal.lat === null || sucursal.lng === null) {
+        return res.status(400).json({ success: false, message: 'La sucursal no tiene coordenadas; envía tu ubicación (lat, lng)' });
+      }
+      origen = { tipo: 'sucursal', sucursal_id: sucursal.id, nombre: sucursal.nombre, lat: parseFloat(sucursal.lat), lng: parseFloat(sucursal.lng) };
+    }
+
+    const duracionFranja = (config.domicilio ? config.domicilio.duracion_minutos : 60) * 60000;
+    const paradas = result.rows.map(r => {
+      const dir = r.direccion_entrega || {};
+      const inicio = r.horario_entrega ? new Date(r.horario_entrega).getTime() : null;
+      return {
+        ...r,
+        lat: dir.lat !== undefined && dir.lat !== null ? parseFloat(dir.lat) : null,
+        lng: dir.lng !== undefined && dir.lng !== null ? parseFloat(dir.lng) : null,
+        ventana_inicio: inicio,
+        ventana_fin: inicio ? inicio + duracionFranja : null,
+      };
+    });
+
+    const ruta = optimizarRuta(origen, paradas);
+    const conFechas = p => ({
+      ...p,
+      ventana_inicio: p.ventana_inicio ? new Date(p.ventana_inicio) : null,
+      ventana_fin: p.ventana_fin ? new Date(p.ventana_fin) : null,
+    });
+    res.json({
+      success: true,
+      origen,
+      ...ruta,
+      paradas: ruta.paradas.map(conFechas),
+      sin_coordenadas: ruta.sin_coordenadas.map(conFechas),
+    });
+  } catch (error) {
+    console.error('Error GET /entregas/mi-ruta:', error.message);
+    res.status(500).json({ success: false, message: 'Error al calcular la ruta' });
+  }
+});
+
 // ── Pool de pedidos a domicilio listos y sin repartidor (repartidor) ──
 router.get('/disponibles', verifyToken, verifyRole('repartidor'), async (req, res) => {
   try {
@@ -80,7 +229,8 @@ router.post('/aceptar', verifyToken, verifyRole('repartidor'), async (req, res)
        VALUES ($1, $2, 'asignada', $2, NOW(), NOW(), NOW()) RETURNING *`,
       [pedido_id, req.user.userId]
     );
-    await client.query(`UPDATE core.tblpedidos SET estado = 'asignado', updated_at = NOW() WHERE id = $1`, [pedido_id]);
+    const cambio = await transicionarPedido(client, pedido_id, 'asignado', { usuarioId: req.user.userId, motivo: 'Repartidor aceptó la entrega' });
+    if (cambio.error) { await client.query('ROLLBACK'); return res.status(cambio.status).json({ success: false, message: cambio.error }); }
     await client.query('COMMIT');
 
     // Avisar al cliente en el momento de la aceptación (antes solo se
@@ -246,7 +396,11 @@ router.post('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_gene
        VALUES ($1, $2, 'asignada', $3, NOW(), NOW(), NOW()) RETURNING *`,
       [pedido_id, repartidor_id, req.user.userId]
     );
-    await client.query(`UPDATE core.tblpedidos SET estado = 'asignado', updated_at = NOW() WHERE id = $1`, [pedido_id]);
+    const cambio = await transicionarPedido(client, pedido_id, 'asignado', {
+      usuarioId: req.user.userId,
+      motivo: `Asignado a ${repartidor.nombre} ${repartidor.apellido}`,
+    });
+    if (cambio.error) { await client.query('ROLLBACK'); return res.status(cambio.status).json({ success: false, message: cambio.error }); }
     await client.query('COMMIT');
 
     await crearNotificacion({
@@ -279,24 +433,161 @@ router.post('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_gene
   } finally { client.release(); }
 });
 
+// ── Posición del repartidor durante una entrega en camino ──
+// La app la manda cada pocos segundos; se guarda y se avisa a quien esté
+// siguiendo el pedido por SSE.
+router.post('/:id/ubicacion', verifyToken, verifyRole('repartidor'), async (req, res) => {
+  try {
+    const lat = parseFloat(req.body.lat);
+    const lng = parseFloat(req.body.lng);
+    const precision = req.body.precision_m !== undefined && req.body.precision_m !== null ? parseFloat(req.body.precision_m) : null;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({ success: false, message: 'lat y lng deben ser coordenadas válidas' });
+    }
+    if (precision !== null && (!Number.isFinite(precision) || precision < 0)) {
+      return res.status(400).json({ success: false, message: 'precision_m debe ser un número positivo' });
+    }
+
+    const entregaResult = await pool.query(
+      `SELECT e.estado, e.pedido_id, p.direccion_entrega FROM core.tblentregas e
+       JOIN core.tblpedidos p ON p.id = e.pedido_id WHERE e.id = $1 AND e.repartidor_id = $2`,
+      [req.params.id, req.user.userId]
+    );
+    if (entregaResult.rows.length === 0) return res.status(404).json({ success: false, message: 'Entrega no encontrada' });
+    const entrega = entregaResult.rows[0];
+    if (entrega.estado !== 'en_camino') {
+      return res.status(400).json({ success: false, message: 'Solo se comparte la ubicación mientras vas en camino' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO core.tblentrega_ubicaciones (entrega_id, lat, lng, precision_m) VALUES ($1, $2, $3, $4) RETURNING *`,
+      [req.params.id, lat, lng, precision]
+    );
+    // Por si alguna entrega del repartidor terminó sin pasar por /estado
+    await pool.query(
+      `DELETE FROM core.tblentrega_ubicaciones u USING core.tblentregas e
+       WHERE u.entrega_id = e.id AND e.repartidor_id = $1 AND e.estado NOT IN ('asignada', 'en_camino')`,
+      [req.user.userId]
+    );
+
+    const datos = armarUbicacion(result.rows[0], entrega.direccion_entrega);
+    publicarSeguimiento(entrega.pedido_id, 'ubicacion', datos);
+    res.status(201).json({ success: true, ...datos });
+  } catch (error) {
+    console.error('Error POST /entregas/:id/ubicacion:', error.message);
+    res.status(500).json({ success: false, message: 'Error al registrar la ubicación' });
+  }
+});
+
+// ── Seguimiento de mi pedido (cliente dueño del pedido) ──
+router.get('/seguimiento/:pedidoId', verifyToken, async (req, res) => {
+  try {
+    const seguimiento = await seguimientoPedido(req.params.pedidoId, req.user.userId);
+    if (!seguimiento) return res.status(404).json({ success: false, message: 'Pedido no encontrado' });
+    res.json({ success: true, seguimiento });
+  } catch (error) {
+    console.error('Error GET /entregas/seguimiento/:pedidoId:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener el seguimiento' });
+  }
+});
+
+// ── Token para abrir el seguimiento en vivo (cliente dueño del pedido) ──
+// Se pide con la sesión normal y se usa en ?token= del stream. Solo sirve
+// para ese pedido y vence pronto; si EventSource pierde la conexión
+// después, la app pide otro.
+router.post('/seguimiento/:pedidoId/stream-token', verifyToken, async (req, res) => {
+  try {
+    const seguimiento = await seguimientoPedido(req.params.pedidoId, req.user.userId);
+    if (!seguimiento) return res.status(404).json({ success: false, message: 'Pedido no encontrado' });
+    const token = jwt.sign({ userId: req.user.userId, pedidoId: seguimiento.pedido_id }, SECRETO_STREAM, { expiresIn: VIGENCIA_TOKEN_STREAM });
+    res.json({ success: true, token, url: `/api/entregas/seguimiento/${seguimiento.pedido_id}/stream?token=${encodeURIComponent(token)}` });
+  } catch (error) {
+    console.error('Error POST /entregas/seguimiento/:pedidoId/stream-token:', error.message);
+    res.status(500).json({ success: false, message: 'Error al preparar el seguimiento' });
+  }
+});
+
+// EventSource no puede mandar headers: el stream se autentica con el
+// token de POST /seguimiento/:pedidoId/stream-token en ?token=
+function tokenDeStream(req, res, next) {
+  try {
+    const datos = jwt.verify(String(req.query.token || ''), SECRETO_STREAM);
+    if (String(datos.pedidoId) !== String(req.params.pedidoId)) {
+      return res.status(401).json({ success: false, message: 'Token inválido' });
+    }
+    req.user = { userId: datos.userId };
+    next();
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido';
+    return res.status(401).json({ success: false, message });
+  }
+}
+
+// ── Seguimiento en vivo (SSE) ──
+// Eventos: "seguimiento" (estado completo al conectar), "ubicacion" y
+// "estado". Se cierra solo cuando la entrega termina.
+router.get('/seguimiento/:pedidoId/stream', tokenDeStream, async (req, res) => {
+  let seguimiento;
+  try {
+    seguimiento = await seguimientoPedido(req.params.pedidoId, req.user.userId);
+  } catch (error) {
+    console.error('Error GET /entregas/seguimiento/:pedidoId/stream:', error.message);
+    return res.status(500).json({ success: false, message: 'Error al obtener el seguimiento' });
+  }
+  if (!seguimiento) return res.status(404).json({ success: false, message: 'Pedido no encontrado' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  const enviar = (evento, datos) => res.write(`event: ${evento}\ndata: ${JSON.stringify(datos)}\n\n`);
+  enviar('seguimiento', seguimiento);
+  if (seguimiento.entrega && ESTADOS_FINALES_ENTREGA.includes(seguimiento.entrega.estado)) return res.end();
+
+  // Comentario cada 25 s para que proxies no corten la conexión
+  const latido = setInterval(() => res.write(': ping\n\n'), 25000);
+  const dejarDeEscuchar = suscribirSeguimiento(seguimiento.pedido_id, (evento, datos) => {
+    enviar(evento, datos);
+    if (evento === 'estado' && ESTADOS_FINALES_ENTREGA.includes(datos.estado)) res.end();
+  });
+  res.on('close', () => { clearInterval(latido); dejarDeEscuchar(); });
+});
+
 // ── Cambiar estado de MI entrega (repartidor) ──
 router.put('/:id/estado', verifyToken, verifyRole('repartidor'), async (req, res) => {
   const client = await pool.connect();
   try {
-    const { estado, evidencia_url, recibio_nombre, motivo_fallo } = req.body;
-
-    const transiciones = {
-      en_camino: { desde: ['asignada'], pedido: 'en_camino' },
-      // 'entregada' también desde 'asignada': el repartidor que acepta
-      // estando ya en la zona puede entregar directo sin "salir en camino"
-      entregada: { desde: ['asignada', 'en_camino'], pedido: 'entregado' },
-      fallida: { desde: ['asignada', 'en_camino'], pedido: 'entrega_fallida' },
-    };
-    const transicion = transiciones[estado]; // eslint-disable-line security/detect-object-injection
-    if (!transicion) return res.status(400).json({ success: false, message: 'Estado inválido. Valores: en_camino, entregada, fallida' });
+    const { estado, evidencia_url, recibio_nombre, motivo_fallo, codigo_entrega } = req.body;
+
+    // Estado de la entrega → estado del pedido. Qué cambios son legales lo
+    // decide la máquina de estados del pedido (utils/estadoPedido); aquí
+    // solo se exige que la entrega siga activa.
+    const estadoPedido = { en_camino: 'en_camino', entregada: 'entregado', fallida: 'entrega_fallida' };
+    const hacia = Object.prototype.hasOwnProperty.call(estadoPedido, estado) ? estadoPedido[estado] : null; // eslint-disable-line security/detect-object-injection
+    if (!hacia) return res.status(400).json({ success: false, message: 'Estado inválido. Valores: en_camino, entregada, fallida' });
     if (estado === 'entregada' && !recibio_nombre) return res.status(400).json({ success: false, message: 'Indica quién recibió el pedido' });
     if (estado === 'fallida' && !motivo_fallo) return res.status(400).json({ success: false, message: 'Indica el motivo del fallo' });
 
+    // Evidencia del cierre: foto (subida antes a /api/upload/imagen) y
+    // posición del repartidor; qué es obligatorio lo decide la configuración
+    let cierre = null;
+    if (req.body.lat !== undefined && req.body.lat !== null && req.body.lat !== '') {
+      const lat = parseFloat(req.body.lat);
+      const lng = parseFloat(req.body.lng);
+      const precision = req.body.precision_m !== undefined && req.body.precision_m !== null ? parseFloat(req.body.precision_m) : null;
+      if (!esCoordenada(lat, lng)) return res.status(400).json({ success: false, message: 'lat y lng deben ser coordenadas válidas' });
+      if (precision !== null && (!Number.isFinite(precision) || precision < 0)) {
+        return res.status(400).json({ success: false, message: 'precision_m debe ser un número positivo' });
+      }
+      cierre = { lat, lng, precision_m: precision };
+    }
+    if (evidencia_url && !esFotoEvidencia(evidencia_url)) {
+      return res.status(400).json({ success: false, message: 'La foto debe subirse con /api/upload/imagen (tipo "entregas")' });
+    }
+    if (estado === 'entregada') {
+      const evidencia = await obtenerConfigEvidencia(pool);
+      if (evidencia.foto_obligatoria && !evidencia_url) return res.status(400).json({ success: false, message: 'Toma una foto de la entrega' });
+      if (evidencia.gps_obligatorio && !cierre) return res.status(400).json({ success: false, message: 'Activa tu ubicación para cerrar la entrega' });
+    }
+
     await client.query('BEGIN');
 
     const entregaResult = await client.query(
@@ -305,11 +596,71 @@ router.put('/:id/estado', verifyToken, verifyRole('repartidor'), async (req, res
     );
     if (entregaResult.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Entrega no encontrada' }); }
     const entrega = entregaResult.rows[0];
-    if (!transicion.desde.includes(entrega.estado)) {
+    if (!['asignada', 'en_camino'].includes(entrega.estado)) {
       await client.query('ROLLBACK');
       return res.status(400).json({ success: false, message: `No se puede pasar de "${entrega.estado}" a "${estado}"` });
     }
 
+    // Código de entrega: el cliente lo recibe al salir en camino. Sin él
+    // solo se cierra si la sucursal lo autorizó (POST /:id/autorizar-sin-codigo).
+    // Se verifica con pool para que el intento fallido cuente aunque aquí se haga ROLLBACK.
+    // Sin código la foto es la única prueba: se pide siempre, aunque la
+    // configuración no la haga obligatoria.
+    const sinCodigo = Boolean(entrega.autorizada_sin_codigo_at);
+    if (estado === 'entregada' && sinCodigo && !evidencia_url) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: 'Toma una foto de la entrega: se autorizó sin código' });
+    }
+    let codigoVerificado = false;
+    if (estado === 'entregada' && !sinCodigo) {
+      if (entrega.estado === 'asignada') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: 'Marca la entrega "en camino" para que el cliente reciba su código de entrega' });
+      }
+      const verificacion = await verificarCodigoEntrega(pool, entrega.pedido_id, codigo_entrega);
+      if (verificacion.error) {
+        await client.query('ROLLBACK');
+        return res.status(verificacion.bloqueado ? 423 : 400).json({ success: false, message: verificacion.error, bloqueado: Boolean(verificacion.bloqueado) });
+      }
+      codigoVerificado = verificacion.verificado;
+    }
+
+    const cambio = await transicionarPedido(client, entrega.pedido_id, hacia, {
+      usuarioId: req.user.userId,
+      motivo: estado === 'fallida' ? `Entrega fallida: ${motivo_fallo}`
+        : (estado === 'entregada' ? `Recibió: ${recibio_nombre}${sinCodigo ? ' (sin código, autorizado por sucursal)' : ''}` : null),
+    });
+    if (cambio.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: `No se puede pasar de "${entrega.estado}" a "${estado}"` });
+    }
+
+    const { pedido } = cambio;
+    let codigoEntrega = null;
+    if (estado === 'en_camino') codigoEntrega = await generarCodigoEntrega(client, pedido.id);
+    if (codigoVerificado) {
+      await client.query('UPDATE core.tblpedido_codigos_entrega SET verificado_at = NOW() WHERE pedido_id = $1', [pedido.id]);
+    }
+
+    // Si la app no mandó posición al cerrar, queda la última que reportó en camino
+    let distanciaDestinoM = null;
+    if (ESTADOS_FINALES_ENTREGA.includes(estado)) {
+      if (!cierre) {
+        const ultima = await client.query(
+          `SELECT lat, lng, precision_m FROM core.tblentrega_ubicaciones
+           WHERE entrega_id = $1 AND created_at > NOW() - make_interval(mins => $2)
+           ORDER BY created_at DESC LIMIT 1`,
+          [req.params.id, MINUTOS_UBICACION_VIGENTE]
+        );
+        const u = ultima.rows[0];
+        if (u) cierre = { lat: parseFloat(u.lat), lng: parseFloat(u.lng), precision_m: u.precision_m !== null ? parseFloat(u.precision_m) : null };
+      }
+      const destino = pedido.direccion_entrega;
+      if (cierre && destino && destino.lat != null && destino.lng != null) {
+        distanciaDestinoM = Math.round(distanciaKm(cierre, { lat: parseFloat(destino.lat), lng: parseFloat(destino.lng) }) * 1000);
+      }
+    }
+
     // $1::text en todos los usos: sin el cast, Postgres deduce tipos distintos
     // para el mismo parámetro (varchar en el SET, text en los CASE) y truena con 42P08
     const actualizada = await client.query(`
@@ -322,16 +673,28 @@ router.put('/:id/estado', verifyToken, verifyRole('repartidor'), async (req, res
           evidencia_url = COALESCE($2, evidencia_url),
           recibio_nombre = COALESCE($3, recibio_nombre),
           motivo_fallo = COALESCE($4, motivo_fallo),
+          codigo_verificado = codigo_verificado OR $6,
+          cierre_lat = COALESCE($7, cierre_lat),
+          cierre_lng = COALESCE($8, cierre_lng),
+          cierre_precision_m = COALESCE($9, cierre_precision_m),
+          cierre_distancia_destino_m = COALESCE($10, cierre_distancia_destino_m),
           updated_at = NOW()
       WHERE id = $5 RETURNING *
-    `, [estado, evidencia_url || null, recibio_nombre || null, motivo_fallo || null, req.params.id]);
+    `, [
+      estado, evidencia_url || null, recibio_nombre || null, motivo_fallo || null, req.params.id, codigoVerificado,
+      ESTADOS_FINALES_ENTREGA.includes(estado) && cierre ? cierre.lat : null,
+      ESTADOS_FINALES_ENTREGA.includes(estado) && cierre ? cierre.lng : null,
+      ESTADOS_FINALES_ENTREGA.includes(estado) && cierre ? cierre.precision_m : null,
+      distanciaDestinoM,
+    ]);
+    // Terminada la entrega, las posiciones del repartidor ya no se guardan
+    if (ESTADOS_FINALES_ENTREGA.includes(estado)) {
+      await client.query('DELETE FROM core.tblentrega_ubicaciones WHERE entrega_id = $1', [req.params.id]);
+    }
 
-    const pedidoResult = await client.query(
-      'UPDATE core.tblpedidos SET estado = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
-      [transicion.pedido, entrega.pedido_id]
-    );
-    const pedido = pedidoResult.rows[0];
     await client.query('COMMIT');
+    publicarSeguimiento(pedido.id, 'estado', { estado, estado_pedido: pedido.estado });
+    await notificarReferido(cambio.avisos);
 
     // Notificar al cliente (email solo al salir en camino, que es cuando debe estar pendiente)
     if (estado === 'en_camino') {
@@ -343,7 +706,7 @@ router.put('/:id/estado', verifyToken, verifyRole('repartidor'), async (req, res
           usuario_id: pedido.usuario_id,
           tipo: 'pedido',
           titulo: '¡Tu pedido va en camino!',
-          mensaje: `Tu pedido #${pedido.numero} salió de la sucursal y va en camino a tu domicilio.`,
+          mensaje: `Tu pedido #${pedido.numero} salió de la sucursal y va en camino a tu domicilio. Tu código de entrega es ${codigoEntrega}: díselo al repartidor solo cuando tengas el pedido en tus manos.`,
           email: u.email,
           nombre: u.nombre,
           asunto: `🛵 ¡Tu pedido #${safeNumero} va en camino! — Pier Repostería`,
@@ -351,8 +714,9 @@ router.put('/:id/estado', verifyToken, verifyRole('repartidor'), async (req, res
             <h2>¡Tu pedido va en camino!</h2>
             <div class="highlight-box">
               <p><strong>Pedido:</strong> #${safeNumero}</p>
+              <p><strong>Código de entrega:</strong> ${he.escape(String(codigoEntrega))}</p>
             </div>
-            <p>Nuestro repartidor salió de la sucursal. Ten a la mano tu número de pedido para recibirlo.</p>
+            <p>Nuestro repartidor salió de la sucursal. Díctale tu código de entrega solo cuando tengas el pedido en tus manos: con él confirmamos que lo recibiste.</p>
           `,
         });
       }
@@ -375,6 +739,7 @@ router.put('/:id/estado', verifyToken, verifyRole('repartidor'), async (req, res
           <div class="highlight-box">
             <p><strong>Pedido:</strong> #${safeNumero}</p>
             ${safeRecibio ? `<p><strong>Lo recibió:</strong> ${safeRecibio}</p>` : ''}
+            ${codigoVerificado ? '<p>Entrega confirmada con tu código de entrega.</p>' : ''}
           </div>
           <p>Gracias por tu compra. ¡Buen provecho! 🧁</p>
           <p>¿Nos cuentas cómo estuvo? Deja tu reseña en la web.</p>
@@ -397,6 +762,52 @@ router.put('/:id/estado', verifyToken, verifyRole('repartidor'), async (req, res
   } finally { client.release(); }
 });
 
+// ── Autorizar cierre sin código de entrega (empleado+) ──
+// Para cuando el cliente no tiene su código o el repartidor agotó los
+// intentos: la sucursal confirma con el cliente (p. ej. por teléfono) y
+// queda registrado quién autorizó y por qué. El cierre pide la foto
+// aunque la configuración no la haga obligatoria.
+router.post('/:id/autorizar-sin-codigo', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), verifySucursal, async (req, res) => {
+  try {
+    const motivo = String(req.body.motivo || '').trim();
+    if (!motivo) return res.status(400).json({ success: false, message: 'Indica por qué se autoriza la entrega sin código' });
+
+    const origen = await pool.query(
+      'SELECT p.sucursal_id FROM core.tblentregas e JOIN core.tblpedidos p ON p.id = e.pedido_id WHERE e.id = $1',
+      [req.params.id]
+    );
+    if (origen.rows.length === 0) return res.status(404).json({ success: false, message: 'Entrega no encontrada o ya finalizada' });
+    if (fueraDeSucursal(req, origen.rows[0].sucursal_id)) {
+      return res.status(403).json({ success: false, message: 'La entrega es de otra sucursal' });
+    }
+
+    const result = await pool.query(`
+      UPDATE core.tblentregas e
+      SET autorizada_sin_codigo_por = $2, autorizada_sin_codigo_motivo = $3, autorizada_sin_codigo_at = NOW(), updated_at = NOW()
+      FROM core.tblpedidos p
+      WHERE e.id = $1 AND p.id = e.pedido_id AND e.estado IN ('asignada', 'en_camino')
+      RETURNING e.id, e.repartidor_id, e.pedido_id, p.numero
+    `, [req.params.id, req.user.userId, motivo]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Entrega no encontrada o ya finalizada' });
+    }
+    const e = result.rows[0];
+
+    const { registrarAuditoria } = require('../utils/auditoria');
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Autorizó entrega sin código', entidad: 'pedido', entidad_id: e.pedido_id, detalles: `#${e.numero} · ${motivo}` });
+    await crearNotificacion({
+      usuario_id: e.repartidor_id,
+      tipo: 'pedido',
+      titulo: 'Entrega autorizada sin código',
+      mensaje: `La sucursal autorizó cerrar el pedido #${e.numero} sin código de entrega. Toma la foto de la entrega al cerrarla.`,
+    });
+    res.json({ success: true, message: `Pedido #${e.numero}: el repartidor ya puede cerrar la entrega sin código` });
+  } catch (error) {
+    console.error('Error POST /entregas/:id/autorizar-sin-codigo:', error.message);
+    res.status(500).json({ success: false, message: 'Error al autorizar la entrega' });
+  }
+});
+
 // ── "Llegué al domicilio" (repartidor): avisa al cliente SIN cambiar
 // el estado — notificación + email de "sal a recibir tu pedido" ──
 router.post('/:id/llegue', verifyToken, verifyRole('repartidor'), async (req, res) => {
@@ -428,7 +839,7 @@ router.post('/:id/llegue', verifyToken, verifyRole('repartidor'), async (req, re
         <div class="highlight-box">
           <p><strong>Pedido:</strong> #${safeNumero}</p>
         </div>
-        <p>Sal a recibir tu pedido. Ten a la mano tu número de pedido. 🧁</p>
+        <p>Sal a recibir tu pedido. Ten a la mano tu código de entrega. 🧁</p>
       `,
     });
     res.json({ success: true, message: 'Cliente avisado de tu llegada' });
@@ -0,0 +1,358 @@
+// routes/facturasRoutes.js — Perfiles fiscales y facturas CFDI 4.0
+//
+// El cliente guarda sus datos fiscales y pide la factura de un pedido
+// pagado dentro del mismo mes. El comprobante se arma con los productos
+// del pedido y lo cobrado en tblpagos, lo timbra el PAC configurado
+// (services/pacService.js) y el XML y el PDF se guardan y se le envían
+// por correo. Si el PAC falla, la factura queda en 'error' y se reintenta.
+const express = require('express');
+const router = express.Router();
+const he = require('he');
+const { pool } = require('../config/database');
+const { verifyToken, verifyRole } = require('../middleware/auth');
+const { registrarAuditoria } = require('../utils/auditoria');
+const {
+  REGIMENES, USOS_CFDI, FORMAS_PAGO,
+  validarPerfilFiscal, obtenerEmisor, fechaCfdi, pagoDelMes, conceptosDePedido, construirCfdi,
+} = require('../utils/cfdi');
+const { pdfFactura } = require('../utils/facturaPdf');
+const { timbrar } = require('../services/pacService');
+
+const SUPERVISION = ['gerencia', 'direccion_general'];
+const SERIE = process.env.CFDI_SERIE || 'F';
+const CAMPOS_FACTURA = `f.id, f.pedido_id, f.usuario_id, f.receptor, f.serie, f.folio, f.forma_pago, f.subtotal, f.descuento,
+  f.impuestos, f.total, f.estado, f.pac, f.uuid, f.error, f.intentos, f.timbrada_at, f.created_at`;
+
+// Pedido con su pago; motivoNoFacturable() decide si se puede facturar
+const SQL_PEDIDO_FACTURABLE = `
+  SELECT p.id, p.numero, p.usuario_id, p.estado, p.metodo_pago, p.costo_envio, p.monto_tarjeta_regalo,
+         pg.estado AS estado_pago, pg.monto_total, COALESCE(pg.monto_reembolsado, 0) AS monto_reembolsado,
+         COALESCE(pg.saldo_pagado_at, pg.fecha_confirmacion_pago, pg.created_at) AS pagado_at
+  FROM core.tblpedidos p
+  JOIN core.tblpagos pg ON pg.pedido_id = p.id
+  WHERE p.id = $1`;
+
+// Motivo por el que el pedido no se puede facturar, o null
+function motivoNoFacturable(pedido) {
+  if (pedido.estado === 'cancelado') return 'El pedido está cancelado';
+  if (pedido.estado_pago !== 'pagado') return 'Solo se facturan pedidos pagados';
+  if (parseFloat(pedido.monto_reembolsado) > 0) return 'El pedido tiene reembolsos; escríbenos para facturarlo';
+  if (!pagoDelMes(pedido.pagado_at)) return 'La factura se solicita dentro del mismo mes en que se pagó el pedido';
+  return null;
+}
+
+/**
+ * Arma el comprobante, lo timbra y guarda UUID, XML y PDF. La factura
+ * debe estar ya reclamada en estado 'pendiente'. Si algo falla queda en
+ * 'error' con el motivo. Devuelve la fila actualizada.
+ */
+async function emitirFactura(facturaId) {
+  const f = (await pool.query('SELECT * FROM core.tblfacturas WHERE id = $1', [facturaId])).rows[0];
+  try {
+    const emisor = obtenerEmisor();
+    if (!emisor) throw new Error('Faltan los datos del emisor (CFDI_EMISOR_*)');
+    const [pedidoResult, itemsResult] = await Promise.all([
+      pool.query(SQL_PEDIDO_FACTURABLE, [f.pedido_id]),
+      pool.query(
+        'SELECT producto_id, nombre_producto, cantidad, tamano, subtotal, opciones FROM core.tblpedido_items WHERE pedido_id = $1 ORDER BY id',
+        [f.pedido_id]
+      ),
+    ]);
+    const pedido = pedidoResult.rows[0];
+    const cfdi = construirCfdi({
+      emisor, receptor: f.receptor, serie: f.serie, folio: f.folio, fecha: fechaCfdi(), formaPago: f.forma_pago,
+      // Lo pagado con tarjeta de regalo es pago, no descuento
+      conceptos: conceptosDePedido(itemsResult.rows, pedido, {
+        monto_total: parseFloat(pedido.monto_total) + parseFloat(pedido.monto_tarjeta_regalo || 0),
+      }),
+    });
+    const timbre = await timbrar(cfdi.xml);
+    const pdf = timbre.pdf || pdfFactura({
+      ...f, ...cfdi, emisor, uuid: timbre.uuid, fecha_timbrado: timbre.fecha_timbrado, pac: timbre.pac, numero_pedido: pedido.numero,
+    });
+    const result = await pool.query(
+      `UPDATE core.tblfacturas SET estado = 'timbrada', subtotal = $1, descuento = $2, impuestos = $3, total = $4,
+         pac = $5, uuid = $6, xml = $7, pdf = $8, error = NULL, intentos = intentos + 1, timbrada_at = NOW(), updated_at = NOW()
+       WHERE id = $9 RETURNING *`,
+      [cfdi.subtotal, cfdi.descuento, cfdi.impuestos, cfdi.total, timbre.pac, timbre.uuid, timbre.xml, pdf, f.id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error(`Error timbrando factura ${f.serie}-${f.folio}:`, error.message);
+    const result = await pool.query(
+      `UPDATE core.tblfacturas SET estado = 'error', error = $1, intentos = intentos + 1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [error.message, f.id]
+    );
+    return result.rows[0];
+  }
+}
+
+// XML y PDF al correo del perfil fiscal (o al de la cuenta)
+async function enviarFactura(factura) {
+  try {
+    const { notificarConEmail } = require('../services/notificacionHelper');
+    const u = (await pool.query(
+      `SELECT u.email, u.nombre, p.numero FROM core.tblusuarios u JOIN core.tblpedidos p ON p.id = $2 WHERE u.id = $1`,
+      [factura.usuario_id, factura.pedido_id]
+    )).rows[0];
+    if (!u) return;
+    const folio = `${factura.serie}-${factura.folio}`;
+    await notificarConEmail({
+      usuario_id: factura.usuario_id,
+      tipo: 'pago',
+      titulo: '🧾 Tu factura está lista',
+      mensaje: `Factura ${folio} del pedido ${u.numero} timbrada. Te enviamos el XML y el PDF por correo.`,
+      email: factura.receptor.email || u.email,
+      nombre: u.nombre,
+      asunto: `🧾 Factura ${folio} — Pedido ${u.numero}`,
+      contenidoHtml: `
+        <h2>¡Hola ${he.escape(u.nombre || '')}!</h2>
+        <p>Adjuntamos la factura de tu pedido <strong>${he.escape(u.numero)}</strong>.</p>
+        <div class="highlight-box">
+          <p><strong>Folio:</strong> ${he.escape(folio)}</p>
+          <p><strong>Folio fiscal (UUID):</strong> ${he.escape(factura.uuid)}</p>
+          <p><strong>Receptor:</strong> ${he.escape(factura.receptor.razon_social)} (${he.escape(factura.receptor.rfc)})</p>
+          <p><strong>Total:</strong> $${parseFloat(factura.total).toFixed(2)} MXN</p>
+        </div>
+        <p>También puedes descargarla desde "Mis facturas".</p>`,
+      adjuntos: [
+        { nombre: `${factura.serie}${factura.folio}_${factura.uuid}.xml`, contenido: Buffer.from(factura.xml, 'utf8') },
+        { nombre: `${factura.serie}${factura.folio}_${factura.uuid}.pdf`, contenido: factura.pdf },
+      ],
+    });
+  } catch (error) {
+    console.error('Error enviando factura:', error.message);
+  }
+}
+
+// Quita XML/PDF de la respuesta (se descargan aparte)
+function resumen(factura) {
+  const copia = { ...factura };
+  delete copia.xml;
+  delete copia.pdf;
+  return copia;
+}
+
+// ── Catálogos del SAT para el formulario (público) ──
+router.get('/catalogos', (req, res) => {
+  res.json({
+    success: true,
+    regimenes: Object.entries(REGIMENES).map(([clave, r]) => ({ clave, descripcion: r.descripcion, fisica: !!r.fisica, moral: !!r.moral })),
+    usos_cfdi: Object.entries(USOS_CFDI).map(([clave, descripcion]) => ({ clave, descripcion })),
+  });
+});
+
+// ══════════════════════════════════════
+// PERFILES FISCALES (cliente)
+// ══════════════════════════════════════
+
+router.get('/perfiles', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, rfc, razon_social, regimen_fiscal, uso_cfdi, codigo_postal, email, created_at
+       FROM core.tblperfiles_fiscales WHERE usuario_id = $1 AND activo ORDER BY created_at DESC`,
+      [req.user.userId]
+    );
+    res.json({ success: true, perfiles: result.rows });
+  } catch (error) {
+    console.error('Error GET /facturas/perfiles:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener perfiles fiscales' });
+  }
+});
+
+router.post('/perfiles', verifyToken, async (req, res) => {
+  const perfil = validarPerfilFiscal(req.body);
+  if (perfil.error) return res.status(400).json({ success: false, message: perfil.error });
+  try {
+    const result = await pool.query(
+      `INSERT INTO core.tblperfiles_fiscales (usuario_id, rfc, razon_social, regimen_fiscal, uso_cfdi, codigo_postal, email)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)
+       RETURNING id, rfc, razon_social, regimen_fiscal, uso_cfdi, codigo_postal, email, created_at`,
+      [req.user.userId, perfil.rfc, perfil.razon_social, perfil.regimen_fiscal, perfil.uso_cfdi, perfil.codigo_postal, perfil.email]
+    );
+    res.status(201).json({ success: true, perfil: result.rows[0], message: 'Datos fiscales guardados' });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ success: false, message: 'Ya tienes un perfil con ese RFC' });
+    console.error('Error POST /facturas/perfiles:', error.message);
+    res.status(500).json({ success: false, message: 'Error al guardar datos fiscales' });
+  }
+});
+
+// Reemplaza el perfil completo: los datos se validan juntos (régimen vs RFC)
+router.put('/perfiles/:id', verifyToken, async (req, res) => {
+  const perfil = validarPerfilFiscal(req.body);
+  if (perfil.error) return res.status(400).json({ success: false, message: perfil.error });
+  try {
+    const result = await pool.query(
+      `UPDATE core.tblperfiles_fiscales
+       SET rfc = $1, razon_social = $2, regimen_fiscal = $3, uso_cfdi = $4, codigo_postal = $5, email = $6, updated_at = NOW()
+       WHERE id = $7 AND usuario_id = $8 AND activo
+       RETURNING id, rfc, razon_social, regimen_fiscal, uso_cfdi, codigo_postal, email, created_at`,
+      [perfil.rfc, perfil.razon_social, perfil.regimen_fiscal, perfil.uso_cfdi, perfil.codigo_postal, perfil.email, req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Perfil fiscal no encontrado' });
+    res.json({ success: true, perfil: result.rows[0], message: 'Datos fiscales actualizados' });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ success: false, message: 'Ya tienes un perfil con ese RFC' });
+    console.error('Error PUT /facturas/perfiles/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al actualizar datos fiscales' });
+  }
+});
+
+// Borrado lógico: las facturas guardan copia del receptor
+router.delete('/perfiles/:id', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE core.tblperfiles_fiscales SET activo = FALSE, updated_at = NOW() WHERE id = $1 AND usuario_id = $2 AND activo RETURNING id',
+      [req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Perfil fiscal no encontrado' });
+    res.json({ success: true, message: 'Perfil fiscal eliminado' });
+  } catch (error) {
+    console.error('Error DELETE /facturas/perfiles/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al eliminar perfil fiscal' });
+  }
+});
+
+// ══════════════════════════════════════
+// FACTURAS
+// ══════════════════════════════════════
+
+// ── Solicitar factura de un pedido propio ──
+router.post('/', verifyToken, async (req, res) => {
+  const pedidoId = parseInt(req.body.pedido_id);
+  const perfilId = parseInt(req.body.perfil_id);
+  if (!pedidoId || !perfilId) return res.status(400).json({ success: false, message: 'pedido_id y perfil_id son requeridos' });
+  let factura;
+  try {
+    if (!obtenerEmisor()) return res.status(503).json({ success: false, message: 'La facturación en línea no está disponible por ahora' });
+    const [perfilResult, pedidoResult] = await Promise.all([
+      pool.query('SELECT * FROM core.tblperfiles_fiscales WHERE id = $1 AND usuario_id = $2 AND activo', [perfilId, req.user.userId]),
+      pool.query(SQL_PEDIDO_FACTURABLE, [pedidoId]),
+    ]);
+    const perfil = perfilResult.rows[0];
+    const pedido = pedidoResult.rows[0];
+    if (!perfil) return res.status(404).json({ success: false, message: 'Perfil fiscal no encontrado' });
+    if (!pedido || pedido.usuario_id !== req.user.userId) return res.status(404).json({ success: false, message: 'Pedido no encontrado' });
+    const motivo = motivoNoFacturable(pedido);
+    if (motivo) return res.status(400).json({ success: false, message: motivo });
+
+    const receptor = {
+      rfc: perfil.rfc, razon_social: perfil.razon_social, regimen_fiscal: perfil.regimen_fiscal,
+      uso_cfdi: perfil.uso_cfdi, codigo_postal: perfil.codigo_postal, email: perfil.email,
+    };
+    // El índice único por pedido evita dos facturas (doble clic incluido)
+    const insert = await pool.query(
+      `INSERT INTO core.tblfacturas (pedido_id, usuario_id, perfil_id, receptor, serie, forma_pago, solicitada_por)
+       VALUES ($1,$2,$3,$4,$5,$6,$7) ON CONFLICT (pedido_id) DO NOTHING RETURNING id`,
+      [pedido.id, req.user.userId, perfil.id, JSON.stringify(receptor), SERIE, FORMAS_PAGO[pedido.metodo_pago] || '04', req.user.userId]
+    );
+    if (insert.rows.length === 0) return res.status(409).json({ success: false, message: 'Ese pedido ya tiene factura' });
+    factura = await emitirFactura(insert.rows[0].id);
+  } catch (error) {
+    console.error('Error POST /facturas:', error.message);
+    return res.status(500).json({ success: false, message: 'Error al solicitar la factura' });
+  }
+
+  if (factura.estado !== 'timbrada') {
+    return res.status(502).json({ success: false, factura: resumen(factura), message: 'No se pudo timbrar la factura; intenta de nuevo en unos minutos' });
+  }
+  registrarAuditoria({ usuario_id: req.user.userId, accion: 'Solicitó factura', entidad: 'factura', entidad_id: factura.id, detalles: `${factura.serie}-${factura.folio} · ${factura.receptor.rfc}` });
+  res.status(201).json({ success: true, factura: resumen(factura), message: 'Factura generada; te la enviamos por correo' });
+  enviarFactura(factura);
+});
+
+// ── Reintentar el timbrado de una factura en error (dueño o gerencia) ──
+router.post('/:id/reintentar', verifyToken, async (req, res) => {
+  let factura;
+  try {
+    const actual = await pool.query(
+      `SELECT f.usuario_id, f.estado, f.pedido_id FROM core.tblfacturas f WHERE f.id = $1`,
+      [req.params.id]
+    );
+    const f = actual.rows[0];
+    if (!f || (f.usuario_id !== req.user.userId && !SUPERVISION.includes(req.user.rol))) {
+      return res.status(404).json({ success: false, message: 'Factura no encontrada' });
+    }
+    const pedido = (await pool.query(SQL_PEDIDO_FACTURABLE, [f.pedido_id])).rows[0];
+    const motivo = motivoNoFacturable(pedido);
+    if (motivo) return res.status(400).json({ success: false, message: motivo });
+    // Reclamar la factura: solo una petición la pasa de 'error' a 'pendiente'
+    const claim = await pool.query(
+      `UPDATE core.tblfacturas SET estado = 'pendiente', updated_at = NOW() WHERE id = $1 AND estado = 'error' RETURNING id`,
+      [req.params.id]
+    );
+    if (claim.rows.length === 0) return res.status(409).json({ success: false, message: `La factura está ${f.estado === 'timbrada' ? 'timbrada' : 'en proceso'}` });
+    factura = await emitirFactura(claim.rows[0].id);
+  } catch (error) {
+    console.error('Error POST /facturas/:id/reintentar:', error.message);
+    return res.status(500).json({ success: false, message: 'Error al reintentar la factura' });
+  }
+
+  if (factura.estado !== 'timbrada') {
+    return res.status(502).json({ success: false, factura: resumen(factura), message: 'No se pudo timbrar la factura; intenta de nuevo en unos minutos' });
+  }
+  res.json({ success: true, factura: resumen(factura), message: 'Factura generada; la enviamos por correo' });
+  enviarFactura(factura);
+});
+
+// ── Mis facturas ──
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${CAMPOS_FACTURA}, p.numero AS pedido_numero
+       FROM core.tblfacturas f JOIN core.tblpedidos p ON p.id = f.pedido_id
+       WHERE f.usuario_id = $1 ORDER BY f.created_at DESC`,
+      [req.user.userId]
+    );
+    res.json({ success: true, facturas: result.rows });
+  } catch (error) {
+    console.error('Error GET /facturas:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener facturas' });
+  }
+});
+
+// ── Todas las facturas (gerencia) ──
+router.get('/todas', verifyToken, verifyRole(...SUPERVISION), async (req, res) => {
+  try {
+    const { estado, rfc } = req.query;
+    const result = await pool.query(
+      `SELECT ${CAMPOS_FACTURA}, p.numero AS pedido_numero, u.nombre, u.apellido
+       FROM core.tblfacturas f
+       JOIN core.tblpedidos p ON p.id = f.pedido_id
+       JOIN core.tblusuarios u ON u.id = f.usuario_id
+       WHERE ($1::text IS NULL OR f.estado = $1) AND ($2::text IS NULL OR f.receptor->>'rfc' = UPPER($2))
+       ORDER BY f.created_at DESC LIMIT 200`,
+      [estado || null, rfc || null]
+    );
+    res.json({ success: true, facturas: result.rows });
+  } catch (error) {
+    console.error('Error GET /facturas/todas:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener facturas' });
+  }
+});
+
+// ── Descargar XML o PDF (dueño o gerencia) ──
+router.get('/:id/:formato(xml|pdf)', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT usuario_id, estado, serie, folio, uuid, ${req.params.formato === 'xml' ? 'xml' : 'pdf'} AS archivo
+       FROM core.tblfacturas WHERE id = $1`,
+      [req.params.id]
+    );
+    const f = result.rows[0];
+    if (!f || (f.usuario_id !== req.user.userId && !SUPERVISION.includes(req.user.rol))) {
+      return res.status(404).json({ success: false, message: 'Factura no encontrada' });
+    }
+    if (f.estado !== 'timbrada') return res.status(409).json({ success: false, message: 'La factura aún no está timbrada' });
+    const esXml = req.params.formato === 'xml';
+    res.setHeader('Content-Type', esXml ? 'application/xml; charset=utf-8' : 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${f.serie}${f.folio}_${f.uuid}.${req.params.formato}"`);
+    res.send(esXml ? Buffer.from(f.archivo, 'utf8') : f.archivo);
+  } catch (error) {
+    console.error('Error GET /facturas/:id/archivo:', error.message);
+    res.status(500).json({ success: false, message: 'Error al descargar la factura' });
+  }
+});
+
+module.exports = router;
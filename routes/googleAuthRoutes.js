@@ -16,10 +16,12 @@ console.log('   GOOGLE_CALLBACK_URL:', process.env.GOOGLE_CALLBACK_URL);
 // ========================================
 
 // Ruta para iniciar autenticación con Google
-router.get('/google',
+// ?ref=CODIGO viaja en state para ligar al referido si la cuenta es nueva
+router.get('/google', (req, res, next) =>
   passport.authenticate('google', { 
-    scope: ['profile', 'email']
-  })
+    scope: ['profile', 'email'],
+    state: typeof req.query.ref === 'string' ? req.query.ref.slice(0, 12) : undefined
+  })(req, res, next)
 );
 
 // Callback de Google después de autenticación
@@ -67,6 +69,7 @@ router.get('/google/callback',
 
 const { pool } = require('../config/database');
 const Usuario = require('../models/Usuario');
+const { registrarReferido } = require('../utils/referidos');
 const { OAuth2Client } = require('google-auth-library');
 
 // POST /api/auth/google/mobile
@@ -74,7 +77,7 @@ const { OAuth2Client } = require('google-auth-library');
 // Usa GOOGLE_CLIENT_ID_MOBILE (mismo proyecto que web, Web Client ID)
 router.post('/google/mobile', async (req, res) => {
   try {
-    const { idToken } = req.body;
+    const { idToken, codigo_referido } = req.body;
 
     if (!idToken) {
       return res.status(400).json({
@@ -153,6 +156,11 @@ router.post('/google/mobile', async (req, res) => {
 
         usuarioDoc = insertResult.rows[0];
         console.log('✅ Nuevo usuario registrado con Google (móvil):', email);
+
+        if (codigo_referido) {
+          try { await registrarReferido(pool, { referidoId: usuarioDoc.id, codigo: codigo_referido, origen: 'google' }); }
+          catch (e) { console.error('❌ Error registrando referido:', e.message); }
+        }
       }
     }
 
@@ -0,0 +1,246 @@
+// routes/ingredientesRoutes.js — Inventario de ingredientes y recetas
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { verifyToken, verifyRole } = require('../middleware/auth');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { UNIDADES, UNIDADES_BASE, aUnidadBase, SQL_COSTOS, recetaDe } = require('../utils/recetas');
+
+const PERSONAL = ['empleado', 'gerencia', 'direccion_general'];
+
+// ── Listar ingredientes (bajo = en o por debajo de su mínimo) ──
+router.get('/', verifyToken, verifyRole(...PERSONAL), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT i.*, (i.stock <= i.stock_minimo) AS bajo,
+        (SELECT COUNT(DISTINCT r.producto_id)::int FROM core.tblrecetas r WHERE r.ingrediente_id = i.id) AS productos
+      FROM core.tblingredientes i
+      WHERE ${req.query.incluir_inactivos === 'true' ? 'TRUE' : 'i.activo = true'}
+      ORDER BY (i.stock <= i.stock_minimo) DESC, i.nombre
+    `);
+    res.json({ success: true, ingredientes: result.rows });
+  } catch (error) {
+    console.error('Error GET /ingredientes:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener ingredientes' });
+  }
+});
+
+router.post('/', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const { nombre, unidad, stock_minimo } = req.body;
+    if (!nombre || !UNIDADES_BASE.includes(unidad)) {
+      return res.status(400).json({ success: false, message: `Nombre y unidad (${UNIDADES_BASE.join(', ')}) son requeridos` });
+    }
+    if (stock_minimo !== undefined && !(parseFloat(stock_minimo) >= 0)) {
+      return res.status(400).json({ success: false, message: 'stock_minimo debe ser ≥ 0' });
+    }
+    const result = await pool.query(
+      'INSERT INTO core.tblingredientes (nombre, unidad, stock_minimo) VALUES ($1,$2,$3) RETURNING *',
+      [nombre.trim(), unidad, stock_minimo || 0]
+    );
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Creó ingrediente', entidad: 'ingrediente', entidad_id: result.rows[0].id, detalles: `"${nombre}" (${unidad})` });
+    res.status(201).json({ success: true, ingrediente: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ success: false, message: 'Ya existe un ingrediente con ese nombre' });
+    console.error('Error POST /ingredientes:', error.message);
+    res.status(500).json({ success: false, message: 'Error al crear ingrediente' });
+  }
+});
+
+// La unidad no se cambia: las recetas y el costo están expresados en ella
+router.put('/:id', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const { nombre, stock_minimo, activo } = req.body;
+    if (stock_minimo !== undefined && stock_minimo !== null && !(parseFloat(stock_minimo) >= 0)) {
+      return res.status(400).json({ success: false, message: 'stock_minimo debe ser ≥ 0' });
+    }
+    const result = await pool.query(`
+      UPDATE core.tblingredientes SET
+        nombre = COALESCE($1, nombre), stock_minimo = COALESCE($2, stock_minimo), activo = COALESCE($3, activo), updated_at = NOW()
+      WHERE id = $4 RETURNING *
+    `, [nombre ? nombre.trim() : null, stock_minimo ?? null, activo ?? null, req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Ingrediente no encontrado' });
+    res.json({ success: true, ingrediente: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ success: false, message: 'Ya existe un ingrediente con ese nombre' });
+    console.error('Error PUT /ingredientes/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al actualizar ingrediente' });
+  }
+});
+
+// ── Entrada por compra ──
+// cantidad en la unidad indicada (kg, l, g, ml, pza) y costo_total de la
+// compra; el costo unitario queda como promedio ponderado con lo que ya
+// había (un stock negativo no pesa en el promedio)
+router.post('/:id/compras', verifyToken, verifyRole(...PERSONAL), async (req, res) => {
+  const cantidadEntrada = parseFloat(req.body.cantidad);
+  const costoTotal = parseFloat(req.body.costo_total);
+  if (!(cantidadEntrada > 0) || !(costoTotal >= 0)) {
+    return res.status(400).json({ success: false, message: 'Cantidad (> 0) y costo_total (≥ 0) son requeridos' });
+  }
+  if (req.body.unidad && !UNIDADES[req.body.unidad]) {
+    return res.status(400).json({ success: false, message: `Unidad inválida. Valores: ${Object.keys(UNIDADES).join(', ')}` });
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const actual = await client.query('SELECT * FROM core.tblingredientes WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (actual.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Ingrediente no encontrado' }); }
+    const ing = actual.rows[0];
+    const cantidad = aUnidadBase(cantidadEntrada, req.body.unidad, ing.unidad);
+    if (cantidad === null) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `"${ing.nombre}" se mide en ${ing.unidad}` }); }
+
+    const costoUnitario = costoTotal / cantidad;
+    const previo = Math.max(parseFloat(ing.stock), 0);
+    const promedio = (previo * parseFloat(ing.costo_unitario) + cantidad * costoUnitario) / (previo + cantidad);
+    const result = await client.query(
+      `UPDATE core.tblingredientes SET stock = stock + $1, costo_unitario = $2, updated_at = NOW() WHERE id = $3 RETURNING *`,
+      [cantidad, promedio, ing.id]
+    );
+    await client.query(
+      `INSERT INTO core.tblingrediente_movimientos (ingrediente_id, tipo, cantidad, costo_unitario, usuario_id, notas)
+       VALUES ($1, 'compra', $2, $3, $4, $5)`,
+      [ing.id, cantidad, costoUnitario, req.user.userId, req.body.notas || null]
+    );
+    await client.query('COMMIT');
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Registró compra de ingrediente', entidad: 'ingrediente', entidad_id: ing.id, detalles: `"${ing.nombre}" +${cantidad} ${ing.unidad} por $${costoTotal.toFixed(2)}` });
+    res.status(201).json({ success: true, ingrediente: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /ingredientes/:id/compras:', error.message);
+    res.status(500).json({ success: false, message: 'Error al registrar la compra' });
+  } finally { client.release(); }
+});
+
+// ── Ajuste manual (merma, conteo físico) ──
+router.post('/:id/ajustes', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  const cantidad = parseFloat(req.body.cantidad);
+  const { motivo } = req.body;
+  if (!cantidad || isNaN(cantidad) || !motivo) {
+    return res.status(400).json({ success: false, message: 'Cantidad (positiva o negativa, en la unidad del ingrediente) y motivo son requeridos' });
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'UPDATE core.tblingredientes SET stock = stock + $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+      [cantidad, req.params.id]
+    );
+    if (result.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Ingrediente no encontrado' }); }
+    await client.query(
+      `INSERT INTO core.tblingrediente_movimientos (ingrediente_id, tipo, cantidad, usuario_id, notas) VALUES ($1, 'ajuste', $2, $3, $4)`,
+      [req.params.id, cantidad, req.user.userId, motivo]
+    );
+    await client.query('COMMIT');
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Ajustó ingrediente', entidad: 'ingrediente', entidad_id: result.rows[0].id, detalles: `"${result.rows[0].nombre}" ${cantidad > 0 ? '+' : ''}${cantidad} ${result.rows[0].unidad}: ${motivo}` });
+    res.json({ success: true, ingrediente: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /ingredientes/:id/ajustes:', error.message);
+    res.status(500).json({ success: false, message: 'Error al ajustar ingrediente' });
+  } finally { client.release(); }
+});
+
+router.get('/:id/movimientos', verifyToken, verifyRole(...PERSONAL), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT m.*, u.nombre AS usuario, l.producto_id, p.nombre AS producto
+      FROM core.tblingrediente_movimientos m
+      LEFT JOIN core.tblusuarios u ON u.id = m.usuario_id
+      LEFT JOIN core.tblproduccion_lotes l ON l.id = m.lote_id
+      LEFT JOIN core.tblproductos p ON p.id = l.producto_id
+      WHERE m.ingrediente_id = $1
+      ORDER BY m.created_at DESC LIMIT 100
+    `, [req.params.id]);
+    res.json({ success: true, movimientos: result.rows });
+  } catch (error) {
+    console.error('Error GET /ingredientes/:id/movimientos:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener movimientos' });
+  }
+});
+
+// ── Recetas ──
+// Devuelve la receta base y las de cada tamaño, con su costo por pieza
+router.get('/recetas/:productoId', verifyToken, verifyRole(...PERSONAL), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT r.id, r.tamano, r.ingrediente_id, i.nombre, r.cantidad, i.unidad, i.costo_unitario,
+        (r.cantidad * i.costo_unitario)::NUMERIC(12,2) AS costo
+      FROM core.tblrecetas r JOIN core.tblingredientes i ON i.id = r.ingrediente_id
+      WHERE r.producto_id = $1
+      ORDER BY r.tamano NULLS FIRST, i.nombre
+    `, [req.params.productoId]);
+    const recetas = {};
+    for (const r of result.rows) {
+      const clave = r.tamano || 'base';
+      if (!recetas[clave]) recetas[clave] = { tamano: r.tamano, lineas: [], costo: 0 }; // eslint-disable-line security/detect-object-injection
+      recetas[clave].lineas.push(r); // eslint-disable-line security/detect-object-injection
+      recetas[clave].costo += parseFloat(r.costo); // eslint-disable-line security/detect-object-injection
+    }
+    res.json({ success: true, recetas: Object.values(recetas) });
+  } catch (error) {
+    console.error('Error GET /ingredientes/recetas/:productoId:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener receta' });
+  }
+});
+
+// Reemplaza la receta de un tamaño (tamano omitido = receta base).
+// lineas: [{ ingrediente_id, cantidad, unidad? }] por pieza; [] la borra.
+router.put('/recetas/:productoId', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  const tamano = req.body.tamano ? String(req.body.tamano).slice(0, 20) : null;
+  const lineas = Array.isArray(req.body.lineas) ? req.body.lineas : null;
+  if (!lineas) return res.status(400).json({ success: false, message: 'lineas es requerido (arreglo)' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const producto = await client.query('SELECT id, nombre FROM core.tblproductos WHERE id = $1', [req.params.productoId]);
+    if (producto.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Producto no encontrado' }); }
+
+    const ids = lineas.map(l => parseInt(l.ingrediente_id));
+    if (new Set(ids).size !== ids.length) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'Un ingrediente aparece dos veces' }); }
+    const ingredientes = await client.query('SELECT id, nombre, unidad FROM core.tblingredientes WHERE id = ANY($1::int[]) AND activo = true', [ids]);
+    const porId = new Map(ingredientes.rows.map(i => [i.id, i]));
+
+    await client.query('DELETE FROM core.tblrecetas WHERE producto_id = $1 AND tamano IS NOT DISTINCT FROM $2', [req.params.productoId, tamano]);
+    for (const l of lineas) {
+      const ing = porId.get(parseInt(l.ingrediente_id));
+      if (!ing) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `Ingrediente ${l.ingrediente_id} no encontrado` }); }
+      const cantidad = parseFloat(l.cantidad) > 0 ? aUnidadBase(parseFloat(l.cantidad), l.unidad, ing.unidad) : null;
+      if (!cantidad) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `Cantidad inválida para "${ing.nombre}" (se mide en ${ing.unidad})` }); }
+      await client.query(
+        'INSERT INTO core.tblrecetas (producto_id, tamano, ingrediente_id, cantidad) VALUES ($1,$2,$3,$4)',
+        [req.params.productoId, tamano, ing.id, cantidad]
+      );
+    }
+    await client.query('COMMIT');
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Actualizó receta', entidad: 'producto', entidad_id: producto.rows[0].id, detalles: `"${producto.rows[0].nombre}" ${tamano || 'base'} · ${lineas.length} ingrediente(s)` });
+    res.json({ success: true, receta: await recetaDe(pool, producto.rows[0].id, tamano) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error PUT /ingredientes/recetas/:productoId:', error.message);
+    res.status(500).json({ success: false, message: 'Error al guardar receta' });
+  } finally { client.release(); }
+});
+
+// ── Costo y margen por producto/tamaño con el costo actual de ingredientes ──
+router.get('/costos', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.id AS producto_id, p.nombre, c.tamano, c.costo,
+        CASE WHEN c.tamano = 'grande' AND p.precio_grande IS NOT NULL THEN p.precio_grande ELSE p.precio_chico END AS precio
+      FROM (${SQL_COSTOS}) c JOIN core.tblproductos p ON p.id = c.producto_id
+      ORDER BY p.nombre, c.tamano NULLS FIRST
+    `);
+    const costos = result.rows.map(r => {
+      const precio = parseFloat(r.precio);
+      const costo = parseFloat(r.costo);
+      return { ...r, margen: Math.round((precio - costo) * 100) / 100, margen_porcentaje: precio > 0 ? Math.round((precio - costo) / precio * 1000) / 10 : null };
+    });
+    res.json({ success: true, costos });
+  } catch (error) {
+    console.error('Error GET /ingredientes/costos:', error.message);
+    res.status(500).json({ success: false, message: 'Error al calcular costos' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+// routes/mostradorRoutes.js — Ventas de mostrador (punto de venta)
+//
+// El personal cobra en su sucursal (efectivo, terminal bancaria o
+// transferencia) y la venta queda como un pedido más con canal
+// 'mostrador', ya "completado" y pagado. Comparte inventario con la
+// tienda en línea: descuenta el stock de la sucursal en la misma
+// transacción y con el mismo cálculo que /pagos/confirmar, y respeta lo
+// apartado ahí por clientes que están pagando en línea.
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { verifyToken, verifyRole, verifySucursal, fueraDeSucursal } = require('../middleware/auth');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { registrarHistorial } = require('../utils/estadoPedido');
+const { generarNumeroPedido } = require('../utils/numeroPedido');
+const { normalizarIds, resolverOpciones, calcularPrecio, opcionSinStock, descontarStockOpciones } = require('../utils/opcionesProducto');
+const { stockReservado } = require('../utils/reservasStock');
+const { SIN_CAJA, sesionAbierta, registrarCobro } = require('../utils/caja');
+const { resolverSucursal, stockEnSucursal, descontarStock } = require('../utils/sucursales');
+const { sincronizarPuntosPedido } = require('../utils/puntos');
+const { resolverReferido, notificarReferido } = require('../utils/referidos');
+
+const PERSONAL = ['empleado', 'gerencia', 'direccion_general'];
+const METODOS = ['efectivo', 'terminal', 'transferencia'];
+const FECHA_RE = /^\d{4}-\d{2}-\d{2}$/;
+const ANCHO_TICKET = 40;
+
+// ── Ticket de 40 columnas (impresora térmica de 58 mm) ──
+function armarTicket(venta, items, pago) {
+  const linea = (izq, der = '') => {
+    const espacio = Math.max(ANCHO_TICKET - izq.length - der.length, 1);
+    return `${izq}${' '.repeat(espacio)}${der}`;
+  };
+  const centro = (t) => ' '.repeat(Math.max(Math.floor((ANCHO_TICKET - t.length) / 2), 0)) + t;
+  const dinero = (n) => `$${parseFloat(n).toFixed(2)}`;
+  const fecha = new Date(venta.created_at).toLocaleString('es-MX', { timeZone: 'America/Mexico_City', dateStyle: 'short', timeStyle: 'short' });
+  const separador = '-'.repeat(ANCHO_TICKET);
+
+  const renglones = [
+    centro('PIER REPOSTERÍA'),
+    centro(venta.sucursal_nombre || ''),
+    ...[venta.sucursal_direccion, venta.sucursal_ciudad].filter(Boolean).map(t => centro(t.slice(0, ANCHO_TICKET))),
+    separador,
+    `Folio: ${venta.numero}`,
+    `Fecha: ${fecha}`,
+    `Atendió: ${venta.atendido_por_nombre || '—'}`,
+  ];
+  if (venta.cliente_nombre) renglones.push(`Cliente: ${venta.cliente_nombre}`);
+  renglones.push(separador);
+  for (const i of items) {
+    const nombre = i.tamano ? `${i.nombre_producto} (${i.tamano})` : i.nombre_producto;
+    renglones.push(linea(`${i.cantidad} x ${nombre}`.slice(0, ANCHO_TICKET - 11), dinero(i.subtotal)));
+    for (const o of i.opciones || []) {
+      if (o.tipo !== 'tamano') renglones.push(`    + ${o.nombre}`.slice(0, ANCHO_TICKET));
+    }
+  }
+  renglones.push(separador);
+  renglones.push(linea('TOTAL', dinero(venta.total)));
+  renglones.push(linea(`Pago: ${pago.metodo_pago}`, pago.monto_recibido ? dinero(pago.monto_recibido) : ''));
+  if (pago.cambio !== null && pago.cambio !== undefined) renglones.push(linea('Cambio', dinero(pago.cambio)));
+  if (pago.referencia) renglones.push(`Ref: ${pago.referencia}`);
+  renglones.push(separador);
+  renglones.push(centro('¡Gracias por su compra!'));
+  return renglones.join('\n');
+}
+
+// Venta + renglones + pago de un pedido de mostrador, listos para el ticket
+async function obtenerVenta(db, pedidoId) {
+  const venta = await db.query(
+    `SELECT p.id, p.numero, p.total, p.estado, p.notas, p.created_at, p.usuario_id,
+            NULLIF(TRIM(CONCAT(c.nombre, ' ', c.apellido)), '') AS cliente_nombre,
+            NULLIF(TRIM(CONCAT(a.nombre, ' ', a.apellido)), '') AS atendido_por_nombre,
+            pg.metodo_pago, pg.monto_recibido, pg.cambio, pg.referencia, pg.estado AS estado_pago,
+            p.sucursal_id, s.nombre AS sucursal_nombre, s.direccion AS sucursal_direccion, s.ciudad AS sucursal_ciudad
+     FROM core.tblpedidos p
+     LEFT JOIN core.tblsucursales s ON s.id = p.sucursal_id
+     LEFT JOIN core.tblusuarios c ON c.id = p.usuario_id
+     LEFT JOIN core.tblusuarios a ON a.id = p.atendido_por
+     LEFT JOIN core.tblpagos pg ON pg.pedido_id = p.id
+     WHERE p.id = $1 AND p.canal = 'mostrador'`,
+    [pedidoId]
+  );
+  if (venta.rows.length === 0) return null;
+  const items = await db.query(
+    `SELECT producto_id, nombre_producto, cantidad, tamano, precio_unitario, subtotal, opciones
+     FROM core.tblpedido_items WHERE pedido_id = $1 ORDER BY id`,
+    [pedidoId]
+  );
+  const v = venta.rows[0];
+  const pago = {
+    metodo_pago: v.metodo_pago, referencia: v.referencia,
+    monto_recibido: v.monto_recibido, cambio: v.cambio,
+  };
+  return { venta: v, items: items.rows, ticket: armarTicket(v, items.rows, pago) };
+}
+
+// ── Registrar venta de mostrador ──
+// items: [{ producto_id, cantidad, tamano?, variante_ids?, complemento_ids? }]
+// En efectivo, monto_recibido (≥ total) calcula el cambio y el cobro entra
+// a la caja abierta de quien vende; terminal y transferencia guardan la
+// referencia (obligatoria en transferencia).
+// cliente_id es opcional: sin él la venta es a público general. La venta
+// es de la sucursal del personal (quien ve todas indica sucursal_id).
+router.post('/ventas', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  const metodoPago = req.body.metodo_pago;
+  const referencia = req.body.referencia ? String(req.body.referencia).trim().slice(0, 100) : null;
+  const clienteId = req.body.cliente_id ? parseInt(req.body.cliente_id) : null;
+  const entrada = Array.isArray(req.body.items) ? req.body.items : [];
+  if (!METODOS.includes(metodoPago)) {
+    return res.status(400).json({ success: false, message: `Método de pago inválido. Valores: ${METODOS.join(', ')}` });
+  }
+  if (metodoPago === 'transferencia' && !referencia) {
+    return res.status(400).json({ success: false, message: 'Captura la referencia de la transferencia' });
+  }
+  if (entrada.length === 0 || entrada.length > 50) {
+    return res.status(400).json({ success: false, message: 'La venta debe tener entre 1 y 50 renglones' });
+  }
+  const lineas = entrada.map(i => ({
+    producto_id: parseInt(i.producto_id),
+    cantidad: parseInt(i.cantidad),
+    tamano: i.tamano === 'grande' ? 'grande' : 'chico',
+    variante_ids: normalizarIds(i.variante_ids),
+    complemento_ids: normalizarIds(i.complemento_ids),
+  }));
+  if (lineas.some(l => !l.producto_id || !Number.isInteger(l.cantidad) || l.cantidad < 1)) {
+    return res.status(400).json({ success: false, message: 'Cada renglón necesita producto_id y cantidad (≥ 1)' });
+  }
+
+  const client = await pool.connect();
+  let sucursal, pedido, items, total, stockAgotado;
+  let avisosReferido = [];
+  try {
+    await client.query('BEGIN');
+    sucursal = await resolverSucursal(client, req.sucursalId || req.body.sucursal_id);
+    if (sucursal.error) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: sucursal.error }); }
+    const caja = metodoPago === 'efectivo' ? await sesionAbierta(client, req.user.userId, { bloquear: true }) : null;
+    if (metodoPago === 'efectivo' && !caja) { await client.query('ROLLBACK'); return res.status(409).json({ success: false, message: SIN_CAJA }); }
+    if (clienteId) {
+      const cliente = await client.query('SELECT id FROM core.tblusuarios WHERE id = $1 AND activo = TRUE', [clienteId]);
+      if (cliente.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Cliente no encontrado' }); }
+    }
+
+    // Candado sobre los productos: serializa con el checkout en línea
+    const ids = [...new Set(lineas.map(l => l.producto_id))];
+    const productos = await client.query(
+      `SELECT p.id, p.nombre, p.precio_chico, p.precio_grande, p.categoria_id, p.activo
+       FROM core.tblproductos p WHERE p.id = ANY($1::int[]) ORDER BY p.id FOR UPDATE`,
+      [ids]
+    );
+    const promos = await client.query(
+      `SELECT producto_id, MAX(descuento_porcentaje) AS descuento FROM core.tblpromociones
+       WHERE producto_id = ANY($1::int[]) AND estado = 'activa' AND codigo_descuento IS NULL AND (fecha_fin IS NULL OR fecha_fin > NOW())
+       GROUP BY producto_id`,
+      [ids]
+    );
+    const porId = new Map(productos.rows.map(p => [p.id, p]));
+    const promoDe = new Map(promos.rows.map(p => [p.producto_id, parseFloat(p.descuento)]));
+    for (const l of lineas) {
+      const p = porId.get(l.producto_id);
+      if (!p || !p.activo) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `El producto ${l.producto_id} no está disponible` }); }
+      Object.assign(l, { nombre: p.nombre, categoria_id: p.categoria_id });
+    }
+
+    const resueltas = await resolverOpciones(client, lineas, { bloquear: true });
+    // Lo apartado por clientes que están pagando en línea no se vende aquí
+    const stock = await stockEnSucursal(client, ids, sucursal.id);
+    const reservado = await stockReservado(client, ids, { sucursalId: sucursal.id });
+    const usado = new Map();
+    items = [];
+    for (const [idx, l] of lineas.entries()) {
+      const resuelta = resueltas[idx]; // eslint-disable-line security/detect-object-injection
+      if (resuelta.error) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: resuelta.error }); }
+      const p = porId.get(l.producto_id);
+      const disponible = (stock.get(l.producto_id) || 0) - (reservado.get(l.producto_id) || 0) - (usado.get(l.producto_id) || 0);
+      if (disponible < l.cantidad) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, message: `"${p.nombre}": solo hay ${Math.max(disponible, 0)} disponibles. Registra el lote producido antes de venderlo.` });
+      }
+      const agotada = opcionSinStock(resuelta.opciones, l.cantidad);
+      if (agotada) { await client.query('ROLLBACK'); return res.status(409).json({ success: false, message: `"${p.nombre}": solo quedan ${agotada.stock} de "${agotada.nombre}"` }); }
+      usado.set(l.producto_id, (usado.get(l.producto_id) || 0) + l.cantidad);
+
+      const tamano = resuelta.tamano ? resuelta.tamano.slice(0, 20) : l.tamano;
+      const base = calcularPrecio(p, tamano, resuelta.opciones);
+      let precio = base.producto;
+      if (promoDe.has(l.producto_id)) precio = Math.round(precio * (1 - promoDe.get(l.producto_id) / 100));
+      precio += base.complementos;
+      items.push({
+        producto_id: l.producto_id, nombre: p.nombre, cantidad: l.cantidad, tamano,
+        precio_unitario: precio, subtotal: precio * l.cantidad, opciones: resuelta.opciones,
+      });
+    }
+    total = items.reduce((s, i) => s + i.subtotal, 0);
+
+    let montoRecibido = null;
+    let cambio = null;
+    if (metodoPago === 'efectivo') {
+      montoRecibido = req.body.monto_recibido !== undefined ? parseFloat(req.body.monto_recibido) : total;
+      if (isNaN(montoRecibido) || montoRecibido < total) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: `El efectivo recibido no cubre el total ($${total.toFixed(2)})` });
+      }
+      cambio = Math.round((montoRecibido - total) * 100) / 100;
+    }
+
+    const numero = await generarNumeroPedido(client);
+    const pedidoResult = await client.query(
+      `INSERT INTO core.tblpedidos
+        (numero, usuario_id, total, estado, notas, metodo_pago, tipo_entrega, costo_envio, canal, atendido_por, sucursal_id, created_at, updated_at)
+       VALUES ($1,$2,$3,'completado',$4,$5,'pickup',0,'mostrador',$6,$7,NOW(),NOW()) RETURNING *`,
+      [numero, clienteId, total, req.body.notas || null, metodoPago, req.user.userId, sucursal.id]
+    );
+    pedido = pedidoResult.rows[0];
+    await registrarHistorial(client, {
+      pedidoId: pedido.id, estadoNuevo: 'completado', usuarioId: req.user.userId,
+      motivo: `Venta de mostrador (${metodoPago})`,
+    });
+
+    // Mismo descuento que /pagos/confirmar: stock_descontado por línea es
+    // lo que se repone si la venta se reembolsa con devolución de piezas
+    stockAgotado = [];
+    for (const item of items) {
+      const s = await descontarStock(client, { productoId: item.producto_id, sucursalId: sucursal.id, cantidad: item.cantidad });
+      if (s.stock === 0) stockAgotado.push(item.nombre);
+      const opciones = await descontarStockOpciones(client, item.opciones, item.cantidad);
+      await client.query(
+        `INSERT INTO core.tblpedido_items (pedido_id, producto_id, nombre_producto, cantidad, tamano, precio_unitario, subtotal, stock_descontado, opciones)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [pedido.id, item.producto_id, item.nombre, item.cantidad, item.tamano, item.precio_unitario, item.subtotal, s.descontado, JSON.stringify(opciones)]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO core.tblpagos (pedido_id, metodo_pago, monto_subtotal, descuento, monto_total, estado, referencia, monto_recibido, cambio, fecha_confirmacion_pago, created_at)
+       VALUES ($1,$2,$3,0,$3,'pagado',$4,$5,$6,NOW(),NOW())`,
+      [pedido.id, metodoPago, total, referencia, montoRecibido, cambio]
+    );
+    if (caja) await registrarCobro(client, { sesionId: caja.id, usuarioId: req.user.userId, pedidoId: pedido.id, monto: total, motivo: `Venta de mostrador ${numero}` });
+    // Venta a un cliente registrado: gana puntos (y resuelve su referido)
+    // como un pedido en línea
+    if (clienteId) {
+      await sincronizarPuntosPedido(client, pedido.id);
+      avisosReferido = await resolverReferido(client, pedido.id);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /mostrador/ventas:', error.message);
+    return res.status(500).json({ success: false, message: 'Error al registrar la venta' });
+  } finally { client.release(); }
+
+  await notificarReferido(avisosReferido);
+
+  // La sucursal se quedó sin piezas: avisar como en el checkout
+  if (stockAgotado.length > 0) {
+    try {
+      const { crearNotificacion } = require('../services/notificacionHelper');
+      const empleados = await pool.query(
+        `SELECT id FROM core.tblusuarios WHERE rol = 'empleado' AND activo = TRUE AND (sucursal_id IS NULL OR sucursal_id = $1)`,
+        [sucursal.id]
+      );
+      await Promise.all(empleados.rows.flatMap(emp => stockAgotado.map(nombre => crearNotificacion({
+        usuario_id: emp.id,
+        tipo: 'alerta',
+        titulo: 'Producto agotado',
+        mensaje: `"${nombre}" se agotó en ${sucursal.nombre} tras la venta de mostrador ${pedido.numero}. Revisa Gestión de Productos.`,
+      }))));
+    } catch (notifError) {
+      console.error('Error notificando stock agotado:', notifError.message);
+    }
+  }
+
+  registrarAuditoria({
+    usuario_id: req.user.userId, accion: 'Registró venta de mostrador', entidad: 'pedido', entidad_id: pedido.id,
+    detalles: `${pedido.numero} · $${total.toFixed(2)} · ${metodoPago}`,
+  });
+  try {
+    const venta = await obtenerVenta(pool, pedido.id);
+    res.status(201).json({ success: true, ...venta, message: `Venta ${pedido.numero} registrada` });
+  } catch (error) {
+    // La venta ya quedó registrada: el ticket puede pedirse después
+    console.error('Error armando ticket de mostrador:', error.message);
+    res.status(201).json({ success: true, venta: pedido, message: `Venta ${pedido.numero} registrada` });
+  }
+});
+
+// ── Ventas de mostrador (por día, cajero o método) con totales ──
+router.get('/ventas', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  try {
+    const { desde, hasta, metodo_pago } = req.query;
+    if ((desde && !FECHA_RE.test(desde)) || (hasta && !FECHA_RE.test(hasta))) {
+      return res.status(400).json({ success: false, message: 'Fechas en formato YYYY-MM-DD' });
+    }
+    const atendidoPor = req.query.atendido_por ? parseInt(req.query.atendido_por) : null;
+    const sucursalId = req.sucursalId || (req.query.sucursal_id ? parseInt(req.query.sucursal_id) : null);
+    const limite = Math.min(parseInt(req.query.limite) || 100, 500);
+    const filtro = `p.canal = 'mostrador'
+      AND ($1::date IS NULL OR (p.created_at AT TIME ZONE 'America/Mexico_City')::date >= $1::date)
+      AND ($2::date IS NULL OR (p.created_at AT TIME ZONE 'America/Mexico_City')::date <= $2::date)
+      AND ($3::text IS NULL OR pg.metodo_pago = $3)
+      AND ($4::int IS NULL OR p.atendido_por = $4)
+      AND ($5::int IS NULL OR p.sucursal_id = $5)`;
+    const params = [desde || null, hasta || null, metodo_pago || null, atendidoPor, sucursalId];
+
+    const [ventas, totales] = await Promise.all([
+      pool.query(
+        `SELECT p.id, p.numero, p.total, p.estado, p.created_at, p.usuario_id,
+                pg.metodo_pago, pg.referencia, pg.estado AS estado_pago,
+                a.nombre AS atendido_por_nombre, c.nombre AS cliente_nombre
+         FROM core.tblpedidos p
+         LEFT JOIN core.tblpagos pg ON pg.pedido_id = p.id
+         LEFT JOIN core.tblusuarios a ON a.id = p.atendido_por
+         LEFT JOIN core.tblusuarios c ON c.id = p.usuario_id
+         WHERE ${filtro}
+         ORDER BY p.created_at DESC LIMIT $6`,
+        [...params, limite]
+      ),
+      pool.query(
+        `SELECT pg.metodo_pago, COUNT(*)::int AS ventas, COALESCE(SUM(p.total), 0)::NUMERIC(12,2) AS total
+         FROM core.tblpedidos p
+         LEFT JOIN core.tblpagos pg ON pg.pedido_id = p.id
+         WHERE ${filtro} AND p.estado <> 'cancelado'
+         GROUP BY pg.metodo_pago ORDER BY pg.metodo_pago`,
+        params
+      ),
+    ]);
+    res.json({
+      success: true,
+      ventas: ventas.rows,
+      totales: totales.rows.map(t => ({ ...t, total: parseFloat(t.total) })),
+      total: totales.rows.reduce((s, t) => s + parseFloat(t.total), 0),
+    });
+  } catch (error) {
+    console.error('Error GET /mostrador/ventas:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener ventas de mostrador' });
+  }
+});
+
+// ── Reimprimir ticket (?formato=texto para la impresora) ──
+router.get('/ventas/:id/ticket', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  try {
+    const venta = await obtenerVenta(pool, req.params.id);
+    if (!venta || fueraDeSucursal(req, venta.venta.sucursal_id)) return res.status(404).json({ success: false, message: 'Venta de mostrador no encontrada' });
+    if (req.query.formato === 'texto') return res.type('text/plain; charset=utf-8').send(venta.ticket);
+    res.json({ success: true, ...venta });
+  } catch (error) {
+    console.error('Error GET /mostrador/ventas/:id/ticket:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener el ticket' });
+  }
+});
+
+module.exports = router;
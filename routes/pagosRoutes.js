@@ -3,6 +3,22 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { verifyToken } = require('../middleware/auth');
+const { isValidEmail } = require('../middleware/validation');
+const { validarCodigoDescuento } = require('../utils/codigoDescuento');
+const { registrarHistorial } = require('../utils/estadoPedido');
+const { generarNumeroPedido } = require('../utils/numeroPedido');
+const { validarHorario } = require('../utils/horariosEntrega');
+const { materializarPersonalizado } = require('../utils/pedidoPersonalizado');
+const { resolverOpciones, calcularPrecio, opcionSinStock, descontarStockOpciones } = require('../utils/opcionesProducto');
+const { stockReservado, reservarStock, consumirReservas, liberarReservas } = require('../utils/reservasStock');
+const { resolverSucursal, textoSucursal, stockEnSucursal, descontarStock } = require('../utils/sucursales');
+const { resolverZona } = require('../utils/zonasEnvio');
+const { cotizarEnvio } = require('../utils/tarifasEnvio');
+const { validarCanje, canjearPuntos } = require('../utils/puntos');
+const {
+  MONTO_MINIMO: MINIMO_TARJETA, MONTO_MAXIMO: MAXIMO_TARJETA, MINIMO_COBRO,
+  validarTarjetaRegalo, aplicarTarjetaRegalo, emitirTarjetaRegalo,
+} = require('../utils/tarjetasRegalo');
 
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
@@ -24,72 +40,134 @@ function esRecogidaFutura(horarioIso) {
 // crear el intent y al confirmar, para que el monto cobrado y el pedido
 // guardado nunca difieran. Con permitirFuturo, los productos sin stock
 // no rechazan la compra: se reportan en "faltantes" (pedido por confirmar).
-async function obtenerCarrito(db, userId, permitirFuturo = false) {
+// Con codigoDescuento se valida y calcula el descuento del código sobre
+// el subtotal (bloquear = FOR UPDATE de la promoción al confirmar).
+// Las promociones con código NO se aplican solas por producto.
+// Con puntos se valida el canje de puntos de lealtad sobre lo que queda
+// tras el código (descuentoPuntos, aparte de descuento). Con envio (de
+// resolverEnvio) se cotiza costoEnvio sobre el subtotal con código y el
+// horario de entrega, con la misma función que GET /zonas-envio/cotizar.
+// Con codigoTarjeta, la tarjeta de regalo paga lo que quede (con
+// costoEnvio incluido) en montoTarjeta: es forma de pago, no descuento.
+// Variantes y complementos elegidos se validan y cotizan aquí también; su
+// stock propio cuenta igual que el del producto. El stock es el de la
+// sucursal que surte el pedido; lo apartado ahí por otros clientes en su
+// checkout no está disponible, lo apartado por este mismo cliente sí (es
+// su propia reserva).
+async function obtenerCarrito(db, userId, { sucursalId, permitirFuturo = false, codigoDescuento = null, puntos = null, codigoTarjeta = null, envio = null, horarioEntrega = null, bloquear = false } = {}) {
   const carrito = await db.query(
-    `SELECT ci.*, p.nombre, p.precio_chico, p.precio_grande, p.stock_online, p.activo,
+    `SELECT ci.*, p.nombre, p.precio_chico, p.precio_grande, p.categoria_id, p.activo,
       pr.descuento_porcentaje AS promo_descuento
      FROM core.tblcarrito_items ci
      JOIN core.tblproductos p ON ci.producto_id = p.id
-     LEFT JOIN core.tblpromociones pr ON pr.producto_id = p.id AND pr.estado = 'activa' AND (pr.fecha_fin IS NULL OR pr.fecha_fin > NOW())
+     LEFT JOIN core.tblpromociones pr ON pr.producto_id = p.id AND pr.estado = 'activa' AND pr.codigo_descuento IS NULL AND (pr.fecha_fin IS NULL OR pr.fecha_fin > NOW())
      WHERE ci.usuario_id = $1`,
     [userId]
   );
   if (carrito.rows.length === 0) return { error: 'El carrito está vacío' };
 
+  const resueltas = await resolverOpciones(db, carrito.rows, { bloquear });
+  const ids = carrito.rows.map(r => r.producto_id);
+  const stock = await stockEnSucursal(db, ids, sucursalId);
+  const reservado = await stockReservado(db, ids, { excluirUsuario: userId, sucursalId });
   let subtotal = 0;
   const items = [];
   const faltantes = [];
-  for (const item of carrito.rows) {
+  for (const [idx, item] of carrito.rows.entries()) {
     if (!item.activo) return { error: `"${item.nombre}" ya no está disponible` };
-    // stock_online = 0 significa agotado (no existe stock ilimitado)
-    const sinStock = item.stock_online === 0 || item.stock_online < item.cantidad;
+    const resuelta = resueltas[idx]; // eslint-disable-line security/detect-object-injection
+    if (resuelta.error) return { error: `${resuelta.error}. Quítalo del carrito y vuelve a agregarlo.` };
+    // stock = 0 significa agotado en la sucursal (no existe stock ilimitado)
+    const agotada = opcionSinStock(resuelta.opciones, item.cantidad);
+    const enSucursal = stock.get(item.producto_id) || 0;
+    const disponible = enSucursal - (reservado.get(item.producto_id) || 0);
+    const sinStock = disponible <= 0 || disponible < item.cantidad || !!agotada;
     if (sinStock && !permitirFuturo) {
-      if (item.stock_online === 0) return { error: `"${item.nombre}" está agotado` };
-      return { error: `"${item.nombre}": solo quedan ${item.stock_online} unidades` };
+      if (enSucursal === 0) return { error: `"${item.nombre}" está agotado en esta sucursal` };
+      if (agotada) return { error: `"${item.nombre}": solo quedan ${agotada.stock} de "${agotada.nombre}"` };
+      if (disponible <= 0) return { error: `"${item.nombre}" está apartado por otros clientes. Intenta de nuevo en unos minutos.` };
+      return { error: `"${item.nombre}": solo quedan ${disponible} unidades` };
     }
     if (sinStock) faltantes.push(item.nombre);
-    let precio = (item.tamano === 'grande' && item.precio_grande)
-      ? parseFloat(item.precio_grande)
-      : parseFloat(item.precio_chico);
-    // Aplicar descuento de promoción (porcentaje sobre precio del tamaño)
+    const base = calcularPrecio(item, item.tamano, resuelta.opciones);
+    let precio = base.producto;
+    // Aplicar descuento de promoción (porcentaje sobre precio del tamaño y
+    // variantes; los complementos se cobran completos)
     if (item.promo_descuento) precio = Math.round(precio * (1 - parseFloat(item.promo_descuento) / 100));
+    precio += base.complementos;
     const importe = precio * item.cantidad;
     subtotal += importe;
     items.push({
       producto_id: item.producto_id, nombre: item.nombre,
       cantidad: item.cantidad, tamano: item.tamano,
       precio_unitario: precio, subtotal: importe,
+      opciones: resuelta.opciones,
       sin_stock: sinStock,
     });
   }
-  return { items, subtotal, faltantes };
+
+  let descuento = 0;
+  let promocionCodigo = null;
+  if (codigoDescuento) {
+    const codigo = await validarCodigoDescuento(db, codigoDescuento, userId, items, { bloquear });
+    if (codigo.error) return { error: codigo.error };
+    descuento = codigo.descuento;
+    promocionCodigo = codigo.promocion;
+  }
+  let puntosCanje = 0;
+  let descuentoPuntos = 0;
+  if (puntos) {
+    const canje = await validarCanje(db, userId, puntos, subtotal - descuento, { bloquear });
+    if (canje.error) return { error: canje.error };
+    puntosCanje = canje.puntos;
+    descuentoPuntos = canje.descuento;
+  }
+  let costoEnvio = 0;
+  let envioDesglose = null;
+  if (envio && envio.zona) {
+    const cotizacion = await cotizarEnvio(db, envio.zona, { subtotal: subtotal - descuento, horario: horarioEntrega });
+    if (cotizacion.error) return { error: cotizacion.error };
+    costoEnvio = cotizacion.costo_envio;
+    envioDesglose = cotizacion.desglose;
+  }
+  let tarjetaRegalo = null;
+  let montoTarjeta = 0;
+  if (codigoTarjeta) {
+    const tarjeta = await validarTarjetaRegalo(db, codigoTarjeta, subtotal - descuento - descuentoPuntos + costoEnvio, { bloquear });
+    if (tarjeta.error) return { error: tarjeta.error };
+    tarjetaRegalo = tarjeta.tarjeta;
+    montoTarjeta = tarjeta.monto;
+  }
+  return { items, subtotal, descuento, promocionCodigo, puntosCanje, descuentoPuntos, costoEnvio, envioDesglose, tarjetaRegalo, montoTarjeta, faltantes };
 }
 
-// Resuelve el costo de envío y el snapshot de dirección según la modalidad.
+// Resuelve la zona de envío y el snapshot de dirección según la modalidad
+// (el costo lo cotiza obtenerCarrito, que conoce el subtotal). Un envío lo
+// surte la sucursal que atiende la zona (sucursal_id); la zona sale de las
+// coordenadas de la dirección o, sin ellas, de su colonia.
 async function resolverEnvio(db, userId, tipoEntrega, direccionId) {
-  if (tipoEntrega !== 'domicilio') return { costo_envio: 0, direccion: null };
+  if (tipoEntrega !== 'domicilio') return { zona: null, direccion: null, sucursal_id: null };
   if (!direccionId) return { error: 'Selecciona una dirección de entrega' };
   const result = await db.query(
-    `SELECT d.alias, d.calle_numero, d.colonia, d.referencias, d.telefono_contacto, d.lat, d.lng,
-            z.tarifa, z.nombre AS zona
+    `SELECT d.alias, d.calle_numero, d.colonia, d.referencias, d.telefono_contacto, d.lat, d.lng
      FROM core.tbldirecciones d
-     LEFT JOIN core.tblzonas_colonias zc ON LOWER(zc.colonia) = LOWER(d.colonia)
-     LEFT JOIN core.tblzonas_envio z ON z.id = zc.zona_id AND z.activa = TRUE
      WHERE d.id = $1 AND d.usuario_id = $2`,
     [direccionId, userId]
   );
   if (result.rows.length === 0) return { error: 'Dirección de entrega no encontrada' };
   const d = result.rows[0];
-  if (d.tarifa === null) return { error: `Sin cobertura de envío en "${d.colonia}". Elige recoger en sucursal.` };
+  const zona = await resolverZona(db, d);
+  if (!zona) return { error: `Sin cobertura de envío en "${d.colonia}". Elige recoger en sucursal.` };
   return {
-    costo_envio: parseFloat(d.tarifa),
+    zona,
+    sucursal_id: zona.sucursal_id,
     direccion: {
       alias: d.alias,
       calle_numero: d.calle_numero,
       colonia: d.colonia,
       referencias: d.referencias,
       telefono: d.telefono_contacto,
-      zona: d.zona,
+      zona: zona.zona_nombre,
       lat: d.lat,
       lng: d.lng,
     },
@@ -107,35 +185,85 @@ router.post('/crear-intent', verifyToken, async (req, res) => {
     // (el pedido quedará "por confirmar" por el personal)
     const permitirFuturo = tipoEntrega === 'pickup' && esRecogidaFutura(req.body.horario_recogida);
 
-    const carrito = await obtenerCarrito(pool, userId, permitirFuturo);
-    if (carrito.error) return res.status(400).json({ success: false, message: carrito.error });
-
     const envio = await resolverEnvio(pool, userId, tipoEntrega, direccionId);
     if (envio.error) return res.status(400).json({ success: false, message: envio.error });
+    // Pickup: la sucursal que elige el cliente; envío: la de su zona
+    const sucursal = await resolverSucursal(pool, tipoEntrega === 'pickup' ? req.body.sucursal_id : envio.sucursal_id);
+    if (sucursal.error) return res.status(400).json({ success: false, message: sucursal.error });
+
+    const codigoDescuento = req.body.codigo_descuento ? String(req.body.codigo_descuento).trim().toUpperCase() : null;
+    const puntos = req.body.puntos ? parseInt(req.body.puntos) : null;
+    const codigoTarjeta = req.body.tarjeta_regalo ? String(req.body.tarjeta_regalo).trim() : null;
+    // Sin horario de entrega, la hora pico es la de ahora (al confirmar:
+    // la de creación del intent, para que el monto cuadre)
+    const carrito = await obtenerCarrito(pool, userId, {
+      sucursalId: sucursal.id, permitirFuturo, codigoDescuento, puntos, codigoTarjeta,
+      envio, horarioEntrega: req.body.horario_entrega || new Date(),
+    });
+    if (carrito.error) return res.status(400).json({ success: false, message: carrito.error });
 
-    const total = carrito.subtotal + envio.costo_envio;
+    // Franja con cupo: se revisa antes de cobrar y otra vez, con candado,
+    // al crear el pedido (entre ambos pasos otro cliente pudo llenarla)
+    const unidades = carrito.items.reduce((sum, i) => sum + i.cantidad, 0);
+    const horario = tipoEntrega === 'pickup' ? req.body.horario_recogida : req.body.horario_entrega;
+    const cupo = await validarHorario(pool, tipoEntrega, horario, unidades);
+    if (cupo.error) return res.status(400).json({ success: false, message: cupo.error });
+
+    const total = carrito.subtotal - carrito.descuento - carrito.descuentoPuntos + carrito.costoEnvio;
+    const cobro = Math.round((total - carrito.montoTarjeta) * 100) / 100;
+    // Un código del 100% (o uno que deja el cobro muy bajo) no puede pasar por Stripe
+    if (cobro < MINIMO_COBRO) {
+      return res.status(400).json({ success: false, message: `El cobro con tarjeta debe ser de al menos $${MINIMO_COBRO} MXN; con estos descuentos quedaría en $${cobro.toFixed(2)}` });
+    }
 
     // La modalidad y la dirección viajan en metadata: al confirmar se leen
-    // de Stripe, no del cliente, para que no puedan alterarse.
+    // de Stripe, no del cliente, para que no puedan alterarse. Notas y
+    // horarios también, para que el webhook pueda crear el pedido si el
+    // navegador nunca llega a /confirmar (Stripe limita cada valor a 500).
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(total * 100),
+      amount: Math.round(cobro * 100),
       currency: 'mxn',
       metadata: {
         usuario_id: userId.toString(),
         tipo_entrega: tipoEntrega,
+        sucursal_id: sucursal.id.toString(),
         direccion_id: direccionId ? direccionId.toString() : '',
+        notas: req.body.notas ? String(req.body.notas).slice(0, 500) : '',
+        horario_recogida: req.body.horario_recogida ? String(req.body.horario_recogida).slice(0, 500) : '',
+        horario_entrega: req.body.horario_entrega ? String(req.body.horario_entrega).slice(0, 500) : '',
+        codigo_descuento: codigoDescuento || '',
+        puntos: carrito.puntosCanje ? carrito.puntosCanje.toString() : '',
+        tarjeta_regalo: carrito.tarjetaRegalo ? carrito.tarjetaRegalo.codigo : '',
       },
     });
 
+    // Apartar las piezas mientras el cliente paga. Si otro cliente las
+    // apartó entre la revisión del carrito y este punto, el intent se
+    // cancela antes de que pueda cobrarse.
+    const reserva = await apartarPiezas(paymentIntent.id, userId, sucursal.id, carrito.items.filter(i => !i.sin_stock));
+    if (reserva.error) {
+      await stripe.paymentIntents.cancel(paymentIntent.id).catch(e => console.error('Error cancelando intent sin reserva:', e.message));
+      return res.status(409).json({ success: false, message: reserva.error });
+    }
+
     res.json({
       success: true,
       clientSecret: paymentIntent.client_secret,
       publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
       subtotal: carrito.subtotal,
-      costo_envio: envio.costo_envio,
+      descuento: carrito.descuento,
+      codigo_descuento: codigoDescuento,
+      puntos: carrito.puntosCanje,
+      descuento_puntos: carrito.descuentoPuntos,
+      costo_envio: carrito.costoEnvio,
+      envio_desglose: carrito.envioDesglose,
       total,
+      tarjeta_regalo: carrito.tarjetaRegalo ? { codigo: carrito.tarjetaRegalo.codigo, monto: carrito.montoTarjeta } : null,
+      por_cobrar: cobro,
       por_confirmar: (carrito.faltantes || []).length > 0,
       productos_por_confirmar: carrito.faltantes || [],
+      reserva_expira: reserva.expira,
+      sucursal: { id: sucursal.id, nombre: sucursal.nombre },
     });
   } catch (error) {
     console.error('Error creando payment intent:', error.message);
@@ -143,62 +271,99 @@ router.post('/crear-intent', verifyToken, async (req, res) => {
   }
 });
 
-// ── Confirmar pago y crear pedido ──
-router.post('/confirmar', verifyToken, async (req, res) => {
+async function apartarPiezas(paymentIntentId, usuarioId, sucursalId, items) {
   const client = await pool.connect();
   try {
-    const userId = req.user.userId;
-    const { payment_intent_id, notas, horario_recogida, horario_entrega } = req.body;
-
-    // Verificar el Payment Intent con Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id);
-
-    if (paymentIntent.status !== 'succeeded') {
-      return res.status(400).json({
-        success: false,
-        message: 'El pago no fue completado',
-        status: paymentIntent.status
-      });
-    }
-    if (paymentIntent.metadata.usuario_id !== userId.toString()) {
-      return res.status(403).json({ success: false, message: 'El pago no corresponde a este usuario' });
-    }
+    await client.query('BEGIN');
+    const reserva = await reservarStock(client, { paymentIntentId, usuarioId, sucursalId, items });
+    await client.query(reserva.error ? 'ROLLBACK' : 'COMMIT');
+    return reserva;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
 
-    const tipoEntrega = paymentIntent.metadata.tipo_entrega === 'domicilio' ? 'domicilio' : 'pickup';
-    const direccionId = paymentIntent.metadata.direccion_id ? parseInt(paymentIntent.metadata.direccion_id) : null;
+// Crea el pedido de un PaymentIntent ya cobrado. Lo usan /confirmar (el
+// navegador) y el webhook (Stripe): el candado sobre el id del intent
+// serializa ambos y el segundo en llegar recibe el pedido que creó el
+// primero, sin duplicarlo. Devuelve { pedido, creado } o { error, status }
+// si el carrito ya no corresponde a lo cobrado.
+async function materializarPedido(paymentIntent, { notas, horario_recogida, horario_entrega }) {
+  const userId = parseInt(paymentIntent.metadata.usuario_id);
+  const tipoEntrega = paymentIntent.metadata.tipo_entrega === 'domicilio' ? 'domicilio' : 'pickup';
+  const direccionId = paymentIntent.metadata.direccion_id ? parseInt(paymentIntent.metadata.direccion_id) : null;
 
+  const client = await pool.connect();
+  let creado;
+  try {
     await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [paymentIntent.id]);
 
+    // ¿Ya se materializó por la otra vía?
+    const existente = await client.query(
+      `SELECT p.* FROM core.tblpagos pg JOIN core.tblpedidos p ON p.id = pg.pedido_id
+       WHERE pg.stripe_payment_id = $1`,
+      [paymentIntent.id]
+    );
+    if (existente.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { pedido: existente.rows[0], creado: false };
+    }
+
+    // El código, los puntos y la tarjeta de regalo se vuelven a validar
+    // aquí (el código pudo vencer o agotarse y los puntos o el saldo
+    // gastarse en otro pedido desde el intent); si ya no aplican, el monto
+    // no cuadra y el pedido no se crea
     const permitirFuturo = tipoEntrega === 'pickup' && esRecogidaFutura(horario_recogida);
-    const carrito = await obtenerCarrito(client, userId, permitirFuturo);
+    const codigoDescuento = paymentIntent.metadata.codigo_descuento || null;
+    const puntos = paymentIntent.metadata.puntos ? parseInt(paymentIntent.metadata.puntos) : null;
+    const codigoTarjeta = paymentIntent.metadata.tarjeta_regalo || null;
+    // La sucursal se fijó al crear el intent (los anteriores a sucursales: la principal)
+    const sucursal = await resolverSucursal(client, paymentIntent.metadata.sucursal_id || null);
+    if (sucursal.error) {
+      await client.query('ROLLBACK');
+      return { error: sucursal.error, status: 400 };
+    }
+    const envio = await resolverEnvio(client, userId, tipoEntrega, direccionId);
+    if (envio.error) {
+      await client.query('ROLLBACK');
+      return { error: envio.error, status: 400 };
+    }
+    const carrito = await obtenerCarrito(client, userId, {
+      sucursalId: sucursal.id, permitirFuturo, codigoDescuento, puntos, codigoTarjeta,
+      envio, horarioEntrega: horario_entrega || new Date(paymentIntent.created * 1000), bloquear: true,
+    });
     if (carrito.error) {
       await client.query('ROLLBACK');
-      return res.status(400).json({ success: false, message: carrito.error });
+      return { error: carrito.error, status: 400 };
     }
-    const { items, subtotal } = carrito;
+    const { items, subtotal, descuento, promocionCodigo, puntosCanje, descuentoPuntos, costoEnvio, tarjetaRegalo, montoTarjeta } = carrito;
     const faltantes = carrito.faltantes || [];
     const porConfirmar = faltantes.length > 0;
 
-    const envio = await resolverEnvio(client, userId, tipoEntrega, direccionId);
-    if (envio.error) {
+    // total es el del pedido; cobro, la parte pagada con tarjeta bancaria
+    const total = subtotal - descuento - descuentoPuntos + costoEnvio;
+    const cobro = Math.round((total - montoTarjeta) * 100) / 100;
+
+    // El monto cobrado en Stripe debe coincidir con el carrito actual
+    if (paymentIntent.amount !== Math.round(cobro * 100)) {
       await client.query('ROLLBACK');
-      return res.status(400).json({ success: false, message: envio.error });
+      return { error: 'El carrito cambió después de iniciar el pago. Vuelve a intentarlo.', status: 409 };
     }
-    const total = subtotal + envio.costo_envio;
 
-    // El monto cobrado en Stripe debe coincidir con el carrito actual
-    if (paymentIntent.amount !== Math.round(total * 100)) {
+    const unidades = items.reduce((sum, i) => sum + i.cantidad, 0);
+    const horario = tipoEntrega === 'pickup' ? horario_recogida : horario_entrega;
+    const cupo = await validarHorario(client, tipoEntrega, horario, unidades, { bloquear: true });
+    if (cupo.error) {
       await client.query('ROLLBACK');
-      return res.status(409).json({ success: false, message: 'El carrito cambió después de iniciar el pago. Vuelve a intentarlo.' });
+      return { error: cupo.error, status: 409 };
     }
 
     // Crear pedido
-    const fecha = new Date();
-    const y = fecha.getFullYear().toString().slice(-2);
-    const m = String(fecha.getMonth() + 1).padStart(2, '0');
-    const d = String(fecha.getDate()).padStart(2, '0');
-    const rand = Math.floor(1000 + Math.random() * 9000);
-    const numero = `PIER-${y}${m}${d}-${rand}`;
+    const numero = await generarNumeroPedido(client);
 
     // Los productos ya están hechos (repostería lista): el pedido pagado
     // nace "listo" — pickup y domicilio por igual (los de domicilio entran
@@ -209,18 +374,27 @@ router.post('/confirmar', verifyToken, async (req, res) => {
     const pedidoResult = await client.query(
       `INSERT INTO core.tblpedidos
         (numero, usuario_id, total, estado, notas, horario_recogida, metodo_pago,
-         tipo_entrega, costo_envio, direccion_entrega, horario_entrega, por_confirmar, created_at, updated_at)
-       VALUES ($1,$2,$3,$4,$5,$6,'tarjeta',$7,$8,$9,$10,$11,NOW(),NOW()) RETURNING *`,
+         tipo_entrega, costo_envio, direccion_entrega, horario_entrega, por_confirmar,
+         codigo_descuento, descuento, sucursal_id, puntos_canjeados, descuento_puntos,
+         tarjeta_regalo_id, monto_tarjeta_regalo, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,'tarjeta',$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,NOW(),NOW()) RETURNING *`,
       [
         numero, userId, total, estadoInicial, notas || null,
         tipoEntrega === 'pickup' ? (horario_recogida || null) : null,
-        tipoEntrega, envio.costo_envio,
+        tipoEntrega, costoEnvio,
         envio.direccion ? JSON.stringify(envio.direccion) : null,
         tipoEntrega === 'domicilio' ? (horario_entrega || null) : null,
         porConfirmar,
+        promocionCodigo ? promocionCodigo.codigo_descuento : null, descuento, sucursal.id,
+        puntosCanje, descuentoPuntos,
+        tarjetaRegalo ? tarjetaRegalo.id : null, montoTarjeta,
       ]
     );
     const pedido = pedidoResult.rows[0];
+    await registrarHistorial(client, {
+      pedidoId: pedido.id, estadoNuevo: estadoInicial, usuarioId: userId,
+      motivo: porConfirmar ? 'Pago con tarjeta confirmado; pedido programado por confirmar' : 'Pago con tarjeta confirmado',
+    });
 
     // Descontar stock y crear items registrando cuánto se descontó de
     // verdad por línea (stock_descontado): es lo que se repone si el
@@ -232,144 +406,410 @@ router.post('/confirmar', verifyToken, async (req, res) => {
       // inventario: se producirán para la fecha si el personal lo aprueba
       let stockDescontado = 0;
       if (!item.sin_stock) {
-        // El sub-select con FOR UPDATE bloquea la fila y expone el valor
-        // previo: el descuento real puede ser parcial por el tope en cero
-        const stockResult = await client.query(
-          `UPDATE core.tblproductos p
-           SET stock_online = GREATEST(p.stock_online - $1, 0), updated_at = NOW()
-           FROM (SELECT id, stock_online AS stock_anterior FROM core.tblproductos WHERE id = $2 FOR UPDATE) prev
-           WHERE p.id = prev.id
-           RETURNING p.nombre, p.stock_online, prev.stock_anterior`,
-          [item.cantidad, item.producto_id]
-        );
-        if (stockResult.rows.length > 0) {
-          const s = stockResult.rows[0];
-          stockDescontado = s.stock_anterior - s.stock_online;
-          if (s.stock_online === 0) stockAgotado.push(s.nombre);
-          else if (s.stock_online <= 5) stockBajo.push(s);
-        }
+        // El descuento real puede ser parcial por el tope en cero
+        const s = await descontarStock(client, { productoId: item.producto_id, sucursalId: sucursal.id, cantidad: item.cantidad });
+        stockDescontado = s.descontado;
+        if (s.descontado > 0 && s.stock === 0) stockAgotado.push(item.nombre);
+        else if (s.descontado > 0 && s.stock <= 5) stockBajo.push({ nombre: item.nombre, stock: s.stock });
       }
+      const opciones = await descontarStockOpciones(client, item.opciones, item.sin_stock ? 0 : item.cantidad);
       await client.query(
-        `INSERT INTO core.tblpedido_items (pedido_id, producto_id, nombre_producto, cantidad, tamano, precio_unitario, subtotal, stock_descontado)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
-        [pedido.id, item.producto_id, item.nombre, item.cantidad, item.tamano, item.precio_unitario, item.subtotal, stockDescontado]
+        `INSERT INTO core.tblpedido_items (pedido_id, producto_id, nombre_producto, cantidad, tamano, precio_unitario, subtotal, stock_descontado, opciones)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [pedido.id, item.producto_id, item.nombre, item.cantidad, item.tamano, item.precio_unitario, item.subtotal, stockDescontado, JSON.stringify(opciones)]
       );
     }
 
-    // Vaciar carrito
+    // Vaciar carrito; lo apartado ya quedó descontado de verdad
     await client.query('DELETE FROM core.tblcarrito_items WHERE usuario_id = $1', [userId]);
+    await consumirReservas(client, paymentIntent.id);
 
-    // Crear registro de pago (subtotal de productos + total con envío)
+    // Crear registro de pago (subtotal de productos + lo cobrado en
+    // Stripe; lo pagado con tarjeta de regalo queda en el pedido)
     await client.query(
-      `INSERT INTO core.tblpagos (pedido_id, monto_subtotal, monto_total, estado, stripe_payment_id, created_at)
-       VALUES ($1,$2,$3,'pagado',$4,NOW())`,
-      [pedido.id, subtotal, total, payment_intent_id]
+      `INSERT INTO core.tblpagos (pedido_id, monto_subtotal, descuento, codigo_descuento, monto_total, estado, stripe_payment_id, fecha_confirmacion_pago, created_at)
+       VALUES ($1,$2,$3,$4,$5,'pagado',$6,NOW(),NOW())`,
+      [pedido.id, subtotal, descuento, promocionCodigo ? promocionCodigo.codigo_descuento : null, cobro, paymentIntent.id]
     );
 
+    // El uso cuenta para los límites global y por cliente del código
+    if (promocionCodigo) {
+      await client.query(
+        'INSERT INTO core.tblpromocion_usos (promocion_id, usuario_id, pedido_id, descuento, created_at) VALUES ($1,$2,$3,$4,NOW())',
+        [promocionCodigo.id, userId, pedido.id, descuento]
+      );
+    }
+    if (puntosCanje > 0) await canjearPuntos(client, { usuarioId: userId, pedidoId: pedido.id, puntos: puntosCanje });
+    if (tarjetaRegalo) await aplicarTarjetaRegalo(client, { tarjetaId: tarjetaRegalo.id, pedidoId: pedido.id, monto: montoTarjeta });
+
     await client.query('COMMIT');
+    creado = { pedido, userId, items, total, descuento, envio: { ...envio, costo_envio: costoEnvio }, tipoEntrega, porConfirmar, faltantes, horario_recogida, stockAgotado, stockBajo, sucursal };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await notificarPedidoPagado(creado);
+  return { pedido: creado.pedido, creado: true };
+}
 
-    // Pedido programado con faltantes: el personal debe aprobarlo o rechazarlo
-    if (porConfirmar) {
-      try {
-        const { crearNotificacion } = require('../services/notificacionHelper');
-        const fechaTxt = horario_recogida
-          ? new Date(horario_recogida).toLocaleDateString('es-MX', { timeZone: 'America/Mexico_City', weekday: 'long', day: 'numeric', month: 'long' })
-          : 'la fecha programada';
-        const staff = await pool.query(`SELECT id FROM core.tblusuarios WHERE rol::text = ANY($1::text[]) AND activo = TRUE`, [['empleado', 'gerencia', 'direccion_general']]);
-        for (const s of staff.rows) {
+// Avisos posteriores al COMMIT de un pedido pagado: personal (por confirmar
+// y stock) y cliente. Nunca fallan la creación del pedido.
+async function notificarPedidoPagado({ pedido, userId, items, total, descuento, envio, tipoEntrega, porConfirmar, faltantes, horario_recogida, stockAgotado, stockBajo, sucursal }) {
+  const numero = pedido.numero;
+
+  // Pedido programado con faltantes: el personal debe aprobarlo o rechazarlo
+  if (porConfirmar) {
+    try {
+      const { crearNotificacion } = require('../services/notificacionHelper');
+      const fechaTxt = horario_recogida
+        ? new Date(horario_recogida).toLocaleDateString('es-MX', { timeZone: 'America/Mexico_City', weekday: 'long', day: 'numeric', month: 'long' })
+        : 'la fecha programada';
+      const staff = await pool.query(`SELECT id FROM core.tblusuarios WHERE rol::text = ANY($1::text[]) AND activo = TRUE`, [['empleado', 'gerencia', 'direccion_general']]);
+      for (const s of staff.rows) {
+        await crearNotificacion({
+          usuario_id: s.id,
+          tipo: 'alerta',
+          titulo: 'Pedido por confirmar',
+          mensaje: `El pedido ${numero} (recogida ${fechaTxt}) incluye productos sin stock hoy: ${faltantes.join(', ')}. Apruébalo o recházalo en Gestión de Pedidos.`,
+        });
+      }
+    } catch (notifError) {
+      console.error('Error notificando pedido por confirmar:', notifError.message);
+    }
+  }
+
+  // Alertar a los empleados si algún producto quedó agotado o con poco stock
+  if (stockAgotado.length > 0 || stockBajo.length > 0) {
+    try {
+      const { crearNotificacion } = require('../services/notificacionHelper');
+      const empleados = await pool.query(
+        `SELECT id FROM core.tblusuarios WHERE rol = 'empleado' AND activo = TRUE AND (sucursal_id IS NULL OR sucursal_id = $1)`,
+        [sucursal.id]
+      );
+      for (const emp of empleados.rows) {
+        for (const nombre of stockAgotado) {
           await crearNotificacion({
-            usuario_id: s.id,
+            usuario_id: emp.id,
             tipo: 'alerta',
-            titulo: 'Pedido por confirmar',
-            mensaje: `El pedido ${numero} (recogida ${fechaTxt}) incluye productos sin stock hoy: ${faltantes.join(', ')}. Apruébalo o recházalo en Gestión de Pedidos.`,
+            titulo: 'Producto agotado',
+            mensaje: `"${nombre}" se agotó en ${sucursal.nombre} tras el pedido ${numero}. Revisa Gestión de Productos.`,
           });
         }
-      } catch (notifError) {
-        console.error('Error notificando pedido por confirmar:', notifError.message);
-      }
-    }
-
-    // Alertar a los empleados si algún producto quedó agotado o con poco stock
-    if (stockAgotado.length > 0 || stockBajo.length > 0) {
-      try {
-        const { crearNotificacion } = require('../services/notificacionHelper');
-        const empleados = await pool.query(`SELECT id FROM core.tblusuarios WHERE rol = 'empleado' AND activo = TRUE`);
-        for (const emp of empleados.rows) {
-          for (const nombre of stockAgotado) {
-            await crearNotificacion({
-              usuario_id: emp.id,
-              tipo: 'alerta',
-              titulo: 'Producto agotado',
-              mensaje: `"${nombre}" se agotó en la tienda en línea tras el pedido ${numero}. Revisa Gestión de Productos.`,
-            });
-          }
-          for (const s of stockBajo) {
-            await crearNotificacion({
-              usuario_id: emp.id,
-              tipo: 'alerta',
-              titulo: 'Stock bajo',
-              mensaje: `Quedan ${s.stock_online} unidades de "${s.nombre}" en la tienda en línea.`,
-            });
-          }
+        for (const s of stockBajo) {
+          await crearNotificacion({
+            usuario_id: emp.id,
+            tipo: 'alerta',
+            titulo: 'Stock bajo',
+            mensaje: `Quedan ${s.stock} unidades de "${s.nombre}" en ${sucursal.nombre}.`,
+          });
         }
-      } catch (stockError) {
-        console.error('Error notificando stock bajo:', stockError.message);
       }
+    } catch (stockError) {
+      console.error('Error notificando stock bajo:', stockError.message);
     }
+  }
 
-    // Notificación
-    try {
-      const { notificarConEmail } = require('../services/notificacionHelper');
-      const he = require('he');
-      const userData = await pool.query('SELECT nombre, email FROM core.tblusuarios WHERE id = $1', [userId]);
-      if (userData.rows.length > 0) {
-        const u = userData.rows[0];
-        const safeNumero = he.escape(String(numero));
-        const safeTotal = he.escape(total.toFixed(2));
-        const safeItemsTexto = he.escape(items.map(i => `${i.nombre} x${i.cantidad}`).join(', '));
-        const esDomicilio = tipoEntrega === 'domicilio';
-        const safeEnvio = he.escape(envio.costo_envio.toFixed(2));
-        await notificarConEmail({
-          usuario_id: userId,
-          tipo: 'pedido',
-          titulo: '¡Pedido recibido!',
-          mensaje: porConfirmar
-            ? `Recibimos tu pedido #${numero} por $${total.toFixed(2)}. Como es para otra fecha, estamos confirmando la disponibilidad de tus productos: te avisamos muy pronto.`
+  // Notificación
+  try {
+    const { notificarConEmail } = require('../services/notificacionHelper');
+    const he = require('he');
+    const userData = await pool.query('SELECT nombre, email FROM core.tblusuarios WHERE id = $1', [userId]);
+    if (userData.rows.length > 0) {
+      const u = userData.rows[0];
+      const safeNumero = he.escape(String(numero));
+      const safeTotal = he.escape(total.toFixed(2));
+      const safeItemsTexto = he.escape(items.map(i => `${i.nombre} x${i.cantidad}`).join(', '));
+      const esDomicilio = tipoEntrega === 'domicilio';
+      const safeEnvio = he.escape(envio.costo_envio.toFixed(2));
+      await notificarConEmail({
+        usuario_id: userId,
+        tipo: 'pedido',
+        titulo: '¡Pedido recibido!',
+        mensaje: porConfirmar
+          ? `Recibimos tu pedido #${numero} por $${total.toFixed(2)}. Como es para otra fecha, estamos confirmando la disponibilidad de tus productos: te avisamos muy pronto.`
+          : esDomicilio
+            ? `Tu pedido #${numero} por $${total.toFixed(2)} fue confirmado. Te avisaremos cuando salga en camino a tu domicilio.`
+            : `Tu pedido #${numero} por $${total.toFixed(2)} fue confirmado. Te avisaremos cuando esté listo para recoger.`,
+        email: u.email,
+        nombre: u.nombre,
+        asunto: `🍰 Pedido #${safeNumero} confirmado — Pier Repostería`,
+        contenidoHtml: `
+          <h2>¡Gracias por tu compra, ${he.escape(u.nombre)}!</h2>
+          <div class="highlight-box">
+            <p><strong>Pedido:</strong> #${safeNumero}</p>
+            <p><strong>Productos:</strong> ${safeItemsTexto}</p>
+            ${descuento > 0 ? `<p><strong>Descuento (${he.escape(String(pedido.codigo_descuento))}):</strong> -$${he.escape(descuento.toFixed(2))} MXN</p>` : ''}
+            ${pedido.puntos_canjeados > 0 ? `<p><strong>Puntos canjeados (${he.escape(String(pedido.puntos_canjeados))}):</strong> -$${he.escape(parseFloat(pedido.descuento_puntos).toFixed(2))} MXN</p>` : ''}
+            ${esDomicilio ? `<p><strong>Envío a domicilio:</strong> $${safeEnvio} MXN</p>` : ''}
+            <p><strong>Total:</strong> $${safeTotal} MXN</p>
+            ${parseFloat(pedido.monto_tarjeta_regalo) > 0 ? `<p><strong>Pagado con tarjeta de regalo:</strong> $${he.escape(parseFloat(pedido.monto_tarjeta_regalo).toFixed(2))} MXN</p>` : ''}
+          </div>
+          ${porConfirmar
+            ? '<p>Tu pedido es para otra fecha: estamos confirmando la disponibilidad de tus productos y te avisaremos muy pronto. Si no pudiéramos prepararlo, tu pago se reembolsa completo.</p>'
             : esDomicilio
-              ? `Tu pedido #${numero} por $${total.toFixed(2)} fue confirmado. Te avisaremos cuando salga en camino a tu domicilio.`
-              : `Tu pedido #${numero} por $${total.toFixed(2)} fue confirmado. Te avisaremos cuando esté listo para recoger.`,
-          email: u.email,
-          nombre: u.nombre,
-          asunto: `🍰 Pedido #${safeNumero} confirmado — Pier Repostería`,
-          contenidoHtml: `
-            <h2>¡Gracias por tu compra, ${he.escape(u.nombre)}!</h2>
-            <div class="highlight-box">
-              <p><strong>Pedido:</strong> #${safeNumero}</p>
-              <p><strong>Productos:</strong> ${safeItemsTexto}</p>
-              ${esDomicilio ? `<p><strong>Envío a domicilio:</strong> $${safeEnvio} MXN</p>` : ''}
-              <p><strong>Total:</strong> $${safeTotal} MXN</p>
-            </div>
-            ${porConfirmar
-              ? '<p>Tu pedido es para otra fecha: estamos confirmando la disponibilidad de tus productos y te avisaremos muy pronto. Si no pudiéramos prepararlo, tu pago se reembolsa completo.</p>'
-              : esDomicilio
-                ? '<p>Te notificaremos cuando tu pedido salga en camino a tu domicilio.</p>'
-                : '<p>Te notificaremos cuando esté listo para recoger en Sucursal Principal, Huejutla de Reyes.</p>'}
-          `
-        });
-      }
-    } catch (emailError) {
-      console.error('Error enviando notificación:', emailError.message);
+              ? '<p>Te notificaremos cuando tu pedido salga en camino a tu domicilio.</p>'
+              : `<p>Te notificaremos cuando esté listo para recoger en ${he.escape(textoSucursal(sucursal))}.</p>`}
+        `
+      });
+    }
+  } catch (emailError) {
+    console.error('Error enviando notificación:', emailError.message);
+  }
+}
+
+// ── Confirmar pago y crear pedido ──
+router.post('/confirmar', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { payment_intent_id, notas } = req.body;
+
+    // Verificar el Payment Intent con Stripe
+    const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id);
+
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({
+        success: false,
+        message: 'El pago no fue completado',
+        status: paymentIntent.status
+      });
+    }
+    if (paymentIntent.metadata.usuario_id !== userId.toString()) {
+      return res.status(403).json({ success: false, message: 'El pago no corresponde a este usuario' });
     }
 
-    res.json({ success: true, pedido });
+    // Los horarios salen solo de la metadata: el envío y la disponibilidad
+    // se validaron con ellos al crear el intent, y el webhook usa los mismos
+    const md = paymentIntent.metadata;
+    const resultado = await materializarPedido(paymentIntent, {
+      notas: notas || md.notas || null,
+      horario_recogida: md.horario_recogida || null,
+      horario_entrega: md.horario_entrega || null,
+    });
+    if (resultado.error) return res.status(resultado.status).json({ success: false, message: resultado.error });
+
+    res.json({ success: true, pedido: resultado.pedido });
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('Error confirmando pago:', error.message);
     res.status(500).json({ success: false, message: 'Error al confirmar pago' });
+  }
+});
+
+// ── Comprar tarjeta de regalo ──
+// Intent propio (sin carrito): monto y destinatario viajan en metadata y
+// la tarjeta se crea al confirmar o en el webhook (utils/tarjetasRegalo).
+router.post('/tarjetas-regalo/crear-intent', verifyToken, async (req, res) => {
+  try {
+    const monto = Number(req.body.monto);
+    const destinatarioNombre = req.body.destinatario_nombre ? String(req.body.destinatario_nombre).trim().slice(0, 100) : '';
+    const destinatarioEmail = req.body.destinatario_email ? String(req.body.destinatario_email).trim().toLowerCase() : '';
+    if (!Number.isInteger(monto) || monto < MINIMO_TARJETA || monto > MAXIMO_TARJETA) {
+      return res.status(400).json({ success: false, message: `El monto debe ser un entero entre $${MINIMO_TARJETA} y $${MAXIMO_TARJETA}` });
+    }
+    if (!destinatarioNombre || !isValidEmail(destinatarioEmail)) {
+      return res.status(400).json({ success: false, message: 'Nombre y correo válido del destinatario son requeridos' });
+    }
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: monto * 100,
+      currency: 'mxn',
+      metadata: {
+        usuario_id: req.user.userId.toString(),
+        tarjeta_regalo_compra: '1',
+        monto: monto.toString(),
+        destinatario_nombre: destinatarioNombre,
+        destinatario_email: destinatarioEmail.slice(0, 255),
+        mensaje: req.body.mensaje ? String(req.body.mensaje).slice(0, 500) : '',
+      },
+    });
+    res.json({
+      success: true,
+      clientSecret: paymentIntent.client_secret,
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+      payment_intent_id: paymentIntent.id,
+      monto,
+    });
+  } catch (error) {
+    console.error('Error POST /pagos/tarjetas-regalo/crear-intent:', error.message);
+    res.status(500).json({ success: false, message: 'Error al iniciar el pago de la tarjeta de regalo' });
+  }
+});
+
+router.post('/tarjetas-regalo/confirmar', verifyToken, async (req, res) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(req.body.payment_intent_id);
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ success: false, message: 'El pago no fue completado', status: paymentIntent.status });
+    }
+    if (paymentIntent.metadata.usuario_id !== req.user.userId.toString() || !paymentIntent.metadata.tarjeta_regalo_compra) {
+      return res.status(403).json({ success: false, message: 'El pago no corresponde a este usuario' });
+    }
+    const resultado = await emitirTarjetaRegalo(paymentIntent);
+    if (resultado.error) return res.status(resultado.status).json({ success: false, message: resultado.error });
+    const t = resultado.tarjeta;
+    // El código solo lo recibe el destinatario por correo
+    res.json({
+      success: true,
+      message: `Tarjeta de regalo enviada a ${t.destinatario_email}`,
+      tarjeta: { id: t.id, monto: parseFloat(t.monto_inicial), destinatario_email: t.destinatario_email, expira_at: t.expira_at },
+    });
+  } catch (error) {
+    console.error('Error POST /pagos/tarjetas-regalo/confirmar:', error.message);
+    res.status(500).json({ success: false, message: 'Error al confirmar la tarjeta de regalo' });
+  }
+});
+
+// ── Webhook de Stripe (sin JWT: lo autentica la firma) ──
+// Respaldo de /confirmar: si el navegador se cierra después de cobrar, el
+// pedido se crea aquí con los datos guardados en la metadata del intent.
+// Requiere STRIPE_WEBHOOK_SECRET y el cuerpo crudo (server.js lo conserva
+// en req.rawBody solo para esta ruta).
+router.post('/webhook', async (req, res) => {
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.rawBody, req.headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    console.error('Webhook de Stripe rechazado:', error.message);
+    return res.status(400).json({ success: false, message: 'Firma inválida' });
+  }
+
+  try {
+    if (event.type === 'payment_intent.succeeded') await webhookPagoExitoso(event.data.object);
+    else if (event.type === 'payment_intent.payment_failed') await webhookPagoFallido(event.data.object);
+    else if (event.type === 'payment_intent.canceled') await liberarReservas(pool, event.data.object.id);
+    else if (event.type === 'charge.refunded') await webhookCargoReembolsado(event.data.object);
+    else if (event.type === 'charge.refund.updated' || event.type === 'refund.updated') await webhookReembolsoActualizado(event.data.object);
+    res.json({ received: true });
+  } catch (error) {
+    // Un 500 hace que Stripe reintente el evento más tarde
+    console.error(`Error procesando webhook ${event.type}:`, error.message);
+    res.status(500).json({ success: false, message: 'Error procesando evento' });
+  }
+});
+
+async function webhookPagoExitoso(paymentIntent) {
+  const md = paymentIntent.metadata || {};
+  if (!md.usuario_id) return; // intent que no salió de crear-intent
+
+  // Anticipo de pastel personalizado: el pedido sale de la solicitud, no
+  // del carrito. Tarjeta de regalo: no hay pedido, solo la tarjeta.
+  let resultado;
+  if (md.tarjeta_regalo_compra) resultado = await emitirTarjetaRegalo(paymentIntent);
+  else if (md.personalizado_id) resultado = await materializarPersonalizado(paymentIntent);
+  else {
+    resultado = await materializarPedido(paymentIntent, {
+      notas: md.notas || null,
+      horario_recogida: md.horario_recogida || null,
+      horario_entrega: md.horario_entrega || null,
+    });
+  }
+  if (!resultado.error) return;
+
+  // Cobrado pero sin pedido posible (carrito modificado o producto agotado
+  // entre el intent y el cobro): el personal debe reembolsar o contactar
+  console.error(`Pago ${paymentIntent.id} sin pedido: ${resultado.error}`);
+  try {
+    const { crearNotificacion } = require('../services/notificacionHelper');
+    const montoTxt = (paymentIntent.amount / 100).toFixed(2);
+    const staff = await pool.query(`SELECT id FROM core.tblusuarios WHERE rol::text = ANY($1::text[]) AND activo = TRUE`, [['gerencia', 'direccion_general']]);
+    for (const s of staff.rows) {
+      await crearNotificacion({
+        usuario_id: s.id,
+        tipo: 'alerta',
+        titulo: 'Pago cobrado sin pedido',
+        mensaje: `Stripe cobró $${montoTxt} (${paymentIntent.id}) al cliente #${md.usuario_id}, pero no se pudo crear su pedido: ${resultado.error} Revisa el pago en Stripe y reembólsalo o contacta al cliente.`,
+      });
+    }
+  } catch (notifError) {
+    console.error('Error notificando pago sin pedido:', notifError.message);
+  }
+}
+
+async function webhookPagoFallido(paymentIntent) {
+  const md = paymentIntent.metadata || {};
+  if (!md.usuario_id) return;
+  // Las piezas vuelven a estar disponibles; si reintenta, se revisa el
+  // stock de nuevo al confirmar
+  await liberarReservas(pool, paymentIntent.id);
+  const { crearNotificacion } = require('../services/notificacionHelper');
+  const motivo = paymentIntent.last_payment_error?.message;
+  const pendiente = md.tarjeta_regalo_compra
+    ? 'Tu tarjeta de regalo no se envió'
+    : md.personalizado_id ? 'Tu cotización sigue apartada' : 'Tu carrito sigue guardado';
+  await crearNotificacion({
+    usuario_id: parseInt(md.usuario_id),
+    tipo: 'pago',
+    titulo: 'Tu pago no se completó',
+    mensaje: `No pudimos cobrar tu pago de $${(paymentIntent.amount / 100).toFixed(2)}${motivo ? ` (${motivo})` : ''}. ${pendiente}: puedes intentarlo de nuevo.`,
+  });
+}
+
+// Reembolso hecho en Stripe (dashboard o API): Stripe es la fuente de
+// verdad de lo devuelto a la tarjeta; lo devuelto en sucursal se suma
+// desde las solicitudes (monto_sucursal se conserva aunque Stripe falle
+// después). El total nunca baja (un evento
+// atrasado no borra reembolsos ya registrados) y el pago queda
+// "reembolsado" cuando cubre todo lo cobrado (solo el anticipo si el
+// saldo sigue sin liquidarse)
+async function webhookCargoReembolsado(charge) {
+  if (!charge.payment_intent) return;
+  const paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent.id;
+  await pool.query(
+    `UPDATE core.tblpagos pg
+     SET monto_reembolsado = t.total,
+         estado = CASE
+           WHEN t.total >= CASE WHEN pg.anticipo IS NOT NULL AND pg.saldo_pagado_at IS NULL THEN pg.anticipo ELSE pg.monto_total END
+             THEN 'reembolsado'::public.estado_pago
+           ELSE pg.estado END,
+         reembolsado_at = COALESCE(pg.reembolsado_at, NOW())
+     FROM (
+       SELECT p2.id, GREATEST(p2.monto_reembolsado, $2 + COALESCE((
+         SELECT SUM(r.monto_sucursal) FROM core.tblreembolsos r
+         WHERE r.pedido_id = p2.pedido_id AND r.monto_sucursal IS NOT NULL
+       ), 0)) AS total
+       FROM core.tblpagos p2 WHERE p2.stripe_payment_id = $1
+     ) t
+     WHERE pg.id = t.id`,
+    [paymentIntentId, charge.amount_refunded / 100]
+  );
+}
+
+// Un reembolso que Stripe aceptó como "pending" puede fallar días después:
+// la solicitud vuelve a la cola como "aprobado" con el motivo, y el pago
+// deja de contar solo la parte de Stripe. Lo devuelto en sucursal ya
+// salió y queda en monto_sucursal; al reprocesar solo se reintenta Stripe
+async function webhookReembolsoActualizado(refund) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE core.tblreembolsos SET stripe_refund_estado = $1, updated_at = NOW()
+       WHERE stripe_refund_id = $2 RETURNING id, pedido_id, monto, monto_stripe, estado`,
+      [refund.status, refund.id]
+    );
+    const r = result.rows[0];
+    if (r && ['failed', 'canceled'].includes(refund.status) && r.estado === 'procesado') {
+      await client.query(
+        `UPDATE core.tblreembolsos SET estado = 'aprobado', error_stripe = $1, updated_at = NOW() WHERE id = $2`,
+        [refund.failure_reason || `estado ${refund.status}`, r.id]
+      );
+      await client.query(
+        `UPDATE core.tblpagos
+         SET monto_reembolsado = GREATEST(monto_reembolsado - $1, 0),
+             estado = CASE WHEN estado = 'reembolsado' THEN 'pagado'::public.estado_pago ELSE estado END
+         WHERE pedido_id = $2`,
+        [r.monto_stripe !== null ? r.monto_stripe : r.monto, r.pedido_id]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
   } finally {
     client.release();
   }
-});
+}
 
 // ── Obtener publishable key ──
 router.get('/config', (req, res) => {
@@ -3,17 +3,34 @@ const express = require('express');
 const router = express.Router();
 const he = require('he'); // 🔒 SEGURIDAD: sanitización de HTML
 const { pool } = require('../config/database');
-const { verifyToken, verifyRole } = require('../middleware/auth');
+const { verifyToken, verifyRole, verifySucursal, fueraDeSucursal } = require('../middleware/auth');
 const { calcularRiesgo } = require('../utils/riesgoCancelacion');
 const { registrarAuditoria } = require('../utils/auditoria');
+const { transicionarPedido, registrarHistorial } = require('../utils/estadoPedido');
+const { notificarReferido } = require('../utils/referidos');
+const { generarNumeroPedido } = require('../utils/numeroPedido');
+const { validarHorario } = require('../utils/horariosEntrega');
+const { resolverOpciones, calcularPrecio, opcionSinStock, descontarStockOpciones, reponerStockPedido } = require('../utils/opcionesProducto');
+const { stockReservado } = require('../utils/reservasStock');
+const { resolverSucursal, textoSucursal, stockEnSucursal, descontarStock } = require('../utils/sucursales');
+
+// Lo que regresa a la tarjeta bancaria al cancelar: la parte pagada con
+// tarjeta de regalo ya volvió a la tarjeta en transicionarPedido. Un pago
+// en sucursal que sigue pendiente no se cobró: no hay nada que devolver.
+function montoReembolsable(p) {
+  if (p.estado_pago !== 'pagado' && p.pago_anticipo === null) return 0;
+  return Math.max(Math.round((parseFloat(p.total) - parseFloat(p.monto_tarjeta_regalo || 0)) * 100) / 100, 0);
+}
 
-function generarNumeroPedido() {
-  const fecha = new Date();
-  const y = fecha.getFullYear().toString().slice(-2);
-  const m = String(fecha.getMonth() + 1).padStart(2, '0');
-  const d = String(fecha.getDate()).padStart(2, '0');
-  const rand = Math.floor(1000 + Math.random() * 9000);
-  return `PIER-${y}${m}${d}-${rand}`;
+// Texto del reembolso para el cliente (notificación y correo)
+function textoReembolso(p, monto) {
+  const tarjeta = parseFloat(p.monto_tarjeta_regalo || 0);
+  const partes = [];
+  if (monto > 0) partes.push(`tu pago de $${monto.toFixed(2)} será reembolsado (ya generamos la solicitud)`);
+  if (tarjeta > 0) partes.push(`los $${tarjeta.toFixed(2)} de tu tarjeta de regalo ya volvieron a su saldo`);
+  if (partes.length === 0) return 'No se realizó ningún cobro.';
+  const texto = partes.join(' y ');
+  return `${texto.charAt(0).toUpperCase()}${texto.slice(1)}.`;
 }
 
 // ── Crear pedido (desde carrito) ──
@@ -23,39 +40,48 @@ router.post('/', verifyToken, async (req, res) => {
     const userId = req.user.userId;
     const { notas, horario_recogida, metodo_pago } = req.body;
     await client.query('BEGIN');
-    const carrito = await client.query(`SELECT ci.*, p.nombre, p.precio_chico, p.precio_grande, p.stock_online, p.activo FROM core.tblcarrito_items ci JOIN core.tblproductos p ON ci.producto_id = p.id WHERE ci.usuario_id = $1`, [userId]);
+    const sucursal = await resolverSucursal(client, req.body.sucursal_id);
+    if (sucursal.error) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: sucursal.error }); }
+    const carrito = await client.query(`SELECT ci.*, p.nombre, p.precio_chico, p.precio_grande, p.categoria_id, p.activo FROM core.tblcarrito_items ci JOIN core.tblproductos p ON ci.producto_id = p.id WHERE ci.usuario_id = $1 ORDER BY ci.producto_id FOR UPDATE OF p`, [userId]);
     if (carrito.rows.length === 0) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'El carrito está vacío' }); }
+    const resueltas = await resolverOpciones(client, carrito.rows, { bloquear: true });
+    // Stock de la sucursal de recogida; lo que otros clientes apartaron ahí
+    // en su checkout con tarjeta no se vende aquí
+    const ids = carrito.rows.map(r => r.producto_id);
+    const stock = await stockEnSucursal(client, ids, sucursal.id);
+    const reservado = await stockReservado(client, ids, { excluirUsuario: userId, sucursalId: sucursal.id });
     let total = 0;
     const items = [];
-    for (const item of carrito.rows) {
+    for (const [idx, item] of carrito.rows.entries()) {
+      const { opciones, error } = resueltas[idx]; // eslint-disable-line security/detect-object-injection
       if (!item.activo) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `"${item.nombre}" ya no está disponible` }); }
-      if (item.stock_online === 0) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `"${item.nombre}" está agotado` }); }
-      if (item.stock_online < item.cantidad) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `"${item.nombre}": solo quedan ${item.stock_online} unidades` }); }
-      const precio = (item.tamano === 'grande' && item.precio_grande) ? parseFloat(item.precio_grande) : parseFloat(item.precio_chico);
+      if (error) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: error }); }
+      const enSucursal = stock.get(item.producto_id) || 0;
+      if (enSucursal === 0) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `"${item.nombre}" está agotado en ${sucursal.nombre}` }); }
+      const disponible = enSucursal - (reservado.get(item.producto_id) || 0);
+      if (disponible < item.cantidad) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `"${item.nombre}": solo quedan ${Math.max(disponible, 0)} unidades disponibles` }); }
+      const agotada = opcionSinStock(opciones, item.cantidad);
+      if (agotada) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: `"${item.nombre}": solo quedan ${agotada.stock} de "${agotada.nombre}"` }); }
+      const base = calcularPrecio(item, item.tamano, opciones);
+      const precio = base.producto + base.complementos;
       const subtotal = precio * item.cantidad;
       total += subtotal;
-      items.push({ producto_id: item.producto_id, nombre: item.nombre, cantidad: item.cantidad, tamano: item.tamano, precio_unitario: precio, subtotal });
+      items.push({ producto_id: item.producto_id, nombre: item.nombre, cantidad: item.cantidad, tamano: item.tamano, precio_unitario: precio, subtotal, opciones });
     }
-    const numero = generarNumeroPedido();
+    const cupo = await validarHorario(client, 'pickup', horario_recogida, items.reduce((sum, i) => sum + i.cantidad, 0), { bloquear: true });
+    if (cupo.error) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: cupo.error }); }
+    const numero = await generarNumeroPedido(client);
     // El stock se validó y descontó aquí mismo: el producto ya está hecho
     // y apartado, así que el pedido nace "listo" (solo falta pagar al
     // recogerlo). "pendiente" queda exclusivo de los programados por confirmar.
-    const pedidoResult = await client.query(`INSERT INTO core.tblpedidos (numero, usuario_id, total, estado, notas, horario_recogida, metodo_pago, created_at, updated_at) VALUES ($1,$2,$3,'listo',$4,$5,$6,NOW(),NOW()) RETURNING *`, [numero, userId, total, notas || null, horario_recogida || null, metodo_pago || null]);
+    const pedidoResult = await client.query(`INSERT INTO core.tblpedidos (numero, usuario_id, total, estado, notas, horario_recogida, metodo_pago, sucursal_id, created_at, updated_at) VALUES ($1,$2,$3,'listo',$4,$5,$6,$7,NOW(),NOW()) RETURNING *`, [numero, userId, total, notas || null, horario_recogida || null, metodo_pago || null, sucursal.id]);
     const pedido = pedidoResult.rows[0];
+    await registrarHistorial(client, { pedidoId: pedido.id, estadoNuevo: 'listo', usuarioId: userId, motivo: 'Pedido creado (pago en sucursal)' });
     for (const item of items) {
       // Registrar el descuento real por línea: es lo que se repone al cancelar
-      const stockResult = await client.query(
-        `UPDATE core.tblproductos p
-         SET stock_online = GREATEST(p.stock_online - $1, 0), updated_at = NOW()
-         FROM (SELECT id, stock_online AS stock_anterior FROM core.tblproductos WHERE id = $2 FOR UPDATE) prev
-         WHERE p.id = prev.id
-         RETURNING p.stock_online, prev.stock_anterior`,
-        [item.cantidad, item.producto_id]
-      );
-      const stockDescontado = stockResult.rows.length > 0
-        ? stockResult.rows[0].stock_anterior - stockResult.rows[0].stock_online
-        : 0;
-      await client.query(`INSERT INTO core.tblpedido_items (pedido_id, producto_id, nombre_producto, cantidad, tamano, precio_unitario, subtotal, stock_descontado) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`, [pedido.id, item.producto_id, item.nombre, item.cantidad, item.tamano, item.precio_unitario, item.subtotal, stockDescontado]);
+      const { descontado: stockDescontado } = await descontarStock(client, { productoId: item.producto_id, sucursalId: sucursal.id, cantidad: item.cantidad });
+      item.opciones = await descontarStockOpciones(client, item.opciones, item.cantidad);
+      await client.query(`INSERT INTO core.tblpedido_items (pedido_id, producto_id, nombre_producto, cantidad, tamano, precio_unitario, subtotal, stock_descontado, opciones) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`, [pedido.id, item.producto_id, item.nombre, item.cantidad, item.tamano, item.precio_unitario, item.subtotal, stockDescontado, JSON.stringify(item.opciones)]);
     }
     await client.query('DELETE FROM core.tblcarrito_items WHERE usuario_id = $1', [userId]);
     await client.query(`INSERT INTO core.tblpagos (pedido_id, monto_subtotal, monto_total, estado, created_at) VALUES ($1,$2,$3,'pendiente',NOW())`, [pedido.id, total, total]);
@@ -89,8 +115,8 @@ router.post('/', verifyToken, async (req, res) => {
             <p><strong>Productos:</strong> ${safeItemsTexto}</p>
             ${safeHorario ? `<p><strong>Horario de recogida:</strong> ${safeHorario}</p>` : ''}
           </div>
-          <p>Tu pedido ya está listo: pasa a recogerlo a Sucursal Principal, Huejutla de Reyes, y paga ahí mismo. 🧁</p>
-          <p><strong>Recuerda:</strong> recoge tu pedido en Sucursal Principal, Huejutla de Reyes.</p>
+          <p>Tu pedido ya está listo: pasa a recogerlo a ${he.escape(textoSucursal(sucursal))}, y paga ahí mismo. 🧁</p>
+          ${sucursal.horario ? `<p><strong>Horario de la sucursal:</strong> ${he.escape(sucursal.horario)}</p>` : ''}
         `
       });
     }
@@ -108,7 +134,7 @@ router.get('/mis-pedidos', verifyToken, async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT p.*, 
-        (SELECT json_agg(json_build_object('nombre', pi.nombre_producto, 'cantidad', pi.cantidad, 'tamano', pi.tamano, 'precio_unitario', pi.precio_unitario, 'subtotal', pi.subtotal))
+        (SELECT json_agg(json_build_object('nombre', pi.nombre_producto, 'cantidad', pi.cantidad, 'tamano', pi.tamano, 'precio_unitario', pi.precio_unitario, 'subtotal', pi.subtotal, 'opciones', pi.opciones))
          FROM core.tblpedido_items pi WHERE pi.pedido_id = p.id) AS items,
         pg.estado AS estado_pago, pg.stripe_payment_id
       FROM core.tblpedidos p
@@ -183,6 +209,38 @@ router.get('/riesgos', verifyToken, verifyRole('empleado', 'gerencia', 'direccio
   }
 });
 
+// ── Historial de estados del pedido (línea de tiempo) ──
+// Mismos permisos que el detalle. El nombre de quien hizo cada cambio
+// solo se muestra al personal; el cliente ve el rol.
+router.get('/:id/historial', verifyToken, async (req, res) => {
+  try {
+    const pedido = await pool.query('SELECT usuario_id FROM core.tblpedidos WHERE id = $1', [req.params.id]);
+    if (pedido.rows.length === 0) return res.status(404).json({ success: false, message: 'Pedido no encontrado' });
+    const esPersonal = ['empleado', 'gerencia', 'direccion_general'].includes(req.user.rol);
+    let autorizado = pedido.rows[0].usuario_id === req.user.userId || esPersonal;
+    if (!autorizado && req.user.rol === 'repartidor') {
+      const asignacion = await pool.query('SELECT 1 FROM core.tblentregas WHERE pedido_id = $1 AND repartidor_id = $2', [req.params.id, req.user.userId]);
+      autorizado = asignacion.rows.length > 0;
+    }
+    if (!autorizado) {
+      return res.status(403).json({ success: false, message: 'Sin permiso' });
+    }
+    const result = await pool.query(
+      `SELECT h.id, h.estado_anterior, h.estado_nuevo, h.motivo, h.created_at, u.rol AS actor_rol,
+              CASE WHEN $2 THEN TRIM(CONCAT(u.nombre, ' ', u.apellido)) END AS actor_nombre
+       FROM core.tblpedido_historial h
+       LEFT JOIN core.tblusuarios u ON u.id = h.usuario_id
+       WHERE h.pedido_id = $1
+       ORDER BY h.created_at, h.id`,
+      [req.params.id, esPersonal]
+    );
+    res.json({ success: true, historial: result.rows });
+  } catch (error) {
+    console.error('Error GET /pedidos/:id/historial:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener historial del pedido' });
+  }
+});
+
 // ── Detalle de pedido (DEBE ir DESPUÉS de las rutas específicas) ──
 router.get('/:id', verifyToken, async (req, res) => {
   try {
@@ -207,13 +265,14 @@ router.get('/:id', verifyToken, async (req, res) => {
 });
 
 // ── Listar todos los pedidos (empleado+) ──
-router.get('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+router.get('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), verifySucursal, async (req, res) => {
   try {
-    const { estado, limite, offset } = req.query;
-    let query = `SELECT p.*, u.nombre AS cliente_nombre, u.apellido AS cliente_apellido, u.email AS cliente_email, pg.estado AS estado_pago, pg.stripe_payment_id, pg.monto_total AS monto_pago,
+    const { estado, canal, limite, offset } = req.query;
+    let query = `SELECT p.*, s.nombre AS sucursal_nombre, u.nombre AS cliente_nombre, u.apellido AS cliente_apellido, u.email AS cliente_email, pg.estado AS estado_pago, pg.stripe_payment_id, pg.monto_total AS monto_pago,
       r.nombre AS repartidor_nombre, r.apellido AS repartidor_apellido
       FROM core.tblpedidos p
-      JOIN core.tblusuarios u ON p.usuario_id = u.id
+      LEFT JOIN core.tblusuarios u ON p.usuario_id = u.id
+      LEFT JOIN core.tblsucursales s ON s.id = p.sucursal_id
       LEFT JOIN core.tblpagos pg ON pg.pedido_id = p.id
       LEFT JOIN core.tblentregas e ON e.pedido_id = p.id AND e.estado IN ('asignada', 'en_camino')
       LEFT JOIN core.tblusuarios r ON r.id = e.repartidor_id
@@ -221,6 +280,11 @@ router.get('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_gener
     const params = [];
     let pi = 1;
     if (estado) { query += ` AND p.estado = $${pi}`; params.push(estado); pi++; }
+    // canal = web | mostrador (las ventas de mostrador pueden no tener cliente)
+    if (canal) { query += ` AND p.canal = $${pi}`; params.push(canal); pi++; }
+    // El personal con sucursal solo ve los pedidos de la suya
+    const sucursalId = req.sucursalId || (req.query.sucursal_id ? parseInt(req.query.sucursal_id) : null);
+    if (sucursalId) { query += ` AND p.sucursal_id = $${pi}`; params.push(sucursalId); pi++; }
     query += ` ORDER BY p.created_at DESC`;
     query += ` LIMIT $${pi} OFFSET $${pi + 1}`;
     params.push(parseInt(String(limite)) || 100, parseInt(String(offset)) || 0);
@@ -233,52 +297,64 @@ router.get('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_gener
 });
 
 // ── Cambiar estado del pedido (empleado+) ──
-router.put('/:id/estado', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+router.put('/:id/estado', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), verifySucursal, async (req, res) => {
   const client = await pool.connect();
   try {
     const { estado, nota_cancelacion } = req.body;
     // Los estados de entrega (asignado/en_camino/entregado/entrega_fallida) los maneja
-    // normalmente el flujo de /api/entregas; aquí quedan disponibles como corrección manual.
-    const validos = ['pendiente', 'en_preparacion', 'listo', 'completado', 'cancelado', 'asignado', 'en_camino', 'entregado', 'entrega_fallida'];
-    if (!validos.includes(estado)) return res.status(400).json({ success: false, message: `Estado inválido. Valores: ${validos.join(', ')}` });
-
+    // normalmente el flujo de /api/entregas; aquí quedan disponibles como corrección
+    // manual, pero siempre dentro de las transiciones de utils/estadoPedido.
     await client.query('BEGIN');
-    const previoResult = await client.query('SELECT estado FROM core.tblpedidos WHERE id = $1 FOR UPDATE', [req.params.id]);
-    if (previoResult.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Pedido no encontrado' }); }
-    const estadoPrevio = previoResult.rows[0].estado;
-
-    const updates = [estado];
-    let query = 'UPDATE core.tblpedidos SET estado = $1, updated_at = NOW()';
-    let pi = 2;
-    if (estado === 'cancelado' && nota_cancelacion) { query += `, nota_cancelacion = $${pi}`; updates.push(nota_cancelacion); pi++; }
-    query += ` WHERE id = $${pi} RETURNING *`;
-    updates.push(req.params.id);
-    const result = await client.query(query, updates);
-
-    // Cancelación: reponer el inventario que este pedido descontó.
-    // stock_descontado queda en 0 tras reponer, así una re-cancelación no
-    // duplica la devolución (y reactivar un cancelado no vuelve a descontar).
-    if (estado === 'cancelado' && estadoPrevio !== 'cancelado') {
-      await client.query(
-        `UPDATE core.tblproductos p
-         SET stock_online = p.stock_online + i.stock_descontado, updated_at = NOW()
-         FROM core.tblpedido_items i
-         WHERE i.pedido_id = $1 AND i.producto_id = p.id AND i.stock_descontado > 0`,
+    const origen = await client.query('SELECT sucursal_id FROM core.tblpedidos WHERE id = $1', [req.params.id]);
+    if (origen.rows.length > 0 && fueraDeSucursal(req, origen.rows[0].sucursal_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ success: false, message: 'El pedido es de otra sucursal' });
+    }
+    // Un pastel personalizado se completa al liquidar su saldo (/api/personalizados/:id/liquidar)
+    if (estado === 'completado') {
+      const saldo = await client.query(
+        `SELECT 1 FROM core.tblpagos WHERE pedido_id = $1 AND anticipo IS NOT NULL AND estado = 'pendiente'`,
+        [req.params.id]
+      );
+      if (saldo.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: 'Este pastel personalizado tiene saldo pendiente; regístralo al liquidar' });
+      }
+      // Un pedido en efectivo se entrega después de cobrarlo en caja (/api/caja/cobros)
+      const porCobrar = await client.query(
+        `SELECT 1 FROM core.tblpagos pg JOIN core.tblpedidos p ON p.id = pg.pedido_id
+         WHERE pg.pedido_id = $1 AND p.metodo_pago = 'efectivo' AND pg.estado = 'pendiente' AND pg.anticipo IS NULL`,
         [req.params.id]
       );
-      await client.query('UPDATE core.tblpedido_items SET stock_descontado = 0 WHERE pedido_id = $1', [req.params.id]);
+      if (porCobrar.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: 'Registra el cobro en efectivo en tu caja antes de completar el pedido' });
+      }
     }
+    const cambio = await transicionarPedido(client, req.params.id, estado, {
+      usuarioId: req.user.userId,
+      motivo: estado === 'cancelado' && nota_cancelacion ? String(nota_cancelacion) : null,
+      cambios: estado === 'cancelado' && nota_cancelacion ? { nota_cancelacion } : {},
+    });
+    if (cambio.error) { await client.query('ROLLBACK'); return res.status(cambio.status).json({ success: false, message: cambio.error }); }
+
+    // Cancelación: reponer el inventario que este pedido descontó.
+    // stock_descontado queda en 0 tras reponer; "cancelado" es final, así
+    // que la máquina de estados ya impide una segunda devolución.
+    if (estado === 'cancelado') await reponerStockPedido(client, req.params.id);
     await client.query('COMMIT');
+    await notificarReferido(cambio.avisos);
 
     // Crear notificación para el cliente
-    const pedido = result.rows[0];
-    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Cambió estado de pedido', entidad: 'pedido', entidad_id: pedido.id, detalles: `#${pedido.numero} → ${estado}` });
+    const { pedido } = cambio;
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Cambió estado de pedido', entidad: 'pedido', entidad_id: pedido.id, detalles: `#${pedido.numero} ${cambio.estadoAnterior} → ${estado}` });
     const esDomicilio = pedido.tipo_entrega === 'domicilio';
+    const sucursal = await resolverSucursal(pool, pedido.sucursal_id);
     const mensajes = {
       en_preparacion: { titulo: 'Pedido en preparación', mensaje: `Tu pedido #${pedido.numero} ha comenzado a prepararse.`, tipo: 'pedido' },
       listo: esDomicilio
         ? { titulo: '¡Tu pedido está listo!', mensaje: `Tu pedido #${pedido.numero} está listo. Pronto saldrá en camino a tu domicilio.`, tipo: 'pedido' }
-        : { titulo: '¡Tu pedido está listo!', mensaje: `Tu pedido #${pedido.numero} está listo para recoger en Sucursal Principal.`, tipo: 'pedido' },
+        : { titulo: '¡Tu pedido está listo!', mensaje: `Tu pedido #${pedido.numero} está listo para recoger en ${sucursal.nombre || 'sucursal'}.`, tipo: 'pedido' },
       completado: { titulo: 'Pedido completado', mensaje: `Tu pedido #${pedido.numero} ha sido entregado. ¡Gracias por tu compra!`, tipo: 'pedido' },
       cancelado: { titulo: 'Pedido cancelado', mensaje: `Tu pedido #${pedido.numero} ha sido cancelado. ${nota_cancelacion || ''}`.trim(), tipo: 'sistema' },
     };
@@ -305,9 +381,9 @@ router.put('/:id/estado', verifyToken, verifyRole('empleado', 'gerencia', 'direc
               <div class="highlight-box">
                 <p><strong>Pedido:</strong> #${safeNumero}</p>
                 <p><strong>Total:</strong> $${safeTotal} MXN</p>
-                <p><strong>Recoger en:</strong> Sucursal Principal — Huejutla de Reyes</p>
+                <p><strong>Recoger en:</strong> ${he.escape(textoSucursal(sucursal.error ? null : sucursal))}</p>
               </div>
-              <p>Pasa a recoger tu pedido en horario de atención. ¡Te esperamos!</p>
+              <p>Pasa a recoger tu pedido en horario de atención${sucursal.horario ? ` (${he.escape(sucursal.horario)})` : ''}. ¡Te esperamos!</p>
             `
           });
         }
@@ -326,22 +402,29 @@ router.put('/:id/estado', verifyToken, verifyRole('empleado', 'gerencia', 'direc
 
 // ── Aprobar un pedido programado "por confirmar" (empleado+) ──
 // Confirma que los productos podrán tenerse para la fecha de recogida.
-router.put('/:id/aprobar', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+// No cambia el estado (sigue "pendiente" hasta que se prepare), pero la
+// aprobación queda en el historial para la línea de tiempo del pedido.
+router.put('/:id/aprobar', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), verifySucursal, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
+    await client.query('BEGIN');
+    const result = await client.query(
       `SELECT p.*, u.nombre AS cliente_nombre, u.email AS cliente_email
        FROM core.tblpedidos p JOIN core.tblusuarios u ON u.id = p.usuario_id
-       WHERE p.id = $1`,
+       WHERE p.id = $1 FOR UPDATE OF p`,
       [req.params.id]
     );
-    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Pedido no encontrado' });
+    if (result.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Pedido no encontrado' }); }
     const p = result.rows[0];
-    if (!p.por_confirmar) return res.status(400).json({ success: false, message: 'Este pedido no está por confirmar' });
+    if (fueraDeSucursal(req, p.sucursal_id)) { await client.query('ROLLBACK'); return res.status(403).json({ success: false, message: 'El pedido es de otra sucursal' }); }
+    if (!p.por_confirmar || p.estado !== 'pendiente') { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'Este pedido no está por confirmar' }); }
 
-    await pool.query(
+    await client.query(
       'UPDATE core.tblpedidos SET por_confirmar = FALSE, updated_at = NOW() WHERE id = $1',
       [req.params.id]
     );
+    await registrarHistorial(client, { pedidoId: p.id, estadoAnterior: p.estado, estadoNuevo: p.estado, usuarioId: req.user.userId, motivo: 'Pedido por confirmar aprobado' });
+    await client.query('COMMIT');
 
     const fechaTxt = p.horario_recogida
       ? new Date(p.horario_recogida).toLocaleDateString('es-MX', { timeZone: 'America/Mexico_City', weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' })
@@ -369,14 +452,15 @@ router.put('/:id/aprobar', verifyToken, verifyRole('empleado', 'gerencia', 'dire
     registrarAuditoria({ usuario_id: req.user.userId, accion: 'Aprobó pedido por confirmar', entidad: 'pedido', entidad_id: p.id, detalles: `#${p.numero}` });
     res.json({ success: true, message: `Pedido ${p.numero} aprobado; el cliente ya fue notificado` });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error PUT /pedidos/:id/aprobar:', error.message);
     res.status(500).json({ success: false, message: 'Error al aprobar el pedido' });
-  }
+  } finally { client.release(); }
 });
 
 // ── Rechazar un pedido programado "por confirmar" (empleado+) ──
 // Cancela el pedido y genera automáticamente la solicitud de reembolso.
-router.put('/:id/rechazar', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+router.put('/:id/rechazar', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), verifySucursal, async (req, res) => {
   const client = await pool.connect();
   try {
     const { motivo } = req.body;
@@ -386,49 +470,49 @@ router.put('/:id/rechazar', verifyToken, verifyRole('empleado', 'gerencia', 'dir
 
     await client.query('BEGIN');
     const result = await client.query(
-      `SELECT p.*, u.nombre AS cliente_nombre, u.email AS cliente_email
+      `SELECT p.*, u.nombre AS cliente_nombre, u.email AS cliente_email, pg.estado AS estado_pago, pg.anticipo AS pago_anticipo
        FROM core.tblpedidos p JOIN core.tblusuarios u ON u.id = p.usuario_id
-       WHERE p.id = $1 FOR UPDATE`,
+       LEFT JOIN core.tblpagos pg ON pg.pedido_id = p.id
+       WHERE p.id = $1 FOR UPDATE OF p`,
       [req.params.id]
     );
     if (result.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Pedido no encontrado' }); }
     const p = result.rows[0];
+    if (fueraDeSucursal(req, p.sucursal_id)) { await client.query('ROLLBACK'); return res.status(403).json({ success: false, message: 'El pedido es de otra sucursal' }); }
     if (!p.por_confirmar) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'Este pedido no está por confirmar' }); }
 
-    await client.query(
-      `UPDATE core.tblpedidos SET estado = 'cancelado', por_confirmar = FALSE, nota_cancelacion = $1, updated_at = NOW() WHERE id = $2`,
-      [String(motivo).trim(), req.params.id]
-    );
+    const cambio = await transicionarPedido(client, p.id, 'cancelado', {
+      usuarioId: req.user.userId,
+      motivo: `Rechazado por disponibilidad: ${String(motivo).trim()}`,
+      cambios: { por_confirmar: false, nota_cancelacion: String(motivo).trim() },
+    });
+    if (cambio.error) { await client.query('ROLLBACK'); return res.status(cambio.status).json({ success: false, message: cambio.error }); }
 
     // Reponer el inventario que sí se descontó (los items "sin stock" del
     // pedido por confirmar quedaron con stock_descontado = 0)
-    await client.query(
-      `UPDATE core.tblproductos p
-       SET stock_online = p.stock_online + i.stock_descontado, updated_at = NOW()
-       FROM core.tblpedido_items i
-       WHERE i.pedido_id = $1 AND i.producto_id = p.id AND i.stock_descontado > 0`,
-      [req.params.id]
-    );
-    await client.query('UPDATE core.tblpedido_items SET stock_descontado = 0 WHERE pedido_id = $1', [req.params.id]);
+    await reponerStockPedido(client, req.params.id);
 
     // Solicitud de reembolso automática: aparece en Gestión de Reembolsos
     // para procesarse con el flujo normal (el cliente ya pagó en línea)
-    await client.query(
-      `INSERT INTO core.tblreembolsos (pedido_id, producto_id, usuario_id, monto, motivo, descripcion, fotos_evidencia, estado, created_at, updated_at)
-       VALUES ($1, NULL, $2, $3, 'otro', $4, NULL, 'pendiente', NOW(), NOW())`,
-      [p.id, p.usuario_id, p.total, `Pedido programado rechazado por disponibilidad: ${String(motivo).trim()}`]
-    );
+    const monto = montoReembolsable(p);
+    if (monto > 0) {
+      await client.query(
+        `INSERT INTO core.tblreembolsos (pedido_id, producto_id, usuario_id, monto, motivo, descripcion, fotos_evidencia, estado, created_at, updated_at)
+         VALUES ($1, NULL, $2, $3, 'otro', $4, NULL, 'pendiente', NOW(), NOW())`,
+        [p.id, p.usuario_id, monto, `Pedido programado rechazado por disponibilidad: ${String(motivo).trim()}`]
+      );
+    }
     await client.query('COMMIT');
 
     registrarAuditoria({ usuario_id: req.user.userId, accion: 'Rechazó pedido por confirmar', entidad: 'pedido', entidad_id: p.id, detalles: `#${p.numero} · ${String(motivo).trim().slice(0, 80)}` });
     const { notificarConEmail } = require('../services/notificacionHelper');
     const safeNumero = he.escape(String(p.numero));
-    const totalTxt = parseFloat(p.total).toFixed(2);
+    const reembolsoTxt = textoReembolso(p, monto);
     await notificarConEmail({
       usuario_id: p.usuario_id,
       tipo: 'alerta',
       titulo: 'No podremos preparar tu pedido',
-      mensaje: `Lo sentimos: tu pedido #${p.numero} no podrá prepararse para esa fecha (${String(motivo).trim()}). Tu pago de $${totalTxt} será reembolsado; ya generamos la solicitud.`,
+      mensaje: `Lo sentimos: tu pedido #${p.numero} no podrá prepararse para esa fecha (${String(motivo).trim()}). ${reembolsoTxt}`,
       email: p.cliente_email,
       nombre: p.cliente_nombre,
       asunto: `Pedido #${safeNumero}: no disponible para tu fecha — Pier Repostería`,
@@ -438,12 +522,12 @@ router.put('/:id/rechazar', verifyToken, verifyRole('empleado', 'gerencia', 'dir
           <p><strong>Pedido:</strong> #${safeNumero}</p>
           <p><strong>Motivo:</strong> ${he.escape(String(motivo).trim())}</p>
         </div>
-        <p>No podremos preparar tu pedido para la fecha solicitada. Tu pago de <strong>$${he.escape(totalTxt)} MXN</strong> será reembolsado completo: ya generamos la solicitud y te avisaremos cuando se procese.</p>
+        <p>No podremos preparar tu pedido para la fecha solicitada. ${he.escape(reembolsoTxt)}${monto > 0 ? ' Te avisaremos cuando se procese el reembolso.' : ''}</p>
         <p>Gracias por tu comprensión. ¡Esperamos consentirte pronto! 🧁</p>
       `,
     });
 
-    res.json({ success: true, message: `Pedido ${p.numero} rechazado; se generó la solicitud de reembolso y el cliente fue notificado` });
+    res.json({ success: true, message: `Pedido ${p.numero} rechazado;${monto > 0 ? ' se generó la solicitud de reembolso y' : ''} el cliente fue notificado` });
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Error PUT /pedidos/:id/rechazar:', error.message);
@@ -460,15 +544,23 @@ router.put('/:id/cancelar', verifyToken, async (req, res) => {
   try {
     await client.query('BEGIN');
     const result = await client.query(
-      `SELECT p.*, u.nombre AS cliente_nombre, u.email AS cliente_email
+      `SELECT p.*, u.nombre AS cliente_nombre, u.email AS cliente_email, pg.estado AS estado_pago, pg.anticipo AS pago_anticipo
        FROM core.tblpedidos p JOIN core.tblusuarios u ON u.id = p.usuario_id
-       WHERE p.id = $1 FOR UPDATE`,
+       LEFT JOIN core.tblpagos pg ON pg.pedido_id = p.id
+       WHERE p.id = $1 FOR UPDATE OF p`,
       [req.params.id]
     );
     if (result.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Pedido no encontrado' }); }
     const p = result.rows[0];
     if (p.usuario_id !== req.user.userId) { await client.query('ROLLBACK'); return res.status(403).json({ success: false, message: 'Sin permiso' }); }
 
+    // El anticipo de un pastel personalizado no se devuelve automáticamente
+    const personalizado = await client.query('SELECT 1 FROM core.tblpedidos_personalizados WHERE pedido_id = $1', [p.id]);
+    if (personalizado.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: 'Para cancelar un pastel personalizado comunícate con la sucursal' });
+    }
+
     const yaTomado = ['asignado', 'en_camino'].includes(p.estado);
     if (!['pendiente', 'listo'].includes(p.estado)) {
       await client.query('ROLLBACK');
@@ -487,40 +579,38 @@ router.put('/:id/cancelar', verifyToken, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Un repartidor ya tomó tu pedido; ya no es posible cancelarlo' });
     }
 
-    await client.query(
-      `UPDATE core.tblpedidos SET estado = 'cancelado', por_confirmar = FALSE, nota_cancelacion = $1, updated_at = NOW() WHERE id = $2`,
-      ['Cancelado por el cliente antes de la entrega', p.id]
-    );
+    const cambio = await transicionarPedido(client, p.id, 'cancelado', {
+      usuarioId: p.usuario_id,
+      motivo: 'Cancelado por el cliente antes de la entrega',
+      cambios: { por_confirmar: false, nota_cancelacion: 'Cancelado por el cliente antes de la entrega' },
+    });
+    if (cambio.error) { await client.query('ROLLBACK'); return res.status(cambio.status).json({ success: false, message: cambio.error }); }
 
     // Reponer exactamente el inventario que se descontó al pagar
-    await client.query(
-      `UPDATE core.tblproductos pr
-       SET stock_online = pr.stock_online + i.stock_descontado, updated_at = NOW()
-       FROM core.tblpedido_items i
-       WHERE i.pedido_id = $1 AND i.producto_id = pr.id AND i.stock_descontado > 0`,
-      [p.id]
-    );
-    await client.query('UPDATE core.tblpedido_items SET stock_descontado = 0 WHERE pedido_id = $1', [p.id]);
+    await reponerStockPedido(client, p.id);
 
     // Reembolso automático: el cliente ya pagó en línea
-    await client.query(
-      `INSERT INTO core.tblreembolsos (pedido_id, producto_id, usuario_id, monto, motivo, descripcion, fotos_evidencia, estado, created_at, updated_at)
-       VALUES ($1, NULL, $2, $3, 'otro', $4, NULL, 'pendiente', NOW(), NOW())`,
-      [p.id, p.usuario_id, p.total, `Pedido #${p.numero} cancelado por el cliente antes de la entrega`]
-    );
+    const monto = montoReembolsable(p);
+    if (monto > 0) {
+      await client.query(
+        `INSERT INTO core.tblreembolsos (pedido_id, producto_id, usuario_id, monto, motivo, descripcion, fotos_evidencia, estado, created_at, updated_at)
+         VALUES ($1, NULL, $2, $3, 'otro', $4, NULL, 'pendiente', NOW(), NOW())`,
+        [p.id, p.usuario_id, monto, `Pedido #${p.numero} cancelado por el cliente antes de la entrega`]
+      );
+    }
     await client.query('COMMIT');
 
     registrarAuditoria({ usuario_id: p.usuario_id, accion: 'Cliente canceló su pedido', entidad: 'pedido', entidad_id: p.id, detalles: `#${p.numero} · $${parseFloat(p.total).toFixed(2)}` });
     const { notificarConEmail, crearNotificacion } = require('../services/notificacionHelper');
     const safeNumero = he.escape(String(p.numero));
-    const totalTxt = parseFloat(p.total).toFixed(2);
+    const reembolsoTxt = textoReembolso(p, monto);
 
     // Confirmación al cliente (notificación + correo)
     await notificarConEmail({
       usuario_id: p.usuario_id,
       tipo: 'pedido',
       titulo: 'Tu pedido fue cancelado',
-      mensaje: `Cancelaste tu pedido #${p.numero}. Tu pago de $${totalTxt} será reembolsado; ya generamos la solicitud.`,
+      mensaje: `Cancelaste tu pedido #${p.numero}. ${reembolsoTxt}`,
       email: p.cliente_email,
       nombre: p.cliente_nombre,
       asunto: `Pedido #${safeNumero} cancelado — Pier Repostería`,
@@ -528,9 +618,10 @@ router.put('/:id/cancelar', verifyToken, async (req, res) => {
         <h2>Pedido cancelado</h2>
         <div class="highlight-box">
           <p><strong>Pedido:</strong> #${safeNumero}</p>
-          <p><strong>Monto a reembolsar:</strong> $${he.escape(totalTxt)} MXN</p>
+          ${monto > 0 ? `<p><strong>Monto a reembolsar:</strong> $${he.escape(monto.toFixed(2))} MXN</p>` : ''}
+          ${parseFloat(p.monto_tarjeta_regalo || 0) > 0 ? `<p><strong>Devuelto a tu tarjeta de regalo:</strong> $${he.escape(parseFloat(p.monto_tarjeta_regalo).toFixed(2))} MXN</p>` : ''}
         </div>
-        <p>Cancelaste tu pedido a tiempo y ya generamos la solicitud de reembolso; te avisaremos cuando se procese.</p>
+        <p>Cancelaste tu pedido a tiempo.${monto > 0 ? ' Ya generamos la solicitud de reembolso; te avisaremos cuando se procese.' : ''}</p>
         <p>¡Esperamos consentirte pronto! 🧁</p>
       `,
     });
@@ -542,11 +633,11 @@ router.put('/:id/cancelar', verifyToken, async (req, res) => {
         usuario_id: u.id,
         tipo: 'alerta',
         titulo: 'Pedido cancelado por el cliente',
-        mensaje: `El cliente canceló el pedido #${p.numero} ($${totalTxt}) antes de ser tomado por un repartidor. Se generó su reembolso.`,
+        mensaje: `El cliente canceló el pedido #${p.numero} ($${parseFloat(p.total).toFixed(2)}) antes de ser tomado por un repartidor.${monto > 0 ? ' Se generó su reembolso.' : ''}`,
       })));
     } catch (e) { console.error('Aviso al personal falló:', e.message); }
 
-    res.json({ success: true, message: 'Pedido cancelado; tu reembolso ya está en proceso' });
+    res.json({ success: true, message: monto > 0 ? 'Pedido cancelado; tu reembolso ya está en proceso' : 'Pedido cancelado' });
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Error PUT /pedidos/:id/cancelar:', error.message);
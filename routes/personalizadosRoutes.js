@@ -0,0 +1,404 @@
+// routes/personalizadosRoutes.js — Pasteles personalizados (solicitud → cotización → anticipo)
+const express = require('express');
+const router = express.Router();
+const he = require('he'); // 🔒 SEGURIDAD: sanitización de HTML
+const { pool } = require('../config/database');
+const { verifyToken, verifyRole, verifySucursal, fueraDeSucursal } = require('../middleware/auth');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { validarHorario } = require('../utils/horariosEntrega');
+const { materializarPersonalizado, resumenPersonalizado } = require('../utils/pedidoPersonalizado');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const PERSONAL = ['empleado', 'gerencia', 'direccion_general'];
+// Un pastel sobre pedido necesita al menos este margen para planearse
+const DIAS_MINIMOS_ANTICIPACION = 2;
+const ANTICIPO_PORCENTAJE = 50;
+const VIGENCIA_COTIZACION_DIAS = 3;
+// Solo imágenes subidas por nosotros (/api/upload/imagen con tipo "personalizados")
+const FOTO_RE = /^https:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/.*pier-reposteria\/personalizados\//;
+
+async function obtenerSolicitud(db, id, { bloquear = false } = {}) {
+  const result = await db.query(
+    `SELECT s.*, u.nombre AS cliente_nombre, u.apellido AS cliente_apellido, u.email AS cliente_email
+     FROM core.tblpedidos_personalizados s JOIN core.tblusuarios u ON u.id = s.usuario_id
+     WHERE s.id = $1 ${bloquear ? 'FOR UPDATE OF s' : ''}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// ── Solicitar pastel personalizado (cliente) ──
+// Las fotos de referencia se suben antes con POST /api/upload/imagen
+// (tipo = "personalizados") y aquí llegan solo sus URLs.
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { porciones, sabor, relleno, cobertura, dedicatoria, descripcion, fotos_referencia, fecha_entrega } = req.body;
+    const numPorciones = parseInt(porciones);
+    if (!numPorciones || numPorciones < 6 || numPorciones > 300) {
+      return res.status(400).json({ success: false, message: 'Indica de 6 a 300 porciones' });
+    }
+    if (!sabor || !String(sabor).trim()) return res.status(400).json({ success: false, message: 'El sabor es requerido' });
+    if (dedicatoria && String(dedicatoria).length > 150) {
+      return res.status(400).json({ success: false, message: 'La dedicatoria admite hasta 150 caracteres' });
+    }
+
+    const fecha = new Date(fecha_entrega);
+    if (!fecha_entrega || isNaN(fecha.getTime())) return res.status(400).json({ success: false, message: 'Indica la fecha y hora de recogida' });
+    if (fecha.getTime() - Date.now() < DIAS_MINIMOS_ANTICIPACION * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ success: false, message: `Los pasteles personalizados se piden con al menos ${DIAS_MINIMOS_ANTICIPACION} días de anticipación` });
+    }
+    const cupo = await validarHorario(pool, 'pickup', fecha.toISOString(), 1);
+    if (cupo.error) return res.status(400).json({ success: false, message: cupo.error });
+
+    const fotos = Array.isArray(fotos_referencia) ? fotos_referencia : [];
+    if (fotos.length > 6) return res.status(400).json({ success: false, message: 'Máximo 6 fotos de referencia' });
+    if (!fotos.every(f => typeof f === 'string' && FOTO_RE.test(f))) {
+      return res.status(400).json({ success: false, message: 'Las fotos deben subirse primero con /api/upload/imagen' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO core.tblpedidos_personalizados
+        (usuario_id, porciones, sabor, relleno, cobertura, dedicatoria, descripcion, fotos_referencia, fecha_entrega, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW(),NOW()) RETURNING *`,
+      [
+        req.user.userId, numPorciones, String(sabor).trim().slice(0, 100),
+        relleno ? String(relleno).trim().slice(0, 100) : null,
+        cobertura ? String(cobertura).trim().slice(0, 100) : null,
+        dedicatoria ? String(dedicatoria).trim() : null,
+        descripcion ? String(descripcion).trim() : null,
+        JSON.stringify(fotos.map(url => ({ url }))), fecha.toISOString(),
+      ]
+    );
+    const solicitud = result.rows[0];
+
+    try {
+      const { crearNotificacion } = require('../services/notificacionHelper');
+      const personal = await pool.query(`SELECT id FROM core.tblusuarios WHERE rol IN ('empleado', 'gerencia') AND activo = true`);
+      await Promise.all(personal.rows.map(u => crearNotificacion({
+        usuario_id: u.id,
+        tipo: 'pedido',
+        titulo: 'Nueva solicitud de pastel personalizado',
+        mensaje: `Solicitud #${solicitud.id}: ${resumenPersonalizado(solicitud)}. Pendiente de cotizar.`,
+      })));
+    } catch (e) { console.error('Aviso al personal falló:', e.message); }
+
+    res.status(201).json({ success: true, solicitud, message: 'Recibimos tu solicitud; te enviaremos la cotización pronto' });
+  } catch (error) {
+    console.error('Error POST /personalizados:', error.message);
+    res.status(500).json({ success: false, message: 'Error al enviar la solicitud' });
+  }
+});
+
+// ── Mis solicitudes (cliente) ──
+router.get('/mis-solicitudes', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*, p.numero AS pedido_numero, p.estado AS pedido_estado
+       FROM core.tblpedidos_personalizados s
+       LEFT JOIN core.tblpedidos p ON p.id = s.pedido_id
+       WHERE s.usuario_id = $1 ORDER BY s.created_at DESC`,
+      [req.user.userId]
+    );
+    res.json({ success: true, solicitudes: result.rows });
+  } catch (error) {
+    console.error('Error GET /personalizados/mis-solicitudes:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener solicitudes' });
+  }
+});
+
+// ── Listar solicitudes (empleado+) ──
+router.get('/', verifyToken, verifyRole(...PERSONAL), async (req, res) => {
+  try {
+    const { estado } = req.query;
+    const params = [];
+    let query = `SELECT s.*, u.nombre AS cliente_nombre, u.apellido AS cliente_apellido, u.email AS cliente_email,
+                        p.numero AS pedido_numero, p.estado AS pedido_estado
+                 FROM core.tblpedidos_personalizados s
+                 JOIN core.tblusuarios u ON u.id = s.usuario_id
+                 LEFT JOIN core.tblpedidos p ON p.id = s.pedido_id`;
+    if (estado) { query += ' WHERE s.estado = $1'; params.push(estado); }
+    query += ' ORDER BY s.fecha_entrega ASC';
+    const result = await pool.query(query, params);
+    res.json({ success: true, solicitudes: result.rows });
+  } catch (error) {
+    console.error('Error GET /personalizados:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener solicitudes' });
+  }
+});
+
+// ── Detalle (dueño o personal) ──
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const s = await obtenerSolicitud(pool, req.params.id);
+    if (!s) return res.status(404).json({ success: false, message: 'Solicitud no encontrada' });
+    if (s.usuario_id !== req.user.userId && !PERSONAL.includes(req.user.rol)) {
+      return res.status(403).json({ success: false, message: 'Sin permiso' });
+    }
+    res.json({ success: true, solicitud: s });
+  } catch (error) {
+    console.error('Error GET /personalizados/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener la solicitud' });
+  }
+});
+
+// ── Cotizar (empleado+) ──
+// Se puede recotizar mientras el cliente no haya aceptado.
+router.put('/:id/cotizar', verifyToken, verifyRole(...PERSONAL), async (req, res) => {
+  try {
+    const precio = Math.round(parseFloat(req.body.precio) * 100) / 100;
+    if (!precio || precio <= 0) return res.status(400).json({ success: false, message: 'Indica un precio válido' });
+    const anticipo = req.body.anticipo !== undefined && req.body.anticipo !== null && req.body.anticipo !== ''
+      ? Math.round(parseFloat(req.body.anticipo) * 100) / 100
+      : Math.ceil(precio * ANTICIPO_PORCENTAJE / 100);
+    if (!anticipo || anticipo <= 0 || anticipo > precio) {
+      return res.status(400).json({ success: false, message: 'El anticipo debe ser mayor a 0 y no exceder el precio' });
+    }
+    const vigenciaDias = parseInt(req.body.vigencia_dias) || VIGENCIA_COTIZACION_DIAS;
+
+    const result = await pool.query(
+      `UPDATE core.tblpedidos_personalizados
+       SET estado = 'cotizado', precio = $1, anticipo = $2, nota_cotizacion = $3, cotizado_por = $4,
+           cotizado_at = NOW(), cotizacion_vence = NOW() + make_interval(days => $5), updated_at = NOW()
+       WHERE id = $6 AND estado IN ('solicitado', 'cotizado') RETURNING *`,
+      [precio, anticipo, req.body.nota_cotizacion || null, req.user.userId, vigenciaDias, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(400).json({ success: false, message: 'La solicitud no existe o ya no puede cotizarse' });
+    const s = result.rows[0];
+
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Cotizó pastel personalizado', entidad: 'pedido_personalizado', entidad_id: s.id, detalles: `$${precio.toFixed(2)} · anticipo $${anticipo.toFixed(2)}` });
+
+    const cliente = await pool.query('SELECT nombre, email FROM core.tblusuarios WHERE id = $1', [s.usuario_id]);
+    if (cliente.rows.length > 0) {
+      const { notificarConEmail } = require('../services/notificacionHelper');
+      const venceTxt = new Date(s.cotizacion_vence).toLocaleDateString('es-MX', { timeZone: 'America/Mexico_City', day: 'numeric', month: 'long' });
+      await notificarConEmail({
+        usuario_id: s.usuario_id,
+        tipo: 'pedido',
+        titulo: 'Tu cotización está lista',
+        mensaje: `Tu pastel personalizado (${s.porciones} porciones) cuesta $${precio.toFixed(2)}. Apártalo con un anticipo de $${anticipo.toFixed(2)} antes del ${venceTxt}.`,
+        email: cliente.rows[0].email,
+        nombre: cliente.rows[0].nombre,
+        asunto: '🎂 Cotización de tu pastel personalizado — Pier Repostería',
+        contenidoHtml: `
+          <h2>¡Tu cotización está lista!</h2>
+          <div class="highlight-box">
+            <p><strong>Detalle:</strong> ${he.escape(resumenPersonalizado(s))}</p>
+            <p><strong>Precio:</strong> $${he.escape(precio.toFixed(2))} MXN</p>
+            <p><strong>Anticipo para apartarlo:</strong> $${he.escape(anticipo.toFixed(2))} MXN</p>
+            ${s.nota_cotizacion ? `<p><strong>Nota:</strong> ${he.escape(String(s.nota_cotizacion))}</p>` : ''}
+          </div>
+          <p>La cotización es válida hasta el ${he.escape(venceTxt)}. Acéptala desde tu cuenta para pagar el anticipo; el saldo se paga al recoger. 🧁</p>
+        `,
+      });
+    }
+
+    res.json({ success: true, solicitud: s, message: 'Cotización enviada al cliente' });
+  } catch (error) {
+    console.error('Error PUT /personalizados/:id/cotizar:', error.message);
+    res.status(500).json({ success: false, message: 'Error al cotizar' });
+  }
+});
+
+// ── Aceptar cotización e iniciar el pago del anticipo (cliente) ──
+// Reintentos reutilizan el mismo PaymentIntent mientras siga sin cobrarse.
+router.post('/:id/aceptar', verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const s = await obtenerSolicitud(client, req.params.id, { bloquear: true });
+    if (!s) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Solicitud no encontrada' }); }
+    if (s.usuario_id !== req.user.userId) { await client.query('ROLLBACK'); return res.status(403).json({ success: false, message: 'Sin permiso' }); }
+
+    let paymentIntent = null;
+    if (s.estado === 'aceptado' && s.stripe_payment_id) {
+      paymentIntent = await stripe.paymentIntents.retrieve(s.stripe_payment_id);
+      if (paymentIntent.status === 'succeeded') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: 'El anticipo ya fue pagado' });
+      }
+      if (paymentIntent.status === 'canceled') paymentIntent = null;
+    } else if (s.estado !== 'cotizado') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: 'Esta solicitud no tiene una cotización por aceptar' });
+    }
+    if (new Date(s.cotizacion_vence) < new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: 'La cotización venció; pide que te la actualicen' });
+    }
+
+    const cupo = await validarHorario(client, 'pickup', new Date(s.fecha_entrega).toISOString(), 1);
+    if (cupo.error) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: cupo.error }); }
+
+    if (!paymentIntent) {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(parseFloat(s.anticipo) * 100),
+        currency: 'mxn',
+        metadata: {
+          usuario_id: s.usuario_id.toString(),
+          personalizado_id: s.id.toString(),
+        },
+      });
+    }
+    await client.query(
+      `UPDATE core.tblpedidos_personalizados SET estado = 'aceptado', stripe_payment_id = $1, updated_at = NOW() WHERE id = $2`,
+      [paymentIntent.id, s.id]
+    );
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      clientSecret: paymentIntent.client_secret,
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+      precio: parseFloat(s.precio),
+      anticipo: parseFloat(s.anticipo),
+      saldo: parseFloat(s.precio) - parseFloat(s.anticipo),
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /personalizados/:id/aceptar:', error.message);
+    res.status(500).json({ success: false, message: 'Error al iniciar el pago del anticipo' });
+  } finally { client.release(); }
+});
+
+// ── Confirmar anticipo pagado y crear el pedido (cliente) ──
+// El webhook de /pagos hace lo mismo si el navegador no llega aquí.
+router.post('/:id/confirmar-anticipo', verifyToken, async (req, res) => {
+  try {
+    const s = await obtenerSolicitud(pool, req.params.id);
+    if (!s) return res.status(404).json({ success: false, message: 'Solicitud no encontrada' });
+    if (s.usuario_id !== req.user.userId) return res.status(403).json({ success: false, message: 'Sin permiso' });
+    if (!s.stripe_payment_id) return res.status(400).json({ success: false, message: 'Esta solicitud no tiene un pago iniciado' });
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(s.stripe_payment_id);
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ success: false, message: 'El pago no fue completado', status: paymentIntent.status });
+    }
+    const resultado = await materializarPersonalizado(paymentIntent);
+    if (resultado.error) return res.status(resultado.status).json({ success: false, message: resultado.error });
+
+    res.json({ success: true, pedido: resultado.pedido });
+  } catch (error) {
+    console.error('Error POST /personalizados/:id/confirmar-anticipo:', error.message);
+    res.status(500).json({ success: false, message: 'Error al confirmar el anticipo' });
+  }
+});
+
+// ── Cancelar solicitud (cliente dueño o personal) ──
+// Solo antes de pagar el anticipo; después, el pedido se cancela por el
+// flujo normal de pedidos y el anticipo por reembolsos.
+router.put('/:id/cancelar', verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const esPersonal = PERSONAL.includes(req.user.rol);
+    const motivo = req.body.motivo ? String(req.body.motivo).trim() : null;
+    if (esPersonal && (!motivo || motivo.length < 5)) {
+      return res.status(400).json({ success: false, message: 'Escribe un motivo (mín. 5 caracteres)' });
+    }
+
+    await client.query('BEGIN');
+    const s = await obtenerSolicitud(client, req.params.id, { bloquear: true });
+    if (!s) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Solicitud no encontrada' }); }
+    if (s.usuario_id !== req.user.userId && !esPersonal) { await client.query('ROLLBACK'); return res.status(403).json({ success: false, message: 'Sin permiso' }); }
+    if (!['solicitado', 'cotizado', 'aceptado'].includes(s.estado)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: 'Esta solicitud ya no puede cancelarse' });
+    }
+    if (s.estado === 'aceptado' && s.stripe_payment_id) {
+      // Si el anticipo ya se cobró, cancelar aquí dejaría el pago sin pedido
+      const paymentIntent = await stripe.paymentIntents.retrieve(s.stripe_payment_id);
+      if (paymentIntent.status === 'succeeded') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: 'El anticipo ya fue pagado; el pedido se está generando' });
+      }
+      if (paymentIntent.status !== 'canceled') await stripe.paymentIntents.cancel(s.stripe_payment_id);
+    }
+
+    await client.query(
+      `UPDATE core.tblpedidos_personalizados SET estado = 'cancelado', motivo_cancelacion = $1, updated_at = NOW() WHERE id = $2`,
+      [motivo || 'Cancelada por el cliente', s.id]
+    );
+    await client.query('COMMIT');
+
+    if (esPersonal && s.usuario_id !== req.user.userId) {
+      const { crearNotificacion } = require('../services/notificacionHelper');
+      await crearNotificacion({
+        usuario_id: s.usuario_id,
+        tipo: 'pedido',
+        titulo: 'No podremos hacer tu pastel personalizado',
+        mensaje: `Lo sentimos: tu solicitud #${s.id} (${s.porciones} porciones) fue cancelada. Motivo: ${motivo}`,
+      });
+      registrarAuditoria({ usuario_id: req.user.userId, accion: 'Canceló solicitud de pastel personalizado', entidad: 'pedido_personalizado', entidad_id: s.id, detalles: motivo.slice(0, 80) });
+    }
+
+    res.json({ success: true, message: 'Solicitud cancelada' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error PUT /personalizados/:id/cancelar:', error.message);
+    res.status(500).json({ success: false, message: 'Error al cancelar la solicitud' });
+  } finally { client.release(); }
+});
+
+// ── Liquidar saldo al recoger (empleado+) ──
+// Registra el pago del saldo en sucursal y entrega el pedido: el pago
+// pasa a "pagado" y el pedido de "listo" a "completado". Solo lo cobra
+// el personal de la sucursal del pedido (el efectivo, en una caja de ella).
+router.put('/:id/liquidar', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const metodo = ['efectivo', 'tarjeta', 'transferencia'].includes(req.body.metodo_pago) ? req.body.metodo_pago : null;
+    if (!metodo) return res.status(400).json({ success: false, message: 'metodo_pago debe ser efectivo, tarjeta o transferencia' });
+
+    await client.query('BEGIN');
+    const s = await obtenerSolicitud(client, req.params.id, { bloquear: true });
+    if (!s || s.estado !== 'confirmado' || !s.pedido_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: 'La solicitud no tiene un pedido con saldo por liquidar' });
+    }
+    const pedido = (await client.query('SELECT numero, sucursal_id FROM core.tblpedidos WHERE id = $1 FOR UPDATE', [s.pedido_id])).rows[0];
+    if (fueraDeSucursal(req, pedido.sucursal_id)) { await client.query('ROLLBACK'); return res.status(403).json({ success: false, message: 'El pedido es de otra sucursal' }); }
+    // El saldo en efectivo entra a la caja abierta de quien cobra
+    const { SIN_CAJA, sesionAbierta, registrarCobro } = require('../utils/caja');
+    const caja = metodo === 'efectivo' ? await sesionAbierta(client, req.user.userId, { bloquear: true }) : null;
+    if (metodo === 'efectivo' && !caja) { await client.query('ROLLBACK'); return res.status(409).json({ success: false, message: SIN_CAJA }); }
+    if (caja && caja.sucursal_id !== pedido.sucursal_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: `El pedido #${pedido.numero} se cobra en su sucursal, no en esta caja` });
+    }
+    const pago = await client.query(
+      `UPDATE core.tblpagos SET estado = 'pagado', metodo_pago_saldo = $1, saldo_pagado_at = NOW()
+       WHERE pedido_id = $2 AND estado = 'pendiente' RETURNING *`,
+      [metodo, s.pedido_id]
+    );
+    if (pago.rows.length === 0) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'El saldo ya fue liquidado' }); }
+
+    const { transicionarPedido } = require('../utils/estadoPedido');
+    const saldo = parseFloat(s.precio) - parseFloat(s.anticipo);
+    if (caja) await registrarCobro(client, { sesionId: caja.id, usuarioId: req.user.userId, pedidoId: s.pedido_id, monto: saldo, motivo: 'Saldo de pastel personalizado' });
+    const cambio = await transicionarPedido(client, s.pedido_id, 'completado', {
+      usuarioId: req.user.userId,
+      motivo: `Saldo de $${saldo.toFixed(2)} liquidado en sucursal (${metodo})`,
+    });
+    if (cambio.error) { await client.query('ROLLBACK'); return res.status(cambio.status).json({ success: false, message: cambio.error }); }
+    await client.query('COMMIT');
+    const { notificarReferido } = require('../utils/referidos');
+    await notificarReferido(cambio.avisos);
+
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Liquidó pastel personalizado', entidad: 'pedido', entidad_id: s.pedido_id, detalles: `#${cambio.pedido.numero} · saldo $${saldo.toFixed(2)} (${metodo})` });
+    const { crearNotificacion } = require('../services/notificacionHelper');
+    await crearNotificacion({
+      usuario_id: s.usuario_id,
+      tipo: 'pedido',
+      titulo: '¡Disfruta tu pastel!',
+      mensaje: `Tu pedido #${cambio.pedido.numero} quedó pagado y entregado. ¡Gracias por tu compra!`,
+    });
+
+    res.json({ success: true, pedido: cambio.pedido, message: `Saldo de $${saldo.toFixed(2)} registrado` });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error PUT /personalizados/:id/liquidar:', error.message);
+    res.status(500).json({ success: false, message: 'Error al liquidar el saldo' });
+  } finally { client.release(); }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+// routes/produccionRoutes.js — Tablero de producción (qué hornear y cuándo)
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { verifyToken, verifyRole, verifySucursal } = require('../middleware/auth');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { transicionarPedido } = require('../utils/estadoPedido');
+const { descontarIngredientes, notificarIngredientesBajos } = require('../utils/recetas');
+const { resolverSucursal, textoSucursal, stockEnSucursal, sumarStock } = require('../utils/sucursales');
+
+const PERSONAL = ['empleado', 'gerencia', 'direccion_general'];
+const FECHA_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Día (hora de Huejutla) para el que se necesita el pedido: recogida,
+// entrega (guardada en UTC sin zona) o, si no hay horario, su creación
+const DIA_PEDIDO = `(COALESCE(p.horario_recogida, p.horario_entrega AT TIME ZONE 'UTC', p.created_at) AT TIME ZONE 'America/Mexico_City')::date`;
+// Pedidos que le tocan a cocina: pendientes, en preparación y los
+// programados para otro día que aún no se entregan
+const EN_PRODUCCION = `(p.estado IN ('pendiente', 'en_preparacion')
+  OR (p.estado NOT IN ('completado', 'entregado', 'cancelado') AND ${DIA_PEDIDO} > (NOW() AT TIME ZONE 'America/Mexico_City')::date))`;
+
+// ── Tablero: unidades por día / producto / tamaño ──
+// por_cubrir = piezas que el pedido aún no tomó del inventario
+// (cantidad - stock_descontado). El stock actual de la sucursal se
+// reparte entre los días en orden y lo que no alcanza es "a_producir".
+// Sucursal: la del personal; quien ve todas elige con ?sucursal_id
+// (por omisión, la principal).
+router.get('/', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  try {
+    const { desde, hasta } = req.query;
+    if ((desde && !FECHA_RE.test(desde)) || (hasta && !FECHA_RE.test(hasta))) {
+      return res.status(400).json({ success: false, message: 'Fechas en formato YYYY-MM-DD' });
+    }
+    const sucursal = await resolverSucursal(pool, req.sucursalId || req.query.sucursal_id);
+    if (sucursal.error) return res.status(400).json({ success: false, message: sucursal.error });
+    const result = await pool.query(`
+      SELECT ${DIA_PEDIDO}::text AS fecha,
+        i.producto_id, COALESCE(pr.nombre, i.nombre_producto) AS nombre, i.tamano,
+        SUM(i.cantidad)::int AS unidades,
+        SUM(i.stock_descontado)::int AS cubiertas,
+        COUNT(DISTINCT p.id)::int AS pedidos,
+        ARRAY_AGG(DISTINCT p.numero) AS numeros,
+        BOOL_OR(p.por_confirmar) AS hay_por_confirmar
+      FROM core.tblpedido_items i
+      JOIN core.tblpedidos p ON p.id = i.pedido_id
+      LEFT JOIN core.tblproductos pr ON pr.id = i.producto_id
+      WHERE ${EN_PRODUCCION}
+        AND p.sucursal_id = $3
+        AND ($1::date IS NULL OR ${DIA_PEDIDO} >= $1::date)
+        AND ($2::date IS NULL OR ${DIA_PEDIDO} <= $2::date)
+      GROUP BY 1, i.producto_id, COALESCE(pr.nombre, i.nombre_producto), i.tamano
+      ORDER BY 1, nombre, i.tamano
+    `, [desde || null, hasta || null, sucursal.id]);
+
+    const ids = [...new Set(result.rows.filter(r => r.producto_id).map(r => r.producto_id))];
+    const stock = await stockEnSucursal(pool, ids, sucursal.id);
+    const restante = new Map(stock);
+    const resumen = new Map();
+
+    const dias = [];
+    for (const r of result.rows) {
+      const porCubrir = Math.max(r.unidades - r.cubiertas, 0);
+      // Sin producto_id (pastel personalizado) no hay inventario que usar
+      const disponible = r.producto_id ? (restante.get(r.producto_id) || 0) : 0;
+      const asignado = Math.min(disponible, porCubrir);
+      if (r.producto_id) restante.set(r.producto_id, disponible - asignado);
+      const fila = { ...r, por_cubrir: porCubrir, stock_asignado: asignado, a_producir: porCubrir - asignado };
+
+      let dia = dias[dias.length - 1];
+      if (!dia || dia.fecha !== r.fecha) { dia = { fecha: r.fecha, productos: [] }; dias.push(dia); }
+      dia.productos.push(fila);
+
+      if (r.producto_id) {
+        const t = resumen.get(r.producto_id) || { producto_id: r.producto_id, nombre: r.nombre, por_cubrir: 0, a_producir: 0 };
+        t.por_cubrir += porCubrir;
+        t.a_producir += fila.a_producir;
+        resumen.set(r.producto_id, t);
+      }
+    }
+    const totales = [...resumen.values()].map(t => ({ ...t, stock: stock.get(t.producto_id) || 0 }));
+
+    res.json({ success: true, sucursal: { id: sucursal.id, nombre: sucursal.nombre }, dias, resumen: totales });
+  } catch (error) {
+    console.error('Error GET /produccion:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener el tablero de producción' });
+  }
+});
+
+// ── Lotes registrados ──
+router.get('/lotes', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  try {
+    const limite = Math.min(parseInt(req.query.limite) || 50, 200);
+    const sucursalId = req.sucursalId || (req.query.sucursal_id ? parseInt(req.query.sucursal_id) : null);
+    const result = await pool.query(`
+      SELECT l.*, p.nombre AS producto, u.nombre AS registrado_por, s.nombre AS sucursal
+      FROM core.tblproduccion_lotes l
+      JOIN core.tblproductos p ON p.id = l.producto_id
+      LEFT JOIN core.tblusuarios u ON u.id = l.usuario_id
+      LEFT JOIN core.tblsucursales s ON s.id = l.sucursal_id
+      WHERE ($2::int IS NULL OR l.sucursal_id = $2)
+      ORDER BY l.created_at DESC LIMIT $1
+    `, [limite, sucursalId]);
+    res.json({ success: true, lotes: result.rows });
+  } catch (error) {
+    console.error('Error GET /produccion/lotes:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener lotes' });
+  }
+});
+
+// ── Registrar lote producido ──
+// Las piezas entran al inventario y se asignan a las líneas sin stock de
+// los pedidos pendientes / en preparación, del día más próximo al más
+// lejano (opcional: solo pedidos de fecha_objetivo y/o de un tamaño). Un
+// pedido con todas sus líneas cubiertas pasa a "listo"; uno parcial, a
+// "en_preparacion". Producir para un pedido por confirmar lo confirma.
+// Los ingredientes de la receta se descuentan por pieza producida. El
+// lote es de la sucursal del personal (o la de sucursal_id / principal
+// para quien ve todas) y solo cubre pedidos de esa sucursal.
+router.post('/lotes', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  const productoId = parseInt(req.body.producto_id);
+  const cantidad = parseInt(req.body.cantidad);
+  const tamano = req.body.tamano ? String(req.body.tamano).slice(0, 20) : null;
+  const fechaObjetivo = req.body.fecha_objetivo || null;
+  if (!productoId || !Number.isInteger(cantidad) || cantidad < 1) {
+    return res.status(400).json({ success: false, message: 'Producto y cantidad (≥ 1) son requeridos' });
+  }
+  if (fechaObjetivo && !FECHA_RE.test(fechaObjetivo)) {
+    return res.status(400).json({ success: false, message: 'fecha_objetivo en formato YYYY-MM-DD' });
+  }
+
+  const client = await pool.connect();
+  let sucursal, lote, listos, ingredientes;
+  try {
+    await client.query('BEGIN');
+    sucursal = await resolverSucursal(client, req.sucursalId || req.body.sucursal_id);
+    if (sucursal.error) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: sucursal.error }); }
+    const producto = await client.query('SELECT id, nombre FROM core.tblproductos WHERE id = $1 FOR UPDATE', [productoId]);
+    if (producto.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Producto no encontrado' }); }
+
+    const lineas = await client.query(`
+      SELECT i.id, i.pedido_id, (i.cantidad - i.stock_descontado) AS falta
+      FROM core.tblpedido_items i
+      JOIN core.tblpedidos p ON p.id = i.pedido_id
+      WHERE i.producto_id = $1 AND i.stock_descontado < i.cantidad
+        AND p.estado IN ('pendiente', 'en_preparacion')
+        AND p.sucursal_id = $4
+        AND ($2::text IS NULL OR i.tamano = $2)
+        AND ($3::date IS NULL OR ${DIA_PEDIDO} = $3::date)
+      ORDER BY ${DIA_PEDIDO}, p.created_at, i.id
+      FOR UPDATE OF i
+    `, [productoId, tamano, fechaObjetivo, sucursal.id]);
+
+    let restante = cantidad;
+    const pedidos = new Set();
+    for (const l of lineas.rows) {
+      if (restante === 0) break;
+      const asignar = Math.min(restante, l.falta);
+      await client.query('UPDATE core.tblpedido_items SET stock_descontado = stock_descontado + $1 WHERE id = $2', [asignar, l.id]);
+      restante -= asignar;
+      pedidos.add(l.pedido_id);
+    }
+    const asignadas = cantidad - restante;
+    // Solo lo que no se asignó queda disponible en la sucursal
+    await sumarStock(client, { productoId, sucursalId: sucursal.id, cantidad: restante });
+
+    const insert = await client.query(
+      `INSERT INTO core.tblproduccion_lotes (producto_id, tamano, cantidad, unidades_asignadas, pedidos_avanzados, fecha_objetivo, notas, usuario_id, sucursal_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
+      [productoId, tamano, cantidad, asignadas, [...pedidos], fechaObjetivo, req.body.notas || null, req.user.userId, sucursal.id]
+    );
+    lote = insert.rows[0];
+    ingredientes = await descontarIngredientes(client, { productoId, tamano, cantidad, loteId: lote.id, usuarioId: req.user.userId });
+
+    // Avanzar los pedidos tocados: completos → listo, parciales → en preparación
+    listos = [];
+    for (const pedidoId of pedidos) {
+      const pendientes = await client.query(
+        `SELECT COUNT(*)::int AS n FROM core.tblpedido_items
+         WHERE pedido_id = $1 AND (producto_id IS NULL OR stock_descontado < cantidad)`,
+        [pedidoId]
+      );
+      const estado = await client.query('SELECT estado FROM core.tblpedidos WHERE id = $1', [pedidoId]);
+      const hacia = pendientes.rows[0].n === 0 ? 'listo' : 'en_preparacion';
+      if (estado.rows[0].estado === hacia) continue;
+      const cambio = await transicionarPedido(client, pedidoId, hacia, {
+        usuarioId: req.user.userId,
+        motivo: `Lote de producción #${lote.id} (${producto.rows[0].nombre})`,
+        cambios: { por_confirmar: false },
+      });
+      if (cambio.error) throw new Error(`Pedido ${pedidoId}: ${cambio.error}`);
+      if (hacia === 'listo') listos.push(cambio.pedido);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /produccion/lotes:', error.message);
+    return res.status(500).json({ success: false, message: 'Error al registrar el lote' });
+  } finally { client.release(); }
+
+  await notificarIngredientesBajos(ingredientes.bajos);
+  try {
+    const { crearNotificacion } = require('../services/notificacionHelper');
+    await Promise.all(listos.map(p => crearNotificacion({
+      usuario_id: p.usuario_id,
+      tipo: 'pedido',
+      titulo: '¡Tu pedido está listo!',
+      mensaje: p.tipo_entrega === 'domicilio'
+        ? `Tu pedido #${p.numero} ya está listo; te avisaremos cuando salga a tu domicilio.`
+        : `Tu pedido #${p.numero} ya está listo para recoger en ${textoSucursal(sucursal)}.`,
+    })));
+  } catch (notifError) {
+    console.error('Error notificando pedidos listos:', notifError.message);
+  }
+
+  registrarAuditoria({
+    usuario_id: req.user.userId, accion: 'Registró lote de producción', entidad: 'producto', entidad_id: productoId,
+    detalles: `${cantidad} pzas · ${lote.unidades_asignadas} asignadas a ${lote.pedidos_avanzados.length} pedido(s)`,
+  });
+  res.status(201).json({
+    success: true, lote, pedidos_listos: listos.map(p => p.numero), ingredientes_consumidos: ingredientes.consumos,
+    message: `Lote registrado: ${lote.unidades_asignadas} de ${cantidad} piezas asignadas a pedidos`,
+  });
+});
+
+module.exports = router;
@@ -2,8 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
-const { verifyToken, verifyRole } = require('../middleware/auth');
+const { verifyToken, verifyRole, verifySucursal } = require('../middleware/auth');
 const { registrarAuditoria } = require('../utils/auditoria');
+const { TIPOS_VARIANTE } = require('../utils/opcionesProducto');
+const { SQL_RESERVADO } = require('../utils/reservasStock');
+const { resolverSucursal, fijarStock } = require('../utils/sucursales');
 
 // ══════════════════════════════════════
 // PÚBLICOS (sin auth)
@@ -65,12 +68,14 @@ router.get('/productos', async (req, res) => {
         p.imagen_url, p.imagen_public_id, p.imagenes, p.ingredientes,
         p.sabor, p.tamano, p.tipo, p.popular, p.es_nuevo,
         p.stock_online, p.activo, p.created_at,
+        GREATEST(p.stock_online - COALESCE(rs.reservado, 0), 0) AS stock_disponible,
         c.id AS categoria_id, c.nombre AS categoria,
         COALESCE(AVG(r.rating), 0)::NUMERIC(2,1) AS rating,
         COUNT(DISTINCT r.id)::INTEGER AS reviews
       FROM core.tblproductos p
       JOIN core.tblcategorias c ON p.categoria_id = c.id
       LEFT JOIN core.tblresenas r ON r.producto_id = p.id AND r.estado = 'aprobada'
+      LEFT JOIN (${SQL_RESERVADO}) rs ON rs.producto_id = p.id
       WHERE c.activo = true ${incluir_inactivos === 'true' ? '' : 'AND p.activo = true'}
     `;
     const params = [];
@@ -108,7 +113,7 @@ router.get('/productos', async (req, res) => {
       query += ` AND p.popular = true`;
     }
 
-    query += ` GROUP BY p.id, c.id, c.nombre`;
+    query += ` GROUP BY p.id, c.id, c.nombre, rs.reservado`;
 
     switch (ordenar) {
       case 'precio-asc': query += ` ORDER BY p.precio_chico ASC`; break;
@@ -141,13 +146,15 @@ router.get('/productos/:id', async (req, res) => {
 
     const result = await pool.query(`
       SELECT p.*, c.nombre AS categoria, c.id AS categoria_id,
+        GREATEST(p.stock_online - COALESCE(rs.reservado, 0), 0) AS stock_disponible,
         COALESCE(AVG(r.rating), 0)::NUMERIC(2,1) AS rating_promedio,
         COUNT(DISTINCT r.id)::INTEGER AS reviews
       FROM core.tblproductos p
       JOIN core.tblcategorias c ON p.categoria_id = c.id
       LEFT JOIN core.tblresenas r ON r.producto_id = p.id AND r.estado = 'aprobada'
+      LEFT JOIN (${SQL_RESERVADO}) rs ON rs.producto_id = p.id
       WHERE p.id = $1
-      GROUP BY p.id, c.nombre, c.id
+      GROUP BY p.id, c.nombre, c.id, rs.reservado
     `, [id]);
 
     if (result.rows.length === 0) {
@@ -180,7 +187,37 @@ router.get('/productos/:id', async (req, res) => {
       ORDER BY RANDOM() LIMIT 4
     `, [producto.categoria_id, id]);
 
-    res.json({ success: true, producto, resenas: resenas.rows, relacionados: relacionados.rows });
+    // Variantes (una por tipo), complementos que se pueden agregar y
+    // piezas disponibles en cada sucursal (para elegir dónde recoger)
+    const [variantes, complementos, sucursales] = await Promise.all([
+      pool.query(
+        `SELECT id, tipo, nombre, precio_delta, stock FROM core.tblproducto_variantes
+         WHERE producto_id = $1 AND activo = true ORDER BY tipo, orden, nombre`,
+        [id]
+      ),
+      pool.query(
+        `SELECT id, nombre, descripcion, precio, stock FROM core.tblcomplementos
+         WHERE activo = true AND (categoria_id IS NULL OR categoria_id = $1) ORDER BY nombre`,
+        [producto.categoria_id]
+      ),
+      pool.query(
+        `SELECT s.id, s.nombre, s.direccion, s.horario,
+                GREATEST(COALESCE(ss.stock, 0) - COALESCE(rs.reservado, 0), 0)::int AS stock_disponible
+         FROM core.tblsucursales s
+         LEFT JOIN core.tblstock_sucursal ss ON ss.sucursal_id = s.id AND ss.producto_id = $1
+         LEFT JOIN (
+           SELECT sucursal_id, SUM(cantidad)::int AS reservado FROM core.tblreservas_stock
+           WHERE producto_id = $1 AND estado = 'activa' AND expira_at > NOW() GROUP BY sucursal_id
+         ) rs ON rs.sucursal_id = s.id
+         WHERE s.activa = TRUE ORDER BY s.es_principal DESC, s.nombre`,
+        [id]
+      ),
+    ]);
+
+    res.json({
+      success: true, producto, resenas: resenas.rows, relacionados: relacionados.rows,
+      variantes: variantes.rows, complementos: complementos.rows, sucursales: sucursales.rows,
+    });
   } catch (error) {
     console.error('Error GET /productos/:id:', error.message);
     res.status(500).json({ success: false, message: 'Error al obtener producto' });
@@ -281,16 +318,26 @@ router.get('/filtros', async (req, res) => {
 // PROTEGIDOS — EMPLEADO+ (CRUD)
 // ══════════════════════════════════════
 
-router.post('/productos', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+// stock_online en el body es el conteo de UNA sucursal: la del personal,
+// o sucursal_id / la principal para quien ve todas. La columna
+// tblproductos.stock_online es el total y la mantiene un trigger.
+router.post('/productos', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), verifySucursal, async (req, res) => {
   try {
     const { nombre, descripcion, categoria_id, precio_chico, precio_grande, imagen_url, imagen_public_id, imagenes, ingredientes, sabor, tamano, tipo, popular, es_nuevo, stock_online } = req.body;
     if (!nombre || !categoria_id || !precio_chico) {
       return res.status(400).json({ success: false, message: 'Nombre, categoría y precio son requeridos' });
     }
+    const sucursal = await resolverSucursal(pool, req.sucursalId || req.body.sucursal_id);
+    if (sucursal.error) return res.status(400).json({ success: false, message: sucursal.error });
     const result = await pool.query(`
-      INSERT INTO core.tblproductos (nombre, descripcion, categoria_id, precio_chico, precio_grande, imagen_url, imagen_public_id, imagenes, ingredientes, sabor, tamano, tipo, popular, es_nuevo, stock_online, activo, created_at, updated_at)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,true,NOW(),NOW()) RETURNING *
-    `, [nombre, descripcion, categoria_id, precio_chico, precio_grande || null, imagen_url || null, imagen_public_id || null, imagenes ? JSON.stringify(imagenes) : null, ingredientes || null, sabor || null, tamano || null, tipo || null, popular || false, es_nuevo || false, stock_online || 0]);
+      INSERT INTO core.tblproductos (nombre, descripcion, categoria_id, precio_chico, precio_grande, imagen_url, imagen_public_id, imagenes, ingredientes, sabor, tamano, tipo, popular, es_nuevo, activo, created_at, updated_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,true,NOW(),NOW()) RETURNING *
+    `, [nombre, descripcion, categoria_id, precio_chico, precio_grande || null, imagen_url || null, imagen_public_id || null, imagenes ? JSON.stringify(imagenes) : null, ingredientes || null, sabor || null, tamano || null, tipo || null, popular || false, es_nuevo || false]);
+    const stockInicial = Math.max(parseInt(stock_online) || 0, 0);
+    if (stockInicial > 0) {
+      await fijarStock(pool, { productoId: result.rows[0].id, sucursalId: sucursal.id, stock: stockInicial });
+      result.rows[0].stock_online = stockInicial;
+    }
 
     // Notificación masiva: nuevo producto
     const { crearNotificacionMasiva } = require('../services/notificacionHelper');
@@ -309,24 +356,35 @@ router.post('/productos', verifyToken, verifyRole('empleado', 'gerencia', 'direc
   }
 });
 
-router.put('/productos/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+router.put('/productos/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), verifySucursal, async (req, res) => {
   try {
     const { id } = req.params;
     const { nombre, descripcion, categoria_id, precio_chico, precio_grande, imagen_url, imagen_public_id, imagenes, ingredientes, sabor, tamano, tipo, popular, es_nuevo, stock_online, activo } = req.body;
+    const cambiaStock = stock_online !== undefined && stock_online !== null;
+    let sucursal = null;
+    if (cambiaStock) {
+      if (isNaN(parseInt(stock_online)) || parseInt(stock_online) < 0) return res.status(400).json({ success: false, message: 'Stock inválido' });
+      sucursal = await resolverSucursal(pool, req.sucursalId || req.body.sucursal_id);
+      if (sucursal.error) return res.status(400).json({ success: false, message: sucursal.error });
+      const existe = await pool.query('SELECT 1 FROM core.tblproductos WHERE id = $1', [id]);
+      if (existe.rows.length === 0) return res.status(404).json({ success: false, message: 'Producto no encontrado' });
+      // Antes del UPDATE para que RETURNING traiga el total ya recalculado
+      await fijarStock(pool, { productoId: parseInt(id), sucursalId: sucursal.id, stock: parseInt(stock_online) });
+    }
     const result = await pool.query(`
       UPDATE core.tblproductos SET
         nombre = COALESCE($1, nombre), descripcion = COALESCE($2, descripcion), categoria_id = COALESCE($3, categoria_id),
         precio_chico = COALESCE($4, precio_chico), precio_grande = COALESCE($5, precio_grande),
         imagen_url = COALESCE($6, imagen_url), imagen_public_id = COALESCE($7, imagen_public_id), imagenes = COALESCE($8, imagenes),
         ingredientes = COALESCE($9, ingredientes), sabor = COALESCE($10, sabor), tamano = COALESCE($11, tamano), tipo = COALESCE($12, tipo),
-        popular = COALESCE($13, popular), es_nuevo = COALESCE($14, es_nuevo), stock_online = COALESCE($15, stock_online), activo = COALESCE($16, activo),
+        popular = COALESCE($13, popular), es_nuevo = COALESCE($14, es_nuevo), activo = COALESCE($15, activo),
         updated_at = NOW()
-      WHERE id = $17 RETURNING *
-    `, [nombre, descripcion, categoria_id, precio_chico, precio_grande, imagen_url, imagen_public_id, imagenes ? JSON.stringify(imagenes) : null, ingredientes, sabor, tamano, tipo, popular, es_nuevo, stock_online, activo, id]);
+      WHERE id = $16 RETURNING *
+    `, [nombre, descripcion, categoria_id, precio_chico, precio_grande, imagen_url, imagen_public_id, imagenes ? JSON.stringify(imagenes) : null, ingredientes, sabor, tamano, tipo, popular, es_nuevo, activo, id]);
     if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Producto no encontrado' });
     registrarAuditoria({
       usuario_id: req.user.userId, accion: 'Actualizó producto', entidad: 'producto', entidad_id: result.rows[0].id,
-      detalles: `"${result.rows[0].nombre}"${stock_online !== undefined && stock_online !== null ? ` · stock a ${stock_online}` : ''}${activo === false ? ' · desactivado' : ''}`,
+      detalles: `"${result.rows[0].nombre}"${cambiaStock ? ` · stock a ${parseInt(stock_online)} en ${sucursal.nombre}` : ''}${activo === false ? ' · desactivado' : ''}`,
     });
     res.json({ success: true, producto: result.rows[0] });
   } catch (error) {
@@ -447,4 +505,166 @@ router.delete('/categoria-opciones/:id', verifyToken, verifyRole('empleado', 'ge
   }
 });
 
+// ── Variantes por producto (tamaño, sabor, relleno con precio propio) ──
+router.get('/productos/:id/variantes', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM core.tblproducto_variantes WHERE producto_id = $1 ORDER BY tipo, orden, nombre',
+      [req.params.id]
+    );
+    res.json({ success: true, variantes: result.rows });
+  } catch (error) {
+    console.error('Error GET /productos/:id/variantes:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener variantes' });
+  }
+});
+
+router.post('/productos/:id/variantes', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const { tipo, nombre, precio_delta, stock, orden } = req.body;
+    if (!TIPOS_VARIANTE.includes(tipo) || !nombre) {
+      return res.status(400).json({ success: false, message: `Tipo (${TIPOS_VARIANTE.join(', ')}) y nombre son requeridos` });
+    }
+    if (precio_delta !== undefined && isNaN(parseFloat(precio_delta))) return res.status(400).json({ success: false, message: 'precio_delta inválido' });
+    if (stock !== undefined && stock !== null && !(Number.isInteger(stock) && stock >= 0)) {
+      return res.status(400).json({ success: false, message: 'stock debe ser un entero ≥ 0 (o null para no controlarlo)' });
+    }
+    const producto = await pool.query('SELECT id, nombre, precio_chico FROM core.tblproductos WHERE id = $1', [req.params.id]);
+    if (producto.rows.length === 0) return res.status(404).json({ success: false, message: 'Producto no encontrado' });
+    if (parseFloat(producto.rows[0].precio_chico) + parseFloat(precio_delta || 0) < 0) {
+      return res.status(400).json({ success: false, message: 'La variante dejaría el precio en negativo' });
+    }
+    const result = await pool.query(
+      `INSERT INTO core.tblproducto_variantes (producto_id, tipo, nombre, precio_delta, stock, orden)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+      [req.params.id, tipo, nombre.trim(), precio_delta || 0, stock ?? null, orden || 0]
+    );
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Creó variante', entidad: 'producto', entidad_id: producto.rows[0].id, detalles: `"${producto.rows[0].nombre}" · ${tipo}: ${nombre}` });
+    res.status(201).json({ success: true, variante: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ success: false, message: 'Esta variante ya existe para el producto' });
+    console.error('Error POST /productos/:id/variantes:', error.message);
+    res.status(500).json({ success: false, message: 'Error al crear variante' });
+  }
+});
+
+// stock: null deja de controlar el inventario propio de la variante
+router.put('/variantes/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const { nombre, precio_delta, orden, activo } = req.body;
+    const cambiarStock = Object.prototype.hasOwnProperty.call(req.body, 'stock');
+    const { stock } = req.body;
+    if (cambiarStock && stock !== null && !(Number.isInteger(stock) && stock >= 0)) {
+      return res.status(400).json({ success: false, message: 'stock debe ser un entero ≥ 0 (o null para no controlarlo)' });
+    }
+    const result = await pool.query(`
+      UPDATE core.tblproducto_variantes SET
+        nombre = COALESCE($1, nombre), precio_delta = COALESCE($2, precio_delta), orden = COALESCE($3, orden),
+        activo = COALESCE($4, activo), stock = CASE WHEN $5 THEN $6::int ELSE stock END, updated_at = NOW()
+      WHERE id = $7 RETURNING *
+    `, [nombre ? nombre.trim() : null, precio_delta ?? null, orden ?? null, activo ?? null, cambiarStock, cambiarStock ? stock : null, req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Variante no encontrada' });
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Actualizó variante', entidad: 'producto', entidad_id: result.rows[0].producto_id, detalles: `${result.rows[0].tipo}: ${result.rows[0].nombre}` });
+    res.json({ success: true, variante: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') return res.status(409).json({ success: false, message: 'Ya existe una variante con ese nombre' });
+    console.error('Error PUT /variantes/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al actualizar variante' });
+  }
+});
+
+// Se desactiva (no se borra): carritos y pedidos pueden referirla
+router.delete('/variantes/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const result = await pool.query('UPDATE core.tblproducto_variantes SET activo = false, updated_at = NOW() WHERE id = $1 RETURNING id, nombre', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Variante no encontrada' });
+    res.json({ success: true, message: `"${result.rows[0].nombre}" desactivada` });
+  } catch (error) {
+    console.error('Error DELETE /variantes/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al eliminar variante' });
+  }
+});
+
+// ── Complementos (velas, placa, caja de regalo) ──
+// Público: ?categoria_id= filtra los que aplican a esa categoría
+router.get('/complementos', async (req, res) => {
+  try {
+    const categoriaId = req.query.categoria_id ? parseInt(req.query.categoria_id) : null;
+    const result = await pool.query(
+      `SELECT id, nombre, descripcion, precio, categoria_id, stock FROM core.tblcomplementos
+       WHERE activo = true AND ($1::int IS NULL OR categoria_id IS NULL OR categoria_id = $1)
+       ORDER BY nombre`,
+      [categoriaId]
+    );
+    res.json({ success: true, complementos: result.rows });
+  } catch (error) {
+    console.error('Error GET /complementos:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener complementos' });
+  }
+});
+
+router.post('/complementos', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const { nombre, descripcion, precio, categoria_id, stock } = req.body;
+    if (!nombre || precio === undefined || isNaN(parseFloat(precio)) || parseFloat(precio) < 0) {
+      return res.status(400).json({ success: false, message: 'Nombre y precio (≥ 0) son requeridos' });
+    }
+    if (stock !== undefined && stock !== null && !(Number.isInteger(stock) && stock >= 0)) {
+      return res.status(400).json({ success: false, message: 'stock debe ser un entero ≥ 0 (o null para no controlarlo)' });
+    }
+    const result = await pool.query(
+      `INSERT INTO core.tblcomplementos (nombre, descripcion, precio, categoria_id, stock)
+       VALUES ($1,$2,$3,$4,$5) RETURNING *`,
+      [nombre.trim(), descripcion || null, precio, categoria_id || null, stock ?? null]
+    );
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Creó complemento', entidad: 'complemento', entidad_id: result.rows[0].id, detalles: `"${nombre}" $${precio}` });
+    res.status(201).json({ success: true, complemento: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23503') return res.status(400).json({ success: false, message: 'La categoría no existe' });
+    console.error('Error POST /complementos:', error.message);
+    res.status(500).json({ success: false, message: 'Error al crear complemento' });
+  }
+});
+
+// categoria_id / stock: null = todas las categorías / sin control de inventario
+router.put('/complementos/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const { nombre, descripcion, precio, activo } = req.body;
+    const tiene = (campo) => Object.prototype.hasOwnProperty.call(req.body, campo);
+    const { stock, categoria_id } = req.body;
+    if (precio !== undefined && (isNaN(parseFloat(precio)) || parseFloat(precio) < 0)) return res.status(400).json({ success: false, message: 'Precio inválido' });
+    if (tiene('stock') && stock !== null && !(Number.isInteger(stock) && stock >= 0)) {
+      return res.status(400).json({ success: false, message: 'stock debe ser un entero ≥ 0 (o null para no controlarlo)' });
+    }
+    const result = await pool.query(`
+      UPDATE core.tblcomplementos SET
+        nombre = COALESCE($1, nombre), descripcion = COALESCE($2, descripcion), precio = COALESCE($3, precio),
+        activo = COALESCE($4, activo),
+        stock = CASE WHEN $5 THEN $6::int ELSE stock END,
+        categoria_id = CASE WHEN $7 THEN $8::int ELSE categoria_id END,
+        updated_at = NOW()
+      WHERE id = $9 RETURNING *
+    `, [nombre ? nombre.trim() : null, descripcion ?? null, precio ?? null, activo ?? null,
+      tiene('stock'), tiene('stock') ? stock : null, tiene('categoria_id'), tiene('categoria_id') ? categoria_id : null, req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Complemento no encontrado' });
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Actualizó complemento', entidad: 'complemento', entidad_id: result.rows[0].id, detalles: `"${result.rows[0].nombre}"` });
+    res.json({ success: true, complemento: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23503') return res.status(400).json({ success: false, message: 'La categoría no existe' });
+    console.error('Error PUT /complementos/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al actualizar complemento' });
+  }
+});
+
+router.delete('/complementos/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const result = await pool.query('UPDATE core.tblcomplementos SET activo = false, updated_at = NOW() WHERE id = $1 RETURNING id, nombre', [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Complemento no encontrado' });
+    res.json({ success: true, message: `"${result.rows[0].nombre}" desactivado` });
+  } catch (error) {
+    console.error('Error DELETE /complementos/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al eliminar complemento' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
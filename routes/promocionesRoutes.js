@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { verifyToken, verifyRole } = require('../middleware/auth');
+const { validarCodigoDescuento } = require('../utils/codigoDescuento');
 
 // Promociones activas (público)
 router.get('/activas', async (req, res) => {
@@ -22,16 +23,15 @@ router.get('/activas', async (req, res) => {
 });
 
 // Validar código de descuento (cliente)
+// Informativo: revisa vigencia y límites de uso. El descuento real (y la
+// compra mínima) se calculan contra el carrito en /pagos/crear-intent.
 router.post('/validar-codigo', verifyToken, async (req, res) => {
   try {
     const { codigo } = req.body;
     if (!codigo) return res.status(400).json({ success: false, message: 'Código es requerido' });
-    const result = await pool.query(
-      `SELECT * FROM core.tblpromociones WHERE codigo_descuento = $1 AND estado = 'activa' AND (fecha_fin IS NULL OR fecha_fin > NOW())`,
-      [codigo.toUpperCase()]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Código inválido o expirado' });
-    res.json({ success: true, promocion: result.rows[0] });
+    const resultado = await validarCodigoDescuento(pool, codigo, req.user.userId);
+    if (resultado.error) return res.status(404).json({ success: false, message: resultado.error });
+    res.json({ success: true, promocion: resultado.promocion });
   } catch (error) {
     console.error('Error POST /promociones/validar-codigo:', error.message);
     res.status(500).json({ success: false, message: 'Error al validar código' });
@@ -57,12 +57,12 @@ router.get('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_gener
 
 router.post('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
   try {
-    const { tipo, producto_id, estado, descuento_porcentaje, precio_original, precio_oferta, fecha_inicio, fecha_fin, nombre_temporada, badge_destacado, titulo_banner, subtitulo_banner, descripcion_banner, codigo_descuento } = req.body;
+    const { tipo, producto_id, estado, descuento_porcentaje, precio_original, precio_oferta, fecha_inicio, fecha_fin, nombre_temporada, badge_destacado, titulo_banner, subtitulo_banner, descripcion_banner, codigo_descuento, usos_maximos, usos_por_cliente, monto_minimo } = req.body;
     if (!tipo) return res.status(400).json({ success: false, message: 'Tipo es requerido' });
     const result = await pool.query(
-      `INSERT INTO core.tblpromociones (tipo, producto_id, estado, descuento_porcentaje, precio_original, precio_oferta, fecha_inicio, fecha_fin, nombre_temporada, badge_destacado, titulo_banner, subtitulo_banner, descripcion_banner, codigo_descuento, created_at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,NOW()) RETURNING *`,
-      [tipo, producto_id||null, estado||'activa', descuento_porcentaje||null, precio_original||null, precio_oferta||null, fecha_inicio||null, fecha_fin||null, nombre_temporada||null, badge_destacado||null, titulo_banner||null, subtitulo_banner||null, descripcion_banner||null, codigo_descuento||null]
+      `INSERT INTO core.tblpromociones (tipo, producto_id, estado, descuento_porcentaje, precio_original, precio_oferta, fecha_inicio, fecha_fin, nombre_temporada, badge_destacado, titulo_banner, subtitulo_banner, descripcion_banner, codigo_descuento, usos_maximos, usos_por_cliente, monto_minimo, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,NOW()) RETURNING *`,
+      [tipo, producto_id||null, estado||'activa', descuento_porcentaje||null, precio_original||null, precio_oferta||null, fecha_inicio||null, fecha_fin||null, nombre_temporada||null, badge_destacado||null, titulo_banner||null, subtitulo_banner||null, descripcion_banner||null, codigo_descuento ? String(codigo_descuento).trim().toUpperCase() : null, usos_maximos||null, usos_por_cliente||null, monto_minimo||null]
     );
 
     // Notificación masiva a todos los clientes si la promoción está activa
@@ -93,15 +93,16 @@ router.post('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_gene
 
 router.put('/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
   try {
-    const { tipo, producto_id, estado, descuento_porcentaje, precio_original, precio_oferta, fecha_inicio, fecha_fin, nombre_temporada, badge_destacado, titulo_banner, subtitulo_banner, descripcion_banner, codigo_descuento } = req.body;
+    const { tipo, producto_id, estado, descuento_porcentaje, precio_original, precio_oferta, fecha_inicio, fecha_fin, nombre_temporada, badge_destacado, titulo_banner, subtitulo_banner, descripcion_banner, codigo_descuento, usos_maximos, usos_por_cliente, monto_minimo } = req.body;
     const result = await pool.query(
       `UPDATE core.tblpromociones SET tipo=COALESCE($1,tipo), producto_id=COALESCE($2,producto_id), estado=COALESCE($3,estado),
        descuento_porcentaje=COALESCE($4,descuento_porcentaje), precio_original=COALESCE($5,precio_original), precio_oferta=COALESCE($6,precio_oferta),
        fecha_inicio=COALESCE($7,fecha_inicio), fecha_fin=COALESCE($8,fecha_fin), nombre_temporada=COALESCE($9,nombre_temporada),
        badge_destacado=COALESCE($10,badge_destacado), titulo_banner=COALESCE($11,titulo_banner), subtitulo_banner=COALESCE($12,subtitulo_banner),
-       descripcion_banner=COALESCE($13,descripcion_banner), codigo_descuento=COALESCE($14,codigo_descuento)
-       WHERE id=$15 RETURNING *`,
-      [tipo, producto_id, estado, descuento_porcentaje, precio_original, precio_oferta, fecha_inicio, fecha_fin, nombre_temporada, badge_destacado, titulo_banner, subtitulo_banner, descripcion_banner, codigo_descuento, req.params.id]
+       descripcion_banner=COALESCE($13,descripcion_banner), codigo_descuento=COALESCE($14,codigo_descuento),
+       usos_maximos=COALESCE($15,usos_maximos), usos_por_cliente=COALESCE($16,usos_por_cliente), monto_minimo=COALESCE($17,monto_minimo)
+       WHERE id=$18 RETURNING *`,
+      [tipo, producto_id, estado, descuento_porcentaje, precio_original, precio_oferta, fecha_inicio, fecha_fin, nombre_temporada, badge_destacado, titulo_banner, subtitulo_banner, descripcion_banner, codigo_descuento ? String(codigo_descuento).trim().toUpperCase() : codigo_descuento, usos_maximos, usos_por_cliente, monto_minimo, req.params.id]
     );
     if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'No encontrada' });
     const { registrarAuditoria } = require('../utils/auditoria');
@@ -0,0 +1,153 @@
+// routes/puntosRoutes.js — Programa de puntos de lealtad
+//
+// Los puntos se ganan y se revierten solos (utils/puntos.js) y se canjean
+// en el checkout (pagos/crear-intent con "puntos"). Aquí: el saldo e
+// historial del cliente, su código de referido y los ajustes manuales de
+// gerencia.
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { verifyToken, verifyRole } = require('../middleware/auth');
+const { registrarAuditoria } = require('../utils/auditoria');
+const {
+  PESOS_POR_PUNTO, VALOR_PUNTO, MINIMO_CANJE, TOPE_CANJE, MESES_VIGENCIA, NIVELES,
+  nivelDe, saldoPuntos, expirarPuntos,
+} = require('../utils/puntos');
+const { PUNTOS_REFERIDOR, PUNTOS_REFERIDO, PEDIDO_MINIMO, obtenerCodigoReferido } = require('../utils/referidos');
+
+const REGLAS = {
+  pesos_por_punto: PESOS_POR_PUNTO,
+  valor_punto: VALOR_PUNTO,
+  minimo_canje: MINIMO_CANJE,
+  tope_canje_porcentaje: TOPE_CANJE * 100,
+  meses_vigencia: MESES_VIGENCIA,
+  niveles: NIVELES,
+};
+
+// Saldo (asentando lo vencido), nivel e historial reciente de un cliente
+async function estadoDeCuenta(usuarioId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM core.tblusuarios WHERE id = $1 FOR UPDATE', [usuarioId]);
+    await expirarPuntos(client, usuarioId);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally { client.release(); }
+
+  const [saldo, nivel, historial] = await Promise.all([
+    saldoPuntos(pool, usuarioId),
+    nivelDe(pool, usuarioId),
+    pool.query(
+      `SELECT m.id, m.tipo, m.puntos, m.motivo, m.expira_at, m.created_at, p.numero AS pedido_numero
+       FROM core.tblpuntos_movimientos m LEFT JOIN core.tblpedidos p ON p.id = m.pedido_id
+       WHERE m.usuario_id = $1 ORDER BY m.created_at DESC, m.id DESC LIMIT 50`,
+      [usuarioId]
+    ),
+  ]);
+  return { saldo: saldo.saldo, por_vencer: saldo.por_vencer, nivel, historial: historial.rows };
+}
+
+// ── Mis puntos ──
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const cuenta = await estadoDeCuenta(req.user.userId);
+    res.json({ success: true, ...cuenta, reglas: REGLAS });
+  } catch (error) {
+    console.error('Error GET /puntos:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener tus puntos' });
+  }
+});
+
+// ── Mi código de referido y a quién he invitado ──
+// Del referido solo se muestra el nombre de pila
+router.get('/referidos', verifyToken, async (req, res) => {
+  try {
+    const codigo = await obtenerCodigoReferido(pool, req.user.userId);
+    const result = await pool.query(
+      `SELECT r.estado, r.created_at, r.resuelto_at, u.nombre
+       FROM core.tblreferidos r JOIN core.tblusuarios u ON u.id = r.referido_id
+       WHERE r.referidor_id = $1 ORDER BY r.created_at DESC`,
+      [req.user.userId]
+    );
+    res.json({
+      success: true,
+      codigo,
+      reglas: { puntos_referidor: PUNTOS_REFERIDOR, puntos_referido: PUNTOS_REFERIDO, pedido_minimo: PEDIDO_MINIMO },
+      referidos: result.rows,
+    });
+  } catch (error) {
+    console.error('Error GET /puntos/referidos:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener tus referidos' });
+  }
+});
+
+// ── Puntos de un cliente (gerencia) ──
+router.get('/usuarios/:id', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const usuario = await pool.query('SELECT id, nombre, email FROM core.tblusuarios WHERE id = $1', [req.params.id]);
+    if (usuario.rows.length === 0) return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+    const cuenta = await estadoDeCuenta(usuario.rows[0].id);
+    res.json({ success: true, usuario: usuario.rows[0], ...cuenta });
+  } catch (error) {
+    console.error('Error GET /puntos/usuarios/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener los puntos del cliente' });
+  }
+});
+
+// ── Ajuste manual (gerencia) ──
+// puntos positivo suma, negativo resta (sin dejar el saldo en negativo).
+// El motivo es obligatorio y el ajuste queda en la auditoría.
+router.post('/ajustes', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  const usuarioId = parseInt(req.body.usuario_id);
+  const puntos = Number(req.body.puntos);
+  const motivo = req.body.motivo ? String(req.body.motivo).trim() : '';
+  if (!usuarioId) return res.status(400).json({ success: false, message: 'usuario_id es requerido' });
+  if (!Number.isInteger(puntos) || puntos === 0) return res.status(400).json({ success: false, message: 'puntos debe ser un entero distinto de cero' });
+  if (!motivo) return res.status(400).json({ success: false, message: 'El motivo es requerido' });
+
+  const client = await pool.connect();
+  let saldo;
+  try {
+    await client.query('BEGIN');
+    // Mismo candado que el canje del checkout
+    const usuario = await client.query('SELECT id FROM core.tblusuarios WHERE id = $1 FOR UPDATE', [usuarioId]);
+    if (usuario.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Usuario no encontrado' }); }
+    const actual = await expirarPuntos(client, usuarioId);
+    if (actual + puntos < 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: `El cliente solo tiene ${actual} puntos` });
+    }
+    await client.query(
+      `INSERT INTO core.tblpuntos_movimientos (usuario_id, tipo, puntos, motivo, creado_por) VALUES ($1, 'ajuste', $2, $3, $4)`,
+      [usuarioId, puntos, motivo, req.user.userId]
+    );
+    await client.query('COMMIT');
+    saldo = actual + puntos;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /puntos/ajustes:', error.message);
+    return res.status(500).json({ success: false, message: 'Error al ajustar los puntos' });
+  } finally { client.release(); }
+
+  registrarAuditoria({
+    usuario_id: req.user.userId, accion: 'Ajustó puntos', entidad: 'usuario', entidad_id: usuarioId,
+    detalles: `${puntos > 0 ? '+' : ''}${puntos} pts · saldo ${saldo} · ${motivo.slice(0, 80)}`,
+  });
+  try {
+    const { crearNotificacion } = require('../services/notificacionHelper');
+    await crearNotificacion({
+      usuario_id: usuarioId,
+      tipo: 'aviso',
+      titulo: puntos > 0 ? '¡Recibiste puntos!' : 'Ajuste en tus puntos',
+      mensaje: `${puntos > 0 ? 'Se agregaron' : 'Se descontaron'} ${Math.abs(puntos)} puntos ${puntos > 0 ? 'a' : 'de'} tu cuenta: ${motivo}. Tu saldo es de ${saldo} puntos.`,
+    });
+  } catch (notifError) {
+    console.error('Error notificando ajuste de puntos:', notifError.message);
+  }
+  res.json({ success: true, message: 'Puntos ajustados', saldo });
+});
+
+module.exports = router;
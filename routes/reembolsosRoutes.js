@@ -4,35 +4,125 @@ const router = express.Router();
 const he = require('he'); // 🔒 SEGURIDAD: sanitización de HTML
 const { pool } = require('../config/database');
 const { verifyToken, verifyRole } = require('../middleware/auth');
+const { reponerStockOpcionesLinea } = require('../utils/opcionesProducto');
+const { sumarStock } = require('../utils/sucursales');
+const { sincronizarPuntosPedido } = require('../utils/puntos');
+const { SIN_CAJA, sesionAbierta, resumenSesion, registrarRetiro } = require('../utils/caja');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+// Líneas de un reembolso por producto. Valida que cada pedido_item sea
+// del pedido y que no se pida más de lo comprado (contando solicitudes
+// que no fueron rechazadas); el monto lo calcula el servidor: la parte
+// del subtotal de la línea, prorrateada como en la factura
+// (conceptosDePedido) por lo que se cobró a la tarjeta entre el subtotal
+// de los productos, más el envío si se incluye. Así no se devuelve a la
+// tarjeta bancaria lo cubierto por descuentos o por tarjeta de regalo.
+async function calcularReembolsoPorItems(db, pedido, items, incluirEnvio) {
+  const lineasPedido = await db.query(
+    `SELECT pi.id, pi.producto_id, pi.nombre_producto, pi.cantidad, pi.subtotal,
+            COALESCE((SELECT SUM(ri.cantidad) FROM core.tblreembolso_items ri
+                      JOIN core.tblreembolsos r ON r.id = ri.reembolso_id
+                      WHERE ri.pedido_item_id = pi.id AND r.estado <> 'rechazado'), 0)::int AS ya_solicitado
+     FROM core.tblpedido_items pi WHERE pi.pedido_id = $1`,
+    [pedido.id]
+  );
+  const porId = new Map(lineasPedido.rows.map(l => [l.id, l]));
+  const pago = await db.query('SELECT monto_total FROM core.tblpagos WHERE pedido_id = $1', [pedido.id]);
+  const envio = parseFloat(pedido.costo_envio) || 0;
+  const productos = lineasPedido.rows.reduce((s, l) => s + parseFloat(l.subtotal), 0);
+  const proporcion = pago.rows[0] && productos > 0
+    ? Math.min(Math.max((parseFloat(pago.rows[0].monto_total) - envio) / productos, 0), 1)
+    : 1;
+
+  const lineas = [];
+  let monto = 0;
+  for (const item of items) {
+    const linea = porId.get(parseInt(item.pedido_item_id));
+    const cantidad = parseInt(item.cantidad);
+    if (!linea) return { error: 'Uno de los productos no pertenece a este pedido' };
+    if (!cantidad || cantidad < 1) return { error: `Indica cuántas piezas de "${linea.nombre_producto}" se reembolsan` };
+    if (lineas.some(l => l.pedido_item_id === linea.id)) return { error: `"${linea.nombre_producto}" aparece dos veces` };
+    const disponible = linea.cantidad - linea.ya_solicitado;
+    if (cantidad > disponible) {
+      return { error: disponible > 0 ? `De "${linea.nombre_producto}" solo puedes reembolsar ${disponible} pieza${disponible === 1 ? '' : 's'}` : `"${linea.nombre_producto}" ya tiene su reembolso solicitado` };
+    }
+    const importe = Math.round(parseFloat(linea.subtotal) * cantidad / linea.cantidad * proporcion * 100) / 100;
+    monto += importe;
+    lineas.push({ pedido_item_id: linea.id, producto_id: linea.producto_id, cantidad, monto: importe });
+  }
+
+  if (incluirEnvio) {
+    const envioPedido = await db.query(
+      `SELECT 1 FROM core.tblreembolsos WHERE pedido_id = $1 AND incluye_envio = TRUE AND estado <> 'rechazado'`,
+      [pedido.id]
+    );
+    if (envioPedido.rows.length > 0) return { error: 'El envío de este pedido ya tiene su reembolso solicitado' };
+    monto += envio;
+  }
+  return { lineas, monto: Math.round(monto * 100) / 100 };
+}
 
 // Solicitar reembolso (cliente)
+// Con "items" ([{ pedido_item_id, cantidad }]) el reembolso es por línea
+// de producto y el monto lo calcula el servidor; sin ellos se usa el
+// monto que indica el cliente, como siempre.
 router.post('/', verifyToken, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { pedido_id, producto_id, monto, motivo, descripcion, fotos_evidencia } = req.body;
-    if (!pedido_id || !monto || !motivo) return res.status(400).json({ success: false, message: 'Pedido, monto y motivo son requeridos' });
-
-    // Verificar que el pedido pertenece al usuario y está completado
-    const pedido = await pool.query('SELECT id, estado FROM core.tblpedidos WHERE id = $1 AND usuario_id = $2', [pedido_id, req.user.userId]);
-    if (pedido.rows.length === 0) return res.status(404).json({ success: false, message: 'Pedido no encontrado' });
-    if (pedido.rows[0].estado !== 'completado') return res.status(400).json({ success: false, message: 'Solo se pueden reembolsar pedidos completados' });
-
-    const result = await pool.query(
-      `INSERT INTO core.tblreembolsos (pedido_id, producto_id, usuario_id, monto, motivo, descripcion, fotos_evidencia, estado, created_at, updated_at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,'pendiente',NOW(),NOW()) RETURNING *`,
-      [pedido_id, producto_id || null, req.user.userId, monto, motivo, descripcion || null, fotos_evidencia || null]
+    const { pedido_id, producto_id, monto, motivo, descripcion, fotos_evidencia, items, incluir_envio } = req.body;
+    const porItems = Array.isArray(items) && items.length > 0;
+    if (!pedido_id || (!monto && !porItems) || !motivo) return res.status(400).json({ success: false, message: 'Pedido, monto y motivo son requeridos' });
+
+    await client.query('BEGIN');
+    // Verificar que el pedido pertenece al usuario y ya le fue entregado.
+    // FOR UPDATE: dos solicitudes simultáneas no pueden pedir la misma pieza
+    const pedido = await client.query('SELECT id, estado, costo_envio FROM core.tblpedidos WHERE id = $1 AND usuario_id = $2 FOR UPDATE', [pedido_id, req.user.userId]);
+    if (pedido.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Pedido no encontrado' }); }
+    if (!['completado', 'entregado'].includes(pedido.rows[0].estado)) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'Solo se pueden reembolsar pedidos completados' }); }
+
+    let lineas = [];
+    let montoFinal = monto;
+    if (porItems) {
+      const calculo = await calcularReembolsoPorItems(client, pedido.rows[0], items, incluir_envio === true);
+      if (calculo.error) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: calculo.error }); }
+      lineas = calculo.lineas;
+      montoFinal = calculo.monto;
+    }
+
+    const result = await client.query(
+      `INSERT INTO core.tblreembolsos (pedido_id, producto_id, usuario_id, monto, motivo, descripcion, fotos_evidencia, incluye_envio, estado, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'pendiente',NOW(),NOW()) RETURNING *`,
+      [
+        pedido_id,
+        porItems ? (lineas.length === 1 ? lineas[0].producto_id : null) : (producto_id || null),
+        req.user.userId, montoFinal, motivo, descripcion || null, fotos_evidencia || null,
+        porItems && incluir_envio === true,
+      ]
     );
-    res.status(201).json({ success: true, reembolso: result.rows[0] });
+    const reembolso = result.rows[0];
+    for (const l of lineas) {
+      await client.query(
+        'INSERT INTO core.tblreembolso_items (reembolso_id, pedido_item_id, cantidad, monto) VALUES ($1,$2,$3,$4)',
+        [reembolso.id, l.pedido_item_id, l.cantidad, l.monto]
+      );
+    }
+    await client.query('COMMIT');
+    res.status(201).json({ success: true, reembolso: { ...reembolso, items: lineas } });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error POST /reembolsos:', error.message);
     res.status(500).json({ success: false, message: 'Error al solicitar reembolso' });
-  }
+  } finally { client.release(); }
 });
 
 // Mis reembolsos (cliente)
 router.get('/mis-reembolsos', verifyToken, async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT r.*, p.numero AS pedido_numero
+      SELECT r.*, p.numero AS pedido_numero,
+        (SELECT json_agg(json_build_object('pedido_item_id', ri.pedido_item_id, 'nombre', pi.nombre_producto, 'cantidad', ri.cantidad, 'monto', ri.monto, 'stock_repuesto', ri.stock_repuesto))
+         FROM core.tblreembolso_items ri JOIN core.tblpedido_items pi ON pi.id = ri.pedido_item_id WHERE ri.reembolso_id = r.id) AS items
       FROM core.tblreembolsos r
       JOIN core.tblpedidos p ON r.pedido_id = p.id
       WHERE r.usuario_id = $1 ORDER BY r.created_at DESC
@@ -49,6 +139,8 @@ router.get('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_gener
   try {
     const { estado } = req.query;
     let query = `SELECT r.*, u.nombre AS cliente_nombre, u.apellido AS cliente_apellido, p.numero AS pedido_numero,
+      (SELECT json_agg(json_build_object('pedido_item_id', ri.pedido_item_id, 'nombre', pi.nombre_producto, 'cantidad', ri.cantidad, 'monto', ri.monto, 'stock_repuesto', ri.stock_repuesto))
+       FROM core.tblreembolso_items ri JOIN core.tblpedido_items pi ON pi.id = ri.pedido_item_id WHERE ri.reembolso_id = r.id) AS items,
       EXTRACT(DAY FROM NOW() - r.created_at)::INTEGER AS dias_desde_compra,
       CASE WHEN EXTRACT(EPOCH FROM NOW() - r.created_at) <= 18000 THEN true ELSE false END AS cumple_politica
       FROM core.tblreembolsos r JOIN core.tblusuarios u ON r.usuario_id = u.id JOIN core.tblpedidos p ON r.pedido_id = p.id`;
@@ -63,30 +155,187 @@ router.get('/', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_gener
   }
 });
 
+// Cómo se reparte un reembolso del pago. Lo cobrado en línea se devuelve
+// primero por Stripe, hasta lo que cobró el intent (en un pastel
+// personalizado, solo el anticipo); el resto se devuelve en sucursal con
+// el método con que se pagó ahí. Mientras el saldo no se liquida, lo
+// cobrado es solo el anticipo; un pago en sucursal pendiente no cobró nada.
+// Si Stripe falló después de procesar, la parte de sucursal ya se devolvió
+// (monto_sucursal): al reprocesar solo queda pendiente la de Stripe.
+function repartirReembolso(r) {
+  const redondear = n => Math.round(n * 100) / 100;
+  const anticipo = r.pago_anticipo !== null ? parseFloat(r.pago_anticipo) : null;
+  const total = parseFloat(r.pago_total);
+  const reembolsado = parseFloat(r.pago_reembolsado);
+  const yaEnSucursal = r.monto_sucursal !== null ? parseFloat(r.monto_sucursal) : 0;
+  const pendiente = redondear(parseFloat(r.monto) - yaEnSucursal);
+  let cobrado = anticipo !== null && !r.saldo_pagado_at ? anticipo : total;
+  if (anticipo === null && r.pago_estado !== 'pagado') cobrado = 0;
+  const enStripe = r.stripe_payment_id ? (anticipo !== null ? anticipo : total) : 0;
+  const devueltoEnStripe = reembolsado - parseFloat(r.pago_devuelto_sucursal);
+  const porStripe = redondear(Math.min(pendiente, Math.max(enStripe - devueltoEnStripe, 0)));
+  return {
+    disponible: redondear(cobrado - reembolsado),
+    pendiente,
+    stripe: porStripe,
+    sucursal: redondear(pendiente - porStripe),
+    yaEnSucursal,
+    metodoSucursal: anticipo !== null ? r.metodo_pago_saldo : r.pago_metodo,
+  };
+}
+
+// Devuelve el dinero en Stripe por su parte del reembolso (total o parcial).
+// La llave de idempotencia incluye el número de intento: un doble clic no
+// reembolsa dos veces, pero reintentar tras un fallo sí llega a Stripe.
+async function reembolsarEnStripe(r, monto) {
+  try {
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: r.stripe_payment_id,
+        amount: Math.round(monto * 100),
+        metadata: { reembolso_id: String(r.id), pedido_id: String(r.pedido_id) },
+      },
+      { idempotencyKey: `reembolso-${r.id}-${r.stripe_intentos}` }
+    );
+    if (['failed', 'canceled'].includes(refund.status)) {
+      return { error: refund.failure_reason || `estado ${refund.status}` };
+    }
+    return { refund };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
 // Gestionar reembolso (empleado+)
+// Al pasar a "procesado", si el pedido se pagó con tarjeta el dinero se
+// devuelve en Stripe en ese momento. Si Stripe lo rechaza, la solicitud
+// vuelve a la cola como "aprobado" con el error visible para reintentar.
 router.put('/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_general'), async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { estado, justificacion_rechazo, respuesta_admin } = req.body;
+    const { estado, justificacion_rechazo, respuesta_admin, reponer_stock } = req.body;
     if (!['en_revision', 'aprobado', 'rechazado', 'procesado'].includes(estado)) return res.status(400).json({ success: false, message: 'Estado inválido' });
 
+    await client.query('BEGIN');
+    // FOR UPDATE serializa dos empleados procesando la misma solicitud
+    const actual = await client.query(
+      `SELECT r.*, pg.id AS pago_id, pg.stripe_payment_id, pg.monto_total AS pago_total, pg.monto_reembolsado AS pago_reembolsado,
+              pg.anticipo AS pago_anticipo, pg.saldo_pagado_at, pg.metodo_pago AS pago_metodo, pg.metodo_pago_saldo, pg.estado AS pago_estado,
+              COALESCE((SELECT SUM(r2.monto_sucursal) FROM core.tblreembolsos r2
+                        WHERE r2.pedido_id = r.pedido_id AND r2.monto_sucursal IS NOT NULL), 0) AS pago_devuelto_sucursal
+       FROM core.tblreembolsos r
+       LEFT JOIN core.tblpagos pg ON pg.pedido_id = r.pedido_id
+       WHERE r.id = $1 FOR UPDATE OF r`,
+      [req.params.id]
+    );
+    if (actual.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Reembolso no encontrado' }); }
+    const previo = actual.rows[0];
+    if (previo.estado === 'procesado') { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'Este reembolso ya fue procesado' }); }
+
+    let refund = null;
+    let reparto = null;
+    if (estado === 'procesado' && previo.pago_id) {
+      reparto = repartirReembolso(previo);
+      if (reparto.pendiente > reparto.disponible + 0.001) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: `El monto excede lo que queda por reembolsar de este pago ($${reparto.disponible.toFixed(2)})` });
+      }
+
+      // La parte en efectivo sale de la caja de quien procesa; se valida
+      // antes de ir a Stripe y el retiro se registra ya con Stripe resuelto
+      let caja = null;
+      if (reparto.sucursal > 0 && reparto.metodoSucursal === 'efectivo') {
+        caja = await sesionAbierta(client, req.user.userId, { bloquear: true });
+        if (!caja) { await client.query('ROLLBACK'); return res.status(409).json({ success: false, message: `${SIN_CAJA}: este reembolso devuelve $${reparto.sucursal.toFixed(2)} en efectivo` }); }
+        const { esperado } = await resumenSesion(client, caja);
+        if (reparto.sucursal > esperado) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ success: false, message: `En caja solo debería haber $${esperado.toFixed(2)}` });
+        }
+      }
+
+      if (reparto.stripe > 0) {
+        const resultado = await reembolsarEnStripe(previo, reparto.stripe);
+        if (resultado.error) {
+          await client.query(
+            `UPDATE core.tblreembolsos SET estado = 'aprobado', error_stripe = $1, stripe_intentos = stripe_intentos + 1, updated_at = NOW() WHERE id = $2`,
+            [resultado.error, req.params.id]
+          );
+          await client.query('COMMIT');
+          console.error(`Stripe rechazó el reembolso ${req.params.id}:`, resultado.error);
+          return res.status(502).json({ success: false, message: `Stripe no pudo reembolsar: ${resultado.error}. La solicitud quedó como aprobada para reintentar.` });
+        }
+        refund = resultado.refund;
+      }
+      if (caja) {
+        await registrarRetiro(client, {
+          sesionId: caja.id, usuarioId: req.user.userId, pedidoId: previo.pedido_id,
+          monto: reparto.sucursal, motivo: `Reembolso #${previo.id} en efectivo`,
+        });
+      }
+
+      // El pago queda "reembolsado" solo cuando se devolvió completo;
+      // los reembolsos parciales se acumulan en monto_reembolsado
+      await client.query(
+        `UPDATE core.tblpagos
+         SET monto_reembolsado = monto_reembolsado + $1,
+             estado = CASE WHEN monto_reembolsado + $1 >= monto_total THEN 'reembolsado'::public.estado_pago ELSE estado END,
+             reembolsado_at = NOW(),
+             stripe_refund_id = COALESCE($2, stripe_refund_id)
+         WHERE id = $3`,
+        [reparto.pendiente, refund ? refund.id : null, previo.pago_id]
+      );
+    }
+
+    // Reembolso por línea: marcar las piezas como reembolsadas y, si el
+    // personal lo indica (p. ej. cantidad_incorrecta: la pieza nunca salió),
+    // regresar al inventario lo que esas líneas descontaron. Un pastel
+    // dañado no se repone.
+    if (estado === 'procesado') {
+      const lineas = await client.query(
+        `SELECT ri.id, ri.cantidad, pi.id AS pedido_item_id, pi.producto_id, pi.stock_descontado, p.sucursal_id
+         FROM core.tblreembolso_items ri JOIN core.tblpedido_items pi ON pi.id = ri.pedido_item_id
+         JOIN core.tblpedidos p ON p.id = pi.pedido_id
+         WHERE ri.reembolso_id = $1 FOR UPDATE OF pi`,
+        [req.params.id]
+      );
+      for (const l of lineas.rows) {
+        const reponer = reponer_stock === true && l.producto_id ? Math.min(l.cantidad, l.stock_descontado) : 0;
+        await client.query(
+          `UPDATE core.tblpedido_items SET cantidad_reembolsada = cantidad_reembolsada + $1, stock_descontado = stock_descontado - $2 WHERE id = $3`,
+          [l.cantidad, reponer, l.pedido_item_id]
+        );
+        if (reponer > 0) {
+          await sumarStock(client, { productoId: l.producto_id, sucursalId: l.sucursal_id, cantidad: reponer });
+          await reponerStockOpcionesLinea(client, l.pedido_item_id, reponer);
+          await client.query('UPDATE core.tblreembolso_items SET stock_repuesto = $1 WHERE id = $2', [reponer, l.id]);
+        }
+      }
+      // Lo reembolsado ya no genera puntos: se revierte la parte ganada
+      await sincronizarPuntosPedido(client, previo.pedido_id);
+    }
+
     let query = 'UPDATE core.tblreembolsos SET estado=$1, respuesta_admin=$2, updated_at=NOW()';
     const params = [estado, respuesta_admin || null];
     let pi = 3;
     if (estado === 'rechazado') { query += `, justificacion_rechazo=$${pi}`; params.push(justificacion_rechazo || null); pi++; }
     if (['aprobado', 'rechazado', 'procesado'].includes(estado)) { query += `, fecha_resolucion=NOW()`; }
+    if (estado === 'procesado') { query += `, reponer_stock=$${pi}`; params.push(reponer_stock === true); pi++; }
+    if (reparto) {
+      query += `, monto_stripe=$${pi}, monto_sucursal=$${pi + 1}`;
+      params.push(reparto.stripe, Math.round((reparto.yaEnSucursal + reparto.sucursal) * 100) / 100);
+      pi += 2;
+    }
+    if (refund) {
+      query += `, stripe_refund_id=$${pi}, stripe_refund_estado=$${pi + 1}, error_stripe=NULL, stripe_intentos=stripe_intentos+1`;
+      params.push(refund.id, refund.status);
+      pi += 2;
+    }
     query += ` WHERE id=$${pi} RETURNING *`;
     params.push(req.params.id);
 
-    // Si se aprueba o procesa, actualizar estado del pago
-    if (estado === 'aprobado' || estado === 'procesado') {
-      const reembolso = await pool.query('SELECT pedido_id FROM core.tblreembolsos WHERE id = $1', [req.params.id]);
-      if (reembolso.rows.length > 0) {
-        await pool.query('UPDATE core.tblpagos SET estado = $1, reembolsado_at = NOW() WHERE pedido_id = $2', ['reembolsado', reembolso.rows[0].pedido_id]);
-      }
-    }
-
-    const result = await pool.query(query, params);
-    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Reembolso no encontrado' });
+    const result = await client.query(query, params);
+    await client.query('COMMIT');
 
     // Crear notificación para el cliente
     const reembolso = result.rows[0];
@@ -107,6 +356,13 @@ router.put('/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_ge
         titulo = 'Reembolso en revisión';
         mensaje = `Tu solicitud de reembolso del pedido #${pedidoNumero} está siendo revisada.`;
         tipo = 'sistema';
+      } else if (estado === 'procesado') {
+        titulo = 'Reembolso procesado';
+        mensaje = refund
+          ? `Devolvimos $${reparto.stripe.toFixed(2)} del pedido #${pedidoNumero} a tu tarjeta. Puede tardar de 5 a 10 días hábiles en reflejarse.`
+          : `Tu reembolso de $${reembolso.monto} del pedido #${pedidoNumero} fue procesado.`;
+        if (refund && reparto.sucursal > 0) mensaje += ` Los $${reparto.sucursal.toFixed(2)} restantes se te devolvieron en sucursal.`;
+        tipo = 'pago';
       }
       if (titulo) {
         const { notificarConEmail } = require('../services/notificacionHelper');
@@ -148,9 +404,10 @@ router.put('/:id', verifyToken, verifyRole('empleado', 'gerencia', 'direccion_ge
 
     res.json({ success: true, reembolso });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error PUT /reembolsos/:id:', error.message);
     res.status(500).json({ success: false, message: 'Error al actualizar reembolso' });
-  }
+  } finally { client.release(); }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -38,19 +38,27 @@ router.get('/vista/:nombre', verifyToken, verifyRole('empleado', 'gerencia', 'di
 // Dashboard KPIs rápidos
 router.get('/kpis', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
   try {
-    const [ingresos, pedidos, clientes, productos] = await Promise.all([
+    const [ingresos, pedidos, clientes, productos, canales] = await Promise.all([
       pool.query("SELECT COALESCE(SUM(monto_total), 0)::NUMERIC(10,2) AS total FROM core.tblpagos WHERE estado = 'pagado'"),
       pool.query("SELECT COUNT(*) AS total FROM core.tblpedidos"),
       pool.query("SELECT COUNT(*) AS total FROM core.tblusuarios WHERE rol = 'cliente' AND activo = true"),
-      pool.query("SELECT COUNT(*) AS total FROM core.tblproductos WHERE activo = true")
+      pool.query("SELECT COUNT(*) AS total FROM core.tblproductos WHERE activo = true"),
+      pool.query(`SELECT p.canal, COUNT(DISTINCT p.id)::int AS pedidos, COALESCE(SUM(pg.monto_total), 0)::NUMERIC(10,2) AS ingresos
+                  FROM core.tblpedidos p LEFT JOIN core.tblpagos pg ON pg.pedido_id = p.id AND pg.estado = 'pagado'
+                  GROUP BY p.canal`)
     ]);
+    const canal = (nombre) => canales.rows.find(c => c.canal === nombre) || { pedidos: 0, ingresos: 0 };
     res.json({
       success: true,
       kpis: {
         ingresos_total: parseFloat(ingresos.rows[0].total),
         pedidos_total: parseInt(pedidos.rows[0].total),
         clientes_activos: parseInt(clientes.rows[0].total),
-        productos_activos: parseInt(productos.rows[0].total)
+        productos_activos: parseInt(productos.rows[0].total),
+        ingresos_web: parseFloat(canal('web').ingresos),
+        ingresos_mostrador: parseFloat(canal('mostrador').ingresos),
+        pedidos_web: canal('web').pedidos,
+        pedidos_mostrador: canal('mostrador').pedidos
       }
     });
   } catch (error) {
@@ -59,6 +67,98 @@ router.get('/kpis', verifyToken, verifyRole('gerencia', 'direccion_general'), as
   }
 });
 
+// ── Ventas por canal (tienda en línea vs mostrador), por día ──
+router.get('/ventas-por-canal', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const { desde, hasta } = req.query;
+    const fechaRe = /^\d{4}-\d{2}-\d{2}$/;
+    if ((desde && !fechaRe.test(desde)) || (hasta && !fechaRe.test(hasta))) {
+      return res.status(400).json({ success: false, message: 'Fechas en formato YYYY-MM-DD' });
+    }
+    const result = await pool.query(`
+      SELECT v.fecha, v.canal, COUNT(*)::int AS pedidos, SUM(v.total)::NUMERIC(12,2) AS ingresos, SUM(v.piezas)::int AS piezas
+      FROM (
+        SELECT (p.created_at AT TIME ZONE 'America/Mexico_City')::date AS dia, p.canal, p.total,
+          (p.created_at AT TIME ZONE 'America/Mexico_City')::date::text AS fecha,
+          (SELECT COALESCE(SUM(i.cantidad), 0) FROM core.tblpedido_items i WHERE i.pedido_id = p.id) AS piezas
+        FROM core.tblpedidos p
+        WHERE p.estado <> 'cancelado'
+      ) v
+      WHERE v.dia >= COALESCE($1::date, (NOW() AT TIME ZONE 'America/Mexico_City')::date - 29)
+        AND ($2::date IS NULL OR v.dia <= $2::date)
+      GROUP BY v.fecha, v.canal ORDER BY v.fecha, v.canal
+    `, [desde || null, hasta || null]);
+
+    const totales = { web: { pedidos: 0, ingresos: 0, piezas: 0 }, mostrador: { pedidos: 0, ingresos: 0, piezas: 0 } };
+    const dias = [];
+    for (const r of result.rows) {
+      let dia = dias[dias.length - 1];
+      if (!dia || dia.fecha !== r.fecha) { dia = { fecha: r.fecha, web: null, mostrador: null }; dias.push(dia); }
+      const fila = { pedidos: r.pedidos, ingresos: parseFloat(r.ingresos), piezas: r.piezas };
+      dia[r.canal] = fila; // eslint-disable-line security/detect-object-injection
+      const t = totales[r.canal]; // eslint-disable-line security/detect-object-injection
+      t.pedidos += fila.pedidos; t.ingresos += fila.ingresos; t.piezas += fila.piezas;
+    }
+    res.json({ success: true, dias, totales });
+  } catch (error) {
+    console.error('Error GET /reportes/ventas-por-canal:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener ventas por canal' });
+  }
+});
+
+// ── Programa de referidos ──
+// ?desde&hasta filtran por fecha de registro del referido. Rechazados
+// agrupados por motivo para revisar posibles abusos.
+router.get('/referidos', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const { desde, hasta } = req.query;
+    const fechaRe = /^\d{4}-\d{2}-\d{2}$/;
+    if ((desde && !fechaRe.test(desde)) || (hasta && !fechaRe.test(hasta))) {
+      return res.status(400).json({ success: false, message: 'Fechas en formato YYYY-MM-DD' });
+    }
+    const periodo = `($1::date IS NULL OR r.created_at >= $1::date) AND ($2::date IS NULL OR r.created_at < $2::date + 1)`;
+    const params = [desde || null, hasta || null];
+    const [resumen, motivos, top] = await Promise.all([
+      pool.query(`
+        SELECT COUNT(*)::int AS total,
+          COUNT(*) FILTER (WHERE r.estado = 'pendiente')::int AS pendientes,
+          COUNT(*) FILTER (WHERE r.estado = 'recompensado')::int AS recompensados,
+          COUNT(*) FILTER (WHERE r.estado = 'rechazado')::int AS rechazados,
+          COUNT(*) FILTER (WHERE r.origen = 'google')::int AS por_google,
+          COALESCE(SUM(m.puntos), 0)::int AS puntos_otorgados,
+          COALESCE(SUM(pg.monto_total + p.monto_tarjeta_regalo) FILTER (WHERE r.estado = 'recompensado'), 0)::NUMERIC(12,2) AS ventas_primer_pedido
+        FROM core.tblreferidos r
+        LEFT JOIN core.tblpedidos p ON p.id = r.pedido_id
+        LEFT JOIN core.tblpagos pg ON pg.pedido_id = p.id
+        LEFT JOIN LATERAL (
+          SELECT SUM(mv.puntos) AS puntos FROM core.tblpuntos_movimientos mv
+          WHERE mv.tipo = 'referido' AND r.estado = 'recompensado' AND mv.pedido_id = r.pedido_id
+        ) m ON TRUE
+        WHERE ${periodo}
+      `, params),
+      pool.query(`
+        SELECT r.motivo_rechazo AS motivo, COUNT(*)::int AS total
+        FROM core.tblreferidos r
+        WHERE r.estado = 'rechazado' AND ${periodo}
+        GROUP BY r.motivo_rechazo ORDER BY total DESC
+      `, params),
+      pool.query(`
+        SELECT u.id, u.nombre, u.apellido, u.email, u.codigo_referido,
+          COUNT(*)::int AS referidos,
+          COUNT(*) FILTER (WHERE r.estado = 'recompensado')::int AS recompensados,
+          COUNT(*) FILTER (WHERE r.estado = 'rechazado')::int AS rechazados
+        FROM core.tblreferidos r JOIN core.tblusuarios u ON u.id = r.referidor_id
+        WHERE ${periodo}
+        GROUP BY u.id ORDER BY referidos DESC, recompensados DESC LIMIT 20
+      `, params),
+    ]);
+    res.json({ success: true, resumen: resumen.rows[0], rechazos_por_motivo: motivos.rows, top_referidores: top.rows });
+  } catch (error) {
+    console.error('Error GET /reportes/referidos:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener el reporte de referidos' });
+  }
+});
+
 // Auditoría
 router.get('/auditoria', verifyToken, verifyRole('direccion_general'), async (req, res) => {
   try {
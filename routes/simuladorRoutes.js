@@ -3,24 +3,55 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { verifyToken, verifyRole } = require('../middleware/auth');
+const { SQL_COSTOS } = require('../utils/recetas');
 
 // Productos ordenados por mÃ¡s vendidos (total histÃ³rico)
 router.get('/productos-ranking', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
   try {
     const result = await pool.query(`
+      WITH costos AS (${SQL_COSTOS})
       SELECT p.id, p.nombre, p.precio_chico, p.precio_grande, p.imagen_url,
         c.id AS categoria_id, c.nombre AS categoria,
         COALESCE(SUM(pi.cantidad), 0)::INTEGER AS total_vendido,
-        COALESCE(SUM(pi.subtotal), 0)::NUMERIC(10,2) AS ingresos_totales
+        COALESCE(SUM(pi.subtotal), 0)::NUMERIC(10,2) AS ingresos_totales,
+        COALESCE(SUM(pi.cantidad) FILTER (WHERE pd.canal = 'web'), 0)::INTEGER AS vendido_web,
+        COALESCE(SUM(pi.cantidad) FILTER (WHERE pd.canal = 'mostrador'), 0)::INTEGER AS vendido_mostrador,
+        cr.costo AS costo_unitario,
+        SUM(pi.cantidad * cl.costo)::NUMERIC(12,2) AS costo_vendido,
+        COUNT(pi.id) FILTER (WHERE cl.costo IS NULL)::INTEGER AS lineas_sin_costo
       FROM core.tblproductos p
       JOIN core.tblcategorias c ON p.categoria_id = c.id
       LEFT JOIN core.tblpedido_items pi ON pi.producto_id = p.id
       LEFT JOIN core.tblpedidos pd ON pi.pedido_id = pd.id AND pd.estado NOT IN ('cancelado')
+      LEFT JOIN LATERAL (
+        SELECT costo FROM costos x WHERE x.producto_id = p.id
+        ORDER BY (x.tamano IS NULL) DESC, (x.tamano = 'chico') DESC LIMIT 1
+      ) cr ON true
+      LEFT JOIN LATERAL (
+        SELECT costo FROM costos x WHERE x.producto_id = pi.producto_id AND (x.tamano = pi.tamano OR x.tamano IS NULL)
+        ORDER BY (x.tamano IS NULL) LIMIT 1
+      ) cl ON true
       WHERE p.activo = true
-      GROUP BY p.id, p.nombre, p.precio_chico, p.precio_grande, p.imagen_url, c.id, c.nombre
+      GROUP BY p.id, p.nombre, p.precio_chico, p.precio_grande, p.imagen_url, c.id, c.nombre, cr.costo
       ORDER BY total_vendido DESC
     `);
-    res.json({ success: true, productos: result.rows });
+    // Margen por pieza con la receta base (o chico). El costo total suma
+    // cada línea vendida con la receta de su tamaño (o la base); si alguna
+    // línea no tiene receta queda en null, igual que sin receta
+    const productos = result.rows.map(({ costo_vendido, lineas_sin_costo, ...r }) => {
+      if (r.costo_unitario === null) return { ...r, margen_unitario: null, margen_porcentaje: null, costo_total: null, utilidad_estimada: null };
+      const costo = parseFloat(r.costo_unitario);
+      const precio = parseFloat(r.precio_chico);
+      const costoTotal = lineas_sin_costo > 0 ? null : parseFloat(costo_vendido || 0);
+      return {
+        ...r,
+        margen_unitario: Math.round((precio - costo) * 100) / 100,
+        margen_porcentaje: precio > 0 ? Math.round((precio - costo) / precio * 1000) / 10 : null,
+        costo_total: costoTotal,
+        utilidad_estimada: costoTotal === null ? null : Math.round((parseFloat(r.ingresos_totales) - costoTotal) * 100) / 100,
+      };
+    });
+    res.json({ success: true, productos });
   } catch (error) {
     console.error('Error GET /simulador/productos-ranking:', error.message);
     res.status(500).json({ success: false, message: 'Error al obtener ranking' });
@@ -216,11 +247,13 @@ router.get('/ventas-mensuales/:productoId', verifyToken, verifyRole('gerencia',
 
 // â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•
 // ANÃLISIS DE VENTAS (independiente del modelo predictivo)
-// GET /api/simulador/analisis-ventas?desde=YYYY-MM-DD&hasta=YYYY-MM-DD&categoria_id=X
+// GET /api/simulador/analisis-ventas?desde=YYYY-MM-DD&hasta=YYYY-MM-DD&categoria_id=X&canal=web|mostrador
 // â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•â•
 router.get('/analisis-ventas', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
   try {
     const { desde, hasta, categoria_id, producto_id } = req.query;
+    // canal = web | mostrador; sin canal se suman ambos
+    const canal = ['web', 'mostrador'].includes(req.query.canal) ? req.query.canal : null;
 
     if (!desde || !hasta) {
       return res.status(400).json({ success: false, message: 'Parametros desde y hasta son requeridos' });
@@ -249,6 +282,11 @@ router.get('/analisis-ventas', verifyToken, verifyRole('gerencia', 'direccion_ge
         whereExtraItem = `AND p.categoria_id = $${idx}`;
         whereExists = `AND EXISTS (SELECT 1 FROM core.tblpedido_items pif JOIN core.tblproductos pf ON pif.producto_id = pf.id WHERE pif.pedido_id = pd.id AND pf.categoria_id = $${idx})`;
       }
+      if (canal) {
+        params.push(canal);
+        whereExtraItem += ` AND pd.canal = $${params.length}`;
+        whereExists += ` AND pd.canal = $${params.length}`;
+      }
       return { whereExtraItem, whereExists, params };
     };
 
@@ -380,12 +418,29 @@ router.get('/analisis-ventas', verifyToken, verifyRole('gerencia', 'direccion_ge
       GROUP BY pd.estado
     `, fActual.params);
 
+    // 8b. Ventas por canal (tienda en linea vs mostrador)
+    const ventasPorCanal = await pool.query(`
+      SELECT
+        pd.canal,
+        COUNT(DISTINCT pd.id)::INTEGER AS pedidos,
+        COALESCE(SUM(pi.cantidad), 0)::INTEGER AS unidades,
+        COALESCE(SUM(pi.subtotal), 0)::NUMERIC(10,2) AS ingresos
+      FROM core.tblpedidos pd
+      JOIN core.tblpedido_items pi ON pi.pedido_id = pd.id
+      JOIN core.tblproductos p ON pi.producto_id = p.id
+      WHERE pd.created_at::date BETWEEN $1 AND $2
+        AND pd.estado != 'cancelado'
+        ${fActual.whereExtraItem}
+      GROUP BY pd.canal
+      ORDER BY pd.canal
+    `, fActual.params);
+
     // 9. DÃ­a con mayor venta
     const diaTop = ventasPorDia.rows.reduce((max, d) =>
       parseFloat(d.ingresos) > parseFloat(max?.ingresos || 0) ? d : max, null);
 
     // 10. Productos sin ventas en el perÃ­odo (activos pero con 0 ventas)
-    const sinVentasParams = [desde, hasta];
+    const sinVentasParams = [desde, hasta, canal];
     let sinVentasExtraWhere = '';
     if (producto_id) {
       sinVentasParams.push(producto_id);
@@ -407,6 +462,7 @@ router.get('/analisis-ventas', verifyToken, verifyRole('gerencia', 'direccion_ge
           WHERE pd.created_at::date BETWEEN $1 AND $2
             AND pd.estado != 'cancelado'
             AND pi.producto_id IS NOT NULL
+            AND ($3::text IS NULL OR pd.canal = $3)
         )
       ORDER BY p.nombre
       LIMIT 20
@@ -422,7 +478,7 @@ router.get('/analisis-ventas', verifyToken, verifyRole('gerencia', 'direccion_ge
 
     res.json({
       success: true,
-      periodo: { desde, hasta, desde_anterior: desdeAnterior, hasta_anterior: hastaAnterior },
+      periodo: { desde, hasta, desde_anterior: desdeAnterior, hasta_anterior: hastaAnterior, canal },
       kpis: {
         total_pedidos: kpis.rows[0].total_pedidos,
         ingresos_totales: parseFloat(kpis.rows[0].ingresos_totales),
@@ -436,6 +492,7 @@ router.get('/analisis-ventas', verifyToken, verifyRole('gerencia', 'direccion_ge
       ventas_por_dia_semana: ventasPorDiaSemana.rows,
       ventas_por_hora: ventasPorHora.rows,
       ventas_por_categoria: ventasPorCategoria.rows,
+      ventas_por_canal: ventasPorCanal.rows,
       top_productos: topProductos.rows,
       por_estado: porEstado.rows,
       dia_top: diaTop,
@@ -1,14 +1,42 @@
-﻿// routes/sorteosRoutes.js â€” Sorteos
+// routes/sorteosRoutes.js — Sorteos
+//
+// Verificables por compromiso-revelación (utils/sorteo.js): al crear el
+// sorteo se publica el hash de su semilla; al ejecutarlo se congela la
+// lista de participantes y la semilla se revela. Cada cliente participa
+// con un boleto por pedido cumplido (o uno solo si el sorteo no es
+// ponderado).
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { verifyToken, verifyRole } = require('../middleware/auth');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { sha256, generarSemilla, hashParticipantes, seleccionar } = require('../utils/sorteo');
 
-// Listar sorteos (direcciÃ³n)
+// La semilla nunca sale antes de ejecutar el sorteo, ni para gerencia
+const CAMPOS_SORTEO = `s.id, s.nombre, s.premio, s.min_pedidos, s.num_ganadores, s.num_suplentes, s.ponderado,
+  s.semilla_hash, CASE WHEN s.ejecutado_at IS NOT NULL THEN s.semilla END AS semilla,
+  s.participantes_hash, s.total_participantes, s.total_boletos, s.ganador_id, s.ejecutado_at, s.created_at`;
+
+function leerCantidad(valor, porDefecto, minimo) {
+  if (valor === undefined || valor === null || valor === '') return porDefecto;
+  const n = Number(valor);
+  return Number.isInteger(n) && n >= minimo && n <= 20 ? n : null;
+}
+
+// "Ana G." — lo que se muestra en la verificación pública
+const nombrePublico = (p) => `${p.nombre}${p.apellido ? ` ${p.apellido.charAt(0)}.` : ''}`;
+
+// Listar sorteos (dirección)
 router.get('/', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT s.*, u.nombre AS ganador_nombre, u.apellido AS ganador_apellido
+      SELECT ${CAMPOS_SORTEO}, u.nombre AS ganador_nombre, u.apellido AS ganador_apellido,
+        COALESCE((
+          SELECT json_agg(json_build_object('posicion', r.posicion, 'tipo', r.tipo, 'usuario_id', r.usuario_id,
+                   'nombre', ru.nombre, 'apellido', ru.apellido, 'notificado_at', r.notificado_at) ORDER BY r.posicion)
+          FROM core.tblsorteo_resultados r JOIN core.tblusuarios ru ON ru.id = r.usuario_id
+          WHERE r.sorteo_id = s.id
+        ), '[]') AS resultados
       FROM core.tblsorteos s
       LEFT JOIN core.tblusuarios u ON s.ganador_id = u.id
       ORDER BY s.created_at DESC
@@ -20,60 +48,212 @@ router.get('/', verifyToken, verifyRole('gerencia', 'direccion_general'), async
   }
 });
 
-// Crear sorteo
+// Crear sorteo: aquí nace la semilla y se publica su hash
 router.post('/', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
   try {
     const { nombre, premio, min_pedidos } = req.body;
     if (!nombre || !premio) return res.status(400).json({ success: false, message: 'Nombre y premio son requeridos' });
+    const ganadores = leerCantidad(req.body.num_ganadores, 1, 1);
+    const suplentes = leerCantidad(req.body.num_suplentes, 0, 0);
+    if (ganadores === null || suplentes === null) {
+      return res.status(400).json({ success: false, message: 'Ganadores (1 a 20) y suplentes (0 a 20) deben ser enteros' });
+    }
+    const { semilla, semilla_hash } = generarSemilla();
     const result = await pool.query(
-      'INSERT INTO core.tblsorteos (nombre, premio, min_pedidos, created_at) VALUES ($1,$2,$3,NOW()) RETURNING *',
-      [nombre, premio, min_pedidos || 0]
+      `INSERT INTO core.tblsorteos (nombre, premio, min_pedidos, num_ganadores, num_suplentes, ponderado, semilla, semilla_hash, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,NOW()) RETURNING id`,
+      [nombre, premio, min_pedidos || 0, ganadores, suplentes, req.body.ponderado !== false, semilla, semilla_hash]
     );
-    res.status(201).json({ success: true, sorteo: result.rows[0] });
+    const sorteo = await pool.query(`SELECT ${CAMPOS_SORTEO} FROM core.tblsorteos s WHERE s.id = $1`, [result.rows[0].id]);
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Creó sorteo', entidad: 'sorteo', entidad_id: result.rows[0].id, detalles: `"${nombre}" · compromiso ${semilla_hash}` });
+    res.status(201).json({ success: true, sorteo: sorteo.rows[0] });
   } catch (error) {
     console.error('Error POST /sorteos:', error.message);
     res.status(500).json({ success: false, message: 'Error al crear sorteo' });
   }
 });
 
-// Ejecutar sorteo (seleccionar ganador aleatorio)
+// Ejecutar sorteo: congela participantes, revela la semilla y guarda
+// ganadores y suplentes en orden
 router.post('/:id/ejecutar', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  const client = await pool.connect();
+  let sorteo;
+  let resultados;
+  let totalParticipantes;
+  let usuarios;
   try {
-    const sorteo = await pool.query('SELECT * FROM core.tblsorteos WHERE id = $1', [req.params.id]);
-    if (sorteo.rows.length === 0) return res.status(404).json({ success: false, message: 'Sorteo no encontrado' });
-    if (sorteo.rows[0].ganador_id) return res.status(400).json({ success: false, message: 'Este sorteo ya tiene ganador' });
+    await client.query('BEGIN');
+    // FOR UPDATE: dos clics en "ejecutar" no sortean dos veces
+    const actual = await client.query('SELECT * FROM core.tblsorteos WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (actual.rows.length === 0) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, message: 'Sorteo no encontrado' }); }
+    sorteo = actual.rows[0];
+    if (sorteo.ganador_id || sorteo.ejecutado_at) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'Este sorteo ya tiene ganador' }); }
+    if (!sorteo.semilla) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'El sorteo no tiene semilla publicada' }); }
 
-    const minPedidos = sorteo.rows[0].min_pedidos || 0;
-    const participantes = await pool.query(`
-      SELECT u.id, u.nombre, u.apellido, u.email, COUNT(p.id) AS total_pedidos
+    // Pedidos cumplidos: recogidos (completado) o entregados a domicilio
+    const participantes = await client.query(`
+      SELECT u.id, COUNT(p.id)::int AS total_pedidos
       FROM core.tblusuarios u
-      JOIN core.tblpedidos p ON p.usuario_id = u.id AND p.estado = 'completado'
+      JOIN core.tblpedidos p ON p.usuario_id = u.id AND p.estado IN ('completado', 'entregado')
       WHERE u.rol = 'cliente' AND u.activo = true
       GROUP BY u.id
       HAVING COUNT(p.id) >= $1
-    `, [minPedidos]);
+      ORDER BY u.id
+    `, [sorteo.min_pedidos || 0]);
+    if (participantes.rows.length === 0) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, message: 'No hay participantes elegibles' }); }
 
-    if (participantes.rows.length === 0) return res.status(400).json({ success: false, message: 'No hay participantes elegibles' });
+    const lista = participantes.rows.map((p, i) => ({
+      orden: i + 1, usuario_id: p.id, boletos: sorteo.ponderado ? p.total_pedidos : 1,
+    }));
+    await client.query(
+      `INSERT INTO core.tblsorteo_participantes (sorteo_id, orden, usuario_id, boletos)
+       SELECT $1, * FROM unnest($2::int[], $3::int[], $4::int[])`,
+      [sorteo.id, lista.map(p => p.orden), lista.map(p => p.usuario_id), lista.map(p => p.boletos)]
+    );
+    const participantesHash = hashParticipantes(lista);
+    resultados = seleccionar({
+      semilla: sorteo.semilla, participantesHash, participantes: lista,
+      ganadores: sorteo.num_ganadores, suplentes: sorteo.num_suplentes,
+    });
+    for (const r of resultados) {
+      await client.query(
+        'INSERT INTO core.tblsorteo_resultados (sorteo_id, posicion, usuario_id, tipo) VALUES ($1,$2,$3,$4)',
+        [sorteo.id, r.posicion, r.usuario_id, r.tipo]
+      );
+    }
+    totalParticipantes = lista.length;
+    usuarios = await client.query(
+      'SELECT id, nombre, apellido, email FROM core.tblusuarios WHERE id = ANY($1::int[])',
+      [resultados.map(r => r.usuario_id)]
+    );
+    await client.query(
+      `UPDATE core.tblsorteos SET ganador_id = $1, total_participantes = $2, total_boletos = $3, participantes_hash = $4,
+         ejecutado_por = $5, ejecutado_at = NOW() WHERE id = $6`,
+      [resultados[0].usuario_id, totalParticipantes, lista.reduce((sum, p) => sum + p.boletos, 0), participantesHash, req.user.userId, sorteo.id]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /sorteos/:id/ejecutar:', error.message);
+    return res.status(500).json({ success: false, message: 'Error al ejecutar sorteo' });
+  } finally { client.release(); }
 
-    // ðŸ”’ SEGURIDAD: idx es generado internamente con Math.random(), no viene del usuario
-    const idx = Math.floor(Math.random() * participantes.rows.length);
-    const ganador = participantes.rows[idx]; // eslint-disable-line security/detect-object-injection
+  const porId = new Map(usuarios.rows.map(u => [u.id, u]));
+  const detalle = resultados.map((r) => {
+    const u = porId.get(r.usuario_id);
+    return { ...r, nombre: u.nombre, apellido: u.apellido, email: u.email };
+  });
+  const ganadores = detalle.filter(r => r.tipo === 'ganador');
+  registrarAuditoria({
+    usuario_id: req.user.userId, accion: 'Ejecutó sorteo', entidad: 'sorteo', entidad_id: sorteo.id,
+    detalles: `${ganadores.length} ganador(es) · ${totalParticipantes} participantes`,
+  });
 
-    await pool.query(
-      'UPDATE core.tblsorteos SET ganador_id = $1, total_participantes = $2 WHERE id = $3',
-      [ganador.id, participantes.rows.length, req.params.id]
-    );
+  // Solo se avisa a los ganadores; los suplentes esperan por si alguno
+  // no reclama el premio
+  try {
+    const { notificarConEmail } = require('../services/notificacionHelper');
+    const he = require('he');
+    for (const g of ganadores) {
+      await notificarConEmail({
+        usuario_id: g.usuario_id,
+        tipo: 'promocion',
+        titulo: '¡Ganaste un sorteo!',
+        mensaje: `Ganaste "${sorteo.premio}" en el sorteo "${sorteo.nombre}". Te contactaremos para entregarte tu premio.`,
+        email: g.email,
+        nombre: g.nombre,
+        asunto: `🎉 Ganaste "${he.escape(String(sorteo.premio))}" — Pier Repostería`,
+        contenidoHtml: `
+          <h2>¡Felicidades, ${he.escape(g.nombre)}!</h2>
+          <div class="highlight-box">
+            <p><strong>Sorteo:</strong> ${he.escape(String(sorteo.nombre))}</p>
+            <p><strong>Premio:</strong> ${he.escape(String(sorteo.premio))}</p>
+          </div>
+          <p>Te contactaremos para entregarte tu premio.</p>
+          <p>El sorteo es verificable: su semilla (publicada antes del sorteo como hash ${he.escape(sorteo.semilla_hash)}) y la lista de participantes están disponibles para que cualquiera recalcule el resultado.</p>
+        `,
+      });
+      await pool.query('UPDATE core.tblsorteo_resultados SET notificado_at = NOW() WHERE sorteo_id = $1 AND posicion = $2', [sorteo.id, g.posicion]);
+    }
+  } catch (notifError) {
+    console.error('Error notificando ganadores del sorteo:', notifError.message);
+  }
+
+  const primero = ganadores[0];
+  res.json({
+    success: true,
+    ganador: { id: primero.usuario_id, nombre: primero.nombre, apellido: primero.apellido, email: primero.email },
+    resultados: detalle,
+    total_participantes: totalParticipantes,
+    semilla: sorteo.semilla,
+    message: ganadores.length === 1
+      ? `¡${primero.nombre} ${primero.apellido} ganó "${sorteo.premio}"!`
+      : `¡${ganadores.length} ganadores de "${sorteo.premio}"!`,
+  });
+});
+
+// ── Verificación pública ──
+// Antes del sorteo: solo el hash comprometido. Después: semilla, lista
+// congelada y resultado, más el recálculo hecho aquí mismo con el mismo
+// algoritmo para que el cliente no tenga que hacerlo a mano.
+router.get('/:id/verificacion', async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${CAMPOS_SORTEO} FROM core.tblsorteos s WHERE s.id = $1`, [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Sorteo no encontrado' });
+    const s = result.rows[0];
+    const sorteo = {
+      id: s.id, nombre: s.nombre, premio: s.premio, min_pedidos: s.min_pedidos,
+      num_ganadores: s.num_ganadores, num_suplentes: s.num_suplentes, ponderado: s.ponderado,
+      semilla_hash: s.semilla_hash, created_at: s.created_at, ejecutado_at: s.ejecutado_at,
+    };
+    if (!s.ejecutado_at) {
+      return res.json({ success: true, estado: s.ganador_id ? 'no_verificable' : 'pendiente', sorteo });
+    }
+
+    const [participantes, resultados] = await Promise.all([
+      pool.query(
+        `SELECT sp.orden, sp.usuario_id, sp.boletos, u.nombre, u.apellido
+         FROM core.tblsorteo_participantes sp JOIN core.tblusuarios u ON u.id = sp.usuario_id
+         WHERE sp.sorteo_id = $1 ORDER BY sp.orden`,
+        [s.id]
+      ),
+      pool.query(
+        `SELECT r.posicion, r.tipo, r.usuario_id, u.nombre, u.apellido
+         FROM core.tblsorteo_resultados r JOIN core.tblusuarios u ON u.id = r.usuario_id
+         WHERE r.sorteo_id = $1 ORDER BY r.posicion`,
+        [s.id]
+      ),
+    ]);
+    const lista = participantes.rows.map(p => ({ orden: p.orden, usuario_id: p.usuario_id, boletos: p.boletos }));
+    const hashLista = hashParticipantes(lista);
+    const recalculado = seleccionar({
+      semilla: s.semilla, participantesHash: hashLista, participantes: lista,
+      ganadores: s.num_ganadores, suplentes: s.num_suplentes,
+    });
+    const guardado = resultados.rows;
+    const verificacion = {
+      semilla_coincide: sha256(s.semilla) === s.semilla_hash,
+      participantes_coinciden: hashLista === s.participantes_hash,
+      resultado_coincide: recalculado.length === guardado.length &&
+        recalculado.every((r, i) => r.usuario_id === guardado[i].usuario_id && r.tipo === guardado[i].tipo), // eslint-disable-line security/detect-object-injection
+    };
+    verificacion.valido = verificacion.semilla_coincide && verificacion.participantes_coinciden && verificacion.resultado_coincide;
 
     res.json({
       success: true,
-      ganador: { id: ganador.id, nombre: ganador.nombre, apellido: ganador.apellido, email: ganador.email },
-      total_participantes: participantes.rows.length,
-      message: `Â¡${ganador.nombre} ${ganador.apellido} ganÃ³ "${sorteo.rows[0].premio}"!`
+      estado: 'ejecutado',
+      sorteo: { ...sorteo, semilla: s.semilla, participantes_hash: s.participantes_hash, total_boletos: s.total_boletos },
+      participantes: participantes.rows.map(p => ({ orden: p.orden, usuario_id: p.usuario_id, boletos: p.boletos, nombre: nombrePublico(p) })),
+      resultados: guardado.map(r => ({ posicion: r.posicion, tipo: r.tipo, usuario_id: r.usuario_id, nombre: nombrePublico(r) })),
+      verificacion,
+      algoritmo: 'semilla_hash = SHA-256(semilla). hash_lista = SHA-256 de las líneas "orden:usuario_id:boletos" unidas con \\n. '
+        + 'En la ronda n (desde 0): r = SHA-256("semilla:hash_lista:n") como entero mod boletos restantes; gana quien tenga '
+        + 'el boleto r contando en orden y sale de las rondas siguientes. Las primeras num_ganadores rondas son ganadores; el resto, suplentes.',
     });
   } catch (error) {
-    console.error('Error POST /sorteos/:id/ejecutar:', error.message);
-    res.status(500).json({ success: false, message: 'Error al ejecutar sorteo' });
+    console.error('Error GET /sorteos/:id/verificacion:', error.message);
+    res.status(500).json({ success: false, message: 'Error al verificar sorteo' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,182 @@
+// routes/sucursalesRoutes.js — Sucursales e inventario por sucursal
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { verifyToken, verifyRole, verifySucursal, fueraDeSucursal } = require('../middleware/auth');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { fijarStock } = require('../utils/sucursales');
+
+const PERSONAL = ['empleado', 'gerencia', 'direccion_general'];
+const CAMPOS_PUBLICOS = 'id, nombre, direccion, ciudad, telefono, horario, lat, lng, es_principal';
+
+// lat/lng opcionales; si vienen, ambos y en rango
+function leerCoordenadas(body) {
+  if ((body.lat === undefined || body.lat === null) && (body.lng === undefined || body.lng === null)) return { lat: null, lng: null };
+  const lat = parseFloat(body.lat);
+  const lng = parseFloat(body.lng);
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return { error: 'Coordenadas inválidas' };
+  return { lat, lng };
+}
+
+// ── Sucursales activas (público: elegir dónde recoger) ──
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${CAMPOS_PUBLICOS} FROM core.tblsucursales WHERE activa = TRUE ORDER BY es_principal DESC, nombre`
+    );
+    res.json({ success: true, sucursales: result.rows });
+  } catch (error) {
+    console.error('Error GET /sucursales:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener sucursales' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${CAMPOS_PUBLICOS} FROM core.tblsucursales WHERE id = $1 AND activa = TRUE`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Sucursal no encontrada' });
+    res.json({ success: true, sucursal: result.rows[0] });
+  } catch (error) {
+    console.error('Error GET /sucursales/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener sucursal' });
+  }
+});
+
+// ── Crear sucursal (dirección) ──
+// es_principal = true le quita la marca a la anterior (a lo más una)
+router.post('/', verifyToken, verifyRole('direccion_general'), async (req, res) => {
+  const { nombre, direccion, ciudad, telefono, horario } = req.body;
+  if (!nombre || !direccion || !ciudad) {
+    return res.status(400).json({ success: false, message: 'Nombre, dirección y ciudad son requeridos' });
+  }
+  const coords = leerCoordenadas(req.body);
+  if (coords.error) return res.status(400).json({ success: false, message: coords.error });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (req.body.es_principal === true) {
+      await client.query('UPDATE core.tblsucursales SET es_principal = FALSE, updated_at = NOW() WHERE es_principal');
+    }
+    const result = await client.query(
+      `INSERT INTO core.tblsucursales (nombre, direccion, ciudad, telefono, horario, lat, lng, es_principal)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+      [nombre.trim(), direccion.trim(), ciudad.trim(), telefono || null, horario || null, coords.lat, coords.lng, req.body.es_principal === true]
+    );
+    await client.query('COMMIT');
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Creó sucursal', entidad: 'sucursal', entidad_id: result.rows[0].id, detalles: `"${nombre}"` });
+    res.status(201).json({ success: true, sucursal: result.rows[0], message: `Sucursal "${result.rows[0].nombre}" creada` });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') return res.status(409).json({ success: false, message: 'Ya existe una sucursal con ese nombre' });
+    console.error('Error POST /sucursales:', error.message);
+    res.status(500).json({ success: false, message: 'Error al crear sucursal' });
+  } finally { client.release(); }
+});
+
+// ── Actualizar sucursal (dirección) ──
+// La principal no se desactiva: primero se marca otra como principal
+router.put('/:id', verifyToken, verifyRole('direccion_general'), async (req, res) => {
+  const { nombre, direccion, ciudad, telefono, horario, activa } = req.body;
+  const cambiaCoords = req.body.lat !== undefined || req.body.lng !== undefined;
+  const coords = cambiaCoords ? leerCoordenadas(req.body) : { lat: null, lng: null };
+  if (coords.error) return res.status(400).json({ success: false, message: coords.error });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const actual = await client.query('SELECT * FROM core.tblsucursales WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (actual.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, message: 'Sucursal no encontrada' });
+    }
+    const principal = req.body.es_principal === true || (actual.rows[0].es_principal && req.body.es_principal !== false);
+    if (principal && activa === false) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: 'La sucursal principal no se puede desactivar' });
+    }
+    if (!principal && actual.rows[0].es_principal) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, message: 'Marca otra sucursal como principal en lugar de quitarle la marca a esta' });
+    }
+    if (principal && !actual.rows[0].es_principal) {
+      await client.query('UPDATE core.tblsucursales SET es_principal = FALSE, updated_at = NOW() WHERE es_principal');
+    }
+    const result = await client.query(`
+      UPDATE core.tblsucursales SET
+        nombre = COALESCE($1, nombre), direccion = COALESCE($2, direccion), ciudad = COALESCE($3, ciudad),
+        telefono = COALESCE($4, telefono), horario = COALESCE($5, horario),
+        lat = CASE WHEN $6 THEN $7 ELSE lat END, lng = CASE WHEN $6 THEN $8 ELSE lng END,
+        activa = COALESCE($9, activa), es_principal = $10, updated_at = NOW()
+      WHERE id = $11 RETURNING *
+    `, [nombre ? nombre.trim() : null, direccion ? direccion.trim() : null, ciudad ? ciudad.trim() : null,
+      telefono ?? null, horario ?? null, cambiaCoords, coords.lat, coords.lng, activa ?? null, principal, req.params.id]);
+    await client.query('COMMIT');
+    registrarAuditoria({
+      usuario_id: req.user.userId, accion: 'Actualizó sucursal', entidad: 'sucursal', entidad_id: result.rows[0].id,
+      detalles: `"${result.rows[0].nombre}"${activa === false ? ' · desactivada' : ''}${principal && !actual.rows[0].es_principal ? ' · ahora es la principal' : ''}`,
+    });
+    res.json({ success: true, sucursal: result.rows[0], message: 'Sucursal actualizada' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') return res.status(409).json({ success: false, message: 'Ya existe una sucursal con ese nombre' });
+    console.error('Error PUT /sucursales/:id:', error.message);
+    res.status(500).json({ success: false, message: 'Error al actualizar sucursal' });
+  } finally { client.release(); }
+});
+
+// ── Inventario de la sucursal (personal de esa sucursal o quien ve todas) ──
+// disponible = stock - apartado por pagos con tarjeta en curso
+router.get('/:id/stock', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  if (fueraDeSucursal(req, parseInt(req.params.id))) {
+    return res.status(403).json({ success: false, message: 'Solo puedes ver el inventario de tu sucursal' });
+  }
+  try {
+    const result = await pool.query(`
+      SELECT p.id AS producto_id, p.nombre, p.activo, p.stock_online AS stock_total,
+        COALESCE(ss.stock, 0)::int AS stock,
+        COALESCE(rs.reservado, 0)::int AS reservado,
+        GREATEST(COALESCE(ss.stock, 0) - COALESCE(rs.reservado, 0), 0)::int AS disponible
+      FROM core.tblproductos p
+      LEFT JOIN core.tblstock_sucursal ss ON ss.producto_id = p.id AND ss.sucursal_id = $1
+      LEFT JOIN (
+        SELECT producto_id, SUM(cantidad)::int AS reservado FROM core.tblreservas_stock
+        WHERE sucursal_id = $1 AND estado = 'activa' AND expira_at > NOW() GROUP BY producto_id
+      ) rs ON rs.producto_id = p.id
+      WHERE p.activo = TRUE OR ss.stock > 0
+      ORDER BY p.nombre
+    `, [req.params.id]);
+    res.json({ success: true, stock: result.rows });
+  } catch (error) {
+    console.error('Error GET /sucursales/:id/stock:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener inventario' });
+  }
+});
+
+// ── Ajustar el conteo de un producto en la sucursal ──
+router.put('/:id/stock/:productoId', verifyToken, verifyRole(...PERSONAL), verifySucursal, async (req, res) => {
+  const sucursalId = parseInt(req.params.id);
+  const productoId = parseInt(req.params.productoId);
+  const stock = parseInt(req.body.stock);
+  if (fueraDeSucursal(req, sucursalId)) {
+    return res.status(403).json({ success: false, message: 'Solo puedes ajustar el inventario de tu sucursal' });
+  }
+  if (isNaN(stock) || stock < 0) return res.status(400).json({ success: false, message: 'Stock inválido' });
+  try {
+    const datos = await pool.query(
+      `SELECT p.nombre, s.nombre AS sucursal FROM core.tblproductos p, core.tblsucursales s WHERE p.id = $1 AND s.id = $2`,
+      [productoId, sucursalId]
+    );
+    if (datos.rows.length === 0) return res.status(404).json({ success: false, message: 'Producto o sucursal no encontrados' });
+    await fijarStock(pool, { productoId, sucursalId, stock });
+    const { nombre, sucursal } = datos.rows[0];
+    registrarAuditoria({ usuario_id: req.user.userId, accion: 'Ajustó stock', entidad: 'producto', entidad_id: productoId, detalles: `"${nombre}" · ${stock} en ${sucursal}` });
+    res.json({ success: true, producto_id: productoId, sucursal_id: sucursalId, stock, message: `"${nombre}": ${stock} en ${sucursal}` });
+  } catch (error) {
+    console.error('Error PUT /sucursales/:id/stock/:productoId:', error.message);
+    res.status(500).json({ success: false, message: 'Error al ajustar stock' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+// routes/tarjetasRegaloRoutes.js — Tarjetas de regalo
+//
+// La compra y el canje viven en /pagos (tarjetas-regalo/crear-intent y
+// tarjeta_regalo en crear-intent). Aquí: consultar saldo, las tarjetas
+// propias y el reporte de saldo pendiente (pasivo) para gerencia.
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { verifyToken, verifyRole } = require('../middleware/auth');
+const { normalizarCodigo } = require('../utils/tarjetasRegalo');
+
+// Estado visible: una tarjeta activa con fecha vencida ya es "vencida"
+const ESTADO_TARJETA = `CASE WHEN t.estado = 'activa' AND t.expira_at <= NOW() THEN 'vencida' ELSE t.estado END`;
+const FECHA_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── Consultar saldo de un código ──
+router.get('/consultar/:codigo', verifyToken, async (req, res) => {
+  try {
+    const codigo = normalizarCodigo(req.params.codigo);
+    if (!codigo) return res.status(404).json({ success: false, message: 'Tarjeta de regalo no encontrada' });
+    const result = await pool.query(
+      `SELECT t.codigo, t.monto_inicial, t.saldo, ${ESTADO_TARJETA} AS estado, t.expira_at
+       FROM core.tbltarjetas_regalo t WHERE t.codigo = $1`,
+      [codigo]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Tarjeta de regalo no encontrada' });
+    res.json({ success: true, tarjeta: result.rows[0] });
+  } catch (error) {
+    console.error('Error GET /tarjetas-regalo/consultar:', error.message);
+    res.status(500).json({ success: false, message: 'Error al consultar la tarjeta de regalo' });
+  }
+});
+
+// ── Mis tarjetas: compradas por mí y recibidas en mi correo ──
+// Al comprador no se le muestra el código (es del destinatario)
+router.get('/mias', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.id, CASE WHEN LOWER(t.destinatario_email) = LOWER(u.email) THEN t.codigo END AS codigo,
+              t.monto_inicial, t.saldo, ${ESTADO_TARJETA} AS estado, t.expira_at, t.destinatario_nombre, t.destinatario_email,
+              t.enviada_at, t.created_at,
+              CASE WHEN LOWER(t.destinatario_email) = LOWER(u.email) THEN 'recibida' ELSE 'comprada' END AS relacion
+       FROM core.tbltarjetas_regalo t JOIN core.tblusuarios u ON u.id = $1
+       WHERE t.comprador_id = $1 OR LOWER(t.destinatario_email) = LOWER(u.email)
+       ORDER BY t.created_at DESC`,
+      [req.user.userId]
+    );
+    res.json({ success: true, tarjetas: result.rows });
+  } catch (error) {
+    console.error('Error GET /tarjetas-regalo/mias:', error.message);
+    res.status(500).json({ success: false, message: 'Error al obtener tus tarjetas de regalo' });
+  }
+});
+
+// ── Reporte de pasivo (gerencia) ──
+// Pasivo = saldo de tarjetas activas sin vencer (lo que aún se debe en
+// producto). Lo vencido sin usar deja de ser pasivo. ?desde&hasta filtran
+// la emisión y los canjes del periodo.
+router.get('/reporte', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const desde = req.query.desde || null;
+    const hasta = req.query.hasta || null;
+    if ((desde && !FECHA_RE.test(desde)) || (hasta && !FECHA_RE.test(hasta))) {
+      return res.status(400).json({ success: false, message: 'Fechas en formato YYYY-MM-DD' });
+    }
+    const [pasivo, periodo, porMes] = await Promise.all([
+      pool.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE t.estado = 'activa' AND t.expira_at > NOW())::int AS tarjetas_vigentes,
+          COALESCE(SUM(t.saldo) FILTER (WHERE t.estado = 'activa' AND t.expira_at > NOW()), 0) AS pasivo,
+          COALESCE(SUM(t.saldo) FILTER (WHERE t.estado = 'activa' AND t.expira_at > NOW() AND t.expira_at <= NOW() + INTERVAL '30 days'), 0) AS vence_30_dias,
+          COALESCE(SUM(t.saldo) FILTER (WHERE t.estado = 'activa' AND t.expira_at <= NOW()), 0) AS vencido_sin_usar
+        FROM core.tbltarjetas_regalo t
+      `),
+      pool.query(`
+        SELECT
+          COALESCE(SUM(m.monto) FILTER (WHERE m.tipo = 'compra'), 0) AS emitido,
+          COALESCE(-SUM(m.monto) FILTER (WHERE m.tipo IN ('canje', 'reintegro')), 0) AS canjeado,
+          COUNT(*) FILTER (WHERE m.tipo = 'compra')::int AS tarjetas_emitidas
+        FROM core.tbltarjeta_regalo_movimientos m
+        WHERE ($1::date IS NULL OR m.created_at >= $1::date) AND ($2::date IS NULL OR m.created_at < $2::date + 1)
+      `, [desde, hasta]),
+      pool.query(`
+        SELECT TO_CHAR(DATE_TRUNC('month', t.created_at), 'YYYY-MM') AS mes, COUNT(*)::int AS tarjetas,
+               SUM(t.monto_inicial) AS emitido, SUM(t.saldo) AS saldo_restante
+        FROM core.tbltarjetas_regalo t
+        WHERE ($1::date IS NULL OR t.created_at >= $1::date) AND ($2::date IS NULL OR t.created_at < $2::date + 1)
+        GROUP BY 1 ORDER BY 1 DESC
+      `, [desde, hasta]),
+    ]);
+    res.json({ success: true, resumen: { ...pasivo.rows[0], ...periodo.rows[0] }, por_mes: porMes.rows });
+  } catch (error) {
+    console.error('Error GET /tarjetas-regalo/reporte:', error.message);
+    res.status(500).json({ success: false, message: 'Error al generar el reporte de tarjetas de regalo' });
+  }
+});
+
+module.exports = router;
@@ -82,7 +82,7 @@ router.post('/imagen', verifyToken, upload.single('imagen'), async (req, res) =>
       return res.status(400).json({ success: false, message: 'No se envió ninguna imagen' });
     }
 
-    const { tipo } = req.body; // 'producto', 'categoria', 'perfil', 'resena'
+    const { tipo } = req.body; // 'producto', 'categoria', 'perfil', 'resena', 'personalizados', 'entregas' (evidencia del repartidor)
     const folder = `pier-reposteria/${tipo || 'general'}`;
 
     const result = await uploadToCloudinary(req.file.buffer, { folder });
@@ -3,16 +3,18 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { verifyToken, verifyRole } = require('../middleware/auth');
+const { resolverSucursal } = require('../utils/sucursales');
 
 // Listar usuarios
 router.get('/', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
   try {
-    const { rol, busqueda, activo } = req.query;
-    let query = `SELECT id, nombre, apellido, email, telefono, rol, activo, email_verificado, avatar_url, puesto, google_id, created_at, ultimo_acceso FROM core.tblusuarios WHERE 1=1`;
+    const { rol, busqueda, activo, sucursal_id } = req.query;
+    let query = `SELECT id, nombre, apellido, email, telefono, rol, activo, email_verificado, avatar_url, puesto, google_id, sucursal_id, created_at, ultimo_acceso FROM core.tblusuarios WHERE 1=1`;
     const params = [];
     let pi = 1;
     if (rol) { query += ` AND rol = $${pi}`; params.push(rol); pi++; }
     if (activo !== undefined) { query += ` AND activo = $${pi}`; params.push(activo === 'true'); pi++; }
+    if (sucursal_id) { query += ` AND sucursal_id = $${pi}`; params.push(parseInt(sucursal_id)); pi++; }
     if (busqueda) { query += ` AND (nombre ILIKE $${pi} OR apellido ILIKE $${pi} OR email ILIKE $${pi})`; params.push(`%${busqueda}%`); pi++; }
     query += ' ORDER BY created_at DESC';
     const result = await pool.query(query, params);
@@ -27,7 +29,7 @@ router.get('/', verifyToken, verifyRole('gerencia', 'direccion_general'), async
 router.get('/:id', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT id, nombre, apellido, email, telefono, rol, activo, email_verificado, avatar_url, puesto, permisos, google_id, created_at, updated_at, ultimo_acceso,
+      `SELECT id, nombre, apellido, email, telefono, rol, activo, email_verificado, avatar_url, puesto, permisos, google_id, sucursal_id, created_at, updated_at, ultimo_acceso,
               codigo_empleado, intentos_pin_fallidos, pin_bloqueado_hasta, pin_actualizado_at,
               (pin_hash IS NOT NULL) AS tiene_pin
          FROM core.tblusuarios WHERE id = $1`,
@@ -56,6 +58,26 @@ router.put('/:id/rol', verifyToken, verifyRole('direccion_general'), async (req,
   }
 });
 
+// Asignar sucursal al personal (null = ve todas las sucursales)
+router.put('/:id/sucursal', verifyToken, verifyRole('direccion_general'), async (req, res) => {
+  try {
+    let sucursal = null;
+    if (req.body.sucursal_id) {
+      sucursal = await resolverSucursal(pool, req.body.sucursal_id);
+      if (sucursal.error) return res.status(400).json({ success: false, message: sucursal.error });
+    }
+    const result = await pool.query(
+      'UPDATE core.tblusuarios SET sucursal_id = $1, updated_at = NOW() WHERE id = $2 RETURNING id, nombre, apellido, rol, sucursal_id',
+      [sucursal ? sucursal.id : null, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+    res.json({ success: true, usuario: result.rows[0], message: sucursal ? `Asignado a ${sucursal.nombre}` : 'Ahora ve todas las sucursales' });
+  } catch (error) {
+    console.error('Error PUT /usuarios/:id/sucursal:', error.message);
+    res.status(500).json({ success: false, message: 'Error al asignar sucursal' });
+  }
+});
+
 // Activar/desactivar usuario
 router.put('/:id/estado', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
   try {
@@ -3,23 +3,47 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/database');
 const { verifyToken, verifyRole } = require('../middleware/auth');
+const { resolverSucursal } = require('../utils/sucursales');
+const { esCoordenada, validarGeometria, cargarZonas, evaluarZona, zonaPara } = require('../utils/zonasEnvio');
+const { REGLAS_ZONA, validarReglasZona, cotizarEnvio } = require('../utils/tarifasEnvio');
 
-// ── Cotizar envío por colonia (público: se usa en el checkout) ──
+// lat/lng opcionales de la query: { lat, lng } (NaN si no vienen) o { error }
+function coordenadasQuery(query) {
+  if (query.lat === undefined && query.lng === undefined) return { lat: NaN, lng: NaN };
+  const lat = parseFloat(query.lat);
+  const lng = parseFloat(query.lng);
+  if (!esCoordenada(lat, lng)) return { error: 'lat y lng deben ser coordenadas válidas' };
+  return { lat, lng };
+}
+
+// ── Cotizar envío por ubicación o colonia (público: se usa en el checkout) ──
+// ?subtotal (productos con código de descuento) y ?horario (ISO de la
+// entrega) afinan el costo igual que al cobrar. Incluye la sucursal que
+// atiende la zona (de ahí sale el pedido).
 router.get('/cotizar', async (req, res) => {
   try {
-    const { colonia } = req.query;
-    if (!colonia) return res.status(400).json({ success: false, message: 'La colonia es requerida' });
-    const result = await pool.query(`
-      SELECT z.id AS zona_id, z.nombre AS zona_nombre, z.tarifa
-      FROM core.tblzonas_colonias zc
-      JOIN core.tblzonas_envio z ON z.id = zc.zona_id
-      WHERE LOWER(zc.colonia) = LOWER($1) AND z.activa = TRUE
-    `, [String(colonia).trim()]);
-    if (result.rows.length === 0) {
-      return res.json({ success: true, cobertura: false, message: 'Sin cobertura en esa colonia o comunidad. Puedes recoger en sucursal.' });
+    const { colonia, horario } = req.query;
+    const coordenadas = coordenadasQuery(req.query);
+    if (coordenadas.error) return res.status(400).json({ success: false, message: coordenadas.error });
+    if (!colonia && Number.isNaN(coordenadas.lat)) {
+      return res.status(400).json({ success: false, message: 'La colonia o la ubicación (lat, lng) es requerida' });
     }
-    const zona = result.rows[0];
-    res.json({ success: true, cobertura: true, zona_id: zona.zona_id, zona: zona.zona_nombre, tarifa: parseFloat(zona.tarifa) });
+    const subtotal = req.query.subtotal !== undefined ? parseFloat(req.query.subtotal) : 0;
+    if (!Number.isFinite(subtotal) || subtotal < 0) return res.status(400).json({ success: false, message: 'subtotal debe ser un monto válido' });
+    if (horario && isNaN(new Date(horario).getTime())) return res.status(400).json({ success: false, message: 'Horario inválido' });
+
+    const zona = zonaPara(await cargarZonas(pool), { ...coordenadas, colonia });
+    if (!zona) {
+      return res.json({ success: true, cobertura: false, message: 'Sin cobertura en esa ubicación, colonia o comunidad. Puedes recoger en sucursal.' });
+    }
+    const cotizacion = await cotizarEnvio(pool, zona, { subtotal, horario: horario || null });
+    if (cotizacion.error) return res.json({ success: true, cobertura: false, zona_id: zona.zona_id, zona: zona.zona_nombre, message: cotizacion.error });
+    res.json({
+      success: true, cobertura: true, zona_id: zona.zona_id, zona: zona.zona_nombre, criterio: zona.criterio,
+      tarifa: cotizacion.costo_envio, desglose: cotizacion.desglose,
+      reglas: { envio_gratis_desde: zona.reglas.envio_gratis_desde, pedido_minimo: zona.reglas.pedido_minimo },
+      sucursal: { id: zona.sucursal_id, nombre: zona.sucursal_nombre },
+    });
   } catch (error) {
     console.error('Error GET /zonas-envio/cotizar:', error.message);
     res.status(500).json({ success: false, message: 'Error al cotizar envío' });
@@ -33,6 +57,7 @@ router.get('/colonias', async (req, res) => {
       SELECT zc.colonia, z.nombre AS zona, z.tarifa
       FROM core.tblzonas_colonias zc
       JOIN core.tblzonas_envio z ON z.id = zc.zona_id
+      JOIN core.tblsucursales s ON s.id = z.sucursal_id AND s.activa = TRUE
       WHERE z.activa = TRUE
       ORDER BY zc.colonia
     `);
@@ -43,15 +68,45 @@ router.get('/colonias', async (req, res) => {
   }
 });
 
+// ── Probar una coordenada contra todas las zonas (gerencia+) ──
+// Devuelve la zona que ganaría y cómo queda respecto a cada una, para
+// revisar polígonos y anillos antes de publicarlos.
+router.get('/probar', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
+  try {
+    const coordenadas = coordenadasQuery(req.query);
+    if (coordenadas.error || Number.isNaN(coordenadas.lat)) {
+      return res.status(400).json({ success: false, message: coordenadas.error || 'lat y lng son requeridas' });
+    }
+    const direccion = { ...coordenadas, colonia: req.query.colonia };
+    const zonas = await cargarZonas(pool);
+    res.json({
+      success: true,
+      zona: zonaPara(zonas, direccion),
+      evaluacion: zonas.map(z => ({ zona_id: z.id, nombre: z.nombre, tarifa: parseFloat(z.tarifa), sucursal_nombre: z.sucursal_nombre, ...evaluarZona(z, direccion) })),
+    });
+  } catch (error) {
+    console.error('Error GET /zonas-envio/probar:', error.message);
+    res.status(500).json({ success: false, message: 'Error al probar la ubicación' });
+  }
+});
+
+// Los anillos se miden desde la sucursal: sin coordenadas no hay anillo
+function anilloSinSucursal(geometria, sucursal) {
+  return geometria.radio_max_km !== null && (sucursal.lat === null || sucursal.lng === null);
+}
+
 // ── Listar zonas con sus colonias (gerencia+) ──
 router.get('/', verifyToken, verifyRole('gerencia', 'direccion_general'), async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT z.id, z.nombre, z.tarifa, z.activa, z.created_at,
+      SELECT z.id, z.nombre, z.tarifa, z.activa, z.created_at, z.sucursal_id, s.nombre AS sucursal_nombre,
+             z.poligono, z.radio_min_km, z.radio_max_km,
+             z.tarifa_km, z.km_incluidos, z.envio_gratis_desde, z.pedido_minimo, z.distancia_max_km,
              COALESCE(json_agg(zc.colonia ORDER BY zc.colonia) FILTER (WHERE zc.id IS NOT NULL), '[]') AS colonias
       FROM core.tblzonas_envio z
+      LEFT JOIN core.tblsucursales s ON s.id = z.sucursal_id
       LEFT JOIN core.tblzonas_colonias zc ON zc.zona_id = z.id
-      GROUP BY z.id
+      GROUP BY z.id, s.nombre
       ORDER BY z.tarifa
     `);
     res.json({ success: true, zonas: result.rows });
@@ -61,7 +116,7 @@ router.get('/', verifyToken, verifyRole('gerencia', 'direccion_general'), async
   }
 });
 
-// ── Crear zona (dirección) ──
+// ── Crear zona (dirección; sin sucursal_id la atiende la principal) ──
 router.post('/', verifyToken, verifyRole('direccion_general'), async (req, res) => {
   const client = await pool.connect();
   try {
@@ -69,10 +124,23 @@ router.post('/', verifyToken, verifyRole('direccion_general'), async (req, res)
     if (!nombre || tarifa === undefined || isNaN(parseFloat(tarifa)) || parseFloat(tarifa) < 0) {
       return res.status(400).json({ success: false, message: 'Nombre y tarifa válida son requeridos' });
     }
+    const sucursal = await resolverSucursal(pool, req.body.sucursal_id);
+    if (sucursal.error) return res.status(400).json({ success: false, message: sucursal.error });
+    const geometria = validarGeometria(req.body);
+    if (geometria.error) return res.status(400).json({ success: false, message: geometria.error });
+    if (anilloSinSucursal(geometria, sucursal)) {
+      return res.status(400).json({ success: false, message: 'La sucursal no tiene coordenadas; no se puede definir un anillo' });
+    }
+    const { reglas, error: errorReglas } = validarReglasZona(req.body);
+    if (errorReglas) return res.status(400).json({ success: false, message: errorReglas });
     await client.query('BEGIN');
     const zonaResult = await client.query(
-      'INSERT INTO core.tblzonas_envio (nombre, tarifa, created_at, updated_at) VALUES ($1, $2, NOW(), NOW()) RETURNING *',
-      [nombre.trim(), parseFloat(tarifa)]
+      `INSERT INTO core.tblzonas_envio
+        (nombre, tarifa, sucursal_id, poligono, radio_min_km, radio_max_km,
+         tarifa_km, km_incluidos, envio_gratis_desde, pedido_minimo, distancia_max_km, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW()) RETURNING *`,
+      [nombre.trim(), parseFloat(tarifa), sucursal.id, geometria.poligono ? JSON.stringify(geometria.poligono) : null, geometria.radio_min_km, geometria.radio_max_km,
+        ...REGLAS_ZONA.map(c => reglas[c])] // eslint-disable-line security/detect-object-injection
     );
     const zona = zonaResult.rows[0];
     if (Array.isArray(colonias)) {
@@ -94,20 +162,51 @@ router.post('/', verifyToken, verifyRole('direccion_general'), async (req, res)
   } finally { client.release(); }
 });
 
-// ── Actualizar zona: nombre/tarifa/activa y reemplazo de colonias (dirección) ──
+// ── Actualizar zona: nombre/tarifa/activa/sucursal, geometría, reglas de tarifa y reemplazo de colonias (dirección) ──
+// poligono, radio_*_km y las reglas en null se quitan; si no vienen, no cambian
 router.put('/:id', verifyToken, verifyRole('direccion_general'), async (req, res) => {
   const client = await pool.connect();
   try {
     const { nombre, tarifa, activa, colonias } = req.body;
+    const actual = await pool.query('SELECT * FROM core.tblzonas_envio WHERE id = $1', [req.params.id]);
+    if (actual.rows.length === 0) return res.status(404).json({ success: false, message: 'Zona no encontrada' });
+    const zonaActual = actual.rows[0];
+    let sucursal;
+    if (req.body.sucursal_id !== undefined) {
+      sucursal = await resolverSucursal(pool, req.body.sucursal_id);
+      if (sucursal.error) return res.status(400).json({ success: false, message: sucursal.error });
+    } else {
+      const s = await pool.query('SELECT id, lat, lng FROM core.tblsucursales WHERE id = $1', [zonaActual.sucursal_id]);
+      sucursal = s.rows[0] || { id: null, lat: null, lng: null };
+    }
+    const campo = c => (req.body[c] !== undefined ? req.body[c] : zonaActual[c]); // eslint-disable-line security/detect-object-injection
+    const geometria = validarGeometria({ poligono: campo('poligono'), radio_min_km: campo('radio_min_km'), radio_max_km: campo('radio_max_km') });
+    if (geometria.error) return res.status(400).json({ success: false, message: geometria.error });
+    if (anilloSinSucursal(geometria, sucursal)) {
+      return res.status(400).json({ success: false, message: 'La sucursal no tiene coordenadas; no se puede definir un anillo' });
+    }
+    const { reglas, error: errorReglas } = validarReglasZona(Object.fromEntries(REGLAS_ZONA.map(c => [c, campo(c)])));
+    if (errorReglas) return res.status(400).json({ success: false, message: errorReglas });
     await client.query('BEGIN');
     const result = await client.query(`
       UPDATE core.tblzonas_envio
       SET nombre = COALESCE($1, nombre),
           tarifa = COALESCE($2, tarifa),
           activa = COALESCE($3, activa),
+          sucursal_id = COALESCE($5, sucursal_id),
+          poligono = $6,
+          radio_min_km = $7,
+          radio_max_km = $8,
+          tarifa_km = $9,
+          km_incluidos = $10,
+          envio_gratis_desde = $11,
+          pedido_minimo = $12,
+          distancia_max_km = $13,
           updated_at = NOW()
       WHERE id = $4 RETURNING *
-    `, [nombre, tarifa !== undefined ? parseFloat(tarifa) : null, activa, req.params.id]);
+    `, [nombre, tarifa !== undefined ? parseFloat(tarifa) : null, activa, req.params.id, sucursal.id,
+      geometria.poligono ? JSON.stringify(geometria.poligono) : null, geometria.radio_min_km, geometria.radio_max_km,
+      ...REGLAS_ZONA.map(c => reglas[c])]); // eslint-disable-line security/detect-object-injection
     if (result.rows.length === 0) {
       await client.query('ROLLBACK');
       return res.status(404).json({ success: false, message: 'Zona no encontrada' });
@@ -71,7 +71,13 @@ app.use(cors({
 // ========================================
 // MIDDLEWARES BÁSICOS
 // ========================================
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // El webhook de Stripe valida la firma sobre el cuerpo exacto que llegó
+  verify: (req, res, buf) => {
+    if (req.originalUrl === '/api/pagos/webhook') req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // 🔒 Sanitización de inputs
@@ -192,6 +198,15 @@ const zonasEnvioRoutes = require('./routes/zonasEnvioRoutes');
 const entregasRoutes = require('./routes/entregasRoutes');
 const recomendacionesRoutes = require('./routes/recomendacionesRoutes');
 const segmentosRoutes = require('./routes/segmentosRoutes');
+const personalizadosRoutes = require('./routes/personalizadosRoutes');
+const produccionRoutes = require('./routes/produccionRoutes');
+const ingredientesRoutes = require('./routes/ingredientesRoutes');
+const mostradorRoutes = require('./routes/mostradorRoutes');
+const cajaRoutes = require('./routes/cajaRoutes');
+const sucursalesRoutes = require('./routes/sucursalesRoutes');
+const facturasRoutes = require('./routes/facturasRoutes');
+const puntosRoutes = require('./routes/puntosRoutes');
+const tarjetasRegaloRoutes = require('./routes/tarjetasRegaloRoutes');
 
 
 
@@ -226,6 +241,15 @@ app.use('/api/zonas-envio', zonasEnvioRoutes);
 app.use('/api/entregas', entregasRoutes);
 app.use('/api/recomendaciones', recomendacionesRoutes);
 app.use('/api/segmentos-clientes', segmentosRoutes);
+app.use('/api/personalizados', personalizadosRoutes);
+app.use('/api/produccion', produccionRoutes);
+app.use('/api/ingredientes', ingredientesRoutes);
+app.use('/api/mostrador', mostradorRoutes);
+app.use('/api/caja', cajaRoutes);
+app.use('/api/sucursales', sucursalesRoutes);
+app.use('/api/facturas', facturasRoutes);
+app.use('/api/puntos', puntosRoutes);
+app.use('/api/tarjetas-regalo', tarjetasRegaloRoutes);
 
 
 // ========================================
@@ -49,7 +49,8 @@ async function crearNotificacionMasiva({ tipo, titulo, mensaje, enviado_por }) {
 // ══════════════════════════════════════════════
 // ENVIAR EMAIL POR BREVO (para notificaciones importantes)
 // ══════════════════════════════════════════════
-async function enviarEmailNotificacion({ email, nombre, asunto, contenido }) {
+// adjuntos: [{ nombre, contenido: Buffer }] (p. ej. XML y PDF de una factura)
+async function enviarEmailNotificacion({ email, nombre, asunto, contenido, adjuntos }) {
   try {
     // Verificar que Brevo esté configurado
     if (!process.env.BREVO_API_KEY || !process.env.BREVO_SENDER_EMAIL) {
@@ -68,6 +69,9 @@ async function enviarEmailNotificacion({ email, nombre, asunto, contenido }) {
     sendSmtpEmail.sender = { name: 'Pier Repostería', email: process.env.BREVO_SENDER_EMAIL };
     sendSmtpEmail.to = [{ email, name: nombre || '' }];
     sendSmtpEmail.subject = asunto;
+    if (adjuntos && adjuntos.length > 0) {
+      sendSmtpEmail.attachment = adjuntos.map(a => ({ name: a.nombre, content: Buffer.from(a.contenido).toString('base64') }));
+    }
     sendSmtpEmail.htmlContent = `
       <!DOCTYPE html>
       <html>
@@ -116,7 +120,7 @@ async function enviarEmailNotificacion({ email, nombre, asunto, contenido }) {
 // ══════════════════════════════════════════════
 // NOTIFICACIÓN + EMAIL COMBINADA (para las importantes)
 // ══════════════════════════════════════════════
-async function notificarConEmail({ usuario_id, tipo, titulo, mensaje, email, nombre, asunto, contenidoHtml }) {
+async function notificarConEmail({ usuario_id, tipo, titulo, mensaje, email, nombre, asunto, contenidoHtml, adjuntos }) {
   // 1. Crear notificación en plataforma
   await crearNotificacion({ usuario_id, tipo, titulo, mensaje });
 
@@ -126,7 +130,8 @@ async function notificarConEmail({ usuario_id, tipo, titulo, mensaje, email, nom
       email,
       nombre,
       asunto: asunto || `🍰 ${titulo}`,
-      contenido: contenidoHtml || `<h2>${titulo}</h2><p>${mensaje}</p>`
+      contenido: contenidoHtml || `<h2>${titulo}</h2><p>${mensaje}</p>`,
+      adjuntos
     });
   }
 }
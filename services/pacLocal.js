@@ -0,0 +1,30 @@
+// services/pacLocal.js — PAC simulado para desarrollo
+//
+// No sella ni envía nada al SAT: agrega un TimbreFiscalDigital con un
+// UUID aleatorio para probar el flujo completo (guardado, descarga y
+// correo). Sus facturas no tienen validez fiscal, por eso se niega a
+// timbrar en producción.
+const crypto = require('crypto');
+const { fechaCfdi } = require('../utils/cfdi');
+
+const nombre = 'local';
+
+async function timbrar(xml) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('El PAC local es solo para desarrollo; configura PAC_PROVEEDOR');
+  }
+  const uuid = crypto.randomUUID().toUpperCase();
+  const fecha = fechaCfdi();
+  const timbre = '  <cfdi:Complemento>\n'
+    + '    <tfd:TimbreFiscalDigital xmlns:tfd="http://www.sat.gob.mx/TimbreFiscalDigital"'
+    + ` Version="1.1" UUID="${uuid}" FechaTimbrado="${fecha}" RfcProvCertif="SPR190613I52"`
+    + ' SelloCFD="SIN-SELLO-DESARROLLO" NoCertificadoSAT="00000000000000000000" SelloSAT="SIN-SELLO-DESARROLLO"/>\n'
+    + '  </cfdi:Complemento>\n';
+  return {
+    uuid,
+    fecha_timbrado: fecha,
+    xml: xml.replace('</cfdi:Comprobante>', `${timbre}</cfdi:Comprobante>`),
+  };
+}
+
+module.exports = { nombre, timbrar };
@@ -0,0 +1,32 @@
+// services/pacService.js — Timbrado de CFDI con el PAC configurado
+//
+// Cada PAC tiene su propia API; aquí solo se elige el adaptador según
+// PAC_PROVEEDOR (por omisión 'local'). Un adaptador exporta:
+//
+//   nombre: string
+//   timbrar(xml) → Promise<{ uuid, xml, fecha_timbrado, pdf? }>
+//
+// recibe el comprobante sin sellar, lo sella con el CSD del emisor que el
+// PAC tiene registrado y devuelve el XML con el TimbreFiscalDigital. Si
+// no regresa PDF, se genera la representación impresa local. Para agregar
+// un PAC: un archivo services/pac<Nombre>.js y su entrada en ADAPTADORES.
+
+const ADAPTADORES = {
+  local: () => require('./pacLocal'),
+};
+
+function obtenerPac() {
+  const nombre = (process.env.PAC_PROVEEDOR || 'local').toLowerCase();
+  const cargar = ADAPTADORES[nombre]; // eslint-disable-line security/detect-object-injection
+  if (!cargar) throw new Error(`PAC "${nombre}" no soportado`);
+  return cargar();
+}
+
+async function timbrar(xml) {
+  const pac = obtenerPac();
+  const timbre = await pac.timbrar(xml);
+  if (!timbre || !timbre.uuid || !timbre.xml) throw new Error(`Respuesta incompleta del PAC ${pac.nombre}`);
+  return { ...timbre, pac: pac.nombre };
+}
+
+module.exports = { obtenerPac, timbrar };
@@ -0,0 +1,67 @@
+// utils/caja.js — Sesiones de caja (efectivo en el cajón)
+//
+// Todo el efectivo que entra al cajón pasa por aquí: cobros de pedidos
+// pagados al recoger, ventas de mostrador en efectivo y saldos de
+// pasteles personalizados. Cada cobro queda como movimiento de la sesión
+// abierta del empleado y ligado al pago (tblpagos.caja_sesion_id), para
+// que el corte compare lo esperado contra lo contado.
+
+const SIN_CAJA = 'Abre tu caja antes de cobrar en efectivo';
+
+// Sesión abierta del empleado o null. bloquear = FOR UPDATE (cobros,
+// retiros y cierre se serializan sobre la sesión).
+async function sesionAbierta(db, usuarioId, { bloquear = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM core.tblcaja_sesiones WHERE usuario_id = $1 AND estado = 'abierta' ${bloquear ? 'FOR UPDATE' : ''}`,
+    [usuarioId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Registra un cobro en efectivo en la sesión y lo liga al pago del pedido.
+ * Debe llamarse dentro de la transacción que marca el pago como pagado.
+ */
+async function registrarCobro(db, { sesionId, usuarioId, pedidoId, monto, motivo = null }) {
+  await db.query(
+    `INSERT INTO core.tblcaja_movimientos (sesion_id, tipo, monto, pedido_id, motivo, usuario_id)
+     VALUES ($1, 'cobro', $2, $3, $4, $5)`,
+    [sesionId, monto, pedidoId, motivo, usuarioId]
+  );
+  await db.query(
+    'UPDATE core.tblpagos SET caja_sesion_id = $1, cobrado_por = $2 WHERE pedido_id = $3',
+    [sesionId, usuarioId, pedidoId]
+  );
+}
+
+// Efectivo que sale del cajón ligado a un pedido (p. ej. la parte de un
+// reembolso que se devuelve en sucursal). Dentro de la misma transacción.
+async function registrarRetiro(db, { sesionId, usuarioId, pedidoId, monto, motivo }) {
+  await db.query(
+    `INSERT INTO core.tblcaja_movimientos (sesion_id, tipo, monto, pedido_id, motivo, usuario_id)
+     VALUES ($1, 'retiro', $2, $3, $4, $5)`,
+    [sesionId, monto, pedidoId, motivo, usuarioId]
+  );
+}
+
+// Totales de una sesión: esperado = fondo + cobros - retiros
+async function resumenSesion(db, sesion) {
+  const result = await db.query(
+    `SELECT
+       COALESCE(SUM(monto) FILTER (WHERE tipo = 'cobro'), 0)::NUMERIC(10,2) AS cobros,
+       COUNT(*) FILTER (WHERE tipo = 'cobro')::int AS num_cobros,
+       COALESCE(SUM(monto) FILTER (WHERE tipo = 'retiro'), 0)::NUMERIC(10,2) AS retiros
+     FROM core.tblcaja_movimientos WHERE sesion_id = $1`,
+    [sesion.id]
+  );
+  const r = result.rows[0];
+  const fondo = parseFloat(sesion.fondo_inicial);
+  const cobros = parseFloat(r.cobros);
+  const retiros = parseFloat(r.retiros);
+  return {
+    fondo_inicial: fondo, cobros, num_cobros: r.num_cobros, retiros,
+    esperado: Math.round((fondo + cobros - retiros) * 100) / 100,
+  };
+}
+
+module.exports = { SIN_CAJA, sesionAbierta, registrarCobro, registrarRetiro, resumenSesion };
@@ -0,0 +1,201 @@
+// utils/cfdi.js — Comprobante CFDI 4.0 (ingreso) a partir de un pedido
+//
+// Arma el XML sin sello: el PAC lo sella con el CSD del emisor y lo
+// timbra (services/pacService.js). Los precios de la tienda ya incluyen
+// IVA, así que cada concepto se desglosa hacia atrás: importe = precio /
+// (1 + tasa). Los alimentos van a tasa 0% (LIVA art. 2-A) y el envío a
+// domicilio, que es un servicio, al 16%.
+const he = require('he');
+
+const TASA_ALIMENTOS = 0;
+const TASA_SERVICIOS = 0.16;
+const DESFASE_MX_MS = 6 * 60 * 60 * 1000;
+
+// c_ClaveProdServ / c_ClaveUnidad del SAT
+const CLAVE_PASTELERIA = '50181900'; // Pan, galletas y pastelillos
+const CLAVE_ENVIO = '78102203';      // Servicios de envío y entrega
+const RFC_PUBLICO_GENERAL = 'XAXX010101000';
+
+// c_RegimenFiscal: a qué tipo de persona aplica cada régimen
+const REGIMENES = {
+  601: { descripcion: 'General de Ley Personas Morales', moral: true },
+  603: { descripcion: 'Personas Morales con Fines no Lucrativos', moral: true },
+  605: { descripcion: 'Sueldos y Salarios e Ingresos Asimilados a Salarios', fisica: true },
+  606: { descripcion: 'Arrendamiento', fisica: true },
+  607: { descripcion: 'Régimen de Enajenación o Adquisición de Bienes', fisica: true },
+  608: { descripcion: 'Demás ingresos', fisica: true },
+  610: { descripcion: 'Residentes en el Extranjero sin Establecimiento Permanente en México', fisica: true, moral: true },
+  611: { descripcion: 'Ingresos por Dividendos (socios y accionistas)', fisica: true },
+  612: { descripcion: 'Personas Físicas con Actividades Empresariales y Profesionales', fisica: true },
+  614: { descripcion: 'Ingresos por intereses', fisica: true },
+  615: { descripcion: 'Régimen de los ingresos por obtención de premios', fisica: true },
+  616: { descripcion: 'Sin obligaciones fiscales', fisica: true },
+  620: { descripcion: 'Sociedades Cooperativas de Producción que optan por diferir sus ingresos', moral: true },
+  621: { descripcion: 'Incorporación Fiscal', fisica: true },
+  622: { descripcion: 'Actividades Agrícolas, Ganaderas, Silvícolas y Pesqueras', moral: true },
+  623: { descripcion: 'Opcional para Grupos de Sociedades', moral: true },
+  624: { descripcion: 'Coordinados', moral: true },
+  625: { descripcion: 'Actividades Empresariales con ingresos a través de Plataformas Tecnológicas', fisica: true },
+  626: { descripcion: 'Régimen Simplificado de Confianza', fisica: true, moral: true },
+};
+
+// c_UsoCFDI que tienen sentido para una compra de repostería
+const USOS_CFDI = {
+  G01: 'Adquisición de mercancías',
+  G03: 'Gastos en general',
+  S01: 'Sin efectos fiscales',
+};
+
+// tblpedidos.metodo_pago → c_FormaPago
+const FORMAS_PAGO = { efectivo: '01', transferencia: '03', tarjeta: '04', terminal: '04' };
+
+const RFC_RE = /^([A-ZÑ&]{3,4})(\d{6})([A-Z\d]{3})$/;
+
+const r2 = (n) => Math.round(n * 100) / 100;
+const m2 = (n) => r2(n).toFixed(2);
+const attr = (v) => he.escape(String(v));
+
+/**
+ * Valida y normaliza los datos de un perfil fiscal.
+ * @returns {{ error: string } | { rfc, razon_social, regimen_fiscal, uso_cfdi, codigo_postal, email }}
+ */
+function validarPerfilFiscal(datos) {
+  const rfc = String(datos.rfc || '').trim().toUpperCase();
+  const razon = String(datos.razon_social || '').trim().toUpperCase().replace(/\s+/g, ' ');
+  const regimen = String(datos.regimen_fiscal || '').trim();
+  const uso = String(datos.uso_cfdi || '').trim().toUpperCase();
+  const cp = String(datos.codigo_postal || '').trim();
+  if (!RFC_RE.test(rfc)) return { error: 'RFC inválido' };
+  if (rfc === RFC_PUBLICO_GENERAL) return { error: 'El RFC genérico de público en general no se puede usar en un perfil' };
+  if (!razon) return { error: 'La razón social es requerida (tal como aparece en la Constancia de Situación Fiscal)' };
+  const r = REGIMENES[regimen]; // eslint-disable-line security/detect-object-injection
+  if (!r) return { error: 'Régimen fiscal inválido' };
+  // 12 caracteres = persona moral, 13 = persona física
+  if (rfc.length === 12 ? !r.moral : !r.fisica) {
+    return { error: `El régimen ${regimen} no aplica a una persona ${rfc.length === 12 ? 'moral' : 'física'}` };
+  }
+  if (!USOS_CFDI[uso]) return { error: `Uso CFDI inválido. Valores: ${Object.keys(USOS_CFDI).join(', ')}` }; // eslint-disable-line security/detect-object-injection
+  if (!/^\d{5}$/.test(cp)) return { error: 'El código postal del domicilio fiscal debe tener 5 dígitos' };
+  return { rfc, razon_social: razon, regimen_fiscal: regimen, uso_cfdi: uso, codigo_postal: cp, email: datos.email ? String(datos.email).trim() : null };
+}
+
+// Datos del emisor desde el entorno. Fuera de producción, sin configurar,
+// se usa el RFC de pruebas del SAT para poder timbrar con el PAC local.
+function obtenerEmisor() {
+  const emisor = {
+    rfc: process.env.CFDI_EMISOR_RFC,
+    nombre: process.env.CFDI_EMISOR_NOMBRE,
+    regimen_fiscal: process.env.CFDI_EMISOR_REGIMEN,
+    lugar_expedicion: process.env.CFDI_LUGAR_EXPEDICION,
+  };
+  if (emisor.rfc && emisor.nombre && emisor.regimen_fiscal && emisor.lugar_expedicion) return emisor;
+  if (process.env.NODE_ENV === 'production') return null;
+  return { rfc: 'EKU9003173C9', nombre: 'ESCUELA KEMPER URGATE', regimen_fiscal: '601', lugar_expedicion: '43000' };
+}
+
+// 'YYYY-MM-DDTHH:mm:ss' en hora de Huejutla (el CFDI no lleva zona)
+function fechaCfdi(fecha = new Date()) {
+  return new Date(fecha.getTime() - DESFASE_MX_MS).toISOString().slice(0, 19);
+}
+
+// ¿El pago cae en el mes en curso? Fuera del mes ya no se factura
+// individualmente: entró a la factura global de público en general.
+function pagoDelMes(fechaPago, ahora = new Date()) {
+  return fechaCfdi(new Date(fechaPago)).slice(0, 7) === fechaCfdi(ahora).slice(0, 7);
+}
+
+/**
+ * Conceptos del pedido con importes con IVA incluido. La diferencia entre
+ * lo vendido y lo cobrado (tblpagos.monto_total) es descuento y se
+ * reparte entre los productos en proporción a su importe.
+ */
+function conceptosDePedido(items, pedido, pago) {
+  const conceptos = items.map(i => {
+    const opciones = (i.opciones || []).map(o => o.nombre).filter(Boolean);
+    return {
+      clave: CLAVE_PASTELERIA, clave_unidad: 'H87', unidad: 'Pieza', no_identificacion: i.producto_id ? String(i.producto_id) : null,
+      descripcion: `${i.nombre_producto}${i.tamano ? ` (${i.tamano})` : ''}${opciones.length ? ` · ${opciones.join(', ')}` : ''}`.slice(0, 1000),
+      cantidad: i.cantidad, importe: parseFloat(i.subtotal), descuento: 0, tasa: TASA_ALIMENTOS,
+    };
+  });
+  const envio = parseFloat(pedido.costo_envio || 0);
+  const productos = conceptos.reduce((s, c) => s + c.importe, 0);
+  const descuento = Math.max(r2(productos + envio - parseFloat(pago.monto_total)), 0);
+  if (descuento > 0 && productos > 0) {
+    let repartido = 0;
+    conceptos.forEach((c, idx) => {
+      c.descuento = idx === conceptos.length - 1 ? r2(descuento - repartido) : r2(descuento * c.importe / productos);
+      repartido = r2(repartido + c.descuento);
+    });
+  }
+  if (envio > 0) {
+    conceptos.push({
+      clave: CLAVE_ENVIO, clave_unidad: 'E48', unidad: 'Servicio', no_identificacion: null,
+      descripcion: 'Envío a domicilio', cantidad: 1, importe: envio, descuento: 0, tasa: TASA_SERVICIOS,
+    });
+  }
+  return conceptos;
+}
+
+/**
+ * XML del comprobante (sin Sello/Certificado), sus totales y el desglose
+ * por concepto (para la representación impresa).
+ * @returns {{ xml: string, subtotal: number, descuento: number, impuestos: number, total: number, detalle: object[] }}
+ */
+function construirCfdi({ emisor, receptor, serie, folio, fecha, formaPago, conceptos }) {
+  const traslados = new Map();
+  const detalle = [];
+  let subtotal = 0;
+  let descuento = 0;
+  const xmlConceptos = conceptos.map(c => {
+    const importe = r2(c.importe / (1 + c.tasa));
+    const desc = r2(c.descuento / (1 + c.tasa));
+    const base = r2(importe - desc);
+    const iva = r2(base * c.tasa);
+    subtotal += importe;
+    descuento += desc;
+    const t = traslados.get(c.tasa) || { base: 0, importe: 0 };
+    traslados.set(c.tasa, { base: t.base + base, importe: t.importe + iva });
+    detalle.push({ descripcion: c.descripcion, cantidad: c.cantidad, importe, descuento: desc, iva });
+    const tasa = c.tasa.toFixed(6);
+    return `    <cfdi:Concepto ClaveProdServ="${c.clave}"${c.no_identificacion ? ` NoIdentificacion="${attr(c.no_identificacion)}"` : ''}`
+      + ` Cantidad="${c.cantidad}" ClaveUnidad="${c.clave_unidad}" Unidad="${c.unidad}" Descripcion="${attr(c.descripcion)}"`
+      + ` ValorUnitario="${(importe / c.cantidad).toFixed(6)}" Importe="${m2(importe)}"${desc > 0 ? ` Descuento="${m2(desc)}"` : ''} ObjetoImp="02">\n`
+      + '      <cfdi:Impuestos><cfdi:Traslados>'
+      + `<cfdi:Traslado Base="${m2(base)}" Impuesto="002" TipoFactor="Tasa" TasaOCuota="${tasa}" Importe="${m2(iva)}"/>`
+      + '</cfdi:Traslados></cfdi:Impuestos>\n'
+      + '    </cfdi:Concepto>';
+  });
+  subtotal = r2(subtotal);
+  descuento = r2(descuento);
+  const impuestos = r2([...traslados.values()].reduce((s, t) => s + t.importe, 0));
+  const total = r2(subtotal - descuento + impuestos);
+
+  const xmlTraslados = [...traslados.entries()].map(([tasa, t]) =>
+    `<cfdi:Traslado Base="${m2(t.base)}" Impuesto="002" TipoFactor="Tasa" TasaOCuota="${tasa.toFixed(6)}" Importe="${m2(t.importe)}"/>`
+  ).join('');
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<cfdi:Comprobante xmlns:cfdi="http://www.sat.gob.mx/cfd/4" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+      + ' xsi:schemaLocation="http://www.sat.gob.mx/cfd/4 http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd"'
+      + ` Version="4.0" Serie="${attr(serie)}" Folio="${folio}" Fecha="${fecha}" FormaPago="${formaPago}"`
+      + ` SubTotal="${m2(subtotal)}"${descuento > 0 ? ` Descuento="${m2(descuento)}"` : ''} Moneda="MXN" Total="${m2(total)}"`
+      + ` TipoDeComprobante="I" Exportacion="01" MetodoPago="PUE" LugarExpedicion="${emisor.lugar_expedicion}">`,
+    `  <cfdi:Emisor Rfc="${attr(emisor.rfc)}" Nombre="${attr(emisor.nombre)}" RegimenFiscal="${emisor.regimen_fiscal}"/>`,
+    `  <cfdi:Receptor Rfc="${attr(receptor.rfc)}" Nombre="${attr(receptor.razon_social)}" DomicilioFiscalReceptor="${receptor.codigo_postal}"`
+      + ` RegimenFiscalReceptor="${receptor.regimen_fiscal}" UsoCFDI="${receptor.uso_cfdi}"/>`,
+    '  <cfdi:Conceptos>',
+    ...xmlConceptos,
+    '  </cfdi:Conceptos>',
+    `  <cfdi:Impuestos TotalImpuestosTrasladados="${m2(impuestos)}"><cfdi:Traslados>${xmlTraslados}</cfdi:Traslados></cfdi:Impuestos>`,
+    '</cfdi:Comprobante>',
+  ].join('\n');
+
+  return { xml, subtotal, descuento, impuestos, total, detalle };
+}
+
+module.exports = {
+  REGIMENES, USOS_CFDI, FORMAS_PAGO,
+  validarPerfilFiscal, obtenerEmisor, fechaCfdi, pagoDelMes, conceptosDePedido, construirCfdi,
+};
@@ -0,0 +1,68 @@
+// utils/codigoDescuento.js — Validación y cálculo de códigos de descuento
+//
+// Un código es una promoción de core.tblpromociones con codigo_descuento.
+// Lo usan /promociones/validar-codigo (informativo) y el checkout de
+// /pagos (crear-intent y confirmar), que aplica el descuento de verdad.
+// Reglas: vigencia (fecha_inicio/fecha_fin), usos globales y por cliente
+// (pedidos no cancelados), compra mínima y, si la promoción tiene
+// producto_id, el descuento aplica solo a las líneas de ese producto.
+
+/**
+ * @param {object} db pool o client (en transacción si bloquear = true)
+ * @param {string} codigo Código tal como lo escribió el cliente
+ * @param {number} userId Cliente que lo usa
+ * @param {Array<{producto_id:number, subtotal:number}>|null} items Carrito ya
+ *   calculado; null para validar solo vigencia y límites
+ * @param {{ bloquear?: boolean }} opciones bloquear = FOR UPDATE sobre la
+ *   promoción, para que dos compras simultáneas no rebasen usos_maximos
+ * @returns {Promise<{ promocion: object, descuento: number } | { error: string }>}
+ */
+async function validarCodigoDescuento(db, codigo, userId, items = null, { bloquear = false } = {}) {
+  const result = await db.query(
+    `SELECT pr.*, p.nombre AS producto_nombre
+     FROM core.tblpromociones pr
+     LEFT JOIN core.tblproductos p ON p.id = pr.producto_id
+     WHERE pr.codigo_descuento = $1 AND pr.estado = 'activa'
+       AND (pr.fecha_inicio IS NULL OR pr.fecha_inicio <= NOW())
+       AND (pr.fecha_fin IS NULL OR pr.fecha_fin > NOW())
+     ${bloquear ? 'FOR UPDATE OF pr' : ''}`,
+    [String(codigo).trim().toUpperCase()]
+  );
+  if (result.rows.length === 0) return { error: 'Código inválido o expirado' };
+  const promocion = result.rows[0];
+
+  if (promocion.usos_maximos !== null || promocion.usos_por_cliente !== null) {
+    const usos = await db.query(
+      `SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE u.usuario_id = $2)::int AS cliente
+       FROM core.tblpromocion_usos u
+       JOIN core.tblpedidos p ON p.id = u.pedido_id AND p.estado <> 'cancelado'
+       WHERE u.promocion_id = $1`,
+      [promocion.id, userId]
+    );
+    const { total, cliente } = usos.rows[0];
+    if (promocion.usos_maximos !== null && total >= promocion.usos_maximos) {
+      return { error: 'Este código ya alcanzó su límite de usos' };
+    }
+    if (promocion.usos_por_cliente !== null && cliente >= promocion.usos_por_cliente) {
+      return { error: 'Ya usaste este código el máximo de veces permitido' };
+    }
+  }
+
+  if (!items) return { promocion, descuento: 0 };
+
+  const subtotal = items.reduce((sum, i) => sum + i.subtotal, 0);
+  if (promocion.monto_minimo !== null && subtotal < parseFloat(promocion.monto_minimo)) {
+    return { error: `Este código requiere una compra mínima de $${parseFloat(promocion.monto_minimo).toFixed(2)}` };
+  }
+
+  const base = promocion.producto_id
+    ? items.filter(i => i.producto_id === promocion.producto_id).reduce((sum, i) => sum + i.subtotal, 0)
+    : subtotal;
+  if (base === 0) return { error: `Este código aplica solo a "${promocion.producto_nombre}", que no está en tu carrito` };
+
+  const porcentaje = parseFloat(promocion.descuento_porcentaje) || 0;
+  const descuento = Math.min(Math.round(base * porcentaje) / 100, base);
+  return { promocion, descuento };
+}
+
+module.exports = { validarCodigoDescuento };
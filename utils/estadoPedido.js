@@ -0,0 +1,100 @@
+// utils/estadoPedido.js — Máquina de estados del pedido (public.estado_pedido)
+//
+// Única fuente de verdad de qué cambios de estado son legales. Todas las
+// rutas que mueven un pedido (gestión de pedidos, aprobar/rechazar,
+// cancelación del cliente, entregas y el checkout) pasan por aquí, y cada
+// cambio queda en core.tblpedido_historial (quién, cuándo, de, a, motivo)
+// para las líneas de tiempo del cliente y del personal.
+//
+// Flujo normal: pickup   pendiente → (en_preparacion) → listo → completado
+//               domicilio listo → asignado → en_camino → entregado
+// entrega_fallida vuelve a "listo" para redespacharse o se cancela.
+// completado, entregado y cancelado son finales. Al llegar a ellos se
+// sincronizan los puntos de lealtad del cliente (utils/puntos.js) y, si
+// vino recomendado, se resuelve su referido (utils/referidos.js); al
+// cancelar, lo pagado con tarjeta de regalo regresa a la tarjeta.
+
+const { sincronizarPuntosPedido } = require('./puntos');
+const { reintegrarTarjetaRegalo } = require('./tarjetasRegalo');
+const { resolverReferido } = require('./referidos');
+
+const TRANSICIONES = Object.freeze({
+  pendiente: ['en_preparacion', 'listo', 'cancelado'],
+  en_preparacion: ['listo', 'cancelado'],
+  listo: ['en_preparacion', 'completado', 'asignado', 'cancelado'],
+  // 'entregado' también desde 'asignado': el repartidor que acepta
+  // estando ya en la zona puede entregar directo sin "salir en camino"
+  // (PUT /entregas/:id/estado solo lo permite si la sucursal autorizó
+  // cerrar sin código de entrega; el código se envía al salir en camino)
+  asignado: ['en_camino', 'entregado', 'entrega_fallida'],
+  en_camino: ['entregado', 'entrega_fallida'],
+  entrega_fallida: ['listo', 'cancelado'],
+  completado: [],
+  entregado: [],
+  cancelado: [],
+});
+
+const ESTADOS = Object.keys(TRANSICIONES);
+
+// Columnas que pueden cambiar junto con el estado (nunca vienen del cliente)
+const COLUMNAS_EXTRA = ['nota_cancelacion', 'por_confirmar'];
+
+function transicionValida(desde, hacia) {
+  return Object.prototype.hasOwnProperty.call(TRANSICIONES, desde) &&
+    TRANSICIONES[desde].includes(hacia); // eslint-disable-line security/detect-object-injection
+}
+
+async function registrarHistorial(db, { pedidoId, estadoAnterior = null, estadoNuevo, usuarioId = null, motivo = null }) {
+  await db.query(
+    `INSERT INTO core.tblpedido_historial (pedido_id, estado_anterior, estado_nuevo, usuario_id, motivo, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [pedidoId, estadoAnterior, estadoNuevo, usuarioId, motivo]
+  );
+}
+
+/**
+ * Cambia el estado de un pedido si la transición es legal y la registra
+ * en el historial. Debe llamarse dentro de la transacción del llamador
+ * (db = client con BEGIN): bloquea la fila del pedido con FOR UPDATE.
+ * @param {object} db client de pg en transacción
+ * @param {number|string} pedidoId
+ * @param {string} hacia Estado destino
+ * @param {{ usuarioId?: number|null, motivo?: string|null, cambios?: object }} opciones
+ *   cambios: columnas extra a actualizar junto con el estado (COLUMNAS_EXTRA)
+ * @returns {Promise<{ pedido: object, estadoAnterior: string, avisos: Array<object> } | { error: string, status: number }>}
+ *   avisos: notificaciones del referido resuelto; mandarlas con
+ *   notificarReferido (utils/referidos) después del COMMIT
+ */
+async function transicionarPedido(db, pedidoId, hacia, { usuarioId = null, motivo = null, cambios = {} } = {}) {
+  if (!ESTADOS.includes(hacia)) return { error: `Estado inválido. Valores: ${ESTADOS.join(', ')}`, status: 400 };
+
+  const actual = await db.query('SELECT estado FROM core.tblpedidos WHERE id = $1 FOR UPDATE', [pedidoId]);
+  if (actual.rows.length === 0) return { error: 'Pedido no encontrado', status: 404 };
+  const estadoAnterior = actual.rows[0].estado;
+  if (!transicionValida(estadoAnterior, hacia)) {
+    return { error: `No se puede pasar el pedido de "${estadoAnterior}" a "${hacia}"`, status: 400 };
+  }
+
+  const sets = ['estado = $1', 'updated_at = NOW()'];
+  const params = [hacia];
+  for (const [columna, valor] of Object.entries(cambios)) {
+    if (!COLUMNAS_EXTRA.includes(columna)) throw new Error(`Columna no permitida en transición: ${columna}`);
+    params.push(valor);
+    sets.push(`${columna} = $${params.length}`);
+  }
+  params.push(pedidoId);
+  const result = await db.query(
+    `UPDATE core.tblpedidos SET ${sets.join(', ')} WHERE id = $${params.length} RETURNING *`,
+    params
+  );
+
+  await registrarHistorial(db, { pedidoId, estadoAnterior, estadoNuevo: hacia, usuarioId, motivo });
+  if (['completado', 'entregado', 'cancelado'].includes(hacia)) {
+    await sincronizarPuntosPedido(db, pedidoId);
+  }
+  const avisos = ['completado', 'entregado'].includes(hacia) ? await resolverReferido(db, pedidoId) : [];
+  if (hacia === 'cancelado') await reintegrarTarjetaRegalo(db, pedidoId);
+  return { pedido: result.rows[0], estadoAnterior, avisos };
+}
+
+module.exports = { TRANSICIONES, ESTADOS, transicionValida, transicionarPedido, registrarHistorial };
@@ -0,0 +1,79 @@
+// utils/evidenciaEntrega.js — Código de entrega y evidencia al cerrar
+//
+// El código (4 dígitos) nace cuando el pedido sale en camino y se
+// conserva si se redespacha. El repartidor lo captura al entregar; tras
+// MAX_INTENTOS fallidos solo el personal puede autorizar el cierre sin
+// código. La foto y el GPS del cierre son obligatorios según la
+// configuración 'entregas' / 'evidencia' { foto_obligatoria, gps_obligatorio }.
+const crypto = require('crypto');
+
+const MAX_INTENTOS = 5;
+const EVIDENCIA_DEFAULT = { foto_obligatoria: true, gps_obligatorio: false };
+
+// Código del pedido; lo crea la primera vez (misma transacción que el en_camino)
+async function generarCodigoEntrega(db, pedidoId) {
+  const nuevo = String(crypto.randomInt(0, 10000)).padStart(4, '0');
+  await db.query(
+    `INSERT INTO core.tblpedido_codigos_entrega (pedido_id, codigo) VALUES ($1, $2) ON CONFLICT (pedido_id) DO NOTHING`,
+    [pedidoId, nuevo]
+  );
+  const result = await db.query('SELECT codigo FROM core.tblpedido_codigos_entrega WHERE pedido_id = $1', [pedidoId]);
+  return result.rows[0].codigo;
+}
+
+/**
+ * Revisa el código que capturó el repartidor. Usar con pool (no con la
+ * transacción del cierre): un intento fallido debe contar aunque el
+ * cierre se revierta. Pedidos despachados antes del código no lo piden.
+ * @returns {Promise<{ verificado: boolean } | { error: string, bloqueado?: boolean }>}
+ */
+async function verificarCodigoEntrega(db, pedidoId, codigo) {
+  const result = await db.query('SELECT codigo, intentos FROM core.tblpedido_codigos_entrega WHERE pedido_id = $1', [pedidoId]);
+  const registro = result.rows[0];
+  if (!registro) return { verificado: false };
+  if (registro.intentos >= MAX_INTENTOS) {
+    return { error: 'Demasiados intentos con código incorrecto. Pide a la sucursal que autorice la entrega.', bloqueado: true };
+  }
+  const capturado = String(codigo || '').trim();
+  if (!/^\d{4}$/.test(capturado)) return { error: 'Pide al cliente su código de entrega de 4 dígitos' };
+  if (crypto.timingSafeEqual(Buffer.from(capturado), Buffer.from(registro.codigo))) return { verificado: true };
+  const fallido = await db.query(
+    'UPDATE core.tblpedido_codigos_entrega SET intentos = intentos + 1 WHERE pedido_id = $1 RETURNING intentos',
+    [pedidoId]
+  );
+  const restantes = MAX_INTENTOS - fallido.rows[0].intentos;
+  return restantes > 0
+    ? { error: `Código de entrega incorrecto. Te quedan ${restantes} intento${restantes === 1 ? '' : 's'}.` }
+    : { error: 'Código incorrecto por última vez. Pide a la sucursal que autorice la entrega.', bloqueado: true };
+}
+
+// Devuelve el mensaje de error o null si la configuración es válida
+function validarConfigEvidencia(valor) {
+  if (!valor || typeof valor !== 'object' || Array.isArray(valor)) return 'La configuración debe ser un objeto';
+  for (const campo of ['foto_obligatoria', 'gps_obligatorio']) {
+    if (typeof valor[campo] !== 'boolean') return `${campo} debe ser true o false`; // eslint-disable-line security/detect-object-injection
+  }
+  return null;
+}
+
+async function obtenerConfigEvidencia(db) {
+  const result = await db.query(
+    `SELECT valor FROM core.tblconfiguracion_sistema WHERE seccion = 'entregas' AND clave = 'evidencia'`
+  );
+  const valor = result.rows[0] ? result.rows[0].valor : null;
+  return valor && !validarConfigEvidencia(valor) ? valor : EVIDENCIA_DEFAULT;
+}
+
+// La foto se sube antes con POST /api/upload/imagen (tipo 'entregas'):
+// solo se aceptan URLs de nuestra cuenta de Cloudinary
+function esFotoEvidencia(url) {
+  if (typeof url !== 'string' || !url.startsWith('https://')) return false;
+  const nube = process.env.CLOUDINARY_CLOUD_NAME;
+  return !nube || url.startsWith(`https://res.cloudinary.com/${nube}/`);
+}
+
+module.exports = {
+  MAX_INTENTOS,
+  generarCodigoEntrega, verificarCodigoEntrega,
+  validarConfigEvidencia, obtenerConfigEvidencia, esFotoEvidencia,
+};
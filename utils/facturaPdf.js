@@ -0,0 +1,96 @@
+// utils/facturaPdf.js — Representación impresa (PDF) de una factura
+//
+// PDF de texto plano en Courier, escrito a mano para no depender de una
+// librería: una fuente estándar con WinAnsiEncoding cubre los acentos y
+// la ñ, y el ancho fijo permite alinear columnas con espacios.
+
+const ANCHO = 90;
+const LINEAS_POR_PAGINA = 66;
+
+const dinero = (n) => `$${Number(n).toFixed(2)}`;
+const fila = (izq, der) => `${izq.slice(0, ANCHO - der.length - 1).padEnd(ANCHO - der.length)}${der}`;
+
+// Texto de PDF: fuera de Latin-1 no hay glifo; paréntesis y \ se escapan
+function escaparPdf(texto) {
+  return texto.replace(/[^\x20-\xff]/g, '?').replace(/([\\()])/g, '\\$1');
+}
+
+/**
+ * Arma el PDF con las líneas dadas (una página cada LINEAS_POR_PAGINA).
+ * @param {string[]} lineas
+ * @returns {Buffer}
+ */
+function pdfDeTexto(lineas) {
+  const paginas = [];
+  for (let i = 0; i < lineas.length; i += LINEAS_POR_PAGINA) paginas.push(lineas.slice(i, i + LINEAS_POR_PAGINA));
+  if (paginas.length === 0) paginas.push([]);
+
+  // 1 catálogo, 2 árbol de páginas, 3 fuente; luego página + contenido
+  const objetos = [null, '<< /Type /Catalog /Pages 2 0 R >>', null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'];
+  const kids = [];
+  paginas.forEach((pagina) => {
+    const contenido = ['BT', '/F1 9 Tf', '11.5 TL', '40 800 Td', ...pagina.map(l => `(${escaparPdf(l)}) Tj T*`), 'ET'].join('\n');
+    const idPagina = objetos.length;
+    objetos.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R >> >> /Contents ${idPagina + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(contenido, 'latin1')} >>\nstream\n${contenido}\nendstream`
+    );
+    kids.push(`${idPagina} 0 R`);
+  });
+  objetos[2] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let n = 1; n < objetos.length; n++) {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${n} 0 obj\n${objetos[n]}\nendobj\n`; // eslint-disable-line security/detect-object-injection
+  }
+  const inicioXref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objetos.length}\n0000000000 65535 f \n`
+    + offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')
+    + `trailer\n<< /Size ${objetos.length} /Root 1 0 R >>\nstartxref\n${inicioXref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * PDF de la factura timbrada.
+ * @param {object} f  fila de tblfacturas + { emisor, detalle, numero_pedido }
+ */
+function pdfFactura(f) {
+  const separador = '-'.repeat(ANCHO);
+  const r = f.receptor;
+  const lineas = [
+    'PIER REPOSTERÍA',
+    `${f.emisor.nombre} · RFC ${f.emisor.rfc} · Régimen ${f.emisor.regimen_fiscal}`,
+    `Lugar de expedición: ${f.emisor.lugar_expedicion}`,
+    separador,
+    fila(`FACTURA ${f.serie}-${f.folio}`, `Pedido ${f.numero_pedido}`),
+    `Folio fiscal (UUID): ${f.uuid}`,
+    `Fecha de timbrado: ${f.fecha_timbrado}`,
+    `Forma de pago: ${f.forma_pago} · Método de pago: PUE · Moneda: MXN`,
+    separador,
+    'RECEPTOR',
+    `${r.razon_social}`,
+    `RFC ${r.rfc} · Régimen ${r.regimen_fiscal} · Uso CFDI ${r.uso_cfdi} · C.P. ${r.codigo_postal}`,
+    separador,
+    fila('CANT  DESCRIPCIÓN', 'IMPORTE'),
+  ];
+  for (const c of f.detalle) {
+    lineas.push(fila(`${String(c.cantidad).padStart(4)}  ${c.descripcion}`, dinero(c.importe)));
+    if (c.descuento > 0) lineas.push(fila('      Descuento', `-${dinero(c.descuento)}`));
+  }
+  lineas.push(
+    separador,
+    fila('Subtotal', dinero(f.subtotal)),
+    ...(parseFloat(f.descuento) > 0 ? [fila('Descuento', `-${dinero(f.descuento)}`)] : []),
+    fila('IVA trasladado', dinero(f.impuestos)),
+    fila('TOTAL', dinero(f.total)),
+    separador,
+    'Este documento es una representación impresa de un CFDI 4.0.'
+  );
+  if (f.pac === 'local') lineas.push('SIN VALIDEZ FISCAL: timbrado con el PAC de desarrollo.');
+  return pdfDeTexto(lineas);
+}
+
+module.exports = { pdfDeTexto, pdfFactura };
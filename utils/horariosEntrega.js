@@ -0,0 +1,201 @@
+// utils/horariosEntrega.js — Horarios de recogida/entrega con cupo
+//
+// La configuración vive en core.tblconfiguracion_sistema, sección
+// 'horarios' (se edita con PUT /api/configuracion/horarios/:clave):
+//   pickup / domicilio  { activo, dias: { lunes: { apertura: '09:00', cierre: '20:00' }, domingo: null, ... },
+//                         duracion_minutos, max_pedidos, max_unidades, dias_anticipacion }
+//   fechas_bloqueadas   ['2026-12-25', ...]  (aplica a ambas modalidades)
+// max_pedidos / max_unidades / dias_anticipacion en null = sin límite.
+// Sin configuración (o activo = false) no se restringe el horario.
+//
+// Las horas son de Huejutla (UTC-6 fijo, igual que esRecogidaFutura en
+// pagosRoutes). horario_recogida es timestamptz; horario_entrega es
+// timestamp sin zona y guarda la hora UTC del ISO que manda el cliente.
+
+const DIAS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const DESFASE_MX_MS = 6 * 60 * 60 * 1000;
+const TIPOS = ['pickup', 'domicilio'];
+const HORA_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const FECHA_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Instante del horario según la columna de cada modalidad
+const COLUMNA_HORARIO = {
+  pickup: 'p.horario_recogida',
+  domicilio: "(p.horario_entrega AT TIME ZONE 'UTC')",
+};
+
+function minutos(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// 'YYYY-MM-DD' del día en Huejutla al que pertenece un instante
+function fechaMx(instante) {
+  return new Date(instante.getTime() - DESFASE_MX_MS).toISOString().slice(0, 10);
+}
+
+function esEnteroPositivoONulo(v) {
+  return v === null || v === undefined || (Number.isInteger(v) && v > 0);
+}
+
+// Devuelve el mensaje de error o null si la configuración es válida
+function validarConfigHorario(valor) {
+  if (!valor || typeof valor !== 'object' || Array.isArray(valor)) return 'La configuración debe ser un objeto';
+  if (!Number.isInteger(valor.duracion_minutos) || valor.duracion_minutos < 15 || valor.duracion_minutos > 240) {
+    return 'duracion_minutos debe ser un entero entre 15 y 240';
+  }
+  for (const campo of ['max_pedidos', 'max_unidades', 'dias_anticipacion']) {
+    if (!esEnteroPositivoONulo(valor[campo])) return `${campo} debe ser un entero mayor a 0 o null`; // eslint-disable-line security/detect-object-injection
+  }
+  if (!valor.dias || typeof valor.dias !== 'object') return 'dias es requerido (lunes…domingo)';
+  for (const [dia, horario] of Object.entries(valor.dias)) {
+    if (!DIAS.includes(dia)) return `Día inválido: ${dia}. Valores: ${DIAS.join(', ')}`;
+    if (horario === null) continue;
+    if (!horario || !HORA_RE.test(horario.apertura || '') || !HORA_RE.test(horario.cierre || '')) {
+      return `${dia}: apertura y cierre deben tener formato HH:MM (o null si no se abre)`;
+    }
+    if (minutos(horario.cierre) <= minutos(horario.apertura)) return `${dia}: el cierre debe ser después de la apertura`;
+  }
+  return null;
+}
+
+function validarFechasBloqueadas(valor) {
+  if (!Array.isArray(valor) || !valor.every(f => typeof f === 'string' && FECHA_RE.test(f))) {
+    return 'fechas_bloqueadas debe ser una lista de fechas YYYY-MM-DD';
+  }
+  return null;
+}
+
+async function obtenerConfigHorarios(db) {
+  const result = await db.query(
+    `SELECT clave, valor FROM core.tblconfiguracion_sistema WHERE seccion = 'horarios'`
+  );
+  const config = { pickup: null, domicilio: null, fechas_bloqueadas: [] };
+  for (const r of result.rows) {
+    if (TIPOS.includes(r.clave) && !validarConfigHorario(r.valor)) config[r.clave] = r.valor; // eslint-disable-line security/detect-object-injection
+    if (r.clave === 'fechas_bloqueadas' && !validarFechasBloqueadas(r.valor)) config.fechas_bloqueadas = r.valor;
+  }
+  return config;
+}
+
+// Franjas de un día ('YYYY-MM-DD') como instantes [inicio, fin)
+function generarFranjas(cfg, fecha) {
+  const [y, m, d] = fecha.split('-').map(Number);
+  const medianoche = Date.UTC(y, m - 1, d) + DESFASE_MX_MS;
+  const dia = DIAS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+  const horario = cfg.dias[dia]; // eslint-disable-line security/detect-object-injection
+  if (!horario) return [];
+  const franjas = [];
+  for (let t = minutos(horario.apertura); t + cfg.duracion_minutos <= minutos(horario.cierre); t += cfg.duracion_minutos) {
+    franjas.push({
+      inicio: new Date(medianoche + t * 60000),
+      fin: new Date(medianoche + (t + cfg.duracion_minutos) * 60000),
+    });
+  }
+  return franjas;
+}
+
+// Pedidos y unidades ya comprometidos en [desde, hasta) por franja
+async function ocupacion(db, tipo, franjas) {
+  if (franjas.length === 0) return [];
+  const columna = COLUMNA_HORARIO[tipo]; // eslint-disable-line security/detect-object-injection
+  const result = await db.query(
+    `SELECT ${columna} AS horario,
+            COALESCE((SELECT SUM(i.cantidad) FROM core.tblpedido_items i WHERE i.pedido_id = p.id), 0)::int AS unidades
+     FROM core.tblpedidos p
+     WHERE p.tipo_entrega = $1 AND p.estado <> 'cancelado'
+       AND ${columna} >= $2 AND ${columna} < $3`,
+    [tipo, franjas[0].inicio.toISOString(), franjas[franjas.length - 1].fin.toISOString()]
+  );
+  return franjas.map(f => {
+    const enFranja = result.rows.filter(r => new Date(r.horario) >= f.inicio && new Date(r.horario) < f.fin);
+    return { ...f, pedidos: enFranja.length, unidades: enFranja.reduce((s, r) => s + r.unidades, 0) };
+  });
+}
+
+function restantes(cfg, franja) {
+  return {
+    pedidos: cfg.max_pedidos ? Math.max(cfg.max_pedidos - franja.pedidos, 0) : null,
+    unidades: cfg.max_unidades ? Math.max(cfg.max_unidades - franja.unidades, 0) : null,
+  };
+}
+
+/**
+ * Franjas de un día con su cupo restante (para GET /configuracion/horarios/disponibilidad).
+ * @returns {Promise<{ cerrado: boolean, motivo?: string, franjas: Array }>}
+ */
+async function disponibilidad(db, tipo, fecha) {
+  const config = await obtenerConfigHorarios(db);
+  const cfg = config[tipo]; // eslint-disable-line security/detect-object-injection
+  if (!cfg || cfg.activo === false) return { cerrado: false, sin_restriccion: true, franjas: [] };
+  if (config.fechas_bloqueadas.includes(fecha)) return { cerrado: true, motivo: 'Día sin servicio', franjas: [] };
+
+  const ahora = new Date();
+  const franjas = await ocupacion(db, tipo, generarFranjas(cfg, fecha));
+  if (franjas.length === 0) return { cerrado: true, motivo: 'No abrimos ese día', franjas: [] };
+  return {
+    cerrado: false,
+    franjas: franjas.map(f => {
+      const r = restantes(cfg, f);
+      const lleno = r.pedidos === 0 || r.unidades === 0;
+      return {
+        inicio: f.inicio.toISOString(),
+        fin: f.fin.toISOString(),
+        pedidos_restantes: r.pedidos,
+        unidades_restantes: r.unidades,
+        disponible: f.inicio > ahora && !lleno,
+      };
+    }),
+  };
+}
+
+/**
+ * Verifica que el horario elegido caiga en una franja abierta y con cupo
+ * para `unidades` productos más. Con bloquear = true (dentro de la
+ * transacción que crea el pedido) toma un candado por franja para que
+ * dos checkouts simultáneos no rebasen el cupo.
+ * @returns {Promise<{ franja: object|null } | { error: string }>} franja null = sin restricción
+ */
+async function validarHorario(db, tipo, horarioIso, unidades, { bloquear = false } = {}) {
+  if (!horarioIso) return { franja: null };
+  const config = await obtenerConfigHorarios(db);
+  const cfg = config[tipo]; // eslint-disable-line security/detect-object-injection
+  if (!cfg || cfg.activo === false) return { franja: null };
+
+  const instante = new Date(horarioIso);
+  if (isNaN(instante.getTime())) return { error: 'Horario inválido' };
+  const ahora = new Date();
+  if (instante <= ahora) return { error: 'El horario elegido ya pasó; elige otro' };
+
+  const fecha = fechaMx(instante);
+  if (config.fechas_bloqueadas.includes(fecha)) return { error: 'Ese día no tenemos servicio; elige otra fecha' };
+  if (cfg.dias_anticipacion && instante.getTime() - ahora.getTime() > cfg.dias_anticipacion * 24 * 60 * 60 * 1000) {
+    return { error: `Solo se puede programar con hasta ${cfg.dias_anticipacion} días de anticipación` };
+  }
+
+  const franja = generarFranjas(cfg, fecha).find(f => instante >= f.inicio && instante < f.fin);
+  if (!franja) return { error: 'El horario elegido está fuera del horario de atención' };
+
+  if (bloquear) {
+    await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`horario-${tipo}-${franja.inicio.toISOString()}`]);
+  }
+  const [ocupada] = await ocupacion(db, tipo, [franja]);
+  if ((cfg.max_pedidos && ocupada.pedidos + 1 > cfg.max_pedidos) ||
+      (cfg.max_unidades && ocupada.unidades + unidades > cfg.max_unidades)) {
+    return { error: 'Ese horario ya está lleno; elige otro' };
+  }
+  return { franja };
+}
+
+module.exports = {
+  DIAS,
+  HORA_RE,
+  TIPOS,
+  minutos,
+  fechaMx,
+  obtenerConfigHorarios,
+  validarConfigHorario,
+  validarFechasBloqueadas,
+  disponibilidad,
+  validarHorario,
+};
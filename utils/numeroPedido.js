@@ -0,0 +1,26 @@
+// utils/numeroPedido.js — Folio consecutivo por día para los pedidos
+//
+// Formato PIER-YYMMDD-NNNN (ej. PIER-261019-0042), con el día en hora de
+// México. El contador vive en core.tblfolios_pedido (una fila por día):
+// el INSERT … ON CONFLICT DO UPDATE incrementa de forma atómica y deja la
+// fila bloqueada hasta el COMMIT del pedido, así dos checkouts simultáneos
+// nunca obtienen el mismo folio. Si la transacción del pedido se revierte,
+// el contador también, y el siguiente intento vuelve a pedir folio.
+
+/**
+ * @param {object} db client de pg dentro de la transacción que crea el pedido
+ * @returns {Promise<string>} Número de pedido listo para core.tblpedidos.numero
+ */
+async function generarNumeroPedido(db) {
+  const result = await db.query(
+    `INSERT INTO core.tblfolios_pedido (fecha, ultimo)
+     VALUES ((NOW() AT TIME ZONE 'America/Mexico_City')::date, 1)
+     ON CONFLICT (fecha) DO UPDATE SET ultimo = core.tblfolios_pedido.ultimo + 1
+     RETURNING to_char(fecha, 'YYMMDD') AS dia, ultimo`
+  );
+  const { dia, ultimo } = result.rows[0];
+  // padStart no recorta: un día con más de 9999 pedidos sigue siendo único
+  return `PIER-${dia}-${String(ultimo).padStart(4, '0')}`;
+}
+
+module.exports = { generarNumeroPedido };
@@ -0,0 +1,183 @@
+// utils/opcionesProducto.js — Variantes, complementos y su inventario
+//
+// Un renglón del carrito guarda variante_ids (tamaño/sabor/relleno del
+// producto, a lo más una por tipo) y complemento_ids (velas, placa, caja
+// de regalo). Aquí se validan contra el catálogo, se calcula el precio y
+// se descuenta / repone el stock propio de cada opción. Lo usan el
+// carrito, el checkout con Stripe (obtenerCarrito / materializarPedido),
+// POST /pedidos y las cancelaciones y reembolsos.
+//
+// Precio unitario = base + Σ precio_delta de variantes + Σ complementos.
+// Base: precio_chico si hay variante de tamaño; si no, el par heredado
+// chico/grande. Las promociones del producto solo descuentan base +
+// variantes (los complementos son mercancía aparte).
+
+const TIPOS_VARIANTE = ['tamano', 'sabor', 'relleno'];
+const TABLA_OPCION = { variante: 'core.tblproducto_variantes', complemento: 'core.tblcomplementos' };
+
+// ids que manda el cliente → enteros positivos, sin repetir y ordenados
+// (el orden importa: así se comparan renglones iguales del carrito)
+function normalizarIds(valor) {
+  if (!Array.isArray(valor)) return [];
+  return [...new Set(valor.map(v => parseInt(v)).filter(v => Number.isInteger(v) && v > 0))].sort((a, b) => a - b);
+}
+
+/**
+ * Resuelve las opciones de varias líneas con una consulta por tabla.
+ * @param {object} db pool o client (en transacción si bloquear = true)
+ * @param {Array<{ producto_id, categoria_id, nombre, variante_ids, complemento_ids }>} lineas
+ * @param {{ bloquear?: boolean }} opciones bloquear = FOR UPDATE de las opciones (checkout)
+ * @returns {Promise<Array<{ opciones: Array, tamano: string|null } | { error: string }>>}
+ */
+async function resolverOpciones(db, lineas, { bloquear = false } = {}) {
+  const varianteIds = [...new Set(lineas.flatMap(l => l.variante_ids || []))];
+  const complementoIds = [...new Set(lineas.flatMap(l => l.complemento_ids || []))];
+  const variantes = new Map();
+  const complementos = new Map();
+  if (varianteIds.length > 0) {
+    const r = await db.query(
+      `SELECT id, producto_id, tipo, nombre, precio_delta, stock, activo FROM core.tblproducto_variantes
+       WHERE id = ANY($1::int[]) ${bloquear ? 'FOR UPDATE' : ''}`,
+      [varianteIds]
+    );
+    r.rows.forEach(v => variantes.set(v.id, v));
+  }
+  if (complementoIds.length > 0) {
+    const r = await db.query(
+      `SELECT id, categoria_id, nombre, precio, stock, activo FROM core.tblcomplementos
+       WHERE id = ANY($1::int[]) ${bloquear ? 'FOR UPDATE' : ''}`,
+      [complementoIds]
+    );
+    r.rows.forEach(c => complementos.set(c.id, c));
+  }
+
+  return lineas.map(linea => {
+    const opciones = [];
+    const tipos = new Set();
+    for (const id of linea.variante_ids || []) {
+      const v = variantes.get(id);
+      if (!v || !v.activo || v.producto_id !== linea.producto_id) {
+        return { error: `Una de las opciones elegidas de "${linea.nombre}" ya no está disponible` };
+      }
+      if (tipos.has(v.tipo)) return { error: `"${linea.nombre}": elige solo una opción de ${v.tipo === 'tamano' ? 'tamaño' : v.tipo}` };
+      tipos.add(v.tipo);
+      opciones.push({ clase: 'variante', id: v.id, tipo: v.tipo, nombre: v.nombre, precio: parseFloat(v.precio_delta), stock: v.stock });
+    }
+    for (const id of linea.complemento_ids || []) {
+      const c = complementos.get(id);
+      if (!c || !c.activo || (c.categoria_id !== null && c.categoria_id !== linea.categoria_id)) {
+        return { error: `Uno de los complementos de "${linea.nombre}" ya no está disponible` };
+      }
+      opciones.push({ clase: 'complemento', id: c.id, tipo: null, nombre: c.nombre, precio: parseFloat(c.precio), stock: c.stock });
+    }
+    const tamano = opciones.find(o => o.tipo === 'tamano');
+    return { opciones, tamano: tamano ? tamano.nombre : null };
+  });
+}
+
+// { producto: base + variantes (admite promoción), complementos }
+function calcularPrecio(producto, tamano, opciones) {
+  const conTamano = opciones.some(o => o.tipo === 'tamano');
+  const base = (!conTamano && tamano === 'grande' && producto.precio_grande)
+    ? parseFloat(producto.precio_grande)
+    : parseFloat(producto.precio_chico);
+  const suma = (clase) => opciones.filter(o => o.clase === clase).reduce((s, o) => s + o.precio, 0);
+  return { producto: base + suma('variante'), complementos: suma('complemento') };
+}
+
+// Primera opción con stock propio insuficiente para `cantidad`, o null
+function opcionSinStock(opciones, cantidad) {
+  return opciones.find(o => o.stock !== null && o.stock !== undefined && o.stock < cantidad) || null;
+}
+
+// Descuenta el stock propio de cada opción y devuelve la copia que se
+// guarda en tblpedido_items.opciones (con lo realmente descontado).
+// cantidad = 0 solo arma la copia (línea por confirmar, sin inventario).
+async function descontarStockOpciones(db, opciones, cantidad) {
+  const copia = [];
+  for (const o of opciones) {
+    let descontado = 0;
+    if (cantidad > 0 && o.stock !== null && o.stock !== undefined) {
+      const tabla = TABLA_OPCION[o.clase]; // eslint-disable-line security/detect-object-injection
+      const r = await db.query(
+        `UPDATE ${tabla} t SET stock = GREATEST(t.stock - $1, 0), updated_at = NOW()
+         FROM (SELECT id, stock AS anterior FROM ${tabla} WHERE id = $2 FOR UPDATE) prev
+         WHERE t.id = prev.id AND t.stock IS NOT NULL
+         RETURNING t.stock, prev.anterior`,
+        [cantidad, o.id]
+      );
+      if (r.rows.length > 0) descontado = r.rows[0].anterior - r.rows[0].stock;
+    }
+    copia.push({ clase: o.clase, id: o.id, tipo: o.tipo, nombre: o.nombre, precio: o.precio, stock_descontado: descontado });
+  }
+  return copia;
+}
+
+/**
+ * Repone todo lo que descontó un pedido (producto y opciones) y deja los
+ * contadores en 0, para que una segunda llamada no duplique la devolución.
+ * Se agrupa por producto/opción: dos líneas del mismo producto suman.
+ * Las piezas regresan a la sucursal del pedido.
+ */
+async function reponerStockPedido(db, pedidoId) {
+  await db.query(
+    `INSERT INTO core.tblstock_sucursal (producto_id, sucursal_id, stock)
+     SELECT i.producto_id, p.sucursal_id, SUM(i.stock_descontado)::int
+     FROM core.tblpedido_items i JOIN core.tblpedidos p ON p.id = i.pedido_id
+     WHERE i.pedido_id = $1 AND i.stock_descontado > 0 AND i.producto_id IS NOT NULL
+     GROUP BY i.producto_id, p.sucursal_id
+     ON CONFLICT (producto_id, sucursal_id) DO UPDATE SET stock = core.tblstock_sucursal.stock + EXCLUDED.stock, updated_at = NOW()`,
+    [pedidoId]
+  );
+  for (const [clase, tabla] of Object.entries(TABLA_OPCION)) {
+    await db.query(
+      `UPDATE ${tabla} t
+       SET stock = t.stock + x.total, updated_at = NOW()
+       FROM (SELECT (e->>'id')::int AS id, SUM((e->>'stock_descontado')::int)::int AS total
+             FROM core.tblpedido_items i, jsonb_array_elements(i.opciones) e
+             WHERE i.pedido_id = $1 AND e->>'clase' = $2 AND COALESCE((e->>'stock_descontado')::int, 0) > 0
+             GROUP BY 1) x
+       WHERE t.id = x.id AND t.stock IS NOT NULL`,
+      [pedidoId, clase]
+    );
+  }
+  await db.query(
+    `UPDATE core.tblpedido_items
+     SET stock_descontado = 0,
+         opciones = COALESCE((SELECT jsonb_agg(e || '{"stock_descontado": 0}'::jsonb ORDER BY n)
+                              FROM jsonb_array_elements(opciones) WITH ORDINALITY AS o(e, n)), '[]'::jsonb)
+     WHERE pedido_id = $1`,
+    [pedidoId]
+  );
+}
+
+// Reembolso por línea con reposición: regresa hasta `cantidad` piezas del
+// stock propio de cada opción de esa línea (el del producto lo maneja
+// reembolsosRoutes con stock_descontado)
+async function reponerStockOpcionesLinea(db, pedidoItemId, cantidad) {
+  const r = await db.query('SELECT opciones FROM core.tblpedido_items WHERE id = $1', [pedidoItemId]);
+  if (r.rows.length === 0) return;
+  const opciones = r.rows[0].opciones || [];
+  if (!opciones.some(o => o.stock_descontado > 0)) return;
+  for (const o of opciones) {
+    const reponer = Math.min(cantidad, o.stock_descontado || 0);
+    if (reponer <= 0 || !TABLA_OPCION[o.clase]) continue; // eslint-disable-line security/detect-object-injection
+    await db.query(
+      `UPDATE ${TABLA_OPCION[o.clase]} SET stock = stock + $1, updated_at = NOW() WHERE id = $2 AND stock IS NOT NULL`, // eslint-disable-line security/detect-object-injection
+      [reponer, o.id]
+    );
+    o.stock_descontado -= reponer;
+  }
+  await db.query('UPDATE core.tblpedido_items SET opciones = $1 WHERE id = $2', [JSON.stringify(opciones), pedidoItemId]);
+}
+
+module.exports = {
+  TIPOS_VARIANTE,
+  normalizarIds,
+  resolverOpciones,
+  calcularPrecio,
+  opcionSinStock,
+  descontarStockOpciones,
+  reponerStockPedido,
+  reponerStockOpcionesLinea,
+};
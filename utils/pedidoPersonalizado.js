@@ -0,0 +1,150 @@
+// utils/pedidoPersonalizado.js — Pedido de un pastel personalizado
+//
+// Cuando el anticipo queda cobrado, la solicitud se convierte en un pedido
+// normal de tblpedidos (pickup, estado "pendiente" para producción) con
+// una línea sin producto_id y su pago con el anticipo registrado. Lo usan
+// POST /personalizados/:id/confirmar-anticipo (navegador) y el webhook de
+// /pagos (Stripe); igual que materializarPedido, el candado sobre el id
+// del intent hace que el segundo en llegar reciba el pedido del primero.
+const he = require('he'); // 🔒 SEGURIDAD: sanitización de HTML
+const { pool } = require('../config/database');
+const { registrarHistorial } = require('./estadoPedido');
+const { generarNumeroPedido } = require('./numeroPedido');
+
+// Especificaciones en una línea, para notas del pedido y correos
+function resumenPersonalizado(s) {
+  return [
+    `${s.porciones} porciones`,
+    `Sabor: ${s.sabor}`,
+    s.relleno ? `Relleno: ${s.relleno}` : null,
+    s.cobertura ? `Cobertura: ${s.cobertura}` : null,
+    s.dedicatoria ? `Dedicatoria: "${s.dedicatoria}"` : null,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * @param {object} paymentIntent Intent ya cobrado con metadata.personalizado_id
+ * @returns {Promise<{ pedido: object, creado: boolean } | { error: string, status: number }>}
+ */
+async function materializarPersonalizado(paymentIntent) {
+  const solicitudId = parseInt(paymentIntent.metadata.personalizado_id);
+  const client = await pool.connect();
+  let creado;
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [paymentIntent.id]);
+
+    const existente = await client.query(
+      `SELECT p.* FROM core.tblpagos pg JOIN core.tblpedidos p ON p.id = pg.pedido_id
+       WHERE pg.stripe_payment_id = $1`,
+      [paymentIntent.id]
+    );
+    if (existente.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { pedido: existente.rows[0], creado: false };
+    }
+
+    const result = await client.query(
+      'SELECT * FROM core.tblpedidos_personalizados WHERE id = $1 FOR UPDATE',
+      [solicitudId]
+    );
+    const s = result.rows[0];
+    if (!s || s.estado !== 'aceptado' || s.stripe_payment_id !== paymentIntent.id) {
+      await client.query('ROLLBACK');
+      return { error: 'La solicitud ya no espera este anticipo.', status: 409 };
+    }
+    if (paymentIntent.amount !== Math.round(parseFloat(s.anticipo) * 100)) {
+      await client.query('ROLLBACK');
+      return { error: 'El monto cobrado no coincide con el anticipo cotizado.', status: 409 };
+    }
+
+    // El cupo del horario se validó al aceptar la cotización; aquí ya se
+    // cobró el anticipo y el personal decide si un sobrecupo se atiende
+    const numero = await generarNumeroPedido(client);
+    const precio = parseFloat(s.precio);
+    const notas = [`Pastel personalizado: ${resumenPersonalizado(s)}`, s.descripcion].filter(Boolean).join('\n');
+    // Los pasteles personalizados se hacen y se recogen en la sucursal principal
+    const pedidoResult = await client.query(
+      `INSERT INTO core.tblpedidos (numero, usuario_id, total, estado, notas, horario_recogida, metodo_pago, tipo_entrega, sucursal_id, created_at, updated_at)
+       VALUES ($1,$2,$3,'pendiente',$4,$5,'tarjeta','pickup',(SELECT id FROM core.tblsucursales WHERE es_principal),NOW(),NOW()) RETURNING *`,
+      [numero, s.usuario_id, precio, notas, s.fecha_entrega]
+    );
+    const pedido = pedidoResult.rows[0];
+    await registrarHistorial(client, {
+      pedidoId: pedido.id, estadoNuevo: 'pendiente', usuarioId: s.usuario_id,
+      motivo: `Anticipo de pastel personalizado pagado (solicitud #${s.id})`,
+    });
+
+    // Se hace sobre pedido: no descuenta inventario del catálogo
+    await client.query(
+      `INSERT INTO core.tblpedido_items (pedido_id, producto_id, nombre_producto, cantidad, tamano, precio_unitario, subtotal, stock_descontado)
+       VALUES ($1, NULL, $2, 1, NULL, $3, $3, 0)`,
+      [pedido.id, `Pastel personalizado (${s.porciones} porciones)`, precio]
+    );
+    // monto_total es el precio completo, pero el intent solo cobró el
+    // anticipo: los reembolsos devuelven por Stripe hasta el anticipo y el
+    // resto en sucursal (ver repartirReembolso en reembolsosRoutes)
+    await client.query(
+      `INSERT INTO core.tblpagos (pedido_id, monto_subtotal, monto_total, anticipo, estado, metodo_pago, stripe_payment_id, fecha_confirmacion_pago, created_at)
+       VALUES ($1,$2,$2,$3,'pendiente','tarjeta',$4,NOW(),NOW())`,
+      [pedido.id, precio, s.anticipo, paymentIntent.id]
+    );
+    await client.query(
+      `UPDATE core.tblpedidos_personalizados SET estado = 'confirmado', pedido_id = $1, updated_at = NOW() WHERE id = $2`,
+      [pedido.id, s.id]
+    );
+    await client.query('COMMIT');
+    creado = { pedido, solicitud: s };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally { client.release(); }
+
+  await notificarAnticipoPagado(creado);
+  return { pedido: creado.pedido, creado: true };
+}
+
+async function notificarAnticipoPagado({ pedido, solicitud: s }) {
+  try {
+    const { notificarConEmail, crearNotificacion } = require('../services/notificacionHelper');
+    const saldo = (parseFloat(s.precio) - parseFloat(s.anticipo)).toFixed(2);
+    const fechaTxt = new Date(s.fecha_entrega).toLocaleDateString('es-MX', { timeZone: 'America/Mexico_City', weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' });
+
+    const personal = await pool.query(`SELECT id FROM core.tblusuarios WHERE rol IN ('empleado', 'gerencia') AND activo = true`);
+    await Promise.all(personal.rows.map(u => crearNotificacion({
+      usuario_id: u.id,
+      tipo: 'pedido',
+      titulo: 'Pastel personalizado confirmado',
+      mensaje: `Anticipo pagado: pedido #${pedido.numero} para ${fechaTxt} (${resumenPersonalizado(s)}).`,
+    })));
+
+    const userData = await pool.query('SELECT nombre, email FROM core.tblusuarios WHERE id = $1', [s.usuario_id]);
+    if (userData.rows.length === 0) return;
+    const u = userData.rows[0];
+    const safeNumero = he.escape(String(pedido.numero));
+    await notificarConEmail({
+      usuario_id: s.usuario_id,
+      tipo: 'pedido',
+      titulo: '¡Tu pastel quedó apartado!',
+      mensaje: `Recibimos tu anticipo de $${parseFloat(s.anticipo).toFixed(2)}. Tu pedido #${pedido.numero} queda para ${fechaTxt}; el saldo de $${saldo} se paga al recoger.`,
+      email: u.email,
+      nombre: u.nombre,
+      asunto: `🎂 Pastel personalizado #${safeNumero} confirmado — Pier Repostería`,
+      contenidoHtml: `
+        <h2>¡Tu pastel personalizado quedó confirmado!</h2>
+        <div class="highlight-box">
+          <p><strong>Pedido:</strong> #${safeNumero}</p>
+          <p><strong>Detalle:</strong> ${he.escape(resumenPersonalizado(s))}</p>
+          <p><strong>Recogida:</strong> ${he.escape(fechaTxt)}</p>
+          <p><strong>Anticipo pagado:</strong> $${he.escape(parseFloat(s.anticipo).toFixed(2))} MXN</p>
+          <p><strong>Saldo al recoger:</strong> $${he.escape(saldo)} MXN</p>
+        </div>
+        <p>Ya estamos planeando tu pastel. ¡Gracias por tu confianza! 🧁</p>
+      `,
+    });
+  } catch (error) {
+    console.error('Error notificando anticipo pagado:', error.message);
+  }
+}
+
+module.exports = { materializarPersonalizado, resumenPersonalizado };
@@ -0,0 +1,183 @@
+// utils/puntos.js — Programa de puntos (libro core.tblpuntos_movimientos)
+//
+// El saldo es la suma de los movimientos. Los puntos ganados vencen a los
+// MESES_VIGENCIA; lo que se gasta (canjes netos de reintegros, reversos,
+// ajustes negativos) consume primero lo más antiguo, así que lo vencido
+// sin usar es max(ganado vencido - todo lo gastado, 0). Los ajustes
+// positivos y los premios por referidos (utils/referidos.js) no vencen. expirarPuntos() lo asienta
+// como movimiento 'expirado'; saldoPuntos() ya lo descuenta sin escribir.
+//
+// sincronizarPuntosPedido() deja los puntos de un pedido como deben
+// estar según su estado y lo reembolsado; la llama transicionarPedido
+// (completado, entregado, cancelado), la venta de mostrador y el
+// procesamiento de reembolsos. Es idempotente.
+
+const PESOS_POR_PUNTO = 10;   // 1 punto por cada $10 (sin envío)
+const VALOR_PUNTO = 0.10;     // al canjear, cada punto vale 10 centavos
+const MINIMO_CANJE = 100;
+const TOPE_CANJE = 0.5;       // los puntos cubren hasta la mitad de los productos
+const MESES_VIGENCIA = 12;
+
+// Nivel según lo gastado en los últimos 12 meses (de mayor a menor)
+const NIVELES = [
+  { nombre: 'oro', gasto_minimo: 8000, multiplicador: 1.5 },
+  { nombre: 'plata', gasto_minimo: 3000, multiplicador: 1.25 },
+  { nombre: 'bronce', gasto_minimo: 0, multiplicador: 1 },
+];
+
+const ESTADOS_CUMPLIDOS = ['completado', 'entregado'];
+
+/**
+ * Nivel del cliente y cuánto le falta para el siguiente.
+ * @returns {Promise<{ nombre: string, multiplicador: number, gasto: number, siguiente: { nombre: string, faltan: number } | null }>}
+ */
+async function nivelDe(db, usuarioId) {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(pg.monto_total - COALESCE(pg.monto_reembolsado, 0)), 0)::NUMERIC(12,2) AS gasto
+     FROM core.tblpedidos p JOIN core.tblpagos pg ON pg.pedido_id = p.id
+     WHERE p.usuario_id = $1 AND p.estado::text = ANY($2::text[]) AND p.created_at > NOW() - INTERVAL '12 months'`,
+    [usuarioId, ESTADOS_CUMPLIDOS]
+  );
+  const gasto = parseFloat(result.rows[0].gasto);
+  const idx = NIVELES.findIndex(n => gasto >= n.gasto_minimo);
+  const nivel = NIVELES[idx]; // eslint-disable-line security/detect-object-injection
+  const siguiente = idx > 0 ? NIVELES[idx - 1] : null;
+  return {
+    nombre: nivel.nombre, multiplicador: nivel.multiplicador, gasto,
+    siguiente: siguiente ? { nombre: siguiente.nombre, faltan: Math.round((siguiente.gasto_minimo - gasto) * 100) / 100 } : null,
+  };
+}
+
+/**
+ * Saldo vigente (ya sin lo vencido) y lo que vence en los próximos 30 días.
+ * @returns {Promise<{ saldo: number, vencido_sin_asentar: number, por_vencer: number }>}
+ */
+async function saldoPuntos(db, usuarioId) {
+  const result = await db.query(
+    `SELECT
+       COALESCE(SUM(puntos), 0)::int AS bruto,
+       COALESCE(SUM(puntos) FILTER (WHERE tipo = 'ganado' AND expira_at <= NOW()), 0)::int AS ganado_vencido,
+       COALESCE(SUM(puntos) FILTER (WHERE tipo = 'ganado' AND expira_at > NOW() AND expira_at <= NOW() + INTERVAL '30 days'), 0)::int AS ganado_proximo,
+       COALESCE(-SUM(puntos) FILTER (WHERE tipo IN ('canje', 'reintegro', 'reverso', 'expirado') OR (tipo = 'ajuste' AND puntos < 0)), 0)::int AS gastado
+     FROM core.tblpuntos_movimientos WHERE usuario_id = $1`,
+    [usuarioId]
+  );
+  const r = result.rows[0];
+  const vencido = Math.max(r.ganado_vencido - r.gastado, 0);
+  const porVencer = Math.max(r.ganado_vencido + r.ganado_proximo - r.gastado, 0) - vencido;
+  return { saldo: r.bruto - vencido, vencido_sin_asentar: vencido, por_vencer: porVencer };
+}
+
+// Asienta como 'expirado' lo vencido sin usar. Devuelve el saldo vigente.
+async function expirarPuntos(db, usuarioId) {
+  const s = await saldoPuntos(db, usuarioId);
+  if (s.vencido_sin_asentar > 0) {
+    await db.query(
+      `INSERT INTO core.tblpuntos_movimientos (usuario_id, tipo, puntos, motivo)
+       VALUES ($1, 'expirado', $2, 'Puntos vencidos sin usar')`,
+      [usuarioId, -s.vencido_sin_asentar]
+    );
+  }
+  return s.saldo;
+}
+
+/**
+ * Valida un canje contra el saldo y el tope sobre `importe` (productos ya
+ * con el descuento por código). bloquear = FOR UPDATE del usuario: el
+ * canje real se serializa con otros canjes y ajustes del mismo cliente.
+ * @returns {Promise<{ puntos: number, descuento: number } | { error: string }>}
+ */
+async function validarCanje(db, usuarioId, puntos, importe, { bloquear = false } = {}) {
+  const solicitados = parseInt(puntos);
+  if (!Number.isInteger(solicitados) || solicitados <= 0) return { error: 'Cantidad de puntos inválida' };
+  if (solicitados < MINIMO_CANJE) return { error: `El canje mínimo es de ${MINIMO_CANJE} puntos` };
+  if (bloquear) await db.query('SELECT id FROM core.tblusuarios WHERE id = $1 FOR UPDATE', [usuarioId]);
+  const saldo = bloquear ? await expirarPuntos(db, usuarioId) : (await saldoPuntos(db, usuarioId)).saldo;
+  if (solicitados > saldo) return { error: `Solo tienes ${saldo} puntos disponibles` };
+  const maximo = Math.floor(importe * TOPE_CANJE / VALOR_PUNTO);
+  if (solicitados > maximo) return { error: `En este pedido puedes usar hasta ${maximo} puntos` };
+  return { puntos: solicitados, descuento: Math.round(solicitados * VALOR_PUNTO * 100) / 100 };
+}
+
+// Registra el canje de un pedido recién creado (misma transacción)
+async function canjearPuntos(db, { usuarioId, pedidoId, puntos }) {
+  await db.query(
+    `INSERT INTO core.tblpuntos_movimientos (usuario_id, tipo, puntos, pedido_id, motivo)
+     VALUES ($1, 'canje', $2, $3, 'Descuento en pedido')`,
+    [usuarioId, -puntos, pedidoId]
+  );
+}
+
+/**
+ * Ajusta los puntos de un pedido a lo que le corresponde:
+ *   - cumplido (completado/entregado) y pagado: gana floor(neto / $10 × nivel),
+ *     con neto = cobrado (tarjeta de regalo incluida) - envío - reembolsado;
+ *   - si después se reembolsa o cancela, se revierte la diferencia (con el
+ *     multiplicador con que se ganó);
+ *   - cancelado: además regresan los puntos que se canjearon en él.
+ * Debe llamarse dentro de la transacción que cambió el pedido o el pago.
+ * @returns {Promise<number>} puntos movidos (positivo = ganados)
+ */
+async function sincronizarPuntosPedido(db, pedidoId) {
+  const result = await db.query(
+    `SELECT p.id, p.numero, p.usuario_id, p.estado, p.costo_envio, p.monto_tarjeta_regalo,
+            pg.estado AS estado_pago, pg.monto_total, COALESCE(pg.monto_reembolsado, 0) AS monto_reembolsado
+     FROM core.tblpedidos p LEFT JOIN core.tblpagos pg ON pg.pedido_id = p.id
+     WHERE p.id = $1`,
+    [pedidoId]
+  );
+  const pedido = result.rows[0];
+  if (!pedido || !pedido.usuario_id || pedido.monto_total === null) return 0;
+
+  const movimientos = await db.query(
+    `SELECT tipo, SUM(puntos)::int AS puntos, MAX(multiplicador) AS multiplicador
+     FROM core.tblpuntos_movimientos WHERE pedido_id = $1 GROUP BY tipo`,
+    [pedidoId]
+  );
+  const de = (tipo) => movimientos.rows.find(m => m.tipo === tipo);
+  const ganado = de('ganado');
+  const pagado = parseFloat(pedido.monto_total) + parseFloat(pedido.monto_tarjeta_regalo || 0);
+  const neto = Math.max(pagado - parseFloat(pedido.costo_envio || 0) - parseFloat(pedido.monto_reembolsado), 0);
+  let movidos = 0;
+
+  if (!ganado) {
+    if (ESTADOS_CUMPLIDOS.includes(pedido.estado) && pedido.estado_pago === 'pagado') {
+      const nivel = await nivelDe(db, pedido.usuario_id);
+      const puntos = Math.floor(neto / PESOS_POR_PUNTO * nivel.multiplicador);
+      if (puntos > 0) {
+        await db.query(
+          `INSERT INTO core.tblpuntos_movimientos (usuario_id, tipo, puntos, pedido_id, multiplicador, expira_at, motivo)
+           VALUES ($1, 'ganado', $2, $3, $4, NOW() + ($5 || ' months')::interval, $6)
+           ON CONFLICT (pedido_id) WHERE tipo = 'ganado' DO NOTHING`,
+          [pedido.usuario_id, puntos, pedidoId, nivel.multiplicador, String(MESES_VIGENCIA), `Pedido ${pedido.numero} (nivel ${nivel.nombre})`]
+        );
+        movidos += puntos;
+      }
+    }
+  } else {
+    const objetivo = pedido.estado === 'cancelado' ? 0 : Math.floor(neto / PESOS_POR_PUNTO * parseFloat(ganado.multiplicador));
+    const vigentes = ganado.puntos + (de('reverso') ? de('reverso').puntos : 0);
+    if (vigentes > objetivo) {
+      await db.query(
+        `INSERT INTO core.tblpuntos_movimientos (usuario_id, tipo, puntos, pedido_id, motivo) VALUES ($1, 'reverso', $2, $3, $4)`,
+        [pedido.usuario_id, objetivo - vigentes, pedidoId, `Pedido ${pedido.numero} ${pedido.estado === 'cancelado' ? 'cancelado' : 'reembolsado'}`]
+      );
+      movidos += objetivo - vigentes;
+    }
+  }
+
+  const canje = de('canje');
+  if (pedido.estado === 'cancelado' && canje && !de('reintegro')) {
+    await db.query(
+      `INSERT INTO core.tblpuntos_movimientos (usuario_id, tipo, puntos, pedido_id, motivo)
+       VALUES ($1, 'reintegro', $2, $3, $4) ON CONFLICT (pedido_id) WHERE tipo = 'reintegro' DO NOTHING`,
+      [pedido.usuario_id, -canje.puntos, pedidoId, `Pedido ${pedido.numero} cancelado: regresan los puntos usados`]
+    );
+  }
+  return movidos;
+}
+
+module.exports = {
+  PESOS_POR_PUNTO, VALOR_PUNTO, MINIMO_CANJE, TOPE_CANJE, MESES_VIGENCIA, NIVELES,
+  nivelDe, saldoPuntos, expirarPuntos, validarCanje, canjearPuntos, sincronizarPuntosPedido,
+};
@@ -0,0 +1,92 @@
+// utils/recetas.js — Recetas, consumo de ingredientes y costo por pieza
+//
+// Cada ingrediente vive en su unidad base (g, ml o pza); la API acepta
+// también kg y l y convierte. Una receta es por pieza y por tamaño; si un
+// tamaño no tiene la suya se usa la receta base (tamano NULL). Al
+// registrar un lote de producción se descuenta receta × piezas y queda
+// un movimiento por ingrediente para rastrear el consumo.
+const { pool } = require('../config/database');
+
+// unidad de entrada → [unidad base, factor]
+const UNIDADES = { g: ['g', 1], kg: ['g', 1000], ml: ['ml', 1], l: ['ml', 1000], pza: ['pza', 1] };
+const UNIDADES_BASE = ['g', 'ml', 'pza'];
+
+// Convierte a la unidad del ingrediente; null si no son compatibles (kg → ml)
+function aUnidadBase(cantidad, unidad, unidadIngrediente) {
+  const conversion = UNIDADES[unidad || unidadIngrediente]; // eslint-disable-line security/detect-object-injection
+  if (!conversion || conversion[0] !== unidadIngrediente) return null;
+  return Math.round(cantidad * conversion[1] * 1000) / 1000;
+}
+
+// Costo por pieza de cada receta (producto + tamaño) con el costo actual
+const SQL_COSTOS = `
+  SELECT r.producto_id, r.tamano, SUM(r.cantidad * i.costo_unitario)::NUMERIC(12,2) AS costo
+  FROM core.tblrecetas r JOIN core.tblingredientes i ON i.id = r.ingrediente_id
+  GROUP BY r.producto_id, r.tamano`;
+
+// Líneas de la receta que aplica a un tamaño (la suya o la base)
+async function recetaDe(db, productoId, tamano = null) {
+  const result = await db.query(
+    `SELECT r.ingrediente_id, r.tamano, r.cantidad, i.nombre, i.unidad, i.costo_unitario
+     FROM core.tblrecetas r JOIN core.tblingredientes i ON i.id = r.ingrediente_id
+     WHERE r.producto_id = $1 AND (r.tamano IS NULL OR r.tamano = $2)
+     ORDER BY r.ingrediente_id`,
+    [productoId, tamano]
+  );
+  const propia = result.rows.filter(r => tamano && r.tamano === tamano);
+  return propia.length > 0 ? propia : result.rows.filter(r => r.tamano === null);
+}
+
+/**
+ * Descuenta los ingredientes de `cantidad` piezas (dentro de la
+ * transacción del lote). El stock puede quedar negativo: el lote ya se
+ * horneó, y un negativo señala que faltó registrar una compra.
+ * @returns {Promise<{ consumos: Array, bajos: Array }>} bajos = los que
+ *   cruzaron su mínimo con este consumo (para alertar una sola vez)
+ */
+async function descontarIngredientes(db, { productoId, tamano, cantidad, loteId = null, usuarioId = null }) {
+  const receta = await recetaDe(db, productoId, tamano);
+  const consumos = [];
+  const bajos = [];
+  for (const linea of receta) {
+    const consumo = Math.round(parseFloat(linea.cantidad) * cantidad * 1000) / 1000;
+    const result = await db.query(
+      `UPDATE core.tblingredientes i SET stock = i.stock - $1, updated_at = NOW()
+       FROM (SELECT id, stock AS anterior FROM core.tblingredientes WHERE id = $2 FOR UPDATE) prev
+       WHERE i.id = prev.id
+       RETURNING i.id, i.nombre, i.unidad, i.stock, i.stock_minimo, prev.anterior`,
+      [consumo, linea.ingrediente_id]
+    );
+    const ing = result.rows[0];
+    await db.query(
+      `INSERT INTO core.tblingrediente_movimientos (ingrediente_id, tipo, cantidad, costo_unitario, lote_id, usuario_id)
+       VALUES ($1, 'produccion', $2, $3, $4, $5)`,
+      [linea.ingrediente_id, -consumo, linea.costo_unitario, loteId, usuarioId]
+    );
+    consumos.push({ ingrediente_id: ing.id, nombre: ing.nombre, unidad: ing.unidad, cantidad: consumo, stock: parseFloat(ing.stock) });
+    if (parseFloat(ing.anterior) > parseFloat(ing.stock_minimo) && parseFloat(ing.stock) <= parseFloat(ing.stock_minimo)) bajos.push(ing);
+  }
+  return { consumos, bajos };
+}
+
+// Alerta al personal de cocina y gerencia (fuera de la transacción)
+async function notificarIngredientesBajos(bajos) {
+  if (bajos.length === 0) return;
+  try {
+    const { crearNotificacion } = require('../services/notificacionHelper');
+    const personal = await pool.query(`SELECT id FROM core.tblusuarios WHERE rol IN ('empleado', 'gerencia') AND activo = true`);
+    for (const ing of bajos) {
+      const stock = parseFloat(ing.stock);
+      await Promise.all(personal.rows.map(u => crearNotificacion({
+        usuario_id: u.id,
+        tipo: 'alerta',
+        titulo: stock <= 0 ? 'Ingrediente agotado' : 'Ingrediente bajo',
+        mensaje: `Quedan ${stock} ${ing.unidad} de "${ing.nombre}" (mínimo ${parseFloat(ing.stock_minimo)}). Registra una compra en Inventario de ingredientes.`,
+      })));
+    }
+  } catch (error) {
+    console.error('Error notificando ingredientes bajos:', error.message);
+  }
+}
+
+module.exports = { UNIDADES, UNIDADES_BASE, aUnidadBase, SQL_COSTOS, recetaDe, descontarIngredientes, notificarIngredientesBajos };
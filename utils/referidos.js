@@ -0,0 +1,177 @@
+// utils/referidos.js — Programa de referidos
+//
+// Cada cliente tiene un código (PRIMERAS LETRAS DEL NOMBRE + 4 al azar).
+// Quien crea su cuenta con ese código (registro o Google) queda como
+// referido 'pendiente'. Cuando se cumple su primer pedido de al menos
+// PEDIDO_MINIMO, los dos reciben puntos, salvo que parezca la misma
+// persona (mismo teléfono o domicilio) o quien refiere ya llegó al tope
+// del mes: entonces queda 'rechazado' con el motivo, para el reporte.
+const crypto = require('crypto');
+
+const PUNTOS_REFERIDOR = 500;
+const PUNTOS_REFERIDO = 500;
+const PEDIDO_MINIMO = 150;
+const TOPE_MENSUAL = 10; // recompensas por quien refiere en 30 días
+const TELEFONO_GENERICO = '0000000000'; // cuentas de Google sin teléfono
+
+const ALFABETO = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+function generarCodigoReferido(nombre) {
+  const base = String(nombre || '').normalize('NFD').replace(/[^A-Za-z]/g, '').toUpperCase().slice(0, 4) || 'PIER';
+  const sufijo = [...crypto.randomBytes(4)].map(b => ALFABETO[b % ALFABETO.length]).join(''); // eslint-disable-line security/detect-object-injection
+  return `${base}${sufijo}`;
+}
+
+// Código del cliente; se crea la primera vez (reintenta si choca, así
+// que db no debe ser una transacción abierta)
+async function obtenerCodigoReferido(db, usuarioId) {
+  const actual = await db.query('SELECT nombre, codigo_referido FROM core.tblusuarios WHERE id = $1', [usuarioId]);
+  if (actual.rows.length === 0) return null;
+  if (actual.rows[0].codigo_referido) return actual.rows[0].codigo_referido;
+  for (let intento = 0; intento < 5; intento++) {
+    try {
+      const result = await db.query(
+        `UPDATE core.tblusuarios SET codigo_referido = COALESCE(codigo_referido, $1) WHERE id = $2 RETURNING codigo_referido`,
+        [generarCodigoReferido(actual.rows[0].nombre), usuarioId]
+      );
+      return result.rows[0].codigo_referido;
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+    }
+  }
+  throw new Error('No se pudo generar un código de referido único');
+}
+
+/**
+ * Liga una cuenta recién creada con quien la refirió. Nunca rompe el
+ * registro: un código inexistente solo se ignora.
+ * @returns {Promise<{ estado: string } | { error: string }>}
+ */
+async function registrarReferido(db, { referidoId, codigo, origen }) {
+  const limpio = String(codigo || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  if (!limpio) return { error: 'Sin código' };
+  const result = await db.query(
+    `SELECT r.id, r.telefono AS telefono_referidor, n.telefono AS telefono_referido
+     FROM core.tblusuarios r, core.tblusuarios n
+     WHERE r.codigo_referido = $1 AND r.activo = TRUE AND r.rol = 'cliente' AND n.id = $2`,
+    [limpio, referidoId]
+  );
+  const r = result.rows[0];
+  if (!r) return { error: 'Código de referido no válido' };
+  // Una cuenta nueva aún no tiene código, así que el autorreferido es
+  // otra cuenta de la misma persona: se delata por teléfono o domicilio
+  const mismoTelefono = r.telefono_referido && r.telefono_referido !== TELEFONO_GENERICO && r.telefono_referido === r.telefono_referidor;
+  const motivo = mismoTelefono ? 'Autorreferido: mismo teléfono que quien lo refirió' : null;
+  await db.query(
+    `INSERT INTO core.tblreferidos (referidor_id, referido_id, codigo, origen, estado, motivo_rechazo, resuelto_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $6::text IS NOT NULL THEN NOW() END)
+     ON CONFLICT (referido_id) DO NOTHING`,
+    [r.id, referidoId, limpio, origen, motivo ? 'rechazado' : 'pendiente', motivo]
+  );
+  return { estado: motivo ? 'rechazado' : 'pendiente' };
+}
+
+// Motivo para no premiar, o null
+async function motivoRechazo(db, referido) {
+  const activo = await db.query(`SELECT activo FROM core.tblusuarios WHERE id = $1`, [referido.referidor_id]);
+  if (!activo.rows[0] || !activo.rows[0].activo) return 'La cuenta que lo refirió ya no está activa';
+
+  // Mismo domicilio: misma calle y colonia, o coordenadas a ~30 m; o el
+  // teléfono de contacto de una dirección es el de quien refirió
+  const domicilio = await db.query(
+    `SELECT 1 FROM core.tbldirecciones a
+     JOIN core.tbldirecciones b ON b.usuario_id = $2
+     WHERE a.usuario_id = $1 AND (
+       (LOWER(TRIM(a.calle_numero)) = LOWER(TRIM(b.calle_numero)) AND LOWER(TRIM(a.colonia)) = LOWER(TRIM(b.colonia)))
+       OR (a.lat IS NOT NULL AND b.lat IS NOT NULL AND ABS(a.lat - b.lat) < 0.0003 AND ABS(a.lng - b.lng) < 0.0003)
+     )
+     UNION ALL
+     SELECT 1 FROM core.tbldirecciones a JOIN core.tblusuarios u ON u.id = $2
+     WHERE a.usuario_id = $1 AND a.telefono_contacto IS NOT NULL AND a.telefono_contacto = u.telefono
+     LIMIT 1`,
+    [referido.referido_id, referido.referidor_id]
+  );
+  if (domicilio.rows.length > 0) return 'Autorreferido: mismo domicilio o teléfono que quien lo refirió';
+
+  const recientes = await db.query(
+    `SELECT COUNT(*)::int AS total FROM core.tblreferidos
+     WHERE referidor_id = $1 AND estado = 'recompensado' AND resuelto_at > NOW() - INTERVAL '30 days'`,
+    [referido.referidor_id]
+  );
+  if (recientes.rows[0].total >= TOPE_MENSUAL) return `Quien lo refirió ya recibió ${TOPE_MENSUAL} recompensas este mes`;
+  return null;
+}
+
+/**
+ * Si el pedido es el primero cumplido (de al menos PEDIDO_MINIMO) de un
+ * cliente referido, resuelve su referido: puntos para ambos o rechazo.
+ * Debe llamarse en la transacción que cumplió el pedido. Idempotente.
+ * Devuelve los avisos para ambos clientes; se mandan con notificarReferido
+ * después del COMMIT (si la transacción se revierte, no hubo puntos).
+ * @returns {Promise<Array<object>>}
+ */
+async function resolverReferido(db, pedidoId) {
+  const pedidoResult = await db.query(
+    `SELECT p.id, p.numero, p.usuario_id, p.costo_envio, p.monto_tarjeta_regalo, pg.monto_total, pg.estado AS estado_pago
+     FROM core.tblpedidos p JOIN core.tblpagos pg ON pg.pedido_id = p.id
+     WHERE p.id = $1 AND p.estado IN ('completado', 'entregado')`,
+    [pedidoId]
+  );
+  const pedido = pedidoResult.rows[0];
+  if (!pedido || !pedido.usuario_id || pedido.estado_pago !== 'pagado') return [];
+  const productos = parseFloat(pedido.monto_total) + parseFloat(pedido.monto_tarjeta_regalo || 0) - parseFloat(pedido.costo_envio || 0);
+  if (productos < PEDIDO_MINIMO) return [];
+
+  const referidoResult = await db.query(
+    `SELECT * FROM core.tblreferidos WHERE referido_id = $1 AND estado = 'pendiente' FOR UPDATE`,
+    [pedido.usuario_id]
+  );
+  const referido = referidoResult.rows[0];
+  if (!referido) return [];
+
+  const motivo = await motivoRechazo(db, referido);
+  await db.query(
+    `UPDATE core.tblreferidos SET estado = $1, motivo_rechazo = $2, pedido_id = $3, resuelto_at = NOW() WHERE id = $4`,
+    [motivo ? 'rechazado' : 'recompensado', motivo, pedido.id, referido.id]
+  );
+  if (motivo) return [];
+
+  await db.query(
+    `INSERT INTO core.tblpuntos_movimientos (usuario_id, tipo, puntos, pedido_id, motivo)
+     VALUES ($1, 'referido', $2, $5, 'Invitaste a un amigo a Pier Repostería'),
+            ($3, 'referido', $4, $5, 'Bienvenida por venir recomendado')
+     ON CONFLICT DO NOTHING`,
+    [referido.referidor_id, PUNTOS_REFERIDOR, referido.referido_id, PUNTOS_REFERIDO, pedido.id]
+  );
+
+  return [
+    {
+      usuario_id: referido.referidor_id,
+      tipo: 'promocion',
+      titulo: '¡Tu recomendación dio frutos!',
+      mensaje: `Alguien que invitaste hizo su primer pedido: recibiste ${PUNTOS_REFERIDOR} puntos para tu siguiente compra.`,
+    },
+    {
+      usuario_id: referido.referido_id,
+      tipo: 'promocion',
+      titulo: '¡Bienvenido a Pier Repostería!',
+      mensaje: `Por venir recomendado recibiste ${PUNTOS_REFERIDO} puntos para tu siguiente compra.`,
+    },
+  ];
+}
+
+// Manda los avisos de resolverReferido; llamar ya con el COMMIT hecho
+async function notificarReferido(avisos = []) {
+  if (avisos.length === 0) return;
+  try {
+    const { crearNotificacion } = require('../services/notificacionHelper');
+    await Promise.all(avisos.map(a => crearNotificacion(a)));
+  } catch (error) {
+    console.error('Error notificando referido:', error.message);
+  }
+}
+
+module.exports = {
+  PUNTOS_REFERIDOR, PUNTOS_REFERIDO, PEDIDO_MINIMO, TOPE_MENSUAL,
+  obtenerCodigoReferido, registrarReferido, resolverReferido, notificarReferido,
+};
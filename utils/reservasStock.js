@@ -0,0 +1,109 @@
+// utils/reservasStock.js — Piezas apartadas durante el checkout
+//
+// crear-intent aparta lo que lleva el carrito por MINUTOS_RESERVA; la
+// confirmación (navegador o webhook) consume la reserva al descontar el
+// stock real, y un pago fallido/cancelado la libera. Las vencidas dejan
+// de contar solas (el filtro es expira_at > NOW()). Disponible para un
+// cliente = stock de la sucursal - lo reservado ahí por OTROS clientes.
+const { stockEnSucursal } = require('./sucursales');
+
+const MINUTOS_RESERVA = 15;
+
+// Sub-consulta reutilizable: piezas reservadas vigentes por producto
+// (todas las sucursales; el catálogo muestra el total)
+const SQL_RESERVADO = `
+  SELECT producto_id, SUM(cantidad)::int AS reservado
+  FROM core.tblreservas_stock
+  WHERE estado = 'activa' AND expira_at > NOW()
+  GROUP BY producto_id`;
+
+/**
+ * @param {object} db pool o client
+ * @param {number[]} productoIds
+ * @param {{ excluirUsuario?: number, sucursalId?: number }} opciones las
+ *   reservas propias no restan; con sucursalId, solo las de esa sucursal
+ * @returns {Promise<Map<number, number>>} producto_id → piezas reservadas
+ */
+async function stockReservado(db, productoIds, { excluirUsuario = null, sucursalId = null } = {}) {
+  const reservado = new Map();
+  if (productoIds.length === 0) return reservado;
+  const result = await db.query(
+    `SELECT producto_id, SUM(cantidad)::int AS reservado
+     FROM core.tblreservas_stock
+     WHERE estado = 'activa' AND expira_at > NOW() AND producto_id = ANY($1::int[])
+       AND ($2::int IS NULL OR usuario_id <> $2)
+       AND ($3::int IS NULL OR sucursal_id = $3)
+     GROUP BY producto_id`,
+    [productoIds, excluirUsuario, sucursalId]
+  );
+  result.rows.forEach(r => reservado.set(r.producto_id, r.reservado));
+  return reservado;
+}
+
+/**
+ * Aparta las piezas de un intent. Debe correr en una transacción: bloquea
+ * los productos (en orden de id, para no interbloquearse con otro
+ * checkout) y vuelve a revisar la disponibilidad ya con el candado.
+ * Libera antes las reservas activas del mismo cliente (un intent
+ * abandonado no debe seguir apartando).
+ * @param {Array<{ producto_id, nombre, cantidad }>} items
+ * @returns {Promise<{ expira: Date } | { error: string }>}
+ */
+async function reservarStock(db, { paymentIntentId, usuarioId, sucursalId, items }) {
+  await db.query(
+    `UPDATE core.tblreservas_stock SET estado = 'liberada', updated_at = NOW()
+     WHERE usuario_id = $1 AND estado = 'activa'`,
+    [usuarioId]
+  );
+
+  const porProducto = new Map();
+  for (const i of items) {
+    const previo = porProducto.get(i.producto_id) || { nombre: i.nombre, cantidad: 0 };
+    porProducto.set(i.producto_id, { nombre: previo.nombre, cantidad: previo.cantidad + i.cantidad });
+  }
+  const ids = [...porProducto.keys()].sort((a, b) => a - b);
+  if (ids.length === 0) return { expira: null };
+
+  await db.query('SELECT id FROM core.tblproductos WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE', [ids]);
+  const stock = await stockEnSucursal(db, ids, sucursalId);
+  const reservado = await stockReservado(db, ids, { excluirUsuario: usuarioId, sucursalId });
+  for (const id of ids) {
+    const { nombre, cantidad } = porProducto.get(id);
+    const disponible = (stock.get(id) || 0) - (reservado.get(id) || 0);
+    if (disponible < cantidad) {
+      return {
+        error: disponible > 0
+          ? `"${nombre}": solo quedan ${disponible} unidades disponibles`
+          : `"${nombre}" está apartado por otros clientes. Intenta de nuevo en unos minutos.`,
+      };
+    }
+  }
+
+  const result = await db.query(
+    `INSERT INTO core.tblreservas_stock (stripe_payment_id, usuario_id, producto_id, cantidad, expira_at, sucursal_id)
+     SELECT $1, $2, x.producto_id, x.cantidad, NOW() + make_interval(mins => $5), $6
+     FROM UNNEST($3::int[], $4::int[]) AS x(producto_id, cantidad)
+     RETURNING expira_at`,
+    [paymentIntentId, usuarioId, ids, ids.map(id => porProducto.get(id).cantidad), MINUTOS_RESERVA, sucursalId]
+  );
+  return { expira: result.rows[0].expira_at };
+}
+
+// El pedido ya descontó el stock de la sucursal: la reserva deja de restar
+async function consumirReservas(db, paymentIntentId) {
+  await db.query(
+    `UPDATE core.tblreservas_stock SET estado = 'consumida', updated_at = NOW()
+     WHERE stripe_payment_id = $1 AND estado = 'activa'`,
+    [paymentIntentId]
+  );
+}
+
+async function liberarReservas(db, paymentIntentId) {
+  await db.query(
+    `UPDATE core.tblreservas_stock SET estado = 'liberada', updated_at = NOW()
+     WHERE stripe_payment_id = $1 AND estado = 'activa'`,
+    [paymentIntentId]
+  );
+}
+
+module.exports = { MINUTOS_RESERVA, SQL_RESERVADO, stockReservado, reservarStock, consumirReservas, liberarReservas };
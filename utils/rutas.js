@@ -0,0 +1,110 @@
+// utils/rutas.js — Orden de paradas para un repartidor con varias entregas
+//
+// Sin servicio de mapas: la distancia es en línea recta (haversine) por
+// FACTOR_CALLES y el tiempo sale de VELOCIDAD_KMH más MINUTOS_POR_PARADA
+// en cada domicilio. El orden se arma por vecino más cercano y se mejora
+// con 2-opt; entre dos órdenes gana el que llega tarde a menos ventanas,
+// luego el que termina antes y luego el más corto. Si se llega antes de
+// que abra la ventana del cliente, se espera.
+
+const RADIO_TIERRA_KM = 6371;
+const FACTOR_CALLES = 1.3;      // las calles no van en línea recta
+const VELOCIDAD_KMH = 25;       // promedio en moto dentro de Huejutla
+const MINUTOS_POR_PARADA = 5;   // estacionarse, entregar y cobrar
+
+function distanciaKm(a, b) {
+  const rad = g => (g * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * RADIO_TIERRA_KM * Math.asin(Math.sqrt(h));
+}
+
+// Recorre las paradas en el orden dado desde `origen` a partir de `salida` (ms)
+function simular(origen, orden, salida) {
+  let t = salida;
+  let pos = origen;
+  let km = 0;
+  let retrasoTotal = 0;
+  const paradas = orden.map(p => {
+    const tramo = distanciaKm(pos, p) * FACTOR_CALLES;
+    km += tramo;
+    t += (tramo / VELOCIDAD_KMH) * 3600000;
+    let espera = 0;
+    if (p.ventana_inicio && t < p.ventana_inicio) { espera = p.ventana_inicio - t; t = p.ventana_inicio; }
+    const retraso = p.ventana_fin ? Math.max(0, t - p.ventana_fin) : 0;
+    retrasoTotal += retraso;
+    const llegada = t;
+    t += MINUTOS_POR_PARADA * 60000;
+    pos = p;
+    return { parada: p, tramo, llegada, espera, retraso };
+  });
+  return { paradas, km, retraso: retrasoTotal, fin: t };
+}
+
+function mejor(a, b) {
+  if (a.retraso !== b.retraso) return a.retraso < b.retraso;
+  if (a.fin !== b.fin) return a.fin < b.fin;
+  return a.km < b.km;
+}
+
+// Distancia por calles y minutos de manejo entre dos puntos
+function estimarLlegada(desde, hasta) {
+  const km = distanciaKm(desde, hasta) * FACTOR_CALLES;
+  return { distancia_km: Math.round(km * 100) / 100, minutos: Math.ceil((km / VELOCIDAD_KMH) * 60) };
+}
+
+/**
+ * Ordena las paradas ({ lat, lng, ventana_inicio?, ventana_fin? } en ms)
+ * saliendo de `origen` ({ lat, lng }) en el instante `salida` (Date).
+ * Las paradas sin coordenadas no se pueden ordenar y se devuelven aparte.
+ */
+function optimizarRuta(origen, paradas, salida = new Date()) {
+  const conCoordenadas = paradas.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  const sinCoordenadas = paradas.filter(p => !conCoordenadas.includes(p));
+
+  // Vecino más cercano
+  const pendientes = [...conCoordenadas];
+  const orden = [];
+  let pos = origen;
+  while (pendientes.length > 0) {
+    let i = 0;
+    for (let j = 1; j < pendientes.length; j++) {
+      if (distanciaKm(pos, pendientes[j]) < distanciaKm(pos, pendientes[i])) i = j; // eslint-disable-line security/detect-object-injection
+    }
+    pos = pendientes.splice(i, 1)[0];
+    orden.push(pos);
+  }
+
+  // 2-opt: invertir tramos mientras mejore
+  let actual = simular(origen, orden, salida.getTime());
+  let mejoro = true;
+  while (mejoro) {
+    mejoro = false;
+    for (let i = 0; i < orden.length - 1; i++) {
+      for (let k = i + 1; k < orden.length; k++) {
+        const candidato = [...orden.slice(0, i), ...orden.slice(i, k + 1).reverse(), ...orden.slice(k + 1)];
+        const sim = simular(origen, candidato, salida.getTime());
+        if (mejor(sim, actual)) { orden.splice(0, orden.length, ...candidato); actual = sim; mejoro = true; }
+      }
+    }
+  }
+
+  const redondear = n => Math.round(n * 100) / 100;
+  return {
+    paradas: actual.paradas.map((s, i) => ({
+      ...s.parada,
+      orden: i + 1,
+      distancia_km: redondear(s.tramo),
+      llegada_estimada: new Date(s.llegada),
+      espera_min: Math.round(s.espera / 60000),
+      retraso_min: Math.round(s.retraso / 60000),
+    })),
+    sin_coordenadas: sinCoordenadas,
+    distancia_total_km: redondear(actual.km),
+    duracion_min: Math.round((actual.fin - salida.getTime()) / 60000),
+    fin_estimado: new Date(actual.fin),
+  };
+}
+
+module.exports = { FACTOR_CALLES, VELOCIDAD_KMH, MINUTOS_POR_PARADA, distanciaKm, estimarLlegada, optimizarRuta };
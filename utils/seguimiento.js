@@ -0,0 +1,24 @@
+// utils/seguimiento.js — Avisos en vivo del seguimiento de entregas
+//
+// Canal en memoria entre el ping del repartidor y las conexiones SSE del
+// cliente. Vive en el proceso: con un solo servidor (Render) basta; si
+// algún día hay varias instancias, el cliente sigue viendo la posición
+// porque GET /seguimiento la lee de la base.
+const { EventEmitter } = require('events');
+
+const canal = new EventEmitter();
+canal.setMaxListeners(0); // una escucha por pestaña abierta
+
+// evento: 'ubicacion' | 'estado'
+function publicarSeguimiento(pedidoId, evento, datos) {
+  canal.emit(`pedido:${pedidoId}`, evento, datos);
+}
+
+// Devuelve la función para dejar de escuchar
+function suscribirSeguimiento(pedidoId, fn) {
+  const nombre = `pedido:${pedidoId}`;
+  canal.on(nombre, fn);
+  return () => canal.off(nombre, fn);
+}
+
+module.exports = { publicarSeguimiento, suscribirSeguimiento };
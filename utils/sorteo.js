@@ -0,0 +1,53 @@
+// utils/sorteo.js — Selección verificable de ganadores (compromiso-revelación)
+//
+// La semilla se genera al crear el sorteo y solo se publica su SHA-256.
+// Al ejecutarlo se congela la lista de participantes; el resultado sale
+// únicamente de la semilla y del hash de esa lista, así que cualquiera con
+// ambas puede recalcularlo (GET /api/sorteos/:id/verificacion) y nadie
+// pudo elegir la semilla sabiendo quién iba a participar.
+//
+// Selección: en cada ronda n, r = SHA-256("semilla:hashLista:n") como
+// entero mod boletos restantes; gana quien tenga el boleto r contando en
+// el orden de la lista, y sus boletos salen de las rondas siguientes.
+const crypto = require('crypto');
+
+const sha256 = (texto) => crypto.createHash('sha256').update(texto, 'utf8').digest('hex');
+
+function generarSemilla() {
+  const semilla = crypto.randomBytes(32).toString('hex');
+  return { semilla, semilla_hash: sha256(semilla) };
+}
+
+/**
+ * Hash de la lista congelada: una línea "orden:usuario_id:boletos" por
+ * participante, en orden.
+ * @param {{ orden: number, usuario_id: number, boletos: number }[]} participantes
+ */
+function hashParticipantes(participantes) {
+  return sha256(participantes.map(p => `${p.orden}:${p.usuario_id}:${p.boletos}`).join('\n'));
+}
+
+/**
+ * Orden de ganadores y después suplentes. Sin reemplazo: cada
+ * participante sale a lo más una vez.
+ * @returns {{ posicion: number, usuario_id: number, tipo: 'ganador'|'suplente' }[]}
+ */
+function seleccionar({ semilla, participantesHash, participantes, ganadores, suplentes }) {
+  const restantes = [...participantes].sort((a, b) => a.orden - b.orden);
+  let boletos = restantes.reduce((sum, p) => sum + p.boletos, 0);
+  const resultado = [];
+  for (let n = 0; n < ganadores + suplentes && restantes.length > 0; n++) {
+    const r = BigInt(`0x${sha256(`${semilla}:${participantesHash}:${n}`)}`) % BigInt(boletos);
+    let acumulado = 0n;
+    const idx = restantes.findIndex((p) => {
+      acumulado += BigInt(p.boletos);
+      return r < acumulado;
+    });
+    const [elegido] = restantes.splice(idx, 1);
+    boletos -= elegido.boletos;
+    resultado.push({ posicion: n + 1, usuario_id: elegido.usuario_id, tipo: n < ganadores ? 'ganador' : 'suplente' });
+  }
+  return resultado;
+}
+
+module.exports = { sha256, generarSemilla, hashParticipantes, seleccionar };
@@ -0,0 +1,84 @@
+// utils/sucursales.js — Sucursales e inventario por sucursal
+//
+// El stock vive en core.tblstock_sucursal (producto × sucursal);
+// tblproductos.stock_online es la suma que mantiene un trigger, así que
+// toda escritura de inventario pasa por aquí y nunca por stock_online.
+// Un pedido descuenta de su sucursal (tblpedidos.sucursal_id) y, si se
+// cancela o reembolsa, regresa ahí mismo.
+
+// Sucursal activa por id, o la principal si no se indica.
+// Devuelve la fila o { error } si el id no existe o está inactiva.
+async function resolverSucursal(db, sucursalId = null) {
+  const id = sucursalId ? parseInt(sucursalId) : null;
+  const result = await db.query(
+    id
+      ? 'SELECT * FROM core.tblsucursales WHERE id = $1 AND activa = TRUE'
+      : 'SELECT * FROM core.tblsucursales WHERE es_principal AND activa = TRUE',
+    id ? [id] : []
+  );
+  if (result.rows.length === 0) return { error: id ? 'Sucursal no disponible' : 'No hay una sucursal principal activa' };
+  return result.rows[0];
+}
+
+// "Sucursal Principal, Centro, Huejutla de Reyes, Hidalgo" para correos y avisos
+function textoSucursal(sucursal) {
+  if (!sucursal) return 'sucursal';
+  return [sucursal.nombre, sucursal.direccion, sucursal.ciudad].filter(Boolean).join(', ');
+}
+
+/**
+ * Piezas de cada producto en una sucursal (sin fila = 0).
+ * @returns {Promise<Map<number, number>>}
+ */
+async function stockEnSucursal(db, productoIds, sucursalId) {
+  const stock = new Map();
+  if (productoIds.length === 0) return stock;
+  const result = await db.query(
+    'SELECT producto_id, stock FROM core.tblstock_sucursal WHERE sucursal_id = $1 AND producto_id = ANY($2::int[])',
+    [sucursalId, productoIds]
+  );
+  result.rows.forEach(r => stock.set(r.producto_id, r.stock));
+  return stock;
+}
+
+/**
+ * Descuenta hasta `cantidad` piezas (tope en cero) dentro de la
+ * transacción del llamador. El sub-select con FOR UPDATE expone el valor
+ * previo: lo realmente descontado es lo que se guarda en stock_descontado.
+ * @returns {Promise<{ anterior: number, stock: number, descontado: number }>}
+ */
+async function descontarStock(db, { productoId, sucursalId, cantidad }) {
+  const result = await db.query(
+    `UPDATE core.tblstock_sucursal s
+     SET stock = GREATEST(s.stock - $1, 0), updated_at = NOW()
+     FROM (SELECT producto_id, sucursal_id, stock AS anterior FROM core.tblstock_sucursal
+           WHERE producto_id = $2 AND sucursal_id = $3 FOR UPDATE) prev
+     WHERE s.producto_id = prev.producto_id AND s.sucursal_id = prev.sucursal_id
+     RETURNING s.stock, prev.anterior`,
+    [cantidad, productoId, sucursalId]
+  );
+  if (result.rows.length === 0) return { anterior: 0, stock: 0, descontado: 0 };
+  const { anterior, stock } = result.rows[0];
+  return { anterior, stock, descontado: anterior - stock };
+}
+
+// Suma piezas a la sucursal (producción, devoluciones)
+async function sumarStock(db, { productoId, sucursalId, cantidad }) {
+  if (cantidad <= 0) return;
+  await db.query(
+    `INSERT INTO core.tblstock_sucursal (producto_id, sucursal_id, stock) VALUES ($1, $2, $3)
+     ON CONFLICT (producto_id, sucursal_id) DO UPDATE SET stock = core.tblstock_sucursal.stock + EXCLUDED.stock, updated_at = NOW()`,
+    [productoId, sucursalId, cantidad]
+  );
+}
+
+// Fija el conteo de una sucursal (alta de producto, ajuste de inventario)
+async function fijarStock(db, { productoId, sucursalId, stock }) {
+  await db.query(
+    `INSERT INTO core.tblstock_sucursal (producto_id, sucursal_id, stock) VALUES ($1, $2, $3)
+     ON CONFLICT (producto_id, sucursal_id) DO UPDATE SET stock = EXCLUDED.stock, updated_at = NOW()`,
+    [productoId, sucursalId, stock]
+  );
+}
+
+module.exports = { resolverSucursal, textoSucursal, stockEnSucursal, descontarStock, sumarStock, fijarStock };
@@ -0,0 +1,118 @@
+// utils/tarifasEnvio.js — Cuánto cuesta un envío
+//
+// costo = tarifa base de la zona
+//       + tarifa_km × (km por calles desde la sucursal − km_incluidos)
+//       + recargo de hora pico (el mayor que aplique)
+// Es gratis si el subtotal (con código de descuento) llega a
+// envio_gratis_desde. No se envía si el subtotal no llega a pedido_minimo
+// o la distancia pasa de distancia_max_km.
+//
+// Las horas pico viven en core.tblconfiguracion_sistema, sección 'envio',
+// clave 'horas_pico' (PUT /api/configuracion/envio/horas_pico):
+//   [{ "nombre": "Comida", "dias": ["sabado", "domingo"], "fechas": ["2026-05-10"],
+//      "desde": "13:00", "hasta": "16:00", "recargo": 15 }]
+// Sin dias ni fechas aplica todos los días. Las horas son de Huejutla y
+// se toman del horario de entrega (o de cuándo se pidió, si no hay).
+const { DIAS, HORA_RE, minutos, fechaMx } = require('./horariosEntrega');
+const { FACTOR_CALLES } = require('./rutas');
+
+const FECHA_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DESFASE_MX_MS = 6 * 60 * 60 * 1000;
+const REGLAS_ZONA = ['tarifa_km', 'km_incluidos', 'envio_gratis_desde', 'pedido_minimo', 'distancia_max_km'];
+
+const redondear = n => Math.round(n * 100) / 100;
+const numeroONulo = v => (v === null || v === undefined || v === '' ? null : parseFloat(v));
+
+// Devuelve el mensaje de error o null si las horas pico son válidas
+function validarHorasPico(valor) {
+  if (!Array.isArray(valor)) return 'horas_pico debe ser una lista';
+  for (const [i, regla] of valor.entries()) {
+    const n = `Regla ${i + 1}`;
+    if (!regla || typeof regla !== 'object') return `${n}: debe ser un objeto`;
+    if (!HORA_RE.test(regla.desde || '') || !HORA_RE.test(regla.hasta || '')) return `${n}: desde y hasta deben tener formato HH:MM`;
+    if (minutos(regla.hasta) <= minutos(regla.desde)) return `${n}: "hasta" debe ser después de "desde"`;
+    if (typeof regla.recargo !== 'number' || !(regla.recargo > 0)) return `${n}: recargo debe ser un monto mayor a 0`;
+    if (regla.dias !== undefined && (!Array.isArray(regla.dias) || regla.dias.some(d => !DIAS.includes(d)))) {
+      return `${n}: dias inválidos. Valores: ${DIAS.join(', ')}`;
+    }
+    if (regla.fechas !== undefined && (!Array.isArray(regla.fechas) || regla.fechas.some(f => !FECHA_RE.test(f)))) {
+      return `${n}: fechas en formato YYYY-MM-DD`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normaliza las reglas de tarifa de una zona que manda el panel.
+ * @returns {object | { error: string }}
+ */
+function validarReglasZona(datos) {
+  const reglas = {};
+  for (const campo of REGLAS_ZONA) {
+    const valor = numeroONulo(datos[campo]); // eslint-disable-line security/detect-object-injection
+    if (valor !== null && (!Number.isFinite(valor) || valor < 0)) return { error: `${campo} debe ser un número mayor o igual a 0` };
+    reglas[campo] = valor; // eslint-disable-line security/detect-object-injection
+  }
+  if (reglas.distancia_max_km === 0) return { error: 'distancia_max_km debe ser mayor a 0' };
+  reglas.km_incluidos = reglas.km_incluidos || 0;
+  return { reglas };
+}
+
+async function obtenerHorasPico(db) {
+  const result = await db.query(
+    `SELECT valor FROM core.tblconfiguracion_sistema WHERE seccion = 'envio' AND clave = 'horas_pico'`
+  );
+  const valor = result.rows[0] ? result.rows[0].valor : [];
+  return validarHorasPico(valor) ? [] : valor;
+}
+
+// Mayor recargo de hora pico que aplica en `instante`
+function recargoHoraPico(horasPico, instante) {
+  const fecha = fechaMx(instante);
+  const local = new Date(instante.getTime() - DESFASE_MX_MS);
+  const dia = DIAS[local.getUTCDay()];
+  const minuto = local.getUTCHours() * 60 + local.getUTCMinutes();
+  let mayor = null;
+  for (const regla of horasPico) {
+    const sinCalendario = !regla.dias && !regla.fechas;
+    const enCalendario = sinCalendario || (regla.dias || []).includes(dia) || (regla.fechas || []).includes(fecha);
+    if (enCalendario && minuto >= minutos(regla.desde) && minuto < minutos(regla.hasta) && (!mayor || regla.recargo > mayor.recargo)) {
+      mayor = regla;
+    }
+  }
+  return mayor;
+}
+
+/**
+ * Costo del envío a una zona ya resuelta (utils/zonasEnvio: zonaPara).
+ * subtotal = productos con código de descuento; horario = entrega (ISO o Date).
+ * @returns {Promise<{ costo_envio: number, desglose: object } | { error: string }>}
+ */
+async function cotizarEnvio(db, zona, { subtotal, horario = null }) {
+  const r = zona.reglas;
+  if (r.pedido_minimo !== null && subtotal < r.pedido_minimo) {
+    return { error: `El pedido mínimo para envío a "${zona.zona_nombre}" es de $${r.pedido_minimo.toFixed(2)}` };
+  }
+  const porDistancia = r.tarifa_km !== null || r.distancia_max_km !== null;
+  const km = zona.distancia_sucursal_km !== null ? redondear(zona.distancia_sucursal_km * FACTOR_CALLES) : null;
+  if (porDistancia && km === null) {
+    return { error: 'Marca la ubicación de tu dirección en el mapa para calcular el envío' };
+  }
+  if (r.distancia_max_km !== null && km > r.distancia_max_km) {
+    return { error: `Tu dirección está a ${km} km de la sucursal; enviamos hasta ${r.distancia_max_km} km. Elige recoger en sucursal.` };
+  }
+
+  const instante = horario ? new Date(horario) : new Date();
+  const pico = recargoHoraPico(await obtenerHorasPico(db), isNaN(instante.getTime()) ? new Date() : instante);
+  const desglose = {
+    base: zona.tarifa,
+    distancia_km: km,
+    por_distancia: r.tarifa_km !== null ? redondear(Math.max(km - r.km_incluidos, 0) * r.tarifa_km) : 0,
+    hora_pico: pico ? { nombre: pico.nombre || null, recargo: pico.recargo } : null,
+    gratis: r.envio_gratis_desde !== null && subtotal >= r.envio_gratis_desde,
+  };
+  const costo = desglose.gratis ? 0 : redondear(desglose.base + desglose.por_distancia + (pico ? pico.recargo : 0));
+  return { costo_envio: costo, desglose };
+}
+
+module.exports = { REGLAS_ZONA, validarHorasPico, validarReglasZona, obtenerHorasPico, cotizarEnvio };
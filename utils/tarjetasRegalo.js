@@ -0,0 +1,182 @@
+// utils/tarjetasRegalo.js — Tarjetas de regalo
+//
+// Se compran con un PaymentIntent propio (POST /pagos/tarjetas-regalo/
+// crear-intent) y nacen al confirmarse el cobro, por el navegador o por
+// el webhook: el candado sobre el id del intent hace que el segundo en
+// llegar reciba la tarjeta del primero, igual que con los pedidos.
+//
+// Al pagar un pedido la tarjeta es una forma de pago más: cubre lo que
+// quede después de descuentos y envío, dejando al menos MINIMO_COBRO para
+// Stripe. Si el pedido se cancela, lo usado regresa a la tarjeta.
+const crypto = require('crypto');
+const he = require('he'); // 🔒 SEGURIDAD: sanitización de HTML
+const { pool } = require('../config/database');
+
+const MONTO_MINIMO = 100;
+const MONTO_MAXIMO = 5000;
+const MESES_VIGENCIA = 12;
+const MINIMO_COBRO = 10; // Stripe no cobra menos de $10 MXN
+
+// Sin 0/O ni 1/I para que se pueda dictar
+const ALFABETO = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+function generarCodigo() {
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map(b => ALFABETO[b % ALFABETO.length]); // eslint-disable-line security/detect-object-injection
+  return `PIER-${chars.slice(0, 4).join('')}-${chars.slice(4, 8).join('')}-${chars.slice(8).join('')}`;
+}
+
+// Acepta el código con o sin guiones, espacios o minúsculas
+function normalizarCodigo(codigo) {
+  let limpio = String(codigo || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  if (limpio.length === 16 && limpio.startsWith('PIER')) limpio = limpio.slice(4);
+  if (limpio.length !== 12) return null;
+  return `PIER-${limpio.slice(0, 4)}-${limpio.slice(4, 8)}-${limpio.slice(8)}`;
+}
+
+/**
+ * Cuánto de `importe` cubre la tarjeta. bloquear = FOR UPDATE de la
+ * tarjeta (al crear el pedido: dos pedidos no gastan el mismo saldo).
+ * @returns {Promise<{ tarjeta: object, monto: number } | { error: string }>}
+ */
+async function validarTarjetaRegalo(db, codigo, importe, { bloquear = false } = {}) {
+  const normalizado = normalizarCodigo(codigo);
+  if (!normalizado) return { error: 'Código de tarjeta de regalo inválido' };
+  const result = await db.query(
+    `SELECT id, codigo, saldo, estado, expira_at FROM core.tbltarjetas_regalo WHERE codigo = $1${bloquear ? ' FOR UPDATE' : ''}`,
+    [normalizado]
+  );
+  const tarjeta = result.rows[0];
+  if (!tarjeta) return { error: 'Código de tarjeta de regalo inválido' };
+  if (tarjeta.estado === 'cancelada') return { error: 'Esta tarjeta de regalo fue cancelada' };
+  if (new Date(tarjeta.expira_at) <= new Date()) return { error: 'Esta tarjeta de regalo ya venció' };
+  const saldo = parseFloat(tarjeta.saldo);
+  if (saldo <= 0) return { error: 'Esta tarjeta de regalo ya no tiene saldo' };
+  const cubrible = Math.round((importe - MINIMO_COBRO) * 100) / 100;
+  if (cubrible <= 0) return { error: `El pedido debe ser mayor a $${MINIMO_COBRO} para usar una tarjeta de regalo` };
+  return { tarjeta, monto: Math.min(saldo, cubrible) };
+}
+
+// Descuenta de la tarjeta lo usado en un pedido recién creado (misma transacción)
+async function aplicarTarjetaRegalo(db, { tarjetaId, pedidoId, monto }) {
+  await db.query(
+    `UPDATE core.tbltarjetas_regalo
+     SET saldo = saldo - $1, estado = CASE WHEN saldo - $1 = 0 THEN 'agotada' ELSE estado END, updated_at = NOW()
+     WHERE id = $2`,
+    [monto, tarjetaId]
+  );
+  await db.query(
+    `INSERT INTO core.tbltarjeta_regalo_movimientos (tarjeta_id, tipo, monto, pedido_id) VALUES ($1, 'canje', $2, $3)`,
+    [tarjetaId, -monto, pedidoId]
+  );
+}
+
+/**
+ * Pedido cancelado: lo que pagó con tarjeta de regalo vuelve a su saldo
+ * (aunque la tarjeta ya haya vencido, para no perderlo se extiende 30 días).
+ * Idempotente. Debe llamarse en la transacción de la cancelación.
+ */
+async function reintegrarTarjetaRegalo(db, pedidoId) {
+  const canje = await db.query(
+    `SELECT m.tarjeta_id, -m.monto AS monto FROM core.tbltarjeta_regalo_movimientos m
+     WHERE m.pedido_id = $1 AND m.tipo = 'canje'
+       AND NOT EXISTS (SELECT 1 FROM core.tbltarjeta_regalo_movimientos r WHERE r.pedido_id = $1 AND r.tipo = 'reintegro')`,
+    [pedidoId]
+  );
+  if (canje.rows.length === 0) return;
+  const { tarjeta_id: tarjetaId, monto } = canje.rows[0];
+  await db.query(
+    `UPDATE core.tbltarjetas_regalo
+     SET saldo = saldo + $1, estado = CASE WHEN estado = 'agotada' THEN 'activa' ELSE estado END,
+         expira_at = GREATEST(expira_at, NOW() + INTERVAL '30 days'), updated_at = NOW()
+     WHERE id = $2`,
+    [monto, tarjetaId]
+  );
+  await db.query(
+    `INSERT INTO core.tbltarjeta_regalo_movimientos (tarjeta_id, tipo, monto, pedido_id) VALUES ($1, 'reintegro', $2, $3)`,
+    [tarjetaId, monto, pedidoId]
+  );
+}
+
+/**
+ * Crea la tarjeta de un intent ya cobrado con metadata.tarjeta_regalo_compra.
+ * @returns {Promise<{ tarjeta: object, creada: boolean } | { error: string, status: number }>}
+ */
+async function emitirTarjetaRegalo(paymentIntent) {
+  const md = paymentIntent.metadata;
+  const monto = parseFloat(md.monto);
+  if (paymentIntent.amount !== Math.round(monto * 100)) {
+    return { error: 'El monto cobrado no coincide con el de la tarjeta de regalo.', status: 409 };
+  }
+  const client = await pool.connect();
+  let tarjeta;
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [paymentIntent.id]);
+    const existente = await client.query('SELECT * FROM core.tbltarjetas_regalo WHERE stripe_payment_id = $1', [paymentIntent.id]);
+    if (existente.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { tarjeta: existente.rows[0], creada: false };
+    }
+    const result = await client.query(
+      `INSERT INTO core.tbltarjetas_regalo
+        (codigo, monto_inicial, saldo, comprador_id, destinatario_nombre, destinatario_email, mensaje, stripe_payment_id, expira_at)
+       VALUES ($1,$2,$2,$3,$4,$5,$6,$7,NOW() + ($8 || ' months')::interval) RETURNING *`,
+      [generarCodigo(), monto, parseInt(md.usuario_id), md.destinatario_nombre, md.destinatario_email, md.mensaje || null, paymentIntent.id, String(MESES_VIGENCIA)]
+    );
+    tarjeta = result.rows[0];
+    await client.query(
+      `INSERT INTO core.tbltarjeta_regalo_movimientos (tarjeta_id, tipo, monto) VALUES ($1, 'compra', $2)`,
+      [tarjeta.id, monto]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally { client.release(); }
+
+  await enviarTarjetaRegalo(tarjeta);
+  return { tarjeta, creada: true };
+}
+
+// Correo al destinatario con el código y aviso al comprador
+async function enviarTarjetaRegalo(tarjeta) {
+  try {
+    const { enviarEmailNotificacion, crearNotificacion } = require('../services/notificacionHelper');
+    const comprador = await pool.query('SELECT nombre, apellido FROM core.tblusuarios WHERE id = $1', [tarjeta.comprador_id]);
+    const de = comprador.rows[0] ? `${comprador.rows[0].nombre} ${comprador.rows[0].apellido || ''}`.trim() : 'Alguien especial';
+    const montoTxt = parseFloat(tarjeta.monto_inicial).toFixed(2);
+    const venceTxt = new Date(tarjeta.expira_at).toLocaleDateString('es-MX', { timeZone: 'America/Mexico_City', day: 'numeric', month: 'long', year: 'numeric' });
+    await enviarEmailNotificacion({
+      email: tarjeta.destinatario_email,
+      nombre: tarjeta.destinatario_nombre,
+      asunto: `🎁 ${de} te regaló una tarjeta de Pier Repostería`,
+      contenido: `
+        <h2>¡${he.escape(tarjeta.destinatario_nombre)}, tienes un regalo!</h2>
+        <p>${he.escape(de)} te envió una tarjeta de regalo por <strong>$${he.escape(montoTxt)} MXN</strong>.</p>
+        ${tarjeta.mensaje ? `<p><em>"${he.escape(tarjeta.mensaje)}"</em></p>` : ''}
+        <div class="highlight-box">
+          <p><strong>Código:</strong> ${he.escape(tarjeta.codigo)}</p>
+          <p><strong>Válida hasta:</strong> ${he.escape(venceTxt)}</p>
+        </div>
+        <p>Úsala al pagar tu pedido en línea; si no gastas todo, el saldo queda para tu siguiente compra. 🍰</p>
+      `,
+    });
+    await pool.query('UPDATE core.tbltarjetas_regalo SET enviada_at = NOW() WHERE id = $1', [tarjeta.id]);
+    if (tarjeta.comprador_id) {
+      await crearNotificacion({
+        usuario_id: tarjeta.comprador_id,
+        tipo: 'pago',
+        titulo: 'Tarjeta de regalo enviada',
+        mensaje: `Tu tarjeta de regalo por $${montoTxt} se envió a ${tarjeta.destinatario_email}.`,
+      });
+    }
+  } catch (error) {
+    console.error('Error enviando tarjeta de regalo:', error.message);
+  }
+}
+
+module.exports = {
+  MONTO_MINIMO, MONTO_MAXIMO, MESES_VIGENCIA, MINIMO_COBRO,
+  normalizarCodigo, validarTarjetaRegalo, aplicarTarjetaRegalo, reintegrarTarjetaRegalo, emitirTarjetaRegalo, enviarTarjetaRegalo,
+};
@@ -0,0 +1,126 @@
+// utils/zonasEnvio.js — A qué zona de envío pertenece una dirección
+//
+// Con coordenadas: primero gana el polígono que la contenga y después el
+// anillo (distancia en línea recta a la sucursal de la zona) más chico
+// que la contenga. Sin coordenadas, o si ninguna geometría la cubre, se
+// busca la colonia por nombre como antes. Solo cuentan zonas activas de
+// sucursales activas.
+const { distanciaKm } = require('./rutas');
+
+const MAX_VERTICES = 200;
+
+function esCoordenada(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+// Ray casting; a escala de una ciudad lat/lng se tratan como plano
+function puntoEnPoligono(punto, poligono) {
+  let dentro = false;
+  for (let i = 0, j = poligono.length - 1; i < poligono.length; j = i++) {
+    const a = poligono[i]; // eslint-disable-line security/detect-object-injection
+    const b = poligono[j]; // eslint-disable-line security/detect-object-injection
+    if ((a.lat > punto.lat) !== (b.lat > punto.lat)
+      && punto.lng < ((b.lng - a.lng) * (punto.lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      dentro = !dentro;
+    }
+  }
+  return dentro;
+}
+
+/**
+ * Normaliza la geometría que manda el panel de zonas.
+ * @returns {{ poligono: Array|null, radio_min_km: number|null, radio_max_km: number|null } | { error: string }}
+ */
+function validarGeometria({ poligono = null, radio_min_km = null, radio_max_km = null }) {
+  let vertices = null;
+  if (poligono !== null) {
+    if (!Array.isArray(poligono) || poligono.length < 3 || poligono.length > MAX_VERTICES) {
+      return { error: `El polígono debe tener entre 3 y ${MAX_VERTICES} vértices` };
+    }
+    vertices = poligono.map(v => ({ lat: parseFloat(v && v.lat), lng: parseFloat(v && v.lng) }));
+    if (vertices.some(v => !esCoordenada(v.lat, v.lng))) return { error: 'Cada vértice del polígono necesita lat y lng válidas' };
+  }
+  const min = radio_min_km === null || radio_min_km === '' ? null : parseFloat(radio_min_km);
+  const max = radio_max_km === null || radio_max_km === '' ? null : parseFloat(radio_max_km);
+  if (min !== null && (!Number.isFinite(min) || min < 0)) return { error: 'radio_min_km debe ser un número mayor o igual a 0' };
+  if (max !== null && (!Number.isFinite(max) || max <= (min || 0))) return { error: 'radio_max_km debe ser mayor a radio_min_km' };
+  if (min !== null && max === null) return { error: 'Indica radio_max_km para definir el anillo' };
+  return { poligono: vertices, radio_min_km: min, radio_max_km: max };
+}
+
+// Zonas vigentes con su sucursal y colonias (en minúsculas)
+async function cargarZonas(db) {
+  const result = await db.query(`
+    SELECT z.id, z.nombre, z.tarifa, z.poligono, z.radio_min_km, z.radio_max_km,
+           z.tarifa_km, z.km_incluidos, z.envio_gratis_desde, z.pedido_minimo, z.distancia_max_km,
+           s.id AS sucursal_id, s.nombre AS sucursal_nombre, s.lat AS sucursal_lat, s.lng AS sucursal_lng,
+           COALESCE(array_agg(LOWER(zc.colonia)) FILTER (WHERE zc.id IS NOT NULL), '{}') AS colonias
+    FROM core.tblzonas_envio z
+    JOIN core.tblsucursales s ON s.id = z.sucursal_id AND s.activa = TRUE
+    LEFT JOIN core.tblzonas_colonias zc ON zc.zona_id = z.id
+    WHERE z.activa = TRUE
+    GROUP BY z.id, s.id
+  `);
+  return result.rows;
+}
+
+// Cómo queda la dirección respecto a cada zona (para el probador del panel)
+function evaluarZona(zona, { lat, lng, colonia }) {
+  const punto = esCoordenada(lat, lng) ? { lat, lng } : null;
+  const sucursal = zona.sucursal_lat !== null && zona.sucursal_lng !== null
+    ? { lat: parseFloat(zona.sucursal_lat), lng: parseFloat(zona.sucursal_lng) } : null;
+  const distancia = punto && sucursal ? distanciaKm(punto, sucursal) : null;
+  const tieneAnillo = zona.radio_max_km !== null;
+  return {
+    en_poligono: punto && zona.poligono ? puntoEnPoligono(punto, zona.poligono) : null,
+    distancia_sucursal_km: distancia !== null ? Math.round(distancia * 100) / 100 : null,
+    en_anillo: tieneAnillo && distancia !== null
+      ? distancia >= parseFloat(zona.radio_min_km || 0) && distancia < parseFloat(zona.radio_max_km) : null,
+    en_colonias: colonia ? zona.colonias.includes(String(colonia).trim().toLowerCase()) : null,
+  };
+}
+
+/**
+ * Zona que cubre la dirección, o null si no hay cobertura. Incluye las
+ * reglas de tarifa de la zona para utils/tarifasEnvio.
+ * @returns {{ zona_id, zona_nombre, tarifa, sucursal_id, sucursal_nombre, criterio: 'poligono'|'radio'|'colonia', distancia_sucursal_km, reglas } | null}
+ */
+function zonaPara(zonas, direccion) {
+  const evaluadas = zonas.map(z => ({ zona: z, ...evaluarZona(z, direccion) }));
+  const enPoligono = evaluadas.find(e => e.en_poligono);
+  const enAnillo = evaluadas
+    .filter(e => e.en_anillo)
+    .sort((a, b) => parseFloat(a.zona.radio_max_km) - parseFloat(b.zona.radio_max_km))[0];
+  const enColonias = evaluadas.find(e => e.en_colonias);
+  const elegida = enPoligono || enAnillo || enColonias;
+  if (!elegida) return null;
+  const z = elegida.zona;
+  return {
+    zona_id: z.id,
+    zona_nombre: z.nombre,
+    tarifa: parseFloat(z.tarifa),
+    sucursal_id: z.sucursal_id,
+    sucursal_nombre: z.sucursal_nombre,
+    criterio: elegida === enPoligono ? 'poligono' : (elegida === enAnillo ? 'radio' : 'colonia'),
+    distancia_sucursal_km: elegida.distancia_sucursal_km,
+    reglas: {
+      tarifa_km: z.tarifa_km !== null ? parseFloat(z.tarifa_km) : null,
+      km_incluidos: parseFloat(z.km_incluidos || 0),
+      envio_gratis_desde: z.envio_gratis_desde !== null ? parseFloat(z.envio_gratis_desde) : null,
+      pedido_minimo: z.pedido_minimo !== null ? parseFloat(z.pedido_minimo) : null,
+      distancia_max_km: z.distancia_max_km !== null ? parseFloat(z.distancia_max_km) : null,
+    },
+  };
+}
+
+// lat/lng llegan como NUMERIC (texto) desde tbldirecciones
+async function resolverZona(db, { lat, lng, colonia }) {
+  const zonas = await cargarZonas(db);
+  return zonaPara(zonas, {
+    lat: lat === null || lat === undefined ? NaN : parseFloat(lat),
+    lng: lng === null || lng === undefined ? NaN : parseFloat(lng),
+    colonia,
+  });
+}
+
+module.exports = { esCoordenada, puntoEnPoligono, validarGeometria, cargarZonas, evaluarZona, zonaPara, resolverZona };